@@ -0,0 +1,72 @@
+const express = require('express');
+const cors = require('cors');
+const rateLimit = require('express-rate-limit');
+
+const auditRoutes = require('./routes/audit');
+const authRoutes = require('./routes/auth');
+const menuRoutes = require('./routes/menu');
+const orderRoutes = require('./routes/orders');
+const eventRoutes = require('./routes/events');
+const kitchenRoutes = require('./routes/kitchen');
+const paymentRoutes = require('./routes/payments');
+const promotionRoutes = require('./routes/promotions');
+const reportRoutes = require('./routes/reports');
+const ticketRoutes = require('./routes/tickets');
+const userRoutes = require('./routes/users');
+const { createMailer } = require('./services/mailer');
+const { uniformErrors, notFound, errorHandler } = require('./middleware/errors');
+const { localize } = require('./middleware/locale');
+const { msg } = require('./services/i18n');
+
+// Tạo ứng dụng Express với bộ repository được truyền vào (MySQL hoặc bộ nhớ)
+// mailer mặc định theo cấu hình MAIL_TRANSPORT (xem services/mailer.js)
+function createApp({ repos, mailer = createMailer(), rateLimit: enableRateLimit = true }) {
+  if (!repos) {
+    throw new Error('createApp requires a repository implementation');
+  }
+
+  const app = express();
+
+  // Cho phép CORS từ web (React)
+  app.use(cors({
+    origin: ['http://localhost:3000','http://localhost:3001', 'https://fastorder.vercel.app','https://sandbox.vnpayment.vn']
+  }));
+  app.use(uniformErrors);
+  app.use(localize);
+  app.use(express.json());
+
+  // Rate limiting middleware
+  if (enableRateLimit) {
+    const limiter = rateLimit({
+      windowMs: 15 * 60 * 1000, // 15 phút
+      max: 100, // Giới hạn 100 request mỗi IP trong 15 phút
+      message: { error: msg('http.rate_limited'), code: 'RATE_LIMITED' },
+    });
+    app.use(limiter); // Áp dụng rate limiting cho tất cả các API
+  }
+
+  // API kiểm tra server
+  app.get('/', (req, res) => {
+    res.json({ message: msg('common.api_running') });
+  });
+
+  const deps = { repos, mailer };
+  app.use('/api', authRoutes(deps));
+  app.use('/api', menuRoutes(deps));
+  app.use('/api', orderRoutes(deps));
+  app.use('/api', eventRoutes(deps));
+  app.use('/api', kitchenRoutes(deps));
+  app.use('/api', paymentRoutes(deps));
+  app.use('/api', promotionRoutes(deps));
+  app.use('/api', reportRoutes(deps));
+  app.use('/api', ticketRoutes(deps));
+  app.use('/api', userRoutes(deps));
+  app.use('/api', auditRoutes(deps));
+
+  app.use('/api', notFound);
+  app.use(errorHandler);
+
+  return app;
+}
+
+module.exports = { createApp };
@@ -0,0 +1,18 @@
+require('dotenv').config();
+const mysql = require('mysql2/promise');
+
+// Tạo pool kết nối MySQL từ biến môi trường
+function createPool(options = {}) {
+  return mysql.createPool({
+    host: process.env.DB_HOST,
+    user: process.env.DB_USER,
+    password: process.env.DB_PASSWORD,
+    database: process.env.DB_NAME,
+    waitForConnections: true,
+    connectionLimit: 50, // Tăng số lượng kết nối tối đa
+    queueLimit: 0,
+    ...options
+  });
+}
+
+module.exports = { createPool };
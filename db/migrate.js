@@ -0,0 +1,46 @@
+#!/usr/bin/env node
+// CLI quản lý migration
+//   node db/migrate.js up              Áp dụng các migration chưa chạy
+//   node db/migrate.js down [steps]    Hoàn tác migration gần nhất (mặc định 1)
+//   node db/migrate.js status          Xem trạng thái migration
+//   node db/migrate.js baseline <name> Đánh dấu các migration tới <name> là đã chạy (database có sẵn schema)
+const { createPool } = require('./connection');
+const migrator = require('./migrator');
+
+async function main() {
+  const [command = 'up', arg] = process.argv.slice(2);
+  const db = createPool({ connectionLimit: 1 });
+
+  try {
+    if (command === 'up') {
+      const applied = await migrator.migrate(db);
+      console.log(applied.length ? `Applied ${applied.length} migration(s)` : 'Database is up to date');
+    } else if (command === 'down') {
+      const steps = arg === 'all' ? Infinity : parseInt(arg || '1', 10);
+      if (!(steps > 0)) {
+        throw new Error('steps must be a positive number or "all"');
+      }
+      const rolledBack = await migrator.rollback(db, { steps });
+      console.log(rolledBack.length ? `Rolled back ${rolledBack.length} migration(s)` : 'Nothing to roll back');
+    } else if (command === 'baseline') {
+      if (!arg) {
+        throw new Error('baseline requires the last migration already in the database, e.g. 003_create_orders');
+      }
+      const marked = await migrator.baseline(db, { through: arg });
+      console.log(marked.length ? `Marked ${marked.length} migration(s) as applied` : 'Nothing to mark');
+    } else if (command === 'status') {
+      for (const m of await migrator.status(db)) {
+        console.log(`${m.applied_at ? '[x]' : '[ ]'} ${m.name}`);
+      }
+    } else {
+      throw new Error(`Unknown command: ${command}`);
+    }
+  } finally {
+    await db.end();
+  }
+}
+
+main().catch(err => {
+  console.error('Migration error:', err.message);
+  process.exit(1);
+});
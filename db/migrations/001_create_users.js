@@ -0,0 +1,22 @@
+// Bảng người dùng (khách hàng và admin)
+module.exports = {
+  async up(db) {
+    await db.query(`
+      CREATE TABLE users (
+        id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+        name VARCHAR(100) NOT NULL,
+        email VARCHAR(255) NOT NULL,
+        password VARCHAR(255) NOT NULL,
+        phone VARCHAR(20) NULL,
+        role VARCHAR(20) NOT NULL DEFAULT 'customer',
+        created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (id),
+        UNIQUE KEY uq_users_email (email)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+  },
+
+  async down(db) {
+    await db.query('DROP TABLE IF EXISTS users');
+  }
+};
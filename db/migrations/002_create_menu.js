@@ -0,0 +1,35 @@
+// Danh mục và món ăn
+module.exports = {
+  async up(db) {
+    await db.query(`
+      CREATE TABLE categories (
+        id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+        name VARCHAR(100) NOT NULL,
+        PRIMARY KEY (id),
+        UNIQUE KEY uq_categories_name (name)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+
+    // Giá lưu theo VND nên dùng số nguyên
+    await db.query(`
+      CREATE TABLE food (
+        id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+        name VARCHAR(150) NOT NULL,
+        description TEXT NULL,
+        price INT UNSIGNED NOT NULL,
+        img_url VARCHAR(500) NULL,
+        is_available TINYINT(1) NOT NULL DEFAULT 1,
+        category_id INT UNSIGNED NOT NULL,
+        created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (id),
+        KEY idx_food_category (category_id),
+        CONSTRAINT fk_food_category FOREIGN KEY (category_id) REFERENCES categories (id)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+  },
+
+  async down(db) {
+    await db.query('DROP TABLE IF EXISTS food');
+    await db.query('DROP TABLE IF EXISTS categories');
+  }
+};
@@ -0,0 +1,72 @@
+// Đơn hàng, chi tiết đơn, thanh toán và phiếu ăn
+module.exports = {
+  async up(db) {
+    await db.query(`
+      CREATE TABLE orders (
+        id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+        user_id INT UNSIGNED NOT NULL,
+        total_price INT UNSIGNED NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'pending',
+        created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (id),
+        KEY idx_orders_user (user_id),
+        KEY idx_orders_status (status),
+        CONSTRAINT fk_orders_user FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+
+    // unit_price là giá tại thời điểm đặt, không phụ thuộc giá hiện tại của món
+    await db.query(`
+      CREATE TABLE order_items (
+        id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+        order_id INT UNSIGNED NOT NULL,
+        food_id INT UNSIGNED NOT NULL,
+        quantity INT UNSIGNED NOT NULL,
+        unit_price INT UNSIGNED NOT NULL,
+        PRIMARY KEY (id),
+        KEY idx_order_items_order (order_id),
+        KEY idx_order_items_food (food_id),
+        CONSTRAINT fk_order_items_order FOREIGN KEY (order_id) REFERENCES orders (id) ON DELETE CASCADE,
+        CONSTRAINT fk_order_items_food FOREIGN KEY (food_id) REFERENCES food (id)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+
+    // Khóa chính là payment_id (không phải id)
+    await db.query(`
+      CREATE TABLE payments (
+        payment_id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+        order_id INT UNSIGNED NOT NULL,
+        method VARCHAR(20) NOT NULL,
+        amount INT UNSIGNED NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'pending',
+        transaction_id VARCHAR(100) NULL,
+        created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (payment_id),
+        KEY idx_payments_order (order_id),
+        UNIQUE KEY uq_payments_transaction (transaction_id),
+        CONSTRAINT fk_payments_order FOREIGN KEY (order_id) REFERENCES orders (id) ON DELETE CASCADE
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+
+    await db.query(`
+      CREATE TABLE tickets (
+        id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+        order_id INT UNSIGNED NOT NULL,
+        ticket_code VARCHAR(100) NOT NULL,
+        issued_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        is_used TINYINT(1) NOT NULL DEFAULT 0,
+        PRIMARY KEY (id),
+        UNIQUE KEY uq_tickets_code (ticket_code),
+        UNIQUE KEY uq_tickets_order (order_id),
+        CONSTRAINT fk_tickets_order FOREIGN KEY (order_id) REFERENCES orders (id) ON DELETE CASCADE
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+  },
+
+  async down(db) {
+    await db.query('DROP TABLE IF EXISTS tickets');
+    await db.query('DROP TABLE IF EXISTS payments');
+    await db.query('DROP TABLE IF EXISTS order_items');
+    await db.query('DROP TABLE IF EXISTS orders');
+  }
+};
@@ -0,0 +1,25 @@
+// Lịch sử chuyển trạng thái đơn hàng (ai, khi nào, từ đâu, sang đâu, lý do)
+module.exports = {
+  async up(db) {
+    await db.query(`
+      CREATE TABLE order_status_history (
+        id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+        order_id INT UNSIGNED NOT NULL,
+        from_status VARCHAR(20) NULL,
+        to_status VARCHAR(20) NOT NULL,
+        changed_by INT UNSIGNED NULL,
+        actor VARCHAR(20) NOT NULL,
+        reason VARCHAR(255) NULL,
+        created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (id),
+        KEY idx_order_status_history_order (order_id),
+        CONSTRAINT fk_order_status_history_order FOREIGN KEY (order_id) REFERENCES orders (id) ON DELETE CASCADE,
+        CONSTRAINT fk_order_status_history_user FOREIGN KEY (changed_by) REFERENCES users (id) ON DELETE SET NULL
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+  },
+
+  async down(db) {
+    await db.query('DROP TABLE IF EXISTS order_status_history');
+  }
+};
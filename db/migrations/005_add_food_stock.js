@@ -0,0 +1,15 @@
+// Tồn kho theo món: daily_stock là số suất mỗi ngày, stock là số suất còn lại.
+// NULL nghĩa là không giới hạn.
+module.exports = {
+  async up(db) {
+    await db.query(`
+      ALTER TABLE food
+        ADD COLUMN daily_stock INT UNSIGNED NULL AFTER is_available,
+        ADD COLUMN stock INT UNSIGNED NULL AFTER daily_stock
+    `);
+  },
+
+  async down(db) {
+    await db.query('ALTER TABLE food DROP COLUMN stock, DROP COLUMN daily_stock');
+  }
+};
@@ -0,0 +1,45 @@
+// Thông tin giao dịch phía VNPAY (cần cho querydr/refund) và bảng hoàn tiền
+module.exports = {
+  async up(db) {
+    // gateway_transaction_date là vnp_CreateDate (yyyyMMddHHmmss) gửi khi tạo URL thanh toán
+    await db.query(`
+      ALTER TABLE payments
+        ADD COLUMN gateway_transaction_no VARCHAR(50) NULL AFTER transaction_id,
+        ADD COLUMN gateway_transaction_date CHAR(14) NULL AFTER gateway_transaction_no,
+        ADD COLUMN refunded_amount INT UNSIGNED NOT NULL DEFAULT 0 AFTER amount
+    `);
+
+    await db.query(`
+      CREATE TABLE refunds (
+        id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+        payment_id INT UNSIGNED NOT NULL,
+        amount INT UNSIGNED NOT NULL,
+        type VARCHAR(10) NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'pending',
+        reason VARCHAR(255) NULL,
+        request_id VARCHAR(32) NOT NULL,
+        gateway_response_code VARCHAR(10) NULL,
+        gateway_message VARCHAR(255) NULL,
+        gateway_transaction_no VARCHAR(50) NULL,
+        created_by INT UNSIGNED NULL,
+        created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        PRIMARY KEY (id),
+        UNIQUE KEY uq_refunds_request (request_id),
+        KEY idx_refunds_payment (payment_id),
+        CONSTRAINT fk_refunds_payment FOREIGN KEY (payment_id) REFERENCES payments (payment_id) ON DELETE CASCADE,
+        CONSTRAINT fk_refunds_user FOREIGN KEY (created_by) REFERENCES users (id) ON DELETE SET NULL
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+  },
+
+  async down(db) {
+    await db.query('DROP TABLE IF EXISTS refunds');
+    await db.query(`
+      ALTER TABLE payments
+        DROP COLUMN refunded_amount,
+        DROP COLUMN gateway_transaction_date,
+        DROP COLUMN gateway_transaction_no
+    `);
+  }
+};
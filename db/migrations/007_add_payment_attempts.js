@@ -0,0 +1,20 @@
+// Mỗi dòng payments là một lần thử thanh toán: lưu mã phản hồi của cổng và thời điểm có kết quả
+module.exports = {
+  async up(db) {
+    await db.query(`
+      ALTER TABLE payments
+        ADD COLUMN gateway_response_code VARCHAR(20) NULL AFTER gateway_transaction_date,
+        ADD COLUMN settled_at DATETIME NULL AFTER created_at,
+        ADD COLUMN updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP AFTER settled_at
+    `);
+  },
+
+  async down(db) {
+    await db.query(`
+      ALTER TABLE payments
+        DROP COLUMN updated_at,
+        DROP COLUMN settled_at,
+        DROP COLUMN gateway_response_code
+    `);
+  }
+};
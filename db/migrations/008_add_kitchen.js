@@ -0,0 +1,53 @@
+// Màn hình bếp: trạm chế biến theo danh mục, trạng thái chế biến từng món và hàng đợi đơn
+module.exports = {
+  async up(db) {
+    await db.query(`
+      CREATE TABLE stations (
+        id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+        name VARCHAR(50) NOT NULL,
+        created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (id),
+        UNIQUE KEY uq_stations_name (name)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+
+    await db.query(`
+      ALTER TABLE categories
+        ADD COLUMN station_id INT UNSIGNED NULL,
+        ADD CONSTRAINT fk_categories_station FOREIGN KEY (station_id) REFERENCES stations (id) ON DELETE SET NULL
+    `);
+
+    // prep_status: queued -> cooking -> done
+    await db.query(`
+      ALTER TABLE order_items
+        ADD COLUMN prep_status VARCHAR(10) NOT NULL DEFAULT 'queued',
+        ADD COLUMN prep_started_at DATETIME NULL,
+        ADD COLUMN prep_done_at DATETIME NULL
+    `);
+
+    // kitchen_queued_at: lúc đơn vào bếp (xác nhận hoặc đã thanh toán); kitchen_bumped_at: lúc bếp gỡ đơn khỏi màn hình
+    await db.query(`
+      ALTER TABLE orders
+        ADD COLUMN kitchen_queued_at DATETIME NULL,
+        ADD COLUMN kitchen_bumped_at DATETIME NULL,
+        ADD KEY idx_orders_kitchen (status, kitchen_queued_at)
+    `);
+  },
+
+  async down(db) {
+    await db.query(`
+      ALTER TABLE orders
+        DROP KEY idx_orders_kitchen,
+        DROP COLUMN kitchen_bumped_at,
+        DROP COLUMN kitchen_queued_at
+    `);
+    await db.query(`
+      ALTER TABLE order_items
+        DROP COLUMN prep_done_at,
+        DROP COLUMN prep_started_at,
+        DROP COLUMN prep_status
+    `);
+    await db.query('ALTER TABLE categories DROP FOREIGN KEY fk_categories_station, DROP COLUMN station_id');
+    await db.query('DROP TABLE IF EXISTS stations');
+  }
+};
@@ -0,0 +1,10 @@
+// Phiếu ăn ký HMAC có hạn dùng; phiếu cũ giữ expires_at = NULL (không hết hạn)
+module.exports = {
+  async up(db) {
+    await db.query('ALTER TABLE tickets ADD COLUMN expires_at DATETIME NULL AFTER issued_at');
+  },
+
+  async down(db) {
+    await db.query('ALTER TABLE tickets DROP COLUMN expires_at');
+  }
+};
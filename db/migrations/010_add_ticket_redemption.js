@@ -0,0 +1,22 @@
+// Ghi nhận ai quét phiếu, lúc nào và trên thiết bị nào
+module.exports = {
+  async up(db) {
+    await db.query(`
+      ALTER TABLE tickets
+        ADD COLUMN used_at DATETIME NULL AFTER is_used,
+        ADD COLUMN used_by INT UNSIGNED NULL AFTER used_at,
+        ADD COLUMN used_device VARCHAR(100) NULL AFTER used_by,
+        ADD CONSTRAINT fk_tickets_used_by FOREIGN KEY (used_by) REFERENCES users (id) ON DELETE SET NULL
+    `);
+  },
+
+  async down(db) {
+    await db.query(`
+      ALTER TABLE tickets
+        DROP FOREIGN KEY fk_tickets_used_by,
+        DROP COLUMN used_device,
+        DROP COLUMN used_by,
+        DROP COLUMN used_at
+    `);
+  }
+};
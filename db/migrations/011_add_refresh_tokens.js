@@ -0,0 +1,31 @@
+// Phiên đăng nhập: refresh token lưu dạng băm, xoay vòng theo từng họ (family) của một thiết bị.
+// users.token_version tăng khi đăng xuất mọi thiết bị hoặc đổi quyền để vô hiệu các access token đã cấp.
+module.exports = {
+  async up(db) {
+    await db.query('ALTER TABLE users ADD COLUMN token_version INT UNSIGNED NOT NULL DEFAULT 0');
+
+    await db.query(`
+      CREATE TABLE refresh_tokens (
+        id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+        user_id INT UNSIGNED NOT NULL,
+        token_hash CHAR(64) NOT NULL,
+        family_id CHAR(32) NOT NULL,
+        user_agent VARCHAR(255) NULL,
+        ip_addr VARCHAR(45) NULL,
+        expires_at DATETIME NOT NULL,
+        revoked_at DATETIME NULL,
+        created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (id),
+        UNIQUE KEY uq_refresh_tokens_hash (token_hash),
+        KEY idx_refresh_tokens_family (family_id),
+        KEY idx_refresh_tokens_user (user_id),
+        CONSTRAINT fk_refresh_tokens_user FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+  },
+
+  async down(db) {
+    await db.query('DROP TABLE IF EXISTS refresh_tokens');
+    await db.query('ALTER TABLE users DROP COLUMN token_version');
+  }
+};
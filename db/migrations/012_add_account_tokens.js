@@ -0,0 +1,28 @@
+// Xác minh email và đặt lại mật khẩu: token dùng một lần, có hạn, lưu dạng băm
+module.exports = {
+  async up(db) {
+    await db.query('ALTER TABLE users ADD COLUMN email_verified_at DATETIME NULL AFTER role');
+
+    // purpose: verify_email | reset_password
+    await db.query(`
+      CREATE TABLE user_tokens (
+        id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+        user_id INT UNSIGNED NOT NULL,
+        purpose VARCHAR(20) NOT NULL,
+        token_hash CHAR(64) NOT NULL,
+        expires_at DATETIME NOT NULL,
+        used_at DATETIME NULL,
+        created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (id),
+        UNIQUE KEY uq_user_tokens_hash (token_hash),
+        KEY idx_user_tokens_user (user_id, purpose),
+        CONSTRAINT fk_user_tokens_user FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+  },
+
+  async down(db) {
+    await db.query('DROP TABLE IF EXISTS user_tokens');
+    await db.query('ALTER TABLE users DROP COLUMN email_verified_at');
+  }
+};
@@ -0,0 +1,28 @@
+// Nhật ký thao tác quản trị và thanh toán. actor_id không có khóa ngoại để nhật ký còn nguyên khi người dùng bị xóa.
+module.exports = {
+  async up(db) {
+    await db.query(`
+      CREATE TABLE audit_logs (
+        id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+        actor_id INT UNSIGNED NULL,
+        actor_role VARCHAR(20) NULL,
+        action VARCHAR(50) NOT NULL,
+        entity_type VARCHAR(30) NOT NULL,
+        entity_id VARCHAR(64) NULL,
+        before_value JSON NULL,
+        after_value JSON NULL,
+        ip_addr VARCHAR(45) NULL,
+        user_agent VARCHAR(255) NULL,
+        created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (id),
+        KEY idx_audit_logs_created (created_at),
+        KEY idx_audit_logs_actor (actor_id, created_at),
+        KEY idx_audit_logs_entity (entity_type, entity_id)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+  },
+
+  async down(db) {
+    await db.query('DROP TABLE IF EXISTS audit_logs');
+  }
+};
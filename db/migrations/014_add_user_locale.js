@@ -0,0 +1,10 @@
+// Ngôn ngữ thông báo người dùng chọn (vi, en); NULL thì theo Accept-Language của từng request
+module.exports = {
+  async up(db) {
+    await db.query('ALTER TABLE users ADD COLUMN locale VARCHAR(5) NULL AFTER role');
+  },
+
+  async down(db) {
+    await db.query('ALTER TABLE users DROP COLUMN locale');
+  }
+};
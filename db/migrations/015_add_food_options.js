@@ -0,0 +1,60 @@
+// Tùy chọn món: nhóm tùy chọn theo món (cỡ, topping, đá, ...), từng lựa chọn có giá cộng thêm,
+// và lựa chọn của khách trên từng món trong đơn (lưu lại tên và giá tại thời điểm đặt)
+module.exports = {
+  async up(db) {
+    // selection: single (chọn một) | multi (chọn nhiều); max_select NULL = không giới hạn
+    await db.query(`
+      CREATE TABLE food_option_groups (
+        id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+        food_id INT UNSIGNED NOT NULL,
+        name VARCHAR(100) NOT NULL,
+        selection VARCHAR(10) NOT NULL DEFAULT 'single',
+        is_required TINYINT(1) NOT NULL DEFAULT 0,
+        min_select INT UNSIGNED NOT NULL DEFAULT 0,
+        max_select INT UNSIGNED NULL,
+        sort_order INT NOT NULL DEFAULT 0,
+        created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (id),
+        KEY idx_food_option_groups_food (food_id, sort_order),
+        CONSTRAINT fk_food_option_groups_food FOREIGN KEY (food_id) REFERENCES food (id) ON DELETE CASCADE
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+
+    // price_delta có thể âm (vd. cỡ nhỏ rẻ hơn)
+    await db.query(`
+      CREATE TABLE food_options (
+        id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+        group_id INT UNSIGNED NOT NULL,
+        name VARCHAR(100) NOT NULL,
+        price_delta INT NOT NULL DEFAULT 0,
+        is_available TINYINT(1) NOT NULL DEFAULT 1,
+        sort_order INT NOT NULL DEFAULT 0,
+        PRIMARY KEY (id),
+        KEY idx_food_options_group (group_id, sort_order),
+        CONSTRAINT fk_food_options_group FOREIGN KEY (group_id) REFERENCES food_option_groups (id) ON DELETE CASCADE
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+
+    // Bản chụp lựa chọn lúc đặt: đổi tên, đổi giá hay xóa tùy chọn sau đó không ảnh hưởng đơn cũ
+    await db.query(`
+      CREATE TABLE order_item_options (
+        id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+        order_item_id INT UNSIGNED NOT NULL,
+        option_id INT UNSIGNED NULL,
+        group_name VARCHAR(100) NOT NULL,
+        option_name VARCHAR(100) NOT NULL,
+        price_delta INT NOT NULL DEFAULT 0,
+        PRIMARY KEY (id),
+        KEY idx_order_item_options_item (order_item_id),
+        CONSTRAINT fk_order_item_options_item FOREIGN KEY (order_item_id) REFERENCES order_items (id) ON DELETE CASCADE,
+        CONSTRAINT fk_order_item_options_option FOREIGN KEY (option_id) REFERENCES food_options (id) ON DELETE SET NULL
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+  },
+
+  async down(db) {
+    await db.query('DROP TABLE IF EXISTS order_item_options');
+    await db.query('DROP TABLE IF EXISTS food_options');
+    await db.query('DROP TABLE IF EXISTS food_option_groups');
+  }
+};
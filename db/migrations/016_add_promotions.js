@@ -0,0 +1,70 @@
+// Khuyến mãi: mã giảm giá (code) hoặc tự động áp dụng (code NULL), các món tham gia khuyến mãi,
+// và các dòng giảm giá đã áp dụng cho từng đơn (lưu lại tên và số tiền tại thời điểm đặt)
+module.exports = {
+  async up(db) {
+    // type: percent (value = %), fixed (value = số tiền), buy_x_get_y (value = % giảm cho món tặng),
+    //       combo (value = giá trọn bộ)
+    // usage_limit / per_user_limit NULL = không giới hạn; starts_at / ends_at NULL = không giới hạn thời gian
+    await db.query(`
+      CREATE TABLE promotions (
+        id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+        code VARCHAR(40) NULL,
+        name VARCHAR(100) NOT NULL,
+        type VARCHAR(20) NOT NULL,
+        value INT UNSIGNED NOT NULL,
+        max_discount INT UNSIGNED NULL,
+        min_order_value INT UNSIGNED NOT NULL DEFAULT 0,
+        starts_at DATETIME NULL,
+        ends_at DATETIME NULL,
+        usage_limit INT UNSIGNED NULL,
+        per_user_limit INT UNSIGNED NULL,
+        is_active TINYINT(1) NOT NULL DEFAULT 1,
+        created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (id),
+        UNIQUE KEY uq_promotions_code (code),
+        KEY idx_promotions_active (is_active, starts_at, ends_at)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+
+    // role: buy / get (buy_x_get_y) hoặc combo
+    await db.query(`
+      CREATE TABLE promotion_items (
+        id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+        promotion_id INT UNSIGNED NOT NULL,
+        role VARCHAR(10) NOT NULL,
+        food_id INT UNSIGNED NOT NULL,
+        quantity INT UNSIGNED NOT NULL,
+        PRIMARY KEY (id),
+        KEY idx_promotion_items_promotion (promotion_id),
+        CONSTRAINT fk_promotion_items_promotion FOREIGN KEY (promotion_id) REFERENCES promotions (id) ON DELETE CASCADE,
+        CONSTRAINT fk_promotion_items_food FOREIGN KEY (food_id) REFERENCES food (id) ON DELETE CASCADE
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+
+    await db.query(`
+      CREATE TABLE order_discounts (
+        id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+        order_id INT UNSIGNED NOT NULL,
+        promotion_id INT UNSIGNED NULL,
+        code VARCHAR(40) NULL,
+        name VARCHAR(100) NOT NULL,
+        amount INT UNSIGNED NOT NULL,
+        PRIMARY KEY (id),
+        KEY idx_order_discounts_order (order_id),
+        KEY idx_order_discounts_promotion (promotion_id),
+        CONSTRAINT fk_order_discounts_order FOREIGN KEY (order_id) REFERENCES orders (id) ON DELETE CASCADE,
+        CONSTRAINT fk_order_discounts_promotion FOREIGN KEY (promotion_id) REFERENCES promotions (id) ON DELETE SET NULL
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+
+    // total_price là số tiền phải trả sau giảm giá; tạm tính = total_price + discount_total
+    await db.query('ALTER TABLE orders ADD COLUMN discount_total INT UNSIGNED NOT NULL DEFAULT 0 AFTER total_price');
+  },
+
+  async down(db) {
+    await db.query('ALTER TABLE orders DROP COLUMN discount_total');
+    await db.query('DROP TABLE IF EXISTS order_discounts');
+    await db.query('DROP TABLE IF EXISTS promotion_items');
+    await db.query('DROP TABLE IF EXISTS promotions');
+  }
+};
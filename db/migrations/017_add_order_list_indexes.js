@@ -0,0 +1,20 @@
+// Chỉ mục cho danh sách đơn theo trang: sắp xếp theo ngày đặt, lọc theo khách hoặc trạng thái kèm khoảng ngày
+module.exports = {
+  async up(db) {
+    await db.query(`
+      ALTER TABLE orders
+        ADD KEY idx_orders_created (created_at),
+        ADD KEY idx_orders_user_created (user_id, created_at),
+        ADD KEY idx_orders_status_created (status, created_at)
+    `);
+  },
+
+  async down(db) {
+    await db.query(`
+      ALTER TABLE orders
+        DROP KEY idx_orders_status_created,
+        DROP KEY idx_orders_user_created,
+        DROP KEY idx_orders_created
+    `);
+  }
+};
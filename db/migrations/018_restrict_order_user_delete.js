@@ -0,0 +1,19 @@
+// Xóa người dùng không được xóa theo đơn hàng, thanh toán và hoàn tiền của họ (cần cho đối soát và nhật ký):
+// người dùng đã có đơn thì không xóa được
+module.exports = {
+  async up(db) {
+    await db.query(`
+      ALTER TABLE orders
+        DROP FOREIGN KEY fk_orders_user,
+        ADD CONSTRAINT fk_orders_user FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE RESTRICT
+    `);
+  },
+
+  async down(db) {
+    await db.query(`
+      ALTER TABLE orders
+        DROP FOREIGN KEY fk_orders_user,
+        ADD CONSTRAINT fk_orders_user FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+    `);
+  }
+};
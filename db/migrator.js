@@ -0,0 +1,98 @@
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATIONS_TABLE = 'schema_migrations';
+
+// Đọc danh sách file migration, sắp xếp theo tiền tố số (001_, 002_, ...)
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  return fs.readdirSync(dir)
+    .filter(file => /^\d+_.+\.js$/.test(file))
+    .sort()
+    .map(file => ({
+      name: file.replace(/\.js$/, ''),
+      ...require(path.join(dir, file))
+    }));
+}
+
+// Tạo bảng theo dõi các migration đã chạy
+async function ensureMigrationsTable(db) {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS ${MIGRATIONS_TABLE} (
+      id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+      name VARCHAR(255) NOT NULL,
+      applied_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (id),
+      UNIQUE KEY uq_schema_migrations_name (name)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+}
+
+async function getApplied(db) {
+  await ensureMigrationsTable(db);
+  const [rows] = await db.query(`SELECT name, applied_at FROM ${MIGRATIONS_TABLE} ORDER BY id`);
+  return rows;
+}
+
+// Chạy tất cả migration chưa được áp dụng, theo thứ tự
+async function migrate(db, { log = console.log } = {}) {
+  const applied = new Set((await getApplied(db)).map(row => row.name));
+  const pending = loadMigrations().filter(m => !applied.has(m.name));
+
+  for (const migration of pending) {
+    log(`Applying ${migration.name}`);
+    await migration.up(db);
+    await db.query(`INSERT INTO ${MIGRATIONS_TABLE} (name) VALUES (?)`, [migration.name]);
+  }
+
+  return pending.map(m => m.name);
+}
+
+// Hoàn tác `steps` migration gần nhất
+async function rollback(db, { steps = 1, log = console.log } = {}) {
+  const applied = await getApplied(db);
+  const migrations = new Map(loadMigrations().map(m => [m.name, m]));
+  const toRollback = applied.slice(-steps).reverse();
+
+  for (const row of toRollback) {
+    const migration = migrations.get(row.name);
+    if (!migration) {
+      throw new Error(`Migration file for ${row.name} not found`);
+    }
+    log(`Rolling back ${row.name}`);
+    await migration.down(db);
+    await db.query(`DELETE FROM ${MIGRATIONS_TABLE} WHERE name = ?`, [row.name]);
+  }
+
+  return toRollback.map(row => row.name);
+}
+
+// Đánh dấu các migration tới `through` (tính cả) là đã chạy mà không chạy up():
+// dùng khi nhận một database có sẵn schema, vd. database production tạo tay trước khi có migration
+async function baseline(db, { through, log = console.log }) {
+  const migrations = loadMigrations();
+  const index = migrations.findIndex(m => m.name === through);
+  if (index === -1) {
+    throw new Error(`Migration ${through} not found`);
+  }
+  const applied = new Set((await getApplied(db)).map(row => row.name));
+  const marked = migrations.slice(0, index + 1).filter(m => !applied.has(m.name));
+
+  for (const migration of marked) {
+    log(`Marking ${migration.name} as applied`);
+    await db.query(`INSERT INTO ${MIGRATIONS_TABLE} (name) VALUES (?)`, [migration.name]);
+  }
+
+  return marked.map(m => m.name);
+}
+
+// Liệt kê trạng thái từng migration
+async function status(db) {
+  const applied = new Map((await getApplied(db)).map(row => [row.name, row.applied_at]));
+  return loadMigrations().map(m => ({
+    name: m.name,
+    applied_at: applied.get(m.name) || null
+  }));
+}
+
+module.exports = { loadMigrations, migrate, rollback, baseline, status };
@@ -0,0 +1,26 @@
+#!/usr/bin/env node
+// Chạy dữ liệu mẫu (danh mục, món ăn, tài khoản admin)
+//   node db/seed.js
+const fs = require('fs');
+const path = require('path');
+const { createPool } = require('./connection');
+
+const SEEDS_DIR = path.join(__dirname, 'seeds');
+
+async function main() {
+  const db = createPool({ connectionLimit: 1 });
+  try {
+    const files = fs.readdirSync(SEEDS_DIR).filter(file => /^\d+_.+\.js$/.test(file)).sort();
+    for (const file of files) {
+      console.log(`Seeding ${file.replace(/\.js$/, '')}`);
+      await require(path.join(SEEDS_DIR, file)).run(db);
+    }
+  } finally {
+    await db.end();
+  }
+}
+
+main().catch(err => {
+  console.error('Seed error:', err.message);
+  process.exit(1);
+});
@@ -0,0 +1,12 @@
+// Danh mục mẫu
+const CATEGORIES = ['Cơm', 'Bún - Phở', 'Đồ ăn nhanh', 'Đồ uống', 'Tráng miệng'];
+
+module.exports = {
+  CATEGORIES,
+
+  async run(db) {
+    for (const name of CATEGORIES) {
+      await db.query('INSERT IGNORE INTO categories (name) VALUES (?)', [name]);
+    }
+  }
+};
@@ -0,0 +1,33 @@
+// Món ăn mẫu, gắn với danh mục theo tên
+const FOODS = [
+  { name: 'Cơm gà xối mỡ', description: 'Cơm trắng, gà chiên giòn, dưa leo', price: 35000, category: 'Cơm' },
+  { name: 'Cơm sườn nướng', description: 'Sườn cốt lết nướng, trứng ốp la', price: 40000, category: 'Cơm' },
+  { name: 'Phở bò tái', description: 'Phở bò tái nạm, nước dùng hầm xương', price: 45000, category: 'Bún - Phở' },
+  { name: 'Bún chả Hà Nội', description: 'Bún, chả nướng, nước mắm chua ngọt', price: 40000, category: 'Bún - Phở' },
+  { name: 'Bánh mì thịt', description: 'Bánh mì pate, thịt nguội, rau thơm', price: 20000, category: 'Đồ ăn nhanh' },
+  { name: 'Khoai tây chiên', description: null, price: 25000, category: 'Đồ ăn nhanh' },
+  { name: 'Trà đá', description: null, price: 5000, category: 'Đồ uống' },
+  { name: 'Cà phê sữa đá', description: null, price: 20000, category: 'Đồ uống' },
+  { name: 'Chè khúc bạch', description: null, price: 25000, category: 'Tráng miệng' }
+];
+
+module.exports = {
+  FOODS,
+
+  async run(db) {
+    for (const food of FOODS) {
+      const [categories] = await db.query('SELECT id FROM categories WHERE name = ?', [food.category]);
+      if (!categories[0]) {
+        throw new Error(`Category "${food.category}" not found, run categories seed first`);
+      }
+
+      const [existing] = await db.query('SELECT id FROM food WHERE name = ?', [food.name]);
+      if (existing.length > 0) continue;
+
+      await db.query(
+        'INSERT INTO food (name, description, price, img_url, is_available, category_id) VALUES (?, ?, ?, ?, ?, ?)',
+        [food.name, food.description, food.price, null, true, categories[0].id]
+      );
+    }
+  }
+};
@@ -0,0 +1,22 @@
+const bcrypt = require('bcrypt');
+
+// Tài khoản admin mặc định, có thể đổi qua ADMIN_EMAIL / ADMIN_PASSWORD
+module.exports = {
+  async run(db, { log = console.log } = {}) {
+    const email = process.env.ADMIN_EMAIL || 'admin@fastorder.local';
+    const password = process.env.ADMIN_PASSWORD || 'Admin@123';
+
+    const [existing] = await db.query('SELECT id FROM users WHERE email = ?', [email]);
+    if (existing.length > 0) {
+      log(`Admin ${email} already exists, skipping`);
+      return;
+    }
+
+    const hash = await bcrypt.hash(password, 10);
+    await db.query(
+      'INSERT INTO users (name, email, password, phone, role) VALUES (?, ?, ?, ?, ?)',
+      ['Administrator', email, hash, null, 'admin']
+    );
+    log(`Created admin ${email}`);
+  }
+};
@@ -0,0 +1,193 @@
+// Thông báo tiếng Anh. Khóa ổn định, client dựa vào message_key chứ không dựa vào nội dung;
+// {tên} được thay bằng tham số tương ứng.
+module.exports = {
+  // Chung
+  'common.server_error': 'Server error',
+  'common.api_running': 'FastOrder API is running',
+  'http.route_not_found': 'Cannot {method} {path}',
+  'http.invalid_json': 'Request body is not valid JSON',
+  'http.payload_too_large': 'Request body is too large',
+  'http.rate_limited': 'Too many requests from this IP, please try again later.',
+
+  // Kiểm tra dữ liệu vào
+  'validation.required': '{field} is required',
+  'validation.empty': '{field} must not be empty',
+  'validation.min_length': '{field} must be at least {min} characters',
+  'validation.max_length': '{field} must be at most {max} characters',
+  'validation.max_bytes': '{field} must be at most {max} bytes',
+  'validation.email': '{field} must be a valid email address',
+  'validation.format': '{field} has an invalid format',
+  'validation.type_string': '{field} must be a string',
+  'validation.type_number': '{field} must be a number',
+  'validation.type_integer': '{field} must be an integer',
+  'validation.type_boolean': '{field} must be true or false',
+  'validation.type_array': '{field} must be an array',
+  'validation.type_object': '{field} must be an object',
+  'validation.min': '{field} must be at least {min}',
+  'validation.max': '{field} must be at most {max}',
+  'validation.enum': '{field} must be one of {values}',
+  'validation.date': '{field} must be a valid date (YYYY-MM-DD)',
+  'validation.datetime': '{field} must be an ISO 8601 date and time',
+  'validation.min_items': '{field} must contain at least {min} items',
+  'validation.max_items': '{field} must contain at most {max} items',
+  'validation.password_strength': '{field} must contain at least one letter and one digit',
+  'validation.date_range': 'to must not be before from',
+  'validation.price_range': 'max_price must not be below min_price',
+
+  // Đăng nhập, phiên và tài khoản
+  'auth.no_token': 'No token provided',
+  'auth.invalid_token': 'Invalid token',
+  'auth.token_revoked': 'Token has been revoked',
+  'auth.forbidden': 'Unauthorized',
+  'auth.email_exists': 'Email already exists',
+  'auth.invalid_credentials': 'Invalid email or password',
+  'auth.invalid_email': 'Invalid email address',
+  'auth.refresh_token_required': 'Refresh token is required',
+  'auth.invalid_refresh_token': 'Invalid refresh token',
+  'auth.refresh_token_revoked': 'Refresh token has been revoked',
+  'auth.refresh_token_expired': 'Refresh token has expired',
+  'auth.logged_out': 'Logged out',
+  'auth.logged_out_all': 'Logged out from all devices',
+  'account.invalid_token': 'Invalid or expired token',
+  'account.email_verified': 'Email verified',
+  'account.email_already_verified': 'Email already verified',
+  'account.verification_sent': 'Verification email sent',
+  'account.reset_requested': 'If the email is registered, a reset link has been sent',
+  'account.password_reset': 'Password has been reset',
+  'account.preferences_updated': 'Preferences updated',
+  'account.verify_email_subject': 'Verify your FastOrder email',
+  'account.verify_email_text': 'Hello {name},\n\nPlease verify your email using this link:\n{link}\n\nVerification code: {token}',
+  'account.reset_email_subject': 'Reset your FastOrder password',
+  'account.reset_email_text': 'Hello {name},\n\nReset your password using this link:\n{link}\n\nIf you did not ask for this, you can ignore this email.',
+
+  // Người dùng
+  'users.not_found': 'User not found',
+  'users.invalid_role': 'Invalid role',
+  'users.last_admin_demote': 'Cannot demote the last admin',
+  'users.last_admin_delete': 'Cannot delete the last admin',
+  'users.has_orders': 'This user has orders and cannot be deleted, so their order and payment records are kept',
+  'users.fetch_failed': 'Failed to fetch users',
+  'users.update_role_failed': 'Failed to update role',
+  'users.delete_failed': 'Failed to delete user',
+
+  // Thực đơn và kho
+  'menu.category_name_required': 'Category name is required',
+  'menu.category_not_found': 'Category not found',
+  'menu.food_not_found': 'Food not found',
+  'menu.food_deleted': 'Food deleted successfully',
+  'menu.food_in_use': 'This food appears in past orders and cannot be deleted. Mark it as unavailable instead',
+  'menu.stock_requires_limit': 'stock requires a daily_stock limit',
+  'menu.stock_reset': 'Daily stock reset successfully',
+  'menu.option_group_not_found': 'Option group not found',
+  'menu.option_not_found': 'Option not found',
+  'menu.option_group_deleted': 'Option group deleted successfully',
+  'menu.option_deleted': 'Option deleted successfully',
+  'options.required_min': 'A required group must have min_select of at least 1',
+  'options.optional_min': 'An optional group cannot have min_select above 0',
+  'options.single_max': 'A single-choice group allows exactly one selection (max_select = 1)',
+  'options.max_below_min': 'max_select cannot be less than min_select',
+
+  // Đơn hàng
+  'orders.not_found': 'Order not found',
+  'orders.not_found_or_unauthorized': 'Order not found or not authorized',
+  'orders.unauthorized': 'Order not authorized',
+  'orders.cancelled': 'Order cancelled successfully',
+  'orders.cancel_paid': 'This order has already been paid. Please ask at the counter to cancel it and get a refund',
+  'orders.status_updated': 'Order status updated successfully',
+  'orders.invalid_status': 'Invalid status',
+  'orders.unknown_status': 'Unknown order status "{status}"',
+  'orders.invalid_transition': 'Cannot change order from {from} to {to} as {actor}',
+  'orders.concurrent_change': 'Order status was changed by another request, please retry',
+  'orders.item_food_required': 'Each item requires a valid food_id',
+  'orders.item_quantity_invalid': 'Quantity for food {food_id} must be a positive integer',
+  'orders.food_not_found': 'Food with id {food_id} not found',
+  'orders.food_unavailable': '{name} is sold out or not available',
+  'orders.food_low_stock': 'Only {stock} portion(s) of {name} left',
+  'orders.option_repeated': 'Option {option_id} is selected more than once',
+  'orders.option_not_found': 'Option {option_id} does not belong to {name}',
+  'orders.option_unavailable': '{option} for {name} is not available',
+  'orders.option_group_required': 'Choose {group} for {name}',
+  'orders.option_group_too_few': 'Choose at least {min} from {group} for {name}',
+  'orders.option_group_too_many': 'Choose at most {max} from {group} for {name}',
+  'orders.total_not_positive': 'The order total must be greater than 0',
+  'promotions.not_found': 'Promotion not found',
+  'promotions.deleted': 'Promotion deleted successfully',
+  'promotions.code_exists': 'Promotion code {code} already exists',
+  'promotions.percent_range': 'A percentage must be between 1 and 100',
+  'promotions.value_required': 'value must be greater than 0',
+  'promotions.max_discount_percent_only': 'max_discount only applies to percentage promotions',
+  'promotions.buy_get_required': 'A buy X get Y promotion needs both buy and get',
+  'promotions.combo_items_required': 'A combo needs different foods totalling at least 2 portions',
+  'promotions.window_invalid': 'ends_at must be after starts_at',
+  'promotions.food_not_found': 'Food with id {food_id} not found',
+  'promotions.code_not_found': 'Promotion code {code} does not exist',
+  'promotions.inactive': 'This promotion is no longer active',
+  'promotions.not_started': 'This promotion has not started yet',
+  'promotions.expired': 'This promotion has expired',
+  'promotions.min_order': 'This promotion requires an order of at least {min}',
+  'promotions.usage_exhausted': 'This promotion has been fully used',
+  'promotions.user_limit_reached': 'You have already used this promotion the maximum number of times',
+  'promotions.not_applicable': 'Code {code} does not apply to the items in your cart',
+
+  // Bếp
+  'kitchen.station_exists': 'Station already exists',
+  'kitchen.station_not_found': 'Station not found',
+  'kitchen.order_not_queued': 'Order in status {status} is not in the kitchen queue',
+  'kitchen.item_not_found': 'Order item not found',
+  'kitchen.invalid_prep_status': 'Status must be one of: {values}',
+  'kitchen.order_bumped': 'Order bumped',
+  'kitchen.order_recalled': 'Order recalled',
+
+  // Thanh toán và hoàn tiền
+  'payments.id_required': 'Payment ID is required',
+  'payments.invalid_method': 'Invalid payment method',
+  'payments.not_found': 'Payment not found',
+  'payments.not_found_for_order': 'Payment not found for this order',
+  'payments.cash_not_found': 'Payment not found or not a cash payment',
+  'payments.already_completed': 'Payment already completed',
+  'payments.order_already_paid': 'Payment already completed for this order',
+  'payments.cannot_confirm': 'Cannot confirm a payment in status {status}',
+  'payments.confirmed': 'Payment confirmed successfully',
+  'payments.amount_mismatch': 'Amount does not match the order total',
+  'payments.amount_not_positive': 'Amount must be greater than 0',
+  'payments.invalid_signature': 'Invalid signature',
+  'payments.query_unsupported': 'Querying through a gateway is not supported for {method} payments',
+  'payments.refund_unsupported': 'Refunding through a gateway is not supported for {method} payments',
+  'payments.refund_invalid_status': 'Cannot refund a payment in status {status}',
+  'payments.refund_amount_invalid': 'Refund amount must be a positive integer',
+  'payments.refund_exceeds_balance': 'Refund amount exceeds the refundable balance of {remaining}',
+  'payments.refund_balance_changed': 'Refund amount exceeds the refundable balance',
+  'payments.refund_rejected': '{gateway} rejected the refund ({code}): {detail}',
+  'payments.gateway_unreachable': 'Cannot reach {gateway}: {detail}',
+  'payments.gateway_http_error': '{gateway} responded with HTTP {status}',
+  'payments.gateway_invalid_signature': 'Invalid signature in {gateway} response',
+  'payments.gateway_unexpected_response': 'Unexpected response from {gateway}',
+  'payments.gateway_rejected': '{gateway} rejected the payment ({code}): {detail}',
+
+  // Phiếu nhận đồ ăn
+  'tickets.code_required': 'Ticket code is required',
+  'tickets.not_found_or_unauthorized': 'Ticket not found or not authorized',
+  'tickets.invalid_qr_format': 'Format must be png or svg',
+  'tickets.invalid_code': 'Invalid ticket code',
+  'tickets.expired': 'Ticket has expired',
+  'tickets.already_used': 'Ticket already used',
+  'tickets.redeemed': 'Confirmed, enjoy your meal!',
+  'tickets.refused.invalid_code': 'Invalid code.',
+  'tickets.refused.expired': 'The code has expired. Please place a new order.',
+  'tickets.refused.not_found': 'Ticket not found.',
+  'tickets.refused.already_used': 'The code has already been used. Please place a new order.',
+  'tickets.refused.cancelled': 'The order has been cancelled.',
+  'tickets.refused.not_confirmed': 'Your order has not been confirmed yet.',
+  'tickets.refused.payment_required': 'Please pay before picking up your food.',
+  'tickets.refused.order_changed': 'The order was just updated, please scan again.',
+  'tickets.device_required': 'device_id is required',
+  'tickets.snapshot_hours': 'hours must be between 0 and {max}',
+  'tickets.redemptions_required': 'redemptions must be a non-empty array',
+  'tickets.batch_too_large': 'At most {max} redemptions per batch',
+  'tickets.entry_invalid': 'ticket_code and redeemed_at are required',
+  'tickets.entry_in_future': 'redeemed_at is in the future',
+
+  // Báo cáo và nhật ký
+  'reports.range_too_long': 'The report covers at most {max} days',
+  'audit.export_too_large': 'The export is limited to {max} entries, narrow the filters'
+};
@@ -0,0 +1,192 @@
+// Thông báo tiếng Việt, cùng bộ khóa với locales/en.js
+module.exports = {
+  // Chung
+  'common.server_error': 'Lỗi máy chủ',
+  'common.api_running': 'FastOrder API đang hoạt động',
+  'http.route_not_found': 'Không tìm thấy đường dẫn {method} {path}',
+  'http.invalid_json': 'Dữ liệu gửi lên không phải JSON hợp lệ',
+  'http.payload_too_large': 'Dữ liệu gửi lên quá lớn',
+  'http.rate_limited': 'Quá nhiều yêu cầu từ địa chỉ IP này, vui lòng thử lại sau.',
+
+  // Kiểm tra dữ liệu vào
+  'validation.required': '{field} là bắt buộc',
+  'validation.empty': '{field} không được để trống',
+  'validation.min_length': '{field} phải có ít nhất {min} ký tự',
+  'validation.max_length': '{field} chỉ được có tối đa {max} ký tự',
+  'validation.max_bytes': '{field} chỉ được có tối đa {max} byte',
+  'validation.email': '{field} phải là địa chỉ email hợp lệ',
+  'validation.format': '{field} không đúng định dạng',
+  'validation.type_string': '{field} phải là chuỗi',
+  'validation.type_number': '{field} phải là số',
+  'validation.type_integer': '{field} phải là số nguyên',
+  'validation.type_boolean': '{field} phải là true hoặc false',
+  'validation.type_array': '{field} phải là mảng',
+  'validation.type_object': '{field} phải là đối tượng',
+  'validation.min': '{field} phải lớn hơn hoặc bằng {min}',
+  'validation.max': '{field} phải nhỏ hơn hoặc bằng {max}',
+  'validation.enum': '{field} phải là một trong các giá trị: {values}',
+  'validation.date': '{field} phải là ngày hợp lệ (YYYY-MM-DD)',
+  'validation.datetime': '{field} phải là ngày giờ theo ISO 8601',
+  'validation.min_items': '{field} phải có ít nhất {min} phần tử',
+  'validation.max_items': '{field} chỉ được có tối đa {max} phần tử',
+  'validation.password_strength': '{field} phải có ít nhất một chữ cái và một chữ số',
+  'validation.date_range': 'Ngày kết thúc (to) không được trước ngày bắt đầu (from)',
+  'validation.price_range': 'Giá tối đa (max_price) không được thấp hơn giá tối thiểu (min_price)',
+
+  // Đăng nhập, phiên và tài khoản
+  'auth.no_token': 'Chưa đăng nhập',
+  'auth.invalid_token': 'Token không hợp lệ',
+  'auth.token_revoked': 'Phiên đăng nhập đã bị thu hồi',
+  'auth.forbidden': 'Bạn không có quyền thực hiện thao tác này',
+  'auth.email_exists': 'Email đã được sử dụng',
+  'auth.invalid_credentials': 'Email hoặc mật khẩu không đúng',
+  'auth.invalid_email': 'Địa chỉ email không hợp lệ',
+  'auth.refresh_token_required': 'Thiếu refresh token',
+  'auth.invalid_refresh_token': 'Refresh token không hợp lệ',
+  'auth.refresh_token_revoked': 'Refresh token đã bị thu hồi',
+  'auth.refresh_token_expired': 'Refresh token đã hết hạn',
+  'auth.logged_out': 'Đã đăng xuất',
+  'auth.logged_out_all': 'Đã đăng xuất khỏi mọi thiết bị',
+  'account.invalid_token': 'Mã xác nhận không hợp lệ hoặc đã hết hạn',
+  'account.email_verified': 'Đã xác minh email',
+  'account.email_already_verified': 'Email đã được xác minh trước đó',
+  'account.verification_sent': 'Đã gửi email xác minh',
+  'account.reset_requested': 'Nếu email đã đăng ký, liên kết đặt lại mật khẩu đã được gửi',
+  'account.password_reset': 'Đã đặt lại mật khẩu',
+  'account.preferences_updated': 'Đã cập nhật tùy chọn',
+  'account.verify_email_subject': 'Xác minh email FastOrder',
+  'account.verify_email_text': 'Xin chào {name},\n\nVui lòng xác minh email của bạn bằng liên kết sau:\n{link}\n\nMã xác minh: {token}',
+  'account.reset_email_subject': 'Đặt lại mật khẩu FastOrder',
+  'account.reset_email_text': 'Xin chào {name},\n\nĐặt lại mật khẩu bằng liên kết sau:\n{link}\n\nNếu bạn không yêu cầu, hãy bỏ qua email này.',
+
+  // Người dùng
+  'users.not_found': 'Không tìm thấy người dùng',
+  'users.invalid_role': 'Vai trò không hợp lệ',
+  'users.last_admin_demote': 'Không thể hạ quyền admin cuối cùng',
+  'users.last_admin_delete': 'Không thể xóa admin cuối cùng',
+  'users.has_orders': 'Người dùng đã có đơn hàng nên không thể xóa, để giữ lại đơn và thanh toán',
+  'users.fetch_failed': 'Không lấy được danh sách người dùng',
+  'users.update_role_failed': 'Không đổi được vai trò',
+  'users.delete_failed': 'Không xóa được người dùng',
+
+  // Thực đơn và kho
+  'menu.category_name_required': 'Tên danh mục là bắt buộc',
+  'menu.category_not_found': 'Không tìm thấy danh mục',
+  'menu.food_not_found': 'Không tìm thấy món',
+  'menu.food_deleted': 'Đã xóa món',
+  'menu.food_in_use': 'Món đã có trong đơn hàng nên không thể xóa. Hãy chuyển món sang ngừng bán',
+  'menu.stock_requires_limit': 'Cần đặt giới hạn daily_stock trước khi đặt số phần còn lại (stock)',
+  'menu.stock_reset': 'Đã đặt lại số phần trong ngày',
+  'menu.option_group_not_found': 'Không tìm thấy nhóm tùy chọn',
+  'menu.option_not_found': 'Không tìm thấy tùy chọn',
+  'menu.option_group_deleted': 'Xóa nhóm tùy chọn thành công',
+  'menu.option_deleted': 'Xóa tùy chọn thành công',
+  'options.required_min': 'Nhóm bắt buộc phải có min_select tối thiểu là 1',
+  'options.optional_min': 'Nhóm không bắt buộc không thể có min_select lớn hơn 0',
+  'options.single_max': 'Nhóm chọn một chỉ cho phép một lựa chọn (max_select = 1)',
+  'options.max_below_min': 'max_select không được nhỏ hơn min_select',
+
+  // Đơn hàng
+  'orders.not_found': 'Không tìm thấy đơn hàng',
+  'orders.not_found_or_unauthorized': 'Không tìm thấy đơn hàng hoặc bạn không có quyền xem',
+  'orders.unauthorized': 'Bạn không có quyền xem đơn hàng này',
+  'orders.cancelled': 'Đã hủy đơn hàng',
+  'orders.cancel_paid': 'Đơn hàng đã được thanh toán. Vui lòng liên hệ quầy để hủy đơn và hoàn tiền',
+  'orders.status_updated': 'Đã cập nhật trạng thái đơn hàng',
+  'orders.invalid_status': 'Trạng thái không hợp lệ',
+  'orders.unknown_status': 'Trạng thái đơn hàng "{status}" không tồn tại',
+  'orders.invalid_transition': 'Không thể chuyển đơn từ {from} sang {to} với vai trò {actor}',
+  'orders.concurrent_change': 'Trạng thái đơn vừa được thay đổi bởi yêu cầu khác, vui lòng thử lại',
+  'orders.item_food_required': 'Mỗi món phải có food_id hợp lệ',
+  'orders.item_quantity_invalid': 'Số lượng của món {food_id} phải là số nguyên dương',
+  'orders.food_not_found': 'Không tìm thấy món có id {food_id}',
+  'orders.food_unavailable': '{name} đã hết hoặc tạm ngừng bán',
+  'orders.food_low_stock': '{name} chỉ còn {stock} phần',
+  'orders.option_repeated': 'Tùy chọn {option_id} được chọn nhiều lần',
+  'orders.option_not_found': 'Tùy chọn {option_id} không thuộc món {name}',
+  'orders.option_unavailable': 'Tùy chọn {option} của {name} đang tạm ngừng',
+  'orders.option_group_required': 'Vui lòng chọn {group} cho {name}',
+  'orders.option_group_too_few': 'Chọn ít nhất {min} {group} cho {name}',
+  'orders.option_group_too_many': 'Chọn tối đa {max} {group} cho {name}',
+  'orders.total_not_positive': 'Tổng tiền của đơn phải lớn hơn 0',
+  'promotions.not_found': 'Không tìm thấy khuyến mãi',
+  'promotions.deleted': 'Xóa khuyến mãi thành công',
+  'promotions.code_exists': 'Mã khuyến mãi {code} đã tồn tại',
+  'promotions.percent_range': 'Phần trăm phải từ 1 đến 100',
+  'promotions.value_required': 'value phải lớn hơn 0',
+  'promotions.max_discount_percent_only': 'max_discount chỉ dùng cho khuyến mãi theo phần trăm',
+  'promotions.buy_get_required': 'Khuyến mãi mua X tặng Y cần có cả buy và get',
+  'promotions.combo_items_required': 'Combo cần các món khác nhau với tổng ít nhất 2 phần',
+  'promotions.window_invalid': 'ends_at phải sau starts_at',
+  'promotions.food_not_found': 'Không tìm thấy món có id {food_id}',
+  'promotions.code_not_found': 'Mã khuyến mãi {code} không tồn tại',
+  'promotions.inactive': 'Khuyến mãi này đã ngừng áp dụng',
+  'promotions.not_started': 'Khuyến mãi này chưa bắt đầu',
+  'promotions.expired': 'Khuyến mãi này đã hết hạn',
+  'promotions.min_order': 'Khuyến mãi này áp dụng cho đơn từ {min}',
+  'promotions.usage_exhausted': 'Khuyến mãi này đã hết lượt sử dụng',
+  'promotions.user_limit_reached': 'Bạn đã dùng hết số lần cho phép của khuyến mãi này',
+  'promotions.not_applicable': 'Mã {code} không áp dụng cho các món trong giỏ hàng',
+
+  // Bếp
+  'kitchen.station_exists': 'Trạm đã tồn tại',
+  'kitchen.station_not_found': 'Không tìm thấy trạm',
+  'kitchen.order_not_queued': 'Đơn ở trạng thái {status} không nằm trong hàng đợi bếp',
+  'kitchen.item_not_found': 'Không tìm thấy món trong đơn',
+  'kitchen.invalid_prep_status': 'Trạng thái phải là một trong: {values}',
+  'kitchen.order_bumped': 'Đã gỡ đơn khỏi màn hình bếp',
+  'kitchen.order_recalled': 'Đã gọi lại đơn lên màn hình bếp',
+
+  // Thanh toán và hoàn tiền
+  'payments.id_required': 'Thiếu mã thanh toán',
+  'payments.invalid_method': 'Phương thức thanh toán không hợp lệ',
+  'payments.not_found': 'Không tìm thấy thanh toán',
+  'payments.not_found_for_order': 'Không tìm thấy thanh toán của đơn hàng này',
+  'payments.cash_not_found': 'Không tìm thấy thanh toán tiền mặt',
+  'payments.already_completed': 'Thanh toán đã hoàn tất',
+  'payments.order_already_paid': 'Đơn hàng đã được thanh toán',
+  'payments.cannot_confirm': 'Không thể xác nhận thanh toán ở trạng thái {status}',
+  'payments.confirmed': 'Đã xác nhận thanh toán',
+  'payments.amount_mismatch': 'Số tiền không khớp với tổng tiền đơn hàng',
+  'payments.amount_not_positive': 'Số tiền phải lớn hơn 0',
+  'payments.invalid_signature': 'Chữ ký không hợp lệ',
+  'payments.query_unsupported': 'Không thể tra cứu qua cổng thanh toán với phương thức {method}',
+  'payments.refund_unsupported': 'Không thể hoàn tiền qua cổng thanh toán với phương thức {method}',
+  'payments.refund_invalid_status': 'Không thể hoàn tiền thanh toán ở trạng thái {status}',
+  'payments.refund_amount_invalid': 'Số tiền hoàn phải là số nguyên dương',
+  'payments.refund_exceeds_balance': 'Số tiền hoàn vượt quá số tiền còn có thể hoàn ({remaining})',
+  'payments.refund_balance_changed': 'Số tiền hoàn vượt quá số tiền còn có thể hoàn',
+  'payments.refund_rejected': '{gateway} từ chối hoàn tiền ({code}): {detail}',
+  'payments.gateway_unreachable': 'Không kết nối được {gateway}: {detail}',
+  'payments.gateway_http_error': '{gateway} trả về lỗi HTTP {status}',
+  'payments.gateway_invalid_signature': 'Chữ ký trong phản hồi của {gateway} không hợp lệ',
+  'payments.gateway_unexpected_response': 'Phản hồi không hợp lệ từ {gateway}',
+  'payments.gateway_rejected': '{gateway} từ chối thanh toán ({code}): {detail}',
+
+  // Phiếu nhận đồ ăn
+  'tickets.code_required': 'Thiếu mã phiếu',
+  'tickets.not_found_or_unauthorized': 'Không tìm thấy phiếu hoặc bạn không có quyền xem',
+  'tickets.invalid_qr_format': 'Định dạng phải là png hoặc svg',
+  'tickets.invalid_code': 'Mã phiếu không hợp lệ',
+  'tickets.expired': 'Phiếu đã hết hạn',
+  'tickets.already_used': 'Phiếu đã được sử dụng',
+  'tickets.redeemed': 'Xác nhận thành công, chúc quý khách ngon miệng!',
+  'tickets.refused.invalid_code': 'Mã không hợp lệ.',
+  'tickets.refused.expired': 'Mã đã hết hạn. Vui lòng đặt đơn hàng mới.',
+  'tickets.refused.not_found': 'Không tìm thấy phiếu.',
+  'tickets.refused.already_used': 'Mã đã qua sử dụng. Vui lòng đặt đơn hàng mới.',
+  'tickets.refused.cancelled': 'Đơn hàng đã bị hủy.',
+  'tickets.refused.not_confirmed': 'Đơn hàng của bạn chưa được xác nhận.',
+  'tickets.refused.payment_required': 'Vui lòng thanh toán trước khi nhận đồ ăn.',
+  'tickets.refused.order_changed': 'Đơn hàng vừa được cập nhật, vui lòng quét lại.',
+  'tickets.device_required': 'Thiếu device_id',
+  'tickets.snapshot_hours': 'hours phải nằm trong khoảng 0 đến {max}',
+  'tickets.redemptions_required': 'redemptions phải là mảng không rỗng',
+  'tickets.batch_too_large': 'Mỗi lô chỉ được có tối đa {max} lượt quét',
+  'tickets.entry_invalid': 'Thiếu ticket_code hoặc redeemed_at',
+  'tickets.entry_in_future': 'redeemed_at nằm trong tương lai',
+
+  // Báo cáo và nhật ký
+  'reports.range_too_long': 'Báo cáo chỉ bao gồm tối đa {max} ngày',
+  'audit.export_too_large': 'Chỉ xuất được tối đa {max} dòng, vui lòng thu hẹp bộ lọc'
+};
@@ -0,0 +1,61 @@
+const { verifyAccessToken } = require('../services/authTokens');
+const { hasPermission } = require('../services/permissions');
+const { msg } = require('../services/i18n');
+
+const bearerToken = req => req.header('Authorization')?.replace('Bearer ', '');
+
+// Người dùng của token đã giải mã, null nếu người dùng đã bị xóa hoặc token cấp trước lần thu hồi (token_version)
+async function currentUser(repos, decoded) {
+  const user = await repos.users.findById(decoded.id);
+  return user && (user.token_version || 0) === (decoded.tv || 0) ? user : null;
+}
+
+// Middleware xác thực JWT. Người dùng và quyền được đọc lại từ database ở mỗi request,
+// nên đổi quyền hay xóa người dùng có hiệu lực ngay; token cấp trước lần thu hồi (token_version) bị từ chối.
+// Ngôn ngữ người dùng đã chọn được ưu tiên hơn Accept-Language (xem middleware/locale.js).
+// verify, tokenFrom: loại token và nơi đọc token (mặc định access token trong header Authorization).
+// req.auth là payload đã giải mã (id, tv, exp, ...), dùng cho kết nối kéo dài như SSE.
+function createAuthMiddleware({ repos, verify = verifyAccessToken, tokenFrom = bearerToken }) {
+  return async (req, res, next) => {
+    const token = tokenFrom(req);
+    if (!token) return res.status(401).json({ error: msg('auth.no_token'), code: 'UNAUTHENTICATED' });
+
+    let decoded;
+    try {
+      decoded = verify(token);
+    } catch (err) {
+      return res.status(401).json({ error: msg('auth.invalid_token'), code: 'INVALID_TOKEN' });
+    }
+
+    let user;
+    try {
+      user = await currentUser(repos, decoded);
+    } catch (err) {
+      console.error('Error in authMiddleware:', err);
+      return res.status(500).json({ error: msg('common.server_error') });
+    }
+
+    if (!user) {
+      return res.status(401).json({ error: msg('auth.token_revoked'), code: 'TOKEN_REVOKED' });
+    }
+
+    req.auth = decoded;
+    req.user = { id: user.id, role: user.role, email: user.email, name: user.name, locale: user.locale || null };
+    if (user.locale) req.locale = user.locale;
+    next();
+  };
+}
+
+// Chỉ cho qua nếu vai trò của người dùng có đủ các permission (dùng sau authMiddleware)
+function requirePermission(...permissions) {
+  permissions.forEach(permission => hasPermission(null, permission));
+
+  return (req, res, next) => {
+    if (!permissions.every(permission => hasPermission(req.user, permission))) {
+      return res.status(403).json({ error: msg('auth.forbidden') });
+    }
+    next();
+  };
+}
+
+module.exports = { createAuthMiddleware, requirePermission, currentUser };
@@ -0,0 +1,81 @@
+const { LocalizedError, msg } = require('../services/i18n');
+
+// Định dạng lỗi chung của API: { error, code, message_key, details? }
+//   error       - thông báo cho người đọc, theo ngôn ngữ của request (middleware/locale.js)
+//   code        - mã cho máy đọc (VALIDATION_ERROR, NOT_FOUND, ...)
+//   message_key - khóa của thông báo trong locales/
+//   details     - lỗi theo từng trường khi dữ liệu gửi lên không hợp lệ: [{ location, field, code, message, message_key }]
+// Route chỉ cần trả về { error: msg(...) } với mã HTTP phù hợp, code mặc định theo mã HTTP được thêm tự động;
+// lỗi ném ra (hoặc chuyển qua next) được errorHandler chuyển thành cùng định dạng.
+const DEFAULT_CODES = {
+  400: 'BAD_REQUEST',
+  401: 'UNAUTHENTICATED',
+  403: 'FORBIDDEN',
+  404: 'NOT_FOUND',
+  409: 'CONFLICT',
+  413: 'PAYLOAD_TOO_LARGE',
+  429: 'RATE_LIMITED',
+  500: 'SERVER_ERROR',
+  502: 'GATEWAY_ERROR'
+};
+
+class ApiError extends LocalizedError {
+  constructor(status, message, { code, details } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code || defaultCode(status);
+    this.details = details;
+  }
+}
+
+function defaultCode(status) {
+  return DEFAULT_CODES[status] || (status >= 500 ? 'SERVER_ERROR' : 'BAD_REQUEST');
+}
+
+// Bổ sung code cho phản hồi lỗi của route; { message } cũ được đưa về { error }
+function uniformErrors(req, res, next) {
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    if (res.statusCode >= 400 && body && typeof body === 'object' && !Array.isArray(body)) {
+      const error = typeof body.error === 'string' ? body.error : body.message;
+      if (typeof error === 'string' && !body.code) {
+        return json({ ...body, error, code: defaultCode(res.statusCode) });
+      }
+    }
+    return json(body);
+  };
+  next();
+}
+
+// Đường dẫn /api không tồn tại
+function notFound(req, res) {
+  res.status(404).json({
+    error: msg('http.route_not_found', { method: req.method, path: req.originalUrl.split('?')[0] }), code: 'NOT_FOUND'
+  });
+}
+
+// Xử lý lỗi tập trung, đặt sau mọi route
+function errorHandler(err, req, res, next) {
+  if (res.headersSent) return next(err);
+
+  // Lỗi của express.json
+  if (err.type === 'entity.parse.failed') {
+    return res.status(400).json({ error: msg('http.invalid_json'), code: 'INVALID_JSON' });
+  }
+  if (err.type === 'entity.too.large') {
+    return res.status(413).json({ error: msg('http.payload_too_large'), code: 'PAYLOAD_TOO_LARGE' });
+  }
+
+  // ApiError và các lỗi nghiệp vụ có mã HTTP (OrderTransitionError, KitchenError, ...)
+  if (err instanceof ApiError || (Number.isInteger(err.status) && err.status >= 400 && err.status < 500)) {
+    const body = { error: err.localized || err.message, code: err instanceof ApiError ? err.code : defaultCode(err.status) };
+    if (err.details) body.details = err.details;
+    return res.status(err.status).json(body);
+  }
+
+  console.error(`Error in ${req.method} ${req.originalUrl}:`, err);
+  res.status(500).json({ error: msg('common.server_error'), code: 'SERVER_ERROR' });
+}
+
+module.exports = { ApiError, defaultCode, uniformErrors, notFound, errorHandler };
@@ -0,0 +1,56 @@
+const { LOCALES, DEFAULT_LOCALE, Message } = require('../services/i18n');
+
+// Chọn ngôn ngữ cho request và dịch thông báo trong phản hồi JSON.
+// Ngôn ngữ: tùy chọn của người dùng đăng nhập (authMiddleware ghi đè req.locale), nếu không thì theo
+// header Accept-Language, cuối cùng là DEFAULT_LOCALE.
+// Mọi Message trong phản hồi được dịch; trường error/message kèm message_key để client không phải so chuỗi:
+//   { error: 'Không tìm thấy đơn hàng', code: 'NOT_FOUND', message_key: 'orders.not_found' }
+
+// Mặc định đứng đầu để Accept-Language: * hoặc không gửi header đều chọn mặc định
+const PREFERENCE = [DEFAULT_LOCALE, ...LOCALES.filter(locale => locale !== DEFAULT_LOCALE)];
+
+const isPlainObject = value => value !== null && typeof value === 'object' &&
+  [Object.prototype, null].includes(Object.getPrototypeOf(value));
+
+// Dịch mọi Message trong body; phần không có Message được giữ nguyên (không sao chép)
+function localizeBody(value, locale) {
+  if (Array.isArray(value)) {
+    let changed = false;
+    const items = value.map(item => {
+      const localized = localizeBody(item, locale);
+      changed = changed || localized !== item;
+      return localized;
+    });
+    return changed ? items : value;
+  }
+  if (!isPlainObject(value)) return value;
+
+  let result = value;
+  for (const [key, field] of Object.entries(value)) {
+    const localized = field instanceof Message ? field.translate(locale) : localizeBody(field, locale);
+    if (localized === field) continue;
+    if (result === value) result = { ...value };
+    result[key] = localized;
+    if (field instanceof Message && (key === 'error' || key === 'message') && !result.message_key) {
+      result.message_key = field.key;
+    }
+  }
+  return result;
+}
+
+// Ngôn ngữ theo header Accept-Language
+const negotiateLocale = req => req.acceptsLanguages(...PREFERENCE) || DEFAULT_LOCALE;
+
+function localize(req, res, next) {
+  req.locale = negotiateLocale(req);
+
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    res.set('Content-Language', req.locale);
+    res.vary('Accept-Language');
+    return json(localizeBody(body, req.locale));
+  };
+  next();
+}
+
+module.exports = { localize, localizeBody, negotiateLocale };
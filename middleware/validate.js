@@ -0,0 +1,245 @@
+const { ApiError } = require('./errors');
+const { msg } = require('../services/i18n');
+
+// Khai báo dữ liệu vào của route (body, params, query) và kiểm tra trước khi vào handler.
+// Giá trị hợp lệ được chuẩn hóa (trim chuỗi, đổi chuỗi số của params/query sang số, gán mặc định)
+// rồi ghi lại vào req; trường không khai báo được giữ nguyên. Sai thì trả về 400 VALIDATION_ERROR
+// kèm danh sách lỗi theo từng trường.
+//
+//   router.post('/foods', validate({ body: v.object({ name: v.string({ max: 100 }), price: v.number({ min: 0 }) }) }), ...)
+
+const LOCATIONS = ['params', 'query', 'body'];
+
+class Rule {
+  constructor(check, { label } = {}) {
+    this.check = check;
+    this.label = label;
+    this.isOptional = false;
+    this.isNullable = false;
+    this.defaultValue = undefined;
+    this.customMessage = null;
+    this.refinements = [];
+  }
+
+  clone(changes) {
+    return Object.assign(Object.create(Rule.prototype), this, { refinements: [...this.refinements] }, changes);
+  }
+
+  optional() {
+    return this.clone({ isOptional: true });
+  }
+
+  nullable() {
+    return this.clone({ isNullable: true });
+  }
+
+  // Giá trị khi trường bị bỏ trống (trường trở thành không bắt buộc)
+  default(value) {
+    return this.clone({ isOptional: true, defaultValue: value });
+  }
+
+  // Thay thông báo lỗi mặc định của trường: msg(...)
+  message(message) {
+    return this.clone({ customMessage: message });
+  }
+
+  // Kiểm tra thêm sau khi đúng kiểu: fn trả về Message (tham số {field} được điền tên trường) hoặc null
+  refine(fn) {
+    const rule = this.clone();
+    rule.refinements.push(fn);
+    return rule;
+  }
+
+  run(value, ctx) {
+    if (value === undefined || (value === '' && ctx.location !== 'body')) {
+      if (this.defaultValue !== undefined) return structuredClone(this.defaultValue);
+      if (this.isOptional) return undefined;
+      return ctx.fail('required', 'validation.required', {}, this.customMessage);
+    }
+    if (value === null) {
+      if (this.isNullable) return null;
+      return ctx.fail('required', 'validation.required', {}, this.customMessage);
+    }
+
+    const errorsBefore = ctx.issues.length;
+    const parsed = this.check(value, ctx, this);
+    if (ctx.issues.length > errorsBefore) return undefined;
+
+    for (const fn of this.refinements) {
+      const problem = fn(parsed);
+      if (problem) return ctx.fail('invalid', problem.key, problem.params, this.customMessage);
+    }
+    return parsed;
+  }
+}
+
+// Ngữ cảnh kiểm tra một giá trị: vị trí (body/params/query), đường dẫn trường và danh sách lỗi chung
+function context(location, path, issues) {
+  const name = path.length ? path.reduce((acc, key) => (typeof key === 'number' ? `${acc}[${key}]` : acc ? `${acc}.${key}` : key), '') : location;
+  return {
+    location,
+    path,
+    name,
+    issues,
+    coerce: location !== 'body',
+    child: key => context(location, [...path, key], issues),
+    fail(code, key, params, customMessage) {
+      issues.push({ location, field: name, code, message: customMessage || msg(key, { ...params, field: name }) });
+      return undefined;
+    }
+  };
+}
+
+// expected: string, number, integer, boolean, array, object
+const typeError = (ctx, rule, expected) => ctx.fail('type', `validation.type_${expected}`, {}, rule.customMessage);
+
+const v = {
+  // trim mặc định bật; email: kiểm tra định dạng email; pattern: RegExp
+  string({ min = 1, max, trim = true, pattern, email = false } = {}) {
+    return new Rule((value, ctx, rule) => {
+      if (typeof value !== 'string') return typeError(ctx, rule, 'string');
+      const text = trim ? value.trim() : value;
+      if (text.length < min) {
+        return ctx.fail(min === 1 ? 'required' : 'min', min === 1 ? 'validation.empty' : 'validation.min_length', { min }, rule.customMessage);
+      }
+      if (max !== undefined && text.length > max) {
+        return ctx.fail('max', 'validation.max_length', { max }, rule.customMessage);
+      }
+      if (email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(text)) {
+        return ctx.fail('format', 'validation.email', {}, rule.customMessage);
+      }
+      if (pattern && !pattern.test(text)) {
+        return ctx.fail('format', 'validation.format', {}, rule.customMessage);
+      }
+      return text;
+    });
+  },
+
+  number({ min, max, integer = false } = {}) {
+    return new Rule((value, ctx, rule) => {
+      let number = value;
+      if (typeof value === 'string' && ctx.coerce && value.trim() !== '') number = Number(value);
+      if (typeof number !== 'number' || !Number.isFinite(number)) {
+        return typeError(ctx, rule, integer ? 'integer' : 'number');
+      }
+      if (integer && !Number.isInteger(number)) return typeError(ctx, rule, 'integer');
+      if (min !== undefined && number < min) {
+        return ctx.fail('min', 'validation.min', { min }, rule.customMessage);
+      }
+      if (max !== undefined && number > max) {
+        return ctx.fail('max', 'validation.max', { max }, rule.customMessage);
+      }
+      return number;
+    });
+  },
+
+  integer(options = {}) {
+    return v.number({ ...options, integer: true });
+  },
+
+  // Khóa chính trong đường dẫn: số nguyên dương
+  id() {
+    return v.integer({ min: 1 });
+  },
+
+  // query/params nhận 'true'/'false'
+  boolean() {
+    return new Rule((value, ctx, rule) => {
+      if (typeof value === 'boolean') return value;
+      if (ctx.coerce && (value === 'true' || value === 'false')) return value === 'true';
+      return typeError(ctx, rule, 'boolean');
+    });
+  },
+
+  enum(values) {
+    return new Rule((value, ctx, rule) => {
+      if (!values.includes(value)) {
+        return ctx.fail('enum', 'validation.enum', { values: values.join(', ') }, rule.customMessage);
+      }
+      return value;
+    });
+  },
+
+  // Ngày dạng YYYY-MM-DD (giữ nguyên chuỗi)
+  date() {
+    return v.string({ pattern: /^\d{4}-\d{2}-\d{2}$/ }).refine(value => {
+      const [year, month, day] = value.split('-').map(Number);
+      const date = new Date(year, month - 1, day);
+      return date.getMonth() === month - 1 && date.getDate() === day ? null : msg('validation.date');
+    });
+  },
+
+  // Thời điểm ISO 8601 có giờ (vd. 2026-05-01T08:00:00+07:00), trả về Date
+  datetime() {
+    return new Rule((value, ctx, rule) => {
+      const date = typeof value === 'string' && /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}/.test(value) ? new Date(value) : null;
+      if (!date || Number.isNaN(date.getTime())) {
+        return ctx.fail('format', 'validation.datetime', {}, rule.customMessage);
+      }
+      return date;
+    });
+  },
+
+  array(item, { min = 0, max } = {}) {
+    return new Rule((value, ctx, rule) => {
+      if (!Array.isArray(value)) return typeError(ctx, rule, 'array');
+      if (value.length < min) {
+        return ctx.fail(min === 1 ? 'required' : 'min', min === 1 ? 'validation.empty' : 'validation.min_items', { min }, rule.customMessage);
+      }
+      if (max !== undefined && value.length > max) {
+        return ctx.fail('max', 'validation.max_items', { max }, rule.customMessage);
+      }
+      return item ? value.map((element, index) => item.run(element, ctx.child(index))) : value;
+    });
+  },
+
+  // Các trường không khai báo được giữ nguyên
+  object(shape = {}) {
+    return new Rule((value, ctx, rule) => {
+      if (typeof value !== 'object' || Array.isArray(value)) return typeError(ctx, rule, 'object');
+      const result = { ...value };
+      for (const [key, fieldRule] of Object.entries(shape)) {
+        const parsed = fieldRule.run(value[key], ctx.child(key));
+        if (parsed === undefined) delete result[key];
+        else result[key] = parsed;
+      }
+      return result;
+    });
+  },
+
+  // Bất kỳ giá trị nào (trường để handler tự kiểm tra)
+  any() {
+    return new Rule(value => value);
+  }
+};
+
+// Middleware kiểm tra req theo schema: { params, query, body } là v.object(...) hoặc object các rule
+function validate(schemas) {
+  const rules = {};
+  for (const location of LOCATIONS) {
+    if (!schemas[location]) continue;
+    rules[location] = schemas[location] instanceof Rule ? schemas[location] : v.object(schemas[location]);
+  }
+
+  return (req, res, next) => {
+    const issues = [];
+    const parsed = {};
+    for (const [location, rule] of Object.entries(rules)) {
+      // Express 5 để req.body là undefined khi request không có body
+      const input = req[location] === undefined && location === 'body' ? {} : req[location];
+      parsed[location] = rule.run(input, context(location, [], issues));
+    }
+
+    if (issues.length) {
+      return next(new ApiError(400, issues[0].message, { code: 'VALIDATION_ERROR', details: issues }));
+    }
+
+    for (const [location, value] of Object.entries(parsed)) {
+      // req.query của Express 5 là getter, phải ghi đè trên chính request
+      Object.defineProperty(req, location, { value, writable: true, configurable: true, enumerable: true });
+    }
+    next();
+  };
+}
+
+module.exports = { v, validate };
@@ -0,0 +1,167 @@
+// Cổng MoMo giả lập để chạy thử và test khi không có sandbox:
+//   POST /v2/gateway/api/create  kiểm tra chữ ký, trả về payUrl trỏ vào /pay của mock
+//   GET /pay?orderId=...         gửi IPN về ipnUrl rồi chuyển hướng trình duyệt về redirectUrl
+//   POST /v2/gateway/api/query, POST /v2/gateway/api/refund
+// Chạy riêng: node mocks/momo.js (đặt MOMO_ENDPOINT=http://localhost:8889)
+const express = require('express');
+const { SIGN_FIELDS, createMomoSignature } = require('../services/momo');
+
+function createMomoMock({ partnerCode, accessKey, secretKey, resultCode = 0 }) {
+  const app = express();
+  const state = {
+    resultCode, // Kết quả cho lần thanh toán tiếp theo (0 = thành công, 1006 = khách từ chối, ...)
+    transactions: new Map(), // orderId -> giao dịch đã tạo
+    ipnResults: [], // HTTP status merchant trả về cho IPN
+    deliverIpn: true
+  };
+  let transId = 4000000000;
+
+  app.use(express.json());
+
+  const sign = (params, fields) => createMomoSignature(params, fields, accessKey, secretKey);
+
+  // Kiểm tra partnerCode và chữ ký của request từ merchant
+  function checkRequest(body, fields) {
+    if (body.partnerCode !== partnerCode) return { resultCode: 13, message: 'Invalid partnerCode' };
+    if (sign(body, fields) !== body.signature) return { resultCode: 11, message: 'Invalid signature' };
+    return null;
+  }
+
+  app.post('/v2/gateway/api/create', (req, res) => {
+    const body = req.body || {};
+    const error = checkRequest(body, SIGN_FIELDS.create);
+    if (error) return res.json({ ...error, orderId: body.orderId });
+    if (state.transactions.has(body.orderId)) {
+      return res.json({ resultCode: 41, message: 'Duplicate orderId', orderId: body.orderId });
+    }
+
+    state.transactions.set(body.orderId, { ...body, resultCode: 1000, refunded: 0 });
+    res.json({
+      partnerCode,
+      orderId: body.orderId,
+      requestId: body.requestId,
+      amount: body.amount,
+      responseTime: Date.now(),
+      message: 'Thành công.',
+      resultCode: 0,
+      payUrl: `${req.protocol}://${req.get('host')}/pay?orderId=${encodeURIComponent(body.orderId)}`
+    });
+  });
+
+  app.get('/pay', async (req, res) => {
+    const txn = state.transactions.get(req.query.orderId);
+    if (!txn) {
+      return res.status(404).send('Giao dịch không tồn tại');
+    }
+
+    txn.resultCode = state.resultCode;
+    txn.transId = ++transId;
+    const result = {
+      partnerCode,
+      orderId: txn.orderId,
+      requestId: txn.requestId,
+      amount: txn.amount,
+      orderInfo: txn.orderInfo,
+      orderType: 'momo_wallet',
+      transId: txn.transId,
+      resultCode: txn.resultCode,
+      message: txn.resultCode === 0 ? 'Thành công.' : 'Giao dịch thất bại.',
+      payType: 'qr',
+      responseTime: Date.now(),
+      extraData: txn.extraData
+    };
+    result.signature = sign(result, SIGN_FIELDS.ipn);
+
+    if (txn.ipnUrl && state.deliverIpn) {
+      try {
+        const ipn = await fetch(txn.ipnUrl, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(result)
+        });
+        state.ipnResults.push(ipn.status);
+      } catch (err) {
+        console.error('MoMo mock: IPN failed:', err.message);
+        state.ipnResults.push(err.message);
+      }
+    }
+
+    res.redirect(`${txn.redirectUrl}?${new URLSearchParams(result).toString()}`);
+  });
+
+  app.post('/v2/gateway/api/query', (req, res) => {
+    const body = req.body || {};
+    const error = checkRequest(body, SIGN_FIELDS.query);
+    if (error) return res.json(error);
+
+    const txn = state.transactions.get(body.orderId);
+    if (!txn) {
+      return res.json({ partnerCode, orderId: body.orderId, requestId: body.requestId, resultCode: 42, message: 'Transaction not found' });
+    }
+    res.json({
+      partnerCode,
+      orderId: txn.orderId,
+      requestId: body.requestId,
+      amount: txn.amount,
+      transId: txn.transId || 0,
+      resultCode: txn.resultCode,
+      message: txn.resultCode === 0 ? 'Thành công.' : 'Giao dịch chưa hoàn tất.',
+      responseTime: Date.now()
+    });
+  });
+
+  app.post('/v2/gateway/api/refund', (req, res) => {
+    const body = req.body || {};
+    const error = checkRequest(body, SIGN_FIELDS.refund);
+    if (error) return res.json(error);
+
+    const txn = [...state.transactions.values()].find(t => t.transId === body.transId);
+    let code = 0;
+    if (!txn || txn.resultCode !== 0) {
+      code = 1080;
+    } else if (!(body.amount > 0) || txn.refunded + body.amount > txn.amount) {
+      code = 1081;
+    }
+    if (code === 0) {
+      txn.refunded += body.amount;
+    }
+
+    res.json({
+      partnerCode,
+      orderId: body.orderId,
+      requestId: body.requestId,
+      amount: body.amount,
+      transId: code === 0 ? ++transId : 0,
+      resultCode: code,
+      message: code === 0 ? 'Thành công.' : 'Hoàn tiền thất bại.',
+      responseTime: Date.now()
+    });
+  });
+
+  return {
+    app,
+    state,
+    setResultCode(code) {
+      state.resultCode = code;
+    },
+    setDeliverIpn(deliver) {
+      state.deliverIpn = deliver;
+    },
+    listen(port, host) {
+      return app.listen(port, host);
+    }
+  };
+}
+
+module.exports = { createMomoMock };
+
+if (require.main === module) {
+  require('dotenv').config();
+  const port = Number(process.env.MOMO_MOCK_PORT) || 8889;
+  const mock = createMomoMock({
+    partnerCode: process.env.MOMO_PARTNER_CODE,
+    accessKey: process.env.MOMO_ACCESS_KEY,
+    secretKey: process.env.MOMO_SECRET_KEY
+  });
+  mock.listen(port, () => console.log(`MoMo mock running on http://localhost:${port}`));
+}
@@ -0,0 +1,186 @@
+// Cổng VNPAY giả lập để chạy thử và test khi không có sandbox:
+//   GET /paymentv2/vpcpay.html  kiểm tra chữ ký URL thanh toán, gửi IPN về ipnUrl
+//                               rồi chuyển hướng trình duyệt về vnp_ReturnUrl
+//   POST /merchant_webapi/api/transaction  API querydr và refund
+// Chạy riêng: node mocks/vnpay.js (đặt VNPAY_URL=http://localhost:8888/paymentv2/vpcpay.html)
+const express = require('express');
+const { API_SIGN_FIELDS, createVnpaySignature, createVnpayApiSignature, formatVnpayDate } = require('../services/vnpay');
+
+function createVnpayMock({ hashSecret, tmnCode, ipnUrl, responseCode = '00' }) {
+  const app = express();
+  const state = {
+    responseCode, // Mã kết quả cho lần thanh toán tiếp theo ('00' = thành công, '24' = khách hủy, ...)
+    transactions: new Map(), // vnp_TxnRef -> giao dịch đã xử lý
+    ipnResults: [], // Phản hồi IPN nhận được từ merchant
+    deliverIpn: true, // false để mô phỏng IPN bị thất lạc (merchant phải dùng querydr)
+    refundResponseCode: null, // Ép mã lỗi cho lần hoàn tiền tiếp theo
+    refundDelayMs: 0, // Trả lời chậm lần hoàn tiền tiếp theo (mô phỏng hai yêu cầu hoàn tiền chồng nhau)
+    requestIds: new Set()
+  };
+  let transactionNo = 14000000;
+
+  app.use(express.json());
+
+  // Phản hồi API merchant đã ký
+  function apiResponse(command, fields) {
+    const response = {
+      vnp_ResponseId: `${Date.now()}`,
+      vnp_Command: command,
+      vnp_TmnCode: tmnCode,
+      ...fields
+    };
+    response.vnp_SecureHash = createVnpayApiSignature(response, API_SIGN_FIELDS[command].response, hashSecret);
+    return response;
+  }
+
+  app.post('/merchant_webapi/api/transaction', async (req, res) => {
+    const body = req.body || {};
+    const fields = API_SIGN_FIELDS[body.vnp_Command];
+    if (!fields) {
+      return res.json({ vnp_ResponseCode: '99', vnp_Message: 'Unknown command' });
+    }
+    if (createVnpayApiSignature(body, fields.request, hashSecret) !== body.vnp_SecureHash) {
+      return res.json({ vnp_ResponseCode: '97', vnp_Message: 'Invalid Checksum' });
+    }
+    if (body.vnp_TmnCode !== tmnCode) {
+      return res.json({ vnp_ResponseCode: '02', vnp_Message: 'Invalid TmnCode' });
+    }
+    if (state.requestIds.has(body.vnp_RequestId)) {
+      return res.json({ vnp_ResponseCode: '94', vnp_Message: 'Duplicate request' });
+    }
+    state.requestIds.add(body.vnp_RequestId);
+
+    const txn = state.transactions.get(body.vnp_TxnRef);
+    if (!txn) {
+      return res.json(apiResponse(body.vnp_Command, { vnp_ResponseCode: '91', vnp_Message: 'Transaction not found', vnp_TxnRef: body.vnp_TxnRef }));
+    }
+
+    const common = {
+      vnp_TxnRef: txn.vnp_TxnRef,
+      vnp_BankCode: txn.vnp_BankCode,
+      vnp_PayDate: txn.vnp_PayDate,
+      vnp_TransactionNo: txn.vnp_TransactionNo,
+      vnp_OrderInfo: body.vnp_OrderInfo
+    };
+
+    if (body.vnp_Command === 'querydr') {
+      return res.json(apiResponse('querydr', {
+        ...common,
+        vnp_ResponseCode: '00',
+        vnp_Message: 'QueryDR Success',
+        vnp_Amount: txn.vnp_Amount,
+        vnp_TransactionType: '01',
+        vnp_TransactionStatus: txn.refunded > 0 ? '06' : txn.vnp_TransactionStatus,
+        vnp_PromotionCode: '',
+        vnp_PromotionAmount: ''
+      }));
+    }
+
+    // refund
+    if (state.refundDelayMs) {
+      const delay = state.refundDelayMs;
+      state.refundDelayMs = 0;
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+    const amount = Number(body.vnp_Amount);
+    let code = '00';
+    if (state.refundResponseCode) {
+      code = state.refundResponseCode;
+      state.refundResponseCode = null;
+    } else if (txn.vnp_TransactionStatus !== '00') {
+      code = '95';
+    } else if (!(amount > 0) || txn.refunded + amount > Number(txn.vnp_Amount)) {
+      code = '03';
+    } else if (body.vnp_TransactionType === '02' && amount !== Number(txn.vnp_Amount)) {
+      code = '03';
+    }
+    if (code === '00') {
+      txn.refunded += amount;
+    }
+
+    res.json(apiResponse('refund', {
+      ...common,
+      vnp_ResponseCode: code,
+      vnp_Message: code === '00' ? 'Refund success' : 'Refund failed',
+      vnp_Amount: body.vnp_Amount,
+      vnp_TransactionType: body.vnp_TransactionType,
+      vnp_TransactionStatus: code === '00' ? '05' : txn.vnp_TransactionStatus
+    }));
+  });
+
+  app.get('/paymentv2/vpcpay.html', async (req, res) => {
+    const params = { ...req.query };
+    const secureHash = params.vnp_SecureHash;
+    delete params.vnp_SecureHash;
+
+    if (createVnpaySignature(params, hashSecret) !== secureHash) {
+      return res.status(400).send('Sai chữ ký (Invalid signature)');
+    }
+    if (params.vnp_TmnCode !== tmnCode) {
+      return res.status(400).send('Website chưa được phê duyệt (Invalid TmnCode)');
+    }
+
+    const code = state.responseCode;
+    const callback = {
+      vnp_Amount: params.vnp_Amount,
+      vnp_BankCode: params.vnp_BankCode || 'NCB',
+      vnp_CardType: 'ATM',
+      vnp_OrderInfo: params.vnp_OrderInfo,
+      vnp_PayDate: formatVnpayDate(new Date()),
+      vnp_ResponseCode: code,
+      vnp_TmnCode: params.vnp_TmnCode,
+      vnp_TransactionNo: String(++transactionNo),
+      vnp_TransactionStatus: code === '00' ? '00' : '02',
+      vnp_TxnRef: params.vnp_TxnRef
+    };
+    callback.vnp_SecureHash = createVnpaySignature(callback, hashSecret, true);
+    const query = new URLSearchParams(callback).toString();
+
+    state.transactions.set(params.vnp_TxnRef, { ...callback, vnp_CreateDate: params.vnp_CreateDate, refunded: 0 });
+
+    if (ipnUrl && state.deliverIpn) {
+      try {
+        const ipn = await fetch(`${ipnUrl}?${query}`);
+        state.ipnResults.push(await ipn.json());
+      } catch (err) {
+        console.error('VNPAY mock: IPN failed:', err.message);
+        state.ipnResults.push({ error: err.message });
+      }
+    }
+
+    res.redirect(`${params.vnp_ReturnUrl}?${query}`);
+  });
+
+  return {
+    app,
+    state,
+    setResponseCode(code) {
+      state.responseCode = code;
+    },
+    setDeliverIpn(deliver) {
+      state.deliverIpn = deliver;
+    },
+    failNextRefund(code = '99') {
+      state.refundResponseCode = code;
+    },
+    delayNextRefund(ms) {
+      state.refundDelayMs = ms;
+    },
+    listen(port, host) {
+      return app.listen(port, host);
+    }
+  };
+}
+
+module.exports = { createVnpayMock };
+
+if (require.main === module) {
+  require('dotenv').config();
+  const port = Number(process.env.VNPAY_MOCK_PORT) || 8888;
+  const mock = createVnpayMock({
+    hashSecret: process.env.VNPAY_HASH_SECRET,
+    tmnCode: process.env.VNPAY_TMN_CODE,
+    ipnUrl: process.env.VNPAY_IPN_URL || 'http://localhost:3000/api/vnpay/ipn'
+  });
+  mock.listen(port, () => console.log(`VNPAY mock running on http://localhost:${port}/paymentv2/vpcpay.html`));
+}
@@ -0,0 +1,155 @@
+// Cổng ZaloPay giả lập để chạy thử và test khi không có sandbox:
+//   POST /v2/create          kiểm tra mac, trả về order_url trỏ vào /pay của mock
+//   GET /pay?app_trans_id=   gửi callback (khi thành công) rồi chuyển hướng trình duyệt về redirecturl
+//   POST /v2/query, POST /v2/refund
+// Chạy riêng: node mocks/zalopay.js (đặt ZALOPAY_ENDPOINT=http://localhost:8890)
+const express = require('express');
+const { createZaloPayMac } = require('../services/zalopay');
+
+function createZaloPayMock({ appId, key1, key2, status = 1 }) {
+  const app = express();
+  const state = {
+    status, // Kết quả cho lần thanh toán tiếp theo (1 = thành công, 2 = thất bại)
+    transactions: new Map(), // app_trans_id -> giao dịch đã tạo
+    callbackResults: [], // Phản hồi callback nhận được từ merchant
+    deliverCallback: true
+  };
+  let zpTransId = 250000000;
+
+  app.use(express.json());
+
+  app.post('/v2/create', (req, res) => {
+    const body = req.body || {};
+    const mac = createZaloPayMac([
+      body.app_id, body.app_trans_id, body.app_user, body.amount, body.app_time, body.embed_data, body.item
+    ], key1);
+    if (Number(body.app_id) !== appId || mac !== body.mac) {
+      return res.json({ return_code: 2, return_message: 'Giao dịch thất bại', sub_return_code: -402, sub_return_message: 'Mac không hợp lệ' });
+    }
+    if (state.transactions.has(body.app_trans_id)) {
+      return res.json({ return_code: 2, return_message: 'Giao dịch thất bại', sub_return_code: -68, sub_return_message: 'Trùng app_trans_id' });
+    }
+
+    state.transactions.set(body.app_trans_id, { ...body, status: 3, refunded: 0 });
+    res.json({
+      return_code: 1,
+      return_message: 'Giao dịch thành công',
+      zp_trans_token: `token_${body.app_trans_id}`,
+      order_url: `${req.protocol}://${req.get('host')}/pay?app_trans_id=${encodeURIComponent(body.app_trans_id)}`
+    });
+  });
+
+  app.get('/pay', async (req, res) => {
+    const txn = state.transactions.get(req.query.app_trans_id);
+    if (!txn) {
+      return res.status(404).send('Giao dịch không tồn tại');
+    }
+
+    txn.status = state.status;
+    if (txn.status === 1) {
+      txn.zp_trans_id = ++zpTransId;
+      const data = JSON.stringify({
+        app_id: txn.app_id,
+        app_trans_id: txn.app_trans_id,
+        app_time: txn.app_time,
+        app_user: txn.app_user,
+        amount: txn.amount,
+        embed_data: txn.embed_data,
+        item: txn.item,
+        zp_trans_id: txn.zp_trans_id,
+        server_time: Date.now(),
+        channel: 38,
+        merchant_user_id: '',
+        user_fee_amount: 0,
+        discount_amount: 0
+      });
+      if (txn.callback_url && state.deliverCallback) {
+        try {
+          const callback = await fetch(txn.callback_url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ data, mac: createZaloPayMac([data], key2), type: 1 })
+          });
+          state.callbackResults.push(await callback.json());
+        } catch (err) {
+          console.error('ZaloPay mock: callback failed:', err.message);
+          state.callbackResults.push({ error: err.message });
+        }
+      }
+    }
+
+    const redirect = {
+      appid: String(txn.app_id),
+      apptransid: txn.app_trans_id,
+      pmcid: '38',
+      bankcode: '',
+      amount: String(txn.amount),
+      discountamount: '0',
+      status: String(txn.status)
+    };
+    redirect.checksum = createZaloPayMac(Object.values(redirect), key2);
+    const { redirecturl } = JSON.parse(txn.embed_data || '{}');
+    res.redirect(`${redirecturl}?${new URLSearchParams(redirect).toString()}`);
+  });
+
+  app.post('/v2/query', (req, res) => {
+    const body = req.body || {};
+    if (createZaloPayMac([body.app_id, body.app_trans_id, key1], key1) !== body.mac) {
+      return res.json({ return_code: 2, return_message: 'Mac không hợp lệ', sub_return_code: -402 });
+    }
+    const txn = state.transactions.get(body.app_trans_id);
+    if (!txn) {
+      return res.json({ return_code: 2, return_message: 'Giao dịch không tồn tại', sub_return_code: -92 });
+    }
+    res.json({
+      return_code: txn.status,
+      return_message: { 1: 'Giao dịch thành công', 2: 'Giao dịch thất bại', 3: 'Giao dịch đang xử lý' }[txn.status],
+      is_processing: txn.status === 3,
+      amount: txn.amount,
+      zp_trans_id: txn.zp_trans_id || 0,
+      server_time: Date.now()
+    });
+  });
+
+  app.post('/v2/refund', (req, res) => {
+    const body = req.body || {};
+    const mac = createZaloPayMac([body.app_id, body.zp_trans_id, body.amount, body.description, body.timestamp], key1);
+    if (mac !== body.mac) {
+      return res.json({ return_code: 2, return_message: 'Mac không hợp lệ', sub_return_code: -402 });
+    }
+
+    const txn = [...state.transactions.values()].find(t => String(t.zp_trans_id) === String(body.zp_trans_id));
+    if (!txn || txn.status !== 1 || !(body.amount > 0) || txn.refunded + body.amount > txn.amount) {
+      return res.json({ return_code: 2, return_message: 'Hoàn tiền thất bại', sub_return_code: -13 });
+    }
+    txn.refunded += body.amount;
+    res.json({ return_code: 1, return_message: 'Hoàn tiền thành công', refund_id: ++zpTransId });
+  });
+
+  return {
+    app,
+    state,
+    setStatus(code) {
+      state.status = code;
+    },
+    setDeliverCallback(deliver) {
+      state.deliverCallback = deliver;
+    },
+    listen(port, host) {
+      return app.listen(port, host);
+    }
+  };
+}
+
+module.exports = { createZaloPayMock };
+
+if (require.main === module) {
+  require('dotenv').config();
+  const port = Number(process.env.ZALOPAY_MOCK_PORT) || 8890;
+  const mock = createZaloPayMock({
+    appId: Number(process.env.ZALOPAY_APP_ID),
+    key1: process.env.ZALOPAY_KEY1,
+    key2: process.env.ZALOPAY_KEY2
+  });
+  mock.listen(port, () => console.log(`ZaloPay mock running on http://localhost:${port}`));
+}
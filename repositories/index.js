@@ -0,0 +1,7 @@
+// Lớp truy cập dữ liệu. Mỗi backend trả về cùng một bộ repository:
+//   users, categories, foods, foodOptions, orders, orderStatusHistory, payments, refunds, tickets, stations, refreshTokens, userTokens, auditLogs, promotions
+// Hàng trả về giữ nguyên tên cột MySQL (xem db/migrations) để route không phụ thuộc backend.
+const { createMysqlRepositories } = require('./mysql');
+const { createMemoryRepositories } = require('./memory');
+
+module.exports = { createMysqlRepositories, createMemoryRepositories };
@@ -0,0 +1,46 @@
+const { insert } = require('./store');
+
+// Repository nhật ký thao tác (bộ nhớ)
+module.exports = (store) => {
+  const { tables } = store;
+
+  const matches = ({ from, to, actorId, action, entityType, entityId }) => entry =>
+    (!from || entry.created_at >= from) &&
+    (!to || entry.created_at < to) &&
+    (!actorId || entry.actor_id === Number(actorId)) &&
+    (!action || entry.action === action) &&
+    (!entityType || entry.entity_type === entityType) &&
+    (!entityId || entry.entity_id === String(entityId));
+
+  return {
+    async create({ actorId, actorRole, action, entityType, entityId, before, after, ipAddr, userAgent }) {
+      return insert(store, 'audit_logs', {
+        actor_id: actorId === null ? null : Number(actorId),
+        actor_role: actorRole,
+        action,
+        entity_type: entityType,
+        entity_id: entityId === null ? null : String(entityId),
+        before_value: structuredClone(before),
+        after_value: structuredClone(after),
+        ip_addr: ipAddr,
+        user_agent: userAgent,
+        created_at: new Date()
+      });
+    },
+
+    async search(filters, { limit, offset = 0 }) {
+      return tables.audit_logs
+        .filter(matches(filters))
+        .sort((a, b) => b.id - a.id)
+        .slice(offset, offset + limit)
+        .map(entry => {
+          const actor = tables.users.find(u => u.id === entry.actor_id);
+          return { ...structuredClone(entry), actor_name: actor ? actor.name : null };
+        });
+    },
+
+    async count(filters) {
+      return tables.audit_logs.filter(matches(filters)).length;
+    }
+  };
+};
@@ -0,0 +1,30 @@
+const { insert, duplicateEntry, copy } = require('./store');
+
+// Repository danh mục (bộ nhớ)
+module.exports = (store) => {
+  const categories = () => store.tables.categories;
+
+  return {
+    async list() {
+      return categories().map(copy);
+    },
+
+    async findById(id) {
+      return copy(categories().find(c => c.id === Number(id)));
+    },
+
+    async create(name) {
+      if (categories().some(c => c.name === name)) {
+        throw duplicateEntry('categories', 'uq_categories_name', name);
+      }
+      return insert(store, 'categories', { name, station_id: null });
+    },
+
+    async setStation(id, stationId) {
+      const category = categories().find(c => c.id === Number(id));
+      if (!category) return false;
+      category.station_id = stationId === null ? null : Number(stationId);
+      return true;
+    }
+  };
+};
@@ -0,0 +1,79 @@
+const { insert, copy, toFlag } = require('./store');
+
+// Repository nhóm tùy chọn và tùy chọn của món (bộ nhớ)
+module.exports = (store) => {
+  const groups = () => store.tables.food_option_groups;
+  const options = () => store.tables.food_options;
+  const bySortOrder = (a, b) => a.sort_order - b.sort_order || a.id - b.id;
+
+  // ON DELETE CASCADE của nhóm, ON DELETE SET NULL của lựa chọn đã đặt
+  const removeOptionRows = (predicate) => {
+    const rows = options();
+    for (let i = rows.length - 1; i >= 0; i--) {
+      if (!predicate(rows[i])) continue;
+      for (const chosen of store.tables.order_item_options) {
+        if (chosen.option_id === rows[i].id) chosen.option_id = null;
+      }
+      rows.splice(i, 1);
+    }
+  };
+
+  return {
+    async listForFoods(foodIds) {
+      const ids = foodIds.map(Number);
+      return groups()
+        .filter(g => ids.includes(g.food_id))
+        .sort((a, b) => a.food_id - b.food_id || bySortOrder(a, b))
+        .map(g => ({ ...g, options: options().filter(o => o.group_id === g.id).sort(bySortOrder).map(copy) }));
+    },
+
+    async findGroup(id) {
+      return copy(groups().find(g => g.id === Number(id)));
+    },
+
+    async createGroup(foodId, { name, selection, is_required, min_select, max_select, sort_order }) {
+      return insert(store, 'food_option_groups', {
+        food_id: Number(foodId), name, selection, is_required: toFlag(is_required), min_select, max_select, sort_order,
+        created_at: new Date()
+      });
+    },
+
+    async updateGroup(id, { name, selection, is_required, min_select, max_select, sort_order }) {
+      const group = groups().find(g => g.id === Number(id));
+      if (!group) return false;
+      Object.assign(group, { name, selection, is_required: toFlag(is_required), min_select, max_select, sort_order });
+      return true;
+    },
+
+    async removeGroup(id) {
+      const index = groups().findIndex(g => g.id === Number(id));
+      if (index === -1) return false;
+      groups().splice(index, 1);
+      removeOptionRows(o => o.group_id === Number(id));
+      return true;
+    },
+
+    async findOption(id) {
+      return copy(options().find(o => o.id === Number(id)));
+    },
+
+    async createOption(groupId, { name, price_delta, is_available, sort_order }) {
+      return insert(store, 'food_options', {
+        group_id: Number(groupId), name, price_delta, is_available: toFlag(is_available), sort_order
+      });
+    },
+
+    async updateOption(id, { name, price_delta, is_available, sort_order }) {
+      const option = options().find(o => o.id === Number(id));
+      if (!option) return false;
+      Object.assign(option, { name, price_delta, is_available: toFlag(is_available), sort_order });
+      return true;
+    },
+
+    async removeOption(id) {
+      if (!options().some(o => o.id === Number(id))) return false;
+      removeOptionRows(o => o.id === Number(id));
+      return true;
+    }
+  };
+};
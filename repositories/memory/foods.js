@@ -0,0 +1,153 @@
+const { insert, rowIsReferenced, copy, toFlag } = require('./store');
+
+// Xóa tại chỗ các dòng thỏa điều kiện
+function removeWhere(rows, predicate) {
+  for (let i = rows.length - 1; i >= 0; i--) {
+    if (predicate(rows[i])) rows.splice(i, 1);
+  }
+}
+
+// Chữ thường, bỏ dấu tiếng Việt (đ -> d), giống cách so sánh của collation utf8mb4_unicode_ci ở bản MySQL
+const fold = text => String(text || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/[đĐ]/g, 'd').toLowerCase();
+
+// Repository món ăn (bộ nhớ)
+module.exports = (store) => {
+  const foods = () => store.tables.food;
+
+  // Kèm tên danh mục (JOIN categories)
+  const withCategory = rows => rows
+    .map(f => {
+      const category = store.tables.categories.find(c => c.id === f.category_id);
+      return category ? { ...f, category_name: category.name } : null;
+    })
+    .filter(Boolean);
+
+  // Bộ lọc của search/count, giống searchClause của bản MySQL
+  const matches = ({ words, categoryId, minPrice, maxPrice, includeUnavailable }) => (f) => {
+    const text = `${fold(f.name)}\n${fold(f.description)}`;
+    return words.every(word => text.includes(fold(word))) &&
+      (!categoryId || f.category_id === Number(categoryId)) &&
+      (minPrice === null || f.price >= minPrice) &&
+      (maxPrice === null || f.price <= maxPrice) &&
+      (includeUnavailable || Boolean(f.is_available));
+  };
+
+  return {
+    async list({ categoryId } = {}) {
+      return withCategory(foods().filter(f => !categoryId || f.category_id === Number(categoryId)));
+    },
+
+    async search(filters, { sort, limit, offset = 0, soldStatuses }) {
+      const sold = new Map();
+      for (const item of store.tables.order_items) {
+        const order = store.tables.orders.find(o => o.id === item.order_id);
+        if (order && soldStatuses.includes(order.status)) {
+          sold.set(item.food_id, (sold.get(item.food_id) || 0) + item.quantity);
+        }
+      }
+      const key = { price: f => f.price, popularity: f => f.sold_count, created_at: f => f.created_at };
+      const direction = sort.descending ? -1 : 1;
+      return withCategory(foods().filter(matches(filters)))
+        .map(f => ({ ...f, sold_count: sold.get(f.id) || 0 }))
+        .sort((a, b) => direction * (key[sort.field](a) - key[sort.field](b)) || a.id - b.id)
+        .slice(offset, offset + limit);
+    },
+
+    async count(filters) {
+      return withCategory(foods().filter(matches(filters))).length;
+    },
+
+    async findById(id) {
+      return copy(foods().find(f => f.id === Number(id)));
+    },
+
+    async findMany(ids) {
+      const wanted = ids.map(Number);
+      return foods().filter(f => wanted.includes(f.id)).map(copy);
+    },
+
+    async findManyForUpdate(ids) {
+      const wanted = ids.map(Number);
+      return foods().filter(f => wanted.includes(f.id)).map(copy);
+    },
+
+    async create({ name, description, price, img_url, is_available, category_id }) {
+      return insert(store, 'food', {
+        name,
+        description,
+        price: Number(price),
+        img_url,
+        is_available: toFlag(is_available),
+        category_id: Number(category_id),
+        daily_stock: null,
+        stock: null,
+        created_at: new Date()
+      });
+    },
+
+    async update(id, { name, description, price, img_url, is_available, category_id }) {
+      const food = foods().find(f => f.id === Number(id));
+      if (!food) return false;
+      Object.assign(food, {
+        name,
+        description,
+        price: Number(price),
+        img_url,
+        is_available: toFlag(is_available),
+        category_id: Number(category_id)
+      });
+      return true;
+    },
+
+    async reserveStock(id, quantity) {
+      const food = foods().find(f => f.id === Number(id));
+      if (!food || food.stock === null || food.stock < quantity) return false;
+      food.stock -= quantity;
+      if (food.stock === 0) food.is_available = 0;
+      return true;
+    },
+
+    async releaseStock(id, quantity) {
+      const food = foods().find(f => f.id === Number(id));
+      if (!food || food.stock === null) return;
+      if (food.stock === 0) food.is_available = 1;
+      food.stock += quantity;
+    },
+
+    async setStock(id, { dailyStock, stock }) {
+      const food = foods().find(f => f.id === Number(id));
+      if (!food) return false;
+      Object.assign(food, { daily_stock: dailyStock, stock, is_available: toFlag(stock === null || stock > 0) });
+      return true;
+    },
+
+    async resetDailyStock() {
+      const limited = foods().filter(f => f.daily_stock !== null);
+      for (const food of limited) {
+        Object.assign(food, { stock: food.daily_stock, is_available: toFlag(food.daily_stock > 0) });
+      }
+      return limited.length;
+    },
+
+    async remove(id) {
+      const index = foods().findIndex(f => f.id === Number(id));
+      if (index === -1) return false;
+      // fk_order_items_food không có ON DELETE: món đã từng được đặt không xóa được
+      if (store.tables.order_items.some(i => i.food_id === Number(id))) {
+        throw rowIsReferenced('order_items', 'fk_order_items_food');
+      }
+      foods().splice(index, 1);
+      // ON DELETE CASCADE của nhóm tùy chọn và tùy chọn; lựa chọn đã đặt giữ bản chụp (ON DELETE SET NULL)
+      const groupIds = store.tables.food_option_groups.filter(g => g.food_id === Number(id)).map(g => g.id);
+      const optionIds = store.tables.food_options.filter(o => groupIds.includes(o.group_id)).map(o => o.id);
+      removeWhere(store.tables.food_option_groups, g => groupIds.includes(g.id));
+      removeWhere(store.tables.food_options, o => optionIds.includes(o.id));
+      for (const chosen of store.tables.order_item_options) {
+        if (optionIds.includes(chosen.option_id)) chosen.option_id = null;
+      }
+      // ON DELETE CASCADE của món tham gia khuyến mãi
+      removeWhere(store.tables.promotion_items, i => i.food_id === Number(id));
+      return true;
+    }
+  };
+};
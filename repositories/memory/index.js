@@ -0,0 +1,64 @@
+const { createStore, snapshot, restore } = require('./store');
+const createUsers = require('./users');
+const createCategories = require('./categories');
+const createFoods = require('./foods');
+const createFoodOptions = require('./foodOptions');
+const createOrders = require('./orders');
+const createPayments = require('./payments');
+const createTickets = require('./tickets');
+const createOrderStatusHistory = require('./orderStatusHistory');
+const createRefunds = require('./refunds');
+const createRefreshTokens = require('./refreshTokens');
+const createUserTokens = require('./userTokens');
+const createStations = require('./stations');
+const createAuditLogs = require('./auditLogs');
+const createPromotions = require('./promotions');
+
+// Tạo bộ repository lưu trong bộ nhớ, cùng giao diện với bản MySQL.
+// Transaction được chạy tuần tự; khi fn ném lỗi, dữ liệu được khôi phục từ bản chụp.
+// tx.afterCommit(fn) hẹn việc chạy sau khi transaction ngoài cùng thành công (bỏ qua khi rollback).
+function createMemoryRepositories(store = createStore()) {
+  const repos = {
+    store,
+    users: createUsers(store),
+    categories: createCategories(store),
+    foods: createFoods(store),
+    foodOptions: createFoodOptions(store),
+    orders: createOrders(store),
+    payments: createPayments(store),
+    tickets: createTickets(store),
+    orderStatusHistory: createOrderStatusHistory(store),
+    refunds: createRefunds(store),
+    stations: createStations(store),
+    refreshTokens: createRefreshTokens(store),
+    userTokens: createUserTokens(store),
+    auditLogs: createAuditLogs(store),
+    promotions: createPromotions(store)
+  };
+
+  let afterCommit = [];
+  const txRepos = { ...repos, transaction: fn => fn(txRepos), afterCommit: fn => afterCommit.push(fn) };
+  let queue = Promise.resolve();
+
+  repos.transaction = (fn) => {
+    const run = queue.then(async () => {
+      const saved = snapshot(store);
+      afterCommit = [];
+      let result;
+      try {
+        result = await fn(txRepos);
+      } catch (err) {
+        restore(store, saved);
+        throw err;
+      }
+      for (const callback of afterCommit.splice(0)) callback();
+      return result;
+    });
+    queue = run.catch(() => {});
+    return run;
+  };
+
+  return repos;
+}
+
+module.exports = { createMemoryRepositories };
@@ -0,0 +1,29 @@
+const { insert } = require('./store');
+
+// Repository lịch sử trạng thái đơn hàng (bộ nhớ)
+module.exports = (store) => {
+  const { tables } = store;
+
+  return {
+    async add({ orderId, fromStatus, toStatus, changedBy, actor, reason }) {
+      return insert(store, 'order_status_history', {
+        order_id: Number(orderId),
+        from_status: fromStatus,
+        to_status: toStatus,
+        changed_by: changedBy,
+        actor,
+        reason,
+        created_at: new Date()
+      });
+    },
+
+    async listByOrder(orderId) {
+      return tables.order_status_history
+        .filter(h => h.order_id === Number(orderId))
+        .map(h => {
+          const user = tables.users.find(u => u.id === h.changed_by);
+          return { ...h, changed_by_name: user ? user.name : null };
+        });
+    }
+  };
+};
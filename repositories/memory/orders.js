@@ -0,0 +1,229 @@
+const { insert, copy } = require('./store');
+
+// Repository đơn hàng và chi tiết đơn hàng (bộ nhớ)
+module.exports = (store) => {
+  const { tables } = store;
+  const findUser = userId => tables.users.find(u => u.id === userId);
+  const findTicket = orderId => tables.tickets.find(t => t.order_id === orderId);
+  const optionsOf = itemId => tables.order_item_options.filter(o => o.order_item_id === itemId).map(copy);
+  const contains = (text, part) => String(text || '').toLowerCase().includes(part.toLowerCase());
+
+  // Bộ lọc của search/count, giống searchClause của bản MySQL
+  const matches = ({ userId, statuses, from, to, customer, paymentMethods, ticketCode }) => (o) => {
+    const user = findUser(o.user_id);
+    const ticket = findTicket(o.id);
+    return Boolean(user) &&
+      (!userId || o.user_id === Number(userId)) &&
+      (!statuses || statuses.includes(o.status)) &&
+      (!from || o.created_at >= from) &&
+      (!to || o.created_at < to) &&
+      (!customer || contains(user.name, customer) || contains(user.email, customer)) &&
+      (!paymentMethods || tables.payments.some(p => p.order_id === o.id && paymentMethods.includes(p.method))) &&
+      (!ticketCode || (ticket && ticket.ticket_code === ticketCode));
+  };
+
+  return {
+    async create({ userId, totalPrice, discountTotal = 0, status }) {
+      return insert(store, 'orders', {
+        user_id: Number(userId), total_price: totalPrice, discount_total: discountTotal, status, created_at: new Date(),
+        kitchen_queued_at: null, kitchen_bumped_at: null
+      });
+    },
+
+    async addItem(orderId, { food_id, quantity, unit_price }) {
+      return insert(store, 'order_items', {
+        order_id: Number(orderId), food_id: Number(food_id), quantity, unit_price,
+        prep_status: 'queued', prep_started_at: null, prep_done_at: null
+      });
+    },
+
+    async addItemOption(itemId, { option_id, group_name, option_name, price_delta }) {
+      insert(store, 'order_item_options', { order_item_id: Number(itemId), option_id, group_name, option_name, price_delta });
+    },
+
+    async addDiscount(orderId, { promotion_id, code, name, amount }) {
+      insert(store, 'order_discounts', { order_id: Number(orderId), promotion_id, code, name, amount });
+    },
+
+    async listDiscounts(orderId) {
+      return tables.order_discounts.filter(d => d.order_id === Number(orderId)).map(copy);
+    },
+
+    async findById(id) {
+      return copy(tables.orders.find(o => o.id === Number(id)));
+    },
+
+    // Transaction bộ nhớ đã chạy tuần tự nên không cần khóa
+    async findByIdForUpdate(id) {
+      return copy(tables.orders.find(o => o.id === Number(id)));
+    },
+
+    async findForUser(id, userId) {
+      return copy(tables.orders.find(o => o.id === Number(id) && o.user_id === Number(userId)));
+    },
+
+    async findDetail(id) {
+      const order = tables.orders.find(o => o.id === Number(id));
+      if (!order) return null;
+      const user = findUser(order.user_id);
+      const ticket = findTicket(order.id);
+      return {
+        ...order,
+        email: user ? user.email : null,
+        name: user ? user.name : null,
+        ticket_code: ticket ? ticket.ticket_code : null
+      };
+    },
+
+    async search(filters, { sort, limit, offset = 0 }) {
+      const direction = sort.descending ? -1 : 1;
+      return tables.orders
+        .filter(matches(filters))
+        .sort((a, b) => direction * ((a[sort.field] - b[sort.field]) || (a.id - b.id)))
+        .slice(offset, offset + limit)
+        .map(o => {
+          const user = findUser(o.user_id);
+          const ticket = findTicket(o.id);
+          const payment = tables.payments.filter(p => p.order_id === o.id).sort((a, b) => b.payment_id - a.payment_id)[0];
+          return {
+            ...o,
+            customer_name: user.name,
+            email: user.email,
+            ticket_code: ticket ? ticket.ticket_code : null,
+            payment_method: payment ? payment.method : null,
+            payment_status: payment ? payment.status : null
+          };
+        });
+    },
+
+    async count(filters) {
+      return tables.orders.filter(matches(filters)).length;
+    },
+
+    async listByStatus(status, { userId } = {}) {
+      return tables.orders
+        .filter(o => o.status === status && (!userId || o.user_id === Number(userId)) && findUser(o.user_id))
+        .map(o => ({ ...o, email: findUser(o.user_id).email }));
+    },
+
+    async listCreatedBetween(from, to) {
+      return tables.orders.filter(o => o.created_at >= from && o.created_at < to).map(copy);
+    },
+
+    async listItems(orderId) {
+      return tables.order_items
+        .filter(i => i.order_id === Number(orderId))
+        .map(i => {
+          const food = tables.food.find(f => f.id === i.food_id);
+          return food ? { ...i, name: food.name, food_name: food.name, food_price: food.price, options: optionsOf(i.id) } : null;
+        })
+        .filter(Boolean);
+    },
+
+    async listItemsForOrders(orderIds) {
+      const ids = orderIds.map(Number);
+      return tables.order_items
+        .filter(i => ids.includes(i.order_id))
+        .map(i => {
+          const food = tables.food.find(f => f.id === i.food_id);
+          return food ? { ...i, name: food.name, food_name: food.name, food_price: food.price, options: optionsOf(i.id) } : null;
+        })
+        .filter(Boolean)
+        .sort((a, b) => a.order_id - b.order_id || a.id - b.id);
+    },
+
+    async foodTotalsByStatus(status) {
+      const totals = new Map();
+      for (const item of tables.order_items) {
+        const order = tables.orders.find(o => o.id === item.order_id);
+        const food = tables.food.find(f => f.id === item.food_id);
+        if (!order || !food || order.status !== status) continue;
+        const entry = totals.get(food.id) || { food_name: food.name, total_quantity: 0 };
+        entry.total_quantity += item.quantity;
+        totals.set(food.id, entry);
+      }
+      return [...totals.values()].sort((a, b) => b.total_quantity - a.total_quantity);
+    },
+
+    async updateStatus(id, status) {
+      const order = tables.orders.find(o => o.id === Number(id));
+      if (!order) return false;
+      order.status = status;
+      return true;
+    },
+
+    async updateStatusFrom(id, from, to) {
+      const order = tables.orders.find(o => o.id === Number(id) && o.status === from);
+      if (!order) return false;
+      order.status = to;
+      return true;
+    },
+
+    async markKitchenQueued(id) {
+      const order = tables.orders.find(o => o.id === Number(id));
+      if (order && !order.kitchen_queued_at) order.kitchen_queued_at = new Date();
+    },
+
+    async setKitchenBumped(id, bumped) {
+      const order = tables.orders.find(o => o.id === Number(id));
+      if (!order) return false;
+      order.kitchen_bumped_at = bumped ? new Date() : null;
+      return true;
+    },
+
+    async listKitchenQueue(statuses, { includeBumped = false } = {}) {
+      return tables.orders
+        .filter(o => statuses.includes(o.status) && o.kitchen_queued_at && (includeBumped || !o.kitchen_bumped_at))
+        .filter(o => findUser(o.user_id))
+        .sort((a, b) => a.kitchen_queued_at - b.kitchen_queued_at || a.id - b.id)
+        .map(o => {
+          const ticket = findTicket(o.id);
+          return { ...o, customer_name: findUser(o.user_id).name, ticket_code: ticket ? ticket.ticket_code : null };
+        });
+    },
+
+    async listKitchenItems(orderIds) {
+      const ids = orderIds.map(Number);
+      return tables.order_items
+        .filter(i => ids.includes(i.order_id))
+        .map(i => {
+          const food = tables.food.find(f => f.id === i.food_id);
+          if (!food) return null;
+          const category = tables.categories.find(c => c.id === food.category_id);
+          const station = category && tables.stations.find(s => s.id === category.station_id);
+          return {
+            ...i,
+            food_name: food.name,
+            station_id: station ? station.id : null,
+            station_name: station ? station.name : null,
+            options: optionsOf(i.id)
+          };
+        })
+        .filter(Boolean)
+        .sort((a, b) => a.order_id - b.order_id || a.id - b.id);
+    },
+
+    async findItem(itemId) {
+      return copy(tables.order_items.find(i => i.id === Number(itemId)));
+    },
+
+    async updateItemPrep(itemId, status) {
+      const item = tables.order_items.find(i => i.id === Number(itemId));
+      if (!item) return false;
+      item.prep_status = status;
+      item.prep_started_at = status === 'queued' ? null : item.prep_started_at || new Date();
+      item.prep_done_at = status === 'done' ? item.prep_done_at || new Date() : null;
+      return true;
+    },
+
+    async markItemsDone(orderId) {
+      const now = new Date();
+      for (const item of tables.order_items) {
+        if (item.order_id !== Number(orderId) || item.prep_status === 'done') continue;
+        item.prep_status = 'done';
+        item.prep_started_at = item.prep_started_at || now;
+        item.prep_done_at = now;
+      }
+    }
+  };
+};
@@ -0,0 +1,103 @@
+const { insert, copy } = require('./store');
+
+// Repository thanh toán (bộ nhớ), khóa chính là payment_id
+module.exports = (store) => {
+  const { tables } = store;
+  const find = paymentId => tables.payments.find(p => p.payment_id === Number(paymentId));
+  // Giống IF(refunded_amount >= amount, ...) của bản MySQL
+  const refundStatus = payment => (payment.refunded_amount >= payment.amount ? 'refunded' : 'partially_refunded');
+
+  return {
+    async findById(paymentId) {
+      return copy(find(paymentId));
+    },
+
+    async findByOrder(orderId) {
+      return copy(tables.payments.findLast(p => p.order_id === Number(orderId)));
+    },
+
+    async listByOrder(orderId) {
+      return tables.payments.filter(p => p.order_id === Number(orderId)).map(copy);
+    },
+
+    async listForOrders(orderIds) {
+      const ids = orderIds.map(Number);
+      return tables.payments.filter(p => ids.includes(p.order_id)).map(copy);
+    },
+
+    async findByTransactionId(transactionId) {
+      return copy(tables.payments.find(p => p.transaction_id === transactionId));
+    },
+
+    async create({ orderId, method, amount, status, transactionId, gatewayTransactionDate = null }) {
+      return insert(store, 'payments', {
+        order_id: Number(orderId),
+        method,
+        amount,
+        refunded_amount: 0,
+        status,
+        transaction_id: transactionId,
+        gateway_transaction_no: null,
+        gateway_transaction_date: gatewayTransactionDate,
+        gateway_response_code: null,
+        created_at: new Date(),
+        settled_at: null,
+        updated_at: new Date()
+      }, 'payment_id');
+    },
+
+    async updateStatus(paymentId, status) {
+      const payment = find(paymentId);
+      if (!payment) return false;
+      payment.status = status;
+      payment.updated_at = new Date();
+      return true;
+    },
+
+    async updateStatusFrom(paymentId, from, to, { gatewayTransactionNo = null, gatewayResponseCode = null } = {}) {
+      const payment = find(paymentId);
+      if (!payment || payment.status !== from) return false;
+      payment.status = to;
+      if (gatewayTransactionNo !== null) payment.gateway_transaction_no = gatewayTransactionNo;
+      if (gatewayResponseCode !== null) payment.gateway_response_code = gatewayResponseCode;
+      payment.settled_at = payment.settled_at || new Date();
+      payment.updated_at = new Date();
+      return true;
+    },
+
+    async cancelPendingByOrder(orderId) {
+      const pending = tables.payments.filter(p => p.order_id === Number(orderId) && p.status === 'pending');
+      for (const payment of pending) {
+        payment.status = 'cancelled';
+        payment.settled_at = new Date();
+        payment.updated_at = new Date();
+      }
+      return pending.length;
+    },
+
+    async reserveRefund(paymentId, amount) {
+      const payment = find(paymentId);
+      if (!payment || payment.refunded_amount + amount > payment.amount) return false;
+      payment.refunded_amount += amount;
+      payment.updated_at = new Date();
+      return true;
+    },
+
+    async markRefunded(paymentId) {
+      const payment = find(paymentId);
+      if (!payment) return;
+      // Lần thử bị thay thế vẫn giữ trạng thái paid_superseded, số đã hoàn nằm ở refunded_amount
+      if (payment.status !== 'paid_superseded') payment.status = refundStatus(payment);
+      payment.updated_at = new Date();
+    },
+
+    async releaseRefund(paymentId, amount) {
+      const payment = find(paymentId);
+      if (payment && payment.refunded_amount >= amount) {
+        payment.refunded_amount -= amount;
+        if (['partially_refunded', 'refunded'].includes(payment.status)) payment.status = refundStatus(payment);
+        payment.updated_at = new Date();
+      }
+    }
+  };
+};
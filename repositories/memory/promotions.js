@@ -0,0 +1,95 @@
+const { insert, copy, duplicateEntry, toFlag } = require('./store');
+
+// Repository khuyến mãi (bộ nhớ)
+module.exports = (store) => {
+  const promotions = () => store.tables.promotions;
+
+  const withItems = promotion => promotion && {
+    ...promotion,
+    items: store.tables.promotion_items
+      .filter(i => i.promotion_id === promotion.id)
+      .map(({ role, food_id, quantity }) => ({ role, food_id, quantity }))
+  };
+
+  const usage = (id, userId) => store.tables.order_discounts.filter(d => {
+    if (d.promotion_id !== Number(id)) return false;
+    const order = store.tables.orders.find(o => o.id === d.order_id);
+    return order && order.status !== 'cancelled' && (!userId || order.user_id === Number(userId));
+  }).length;
+
+  // Mã là khóa duy nhất (uq_promotions_code), NULL được lặp lại
+  const assertUniqueCode = (code, id) => {
+    if (code !== null && promotions().some(p => p.code === code && p.id !== id)) {
+      throw duplicateEntry('promotions', 'uq_promotions_code', code);
+    }
+  };
+
+  const removeItems = (id) => {
+    const rows = store.tables.promotion_items;
+    for (let i = rows.length - 1; i >= 0; i--) {
+      if (rows[i].promotion_id === Number(id)) rows.splice(i, 1);
+    }
+  };
+
+  const row = ({ code, name, type, value, max_discount, min_order_value, starts_at, ends_at, usage_limit, per_user_limit, is_active }) => ({
+    code, name, type, value, max_discount, min_order_value, starts_at, ends_at, usage_limit, per_user_limit,
+    is_active: toFlag(is_active)
+  });
+
+  return {
+    async list() {
+      return [...promotions()].sort((a, b) => b.id - a.id).map(p => ({ ...withItems(p), used_count: usage(p.id) }));
+    },
+
+    async findById(id) {
+      return withItems(copy(promotions().find(p => p.id === Number(id))));
+    },
+
+    async findByCode(code) {
+      return withItems(copy(promotions().find(p => p.code === code)));
+    },
+
+    async listAutomatic() {
+      return promotions().filter(p => p.code === null && p.is_active).map(p => withItems(copy(p)));
+    },
+
+    // Transaction bộ nhớ đã chạy tuần tự
+    async lockForUpdate() {},
+
+    async countUsage(id, { userId } = {}) {
+      return usage(id, userId);
+    },
+
+    async create(promotion) {
+      assertUniqueCode(promotion.code, null);
+      return insert(store, 'promotions', { ...row(promotion), created_at: new Date() });
+    },
+
+    async update(id, promotion) {
+      const existing = promotions().find(p => p.id === Number(id));
+      if (!existing) return false;
+      assertUniqueCode(promotion.code, existing.id);
+      Object.assign(existing, row(promotion));
+      return true;
+    },
+
+    async setItems(id, items) {
+      removeItems(id);
+      for (const { role, food_id, quantity } of items) {
+        insert(store, 'promotion_items', { promotion_id: Number(id), role, food_id: Number(food_id), quantity });
+      }
+    },
+
+    // ON DELETE CASCADE của promotion_items, ON DELETE SET NULL của order_discounts
+    async remove(id) {
+      const index = promotions().findIndex(p => p.id === Number(id));
+      if (index === -1) return false;
+      promotions().splice(index, 1);
+      removeItems(id);
+      for (const discount of store.tables.order_discounts) {
+        if (discount.promotion_id === Number(id)) discount.promotion_id = null;
+      }
+      return true;
+    }
+  };
+};
@@ -0,0 +1,44 @@
+const { insert, copy } = require('./store');
+
+// Repository refresh token (bộ nhớ)
+module.exports = (store) => {
+  const tokens = () => store.tables.refresh_tokens;
+  const revokeWhere = (match) => {
+    const now = new Date();
+    tokens().filter(t => match(t) && !t.revoked_at).forEach(t => { t.revoked_at = now; });
+  };
+
+  return {
+    async create({ userId, tokenHash, familyId, expiresAt, userAgent, ipAddr }) {
+      return insert(store, 'refresh_tokens', {
+        user_id: Number(userId),
+        token_hash: tokenHash,
+        family_id: familyId,
+        user_agent: userAgent,
+        ip_addr: ipAddr,
+        expires_at: expiresAt,
+        revoked_at: null,
+        created_at: new Date()
+      });
+    },
+
+    async findByHash(tokenHash) {
+      return copy(tokens().find(t => t.token_hash === tokenHash));
+    },
+
+    async revoke(id) {
+      const token = tokens().find(t => t.id === Number(id) && !t.revoked_at);
+      if (!token) return false;
+      token.revoked_at = new Date();
+      return true;
+    },
+
+    async revokeFamily(familyId) {
+      revokeWhere(t => t.family_id === familyId);
+    },
+
+    async revokeAllForUser(userId) {
+      revokeWhere(t => t.user_id === Number(userId));
+    }
+  };
+};
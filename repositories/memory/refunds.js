@@ -0,0 +1,46 @@
+const { insert, copy } = require('./store');
+
+// Repository hoàn tiền (bộ nhớ)
+module.exports = (store) => {
+  const { tables } = store;
+
+  return {
+    async create({ paymentId, amount, type, reason, requestId, createdBy }) {
+      const now = new Date();
+      return insert(store, 'refunds', {
+        payment_id: Number(paymentId),
+        amount,
+        type,
+        status: 'pending',
+        reason,
+        request_id: requestId,
+        gateway_response_code: null,
+        gateway_message: null,
+        gateway_transaction_no: null,
+        created_by: createdBy,
+        created_at: now,
+        updated_at: now
+      });
+    },
+
+    async findById(id) {
+      return copy(tables.refunds.find(r => r.id === Number(id)));
+    },
+
+    async complete(id, { status, gatewayResponseCode, gatewayMessage, gatewayTransactionNo = null }) {
+      const refund = tables.refunds.find(r => r.id === Number(id));
+      if (!refund) return;
+      Object.assign(refund, {
+        status,
+        gateway_response_code: gatewayResponseCode,
+        gateway_message: gatewayMessage,
+        gateway_transaction_no: gatewayTransactionNo,
+        updated_at: new Date()
+      });
+    },
+
+    async listByPayment(paymentId) {
+      return tables.refunds.filter(r => r.payment_id === Number(paymentId)).map(copy);
+    }
+  };
+};
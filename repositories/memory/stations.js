@@ -0,0 +1,23 @@
+const { insert, duplicateEntry, copy } = require('./store');
+
+// Repository trạm chế biến của bếp (bộ nhớ)
+module.exports = (store) => {
+  const stations = () => store.tables.stations;
+
+  return {
+    async list() {
+      return stations().map(copy);
+    },
+
+    async findById(id) {
+      return copy(stations().find(s => s.id === Number(id)));
+    },
+
+    async create(name) {
+      if (stations().some(s => s.name === name)) {
+        throw duplicateEntry('stations', 'uq_stations_name', name);
+      }
+      return insert(store, 'stations', { name, created_at: new Date() });
+    }
+  };
+};
@@ -0,0 +1,66 @@
+// Kho dữ liệu trong bộ nhớ, mô phỏng các bảng MySQL (dùng cho test và chạy thử)
+function createStore() {
+  return {
+    tables: {
+      users: [],
+      categories: [],
+      food: [],
+      orders: [],
+      order_items: [],
+      payments: [],
+      tickets: [],
+      order_status_history: [],
+      refunds: [],
+      stations: [],
+      refresh_tokens: [],
+      user_tokens: [],
+      audit_logs: [],
+      food_option_groups: [],
+      food_options: [],
+      order_item_options: [],
+      promotions: [],
+      promotion_items: [],
+      order_discounts: []
+    },
+    sequences: {}
+  };
+}
+
+// Thêm bản ghi với khóa tự tăng, trả về id như insertId
+function insert(store, table, row, key = 'id') {
+  const id = (store.sequences[table] || 0) + 1;
+  store.sequences[table] = id;
+  store.tables[table].push({ [key]: id, ...row });
+  return id;
+}
+
+// Lỗi giống mysql2 khi vi phạm khóa duy nhất
+function duplicateEntry(table, field, value) {
+  const err = new Error(`Duplicate entry '${value}' for key '${table}.${field}'`);
+  err.code = 'ER_DUP_ENTRY';
+  return err;
+}
+
+// Lỗi giống mysql2 khi xóa dòng còn được khóa ngoại không có ON DELETE tham chiếu tới
+function rowIsReferenced(table, constraint) {
+  const err = new Error(`Cannot delete or update a parent row: a foreign key constraint fails (\`${table}\`, CONSTRAINT \`${constraint}\`)`);
+  err.code = 'ER_ROW_IS_REFERENCED_2';
+  return err;
+}
+
+// Chụp và khôi phục toàn bộ dữ liệu (dùng cho rollback transaction).
+// Khôi phục tại chỗ để các repository đang giữ tham chiếu store.tables vẫn dùng được.
+function snapshot(store) {
+  return structuredClone({ tables: store.tables, sequences: store.sequences });
+}
+
+function restore(store, saved) {
+  Object.assign(store.tables, saved.tables);
+  for (const key of Object.keys(store.sequences)) delete store.sequences[key];
+  Object.assign(store.sequences, saved.sequences);
+}
+
+const copy = row => (row ? { ...row } : null);
+const toFlag = value => (value ? 1 : 0);
+
+module.exports = { createStore, insert, duplicateEntry, rowIsReferenced, snapshot, restore, copy, toFlag };
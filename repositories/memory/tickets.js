@@ -0,0 +1,62 @@
+const { insert, duplicateEntry, copy } = require('./store');
+
+// Repository phiếu ăn (bộ nhớ)
+module.exports = (store) => {
+  const { tables } = store;
+  const findOrder = orderId => tables.orders.find(o => o.id === orderId);
+
+  return {
+    async findByOrder(orderId) {
+      return copy(tables.tickets.find(t => t.order_id === Number(orderId)));
+    },
+
+    async findByOrderForUser(orderId, userId) {
+      const ticket = tables.tickets.find(t => t.order_id === Number(orderId));
+      const order = ticket && findOrder(ticket.order_id);
+      return order && order.user_id === Number(userId) ? copy(ticket) : null;
+    },
+
+    async findByCode(ticketCode) {
+      const ticket = tables.tickets.find(t => t.ticket_code === ticketCode);
+      const order = ticket && findOrder(ticket.order_id);
+      return order ? { ...ticket, order_status: order.status } : null;
+    },
+
+    async listUnusedForStatuses(statuses, at) {
+      return tables.tickets
+        .filter(t => !t.is_used && (!t.expires_at || t.expires_at > at))
+        .map(t => {
+          const order = findOrder(t.order_id);
+          const user = order && tables.users.find(u => u.id === order.user_id);
+          if (!user || !statuses.includes(order.status)) return null;
+          const payment = tables.payments.findLast(p => p.order_id === t.order_id);
+          return {
+            ...t,
+            order_status: order.status,
+            user_id: order.user_id,
+            total_price: order.total_price,
+            customer_name: user.name,
+            payment_status: payment ? payment.status : null
+          };
+        })
+        .filter(Boolean);
+    },
+
+    async create({ orderId, ticketCode, expiresAt = null }) {
+      if (tables.tickets.some(t => t.ticket_code === ticketCode)) {
+        throw duplicateEntry('tickets', 'uq_tickets_code', ticketCode);
+      }
+      return insert(store, 'tickets', {
+        order_id: Number(orderId), ticket_code: ticketCode, issued_at: new Date(), expires_at: expiresAt, is_used: 0,
+        used_at: null, used_by: null, used_device: null
+      });
+    },
+
+    async redeem(id, { userId, device, usedAt = null }) {
+      const ticket = tables.tickets.find(t => t.id === Number(id) && !t.is_used);
+      if (!ticket) return false;
+      Object.assign(ticket, { is_used: 1, used_at: usedAt || new Date(), used_by: userId, used_device: device });
+      return true;
+    }
+  };
+};
@@ -0,0 +1,33 @@
+const { insert, copy } = require('./store');
+
+// Repository token xác minh email / đặt lại mật khẩu (bộ nhớ)
+module.exports = (store) => {
+  const tokens = () => store.tables.user_tokens;
+
+  return {
+    async create({ userId, purpose, tokenHash, expiresAt }) {
+      return insert(store, 'user_tokens', {
+        user_id: Number(userId), purpose, token_hash: tokenHash, expires_at: expiresAt, used_at: null, created_at: new Date()
+      });
+    },
+
+    async findByHash(purpose, tokenHash) {
+      return copy(tokens().find(t => t.purpose === purpose && t.token_hash === tokenHash));
+    },
+
+    async consume(id) {
+      const now = new Date();
+      const token = tokens().find(t => t.id === Number(id) && !t.used_at && t.expires_at > now);
+      if (!token) return false;
+      token.used_at = now;
+      return true;
+    },
+
+    async invalidateForUser(userId, purpose) {
+      const now = new Date();
+      tokens()
+        .filter(t => t.user_id === Number(userId) && t.purpose === purpose && !t.used_at)
+        .forEach(t => { t.used_at = now; });
+    }
+  };
+};
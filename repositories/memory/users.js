@@ -0,0 +1,87 @@
+const { insert, duplicateEntry, rowIsReferenced, copy } = require('./store');
+
+// Cột email dùng collation utf8mb4_unicode_ci: so sánh không phân biệt hoa/thường như MySQL
+const sameEmail = (a, b) => String(a).toLowerCase() === String(b).toLowerCase();
+
+// Repository người dùng (bộ nhớ)
+module.exports = (store) => {
+  const users = () => store.tables.users;
+
+  return {
+    async findById(id) {
+      return copy(users().find(u => u.id === Number(id)));
+    },
+
+    async findByEmail(email) {
+      return copy(users().find(u => sameEmail(u.email, email)));
+    },
+
+    async create({ name, email, password, phone, role, locale = null }) {
+      if (users().some(u => sameEmail(u.email, email))) {
+        throw duplicateEntry('users', 'uq_users_email', email);
+      }
+      return insert(store, 'users', {
+        name, email, password, phone: phone || null, role, locale, email_verified_at: null, token_version: 0, created_at: new Date()
+      });
+    },
+
+    async list() {
+      return users().map(({ id, name, email, role }) => ({ id, name, email, role }));
+    },
+
+    async countByRole(role) {
+      return users().filter(u => u.role === role).length;
+    },
+
+    async updateRole(id, role) {
+      const user = users().find(u => u.id === Number(id));
+      if (!user) return false;
+      user.role = role;
+      return true;
+    },
+
+    async updateLocale(id, locale) {
+      const user = users().find(u => u.id === Number(id));
+      if (!user) return false;
+      user.locale = locale;
+      return true;
+    },
+
+    async markEmailVerified(id) {
+      const user = users().find(u => u.id === Number(id));
+      if (user && !user.email_verified_at) user.email_verified_at = new Date();
+    },
+
+    async updatePassword(id, password) {
+      const user = users().find(u => u.id === Number(id));
+      if (!user) return false;
+      user.password = password;
+      return true;
+    },
+
+    async bumpTokenVersion(id) {
+      const user = users().find(u => u.id === Number(id));
+      if (!user) return false;
+      user.token_version += 1;
+      return true;
+    },
+
+    async remove(id) {
+      const index = users().findIndex(u => u.id === Number(id));
+      if (index === -1) return false;
+      // fk_orders_user ON DELETE RESTRICT: giữ đơn hàng và thanh toán của người dùng
+      if (store.tables.orders.some(o => o.user_id === Number(id))) {
+        throw rowIsReferenced('orders', 'fk_orders_user');
+      }
+      users().splice(index, 1);
+      // ON DELETE CASCADE
+      for (const table of ['refresh_tokens', 'user_tokens']) {
+        const rows = store.tables[table];
+        for (let i = rows.length - 1; i >= 0; i--) {
+          if (rows[i].user_id === Number(id)) rows.splice(i, 1);
+        }
+      }
+      return true;
+    }
+  };
+};
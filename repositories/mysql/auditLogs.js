@@ -0,0 +1,44 @@
+// Repository nhật ký thao tác (MySQL)
+function whereClause({ from, to, actorId, action, entityType, entityId }) {
+  const conditions = [];
+  const params = [];
+  if (from) { conditions.push('a.created_at >= ?'); params.push(from); }
+  if (to) { conditions.push('a.created_at < ?'); params.push(to); }
+  if (actorId) { conditions.push('a.actor_id = ?'); params.push(actorId); }
+  if (action) { conditions.push('a.action = ?'); params.push(action); }
+  if (entityType) { conditions.push('a.entity_type = ?'); params.push(entityType); }
+  if (entityId) { conditions.push('a.entity_id = ?'); params.push(String(entityId)); }
+  return { sql: conditions.length ? `WHERE ${conditions.join(' AND ')}` : '', params };
+}
+
+module.exports = (db) => ({
+  async create({ actorId, actorRole, action, entityType, entityId, before, after, ipAddr, userAgent }) {
+    const [result] = await db.query(
+      'INSERT INTO audit_logs (actor_id, actor_role, action, entity_type, entity_id, before_value, after_value, ip_addr, user_agent, created_at) ' +
+      'VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, NOW())',
+      [
+        actorId, actorRole, action, entityType, entityId === null ? null : String(entityId),
+        before === null ? null : JSON.stringify(before), after === null ? null : JSON.stringify(after),
+        ipAddr, userAgent
+      ]
+    );
+    return result.insertId;
+  },
+
+  // Mới nhất trước, kèm tên người thực hiện nếu tài khoản còn tồn tại
+  async search(filters, { limit, offset = 0 }) {
+    const { sql, params } = whereClause(filters);
+    const [rows] = await db.query(
+      'SELECT a.*, u.name AS actor_name FROM audit_logs a ' +
+      `LEFT JOIN users u ON u.id = a.actor_id ${sql} ORDER BY a.id DESC LIMIT ? OFFSET ?`,
+      [...params, limit, offset]
+    );
+    return rows;
+  },
+
+  async count(filters) {
+    const { sql, params } = whereClause(filters);
+    const [rows] = await db.query(`SELECT COUNT(*) AS total FROM audit_logs a ${sql}`, params);
+    return Number(rows[0].total);
+  }
+});
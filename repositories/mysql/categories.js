@@ -0,0 +1,23 @@
+// Repository danh mục (MySQL)
+module.exports = (db) => ({
+  async list() {
+    const [rows] = await db.query('SELECT * FROM categories');
+    return rows;
+  },
+
+  async findById(id) {
+    const [rows] = await db.query('SELECT * FROM categories WHERE id = ?', [id]);
+    return rows[0] || null;
+  },
+
+  async create(name) {
+    const [result] = await db.query('INSERT INTO categories (name) VALUES (?)', [name]);
+    return result.insertId;
+  },
+
+  // Gán danh mục cho một trạm chế biến (null để bỏ gán)
+  async setStation(id, stationId) {
+    const [result] = await db.query('UPDATE categories SET station_id = ? WHERE id = ?', [stationId, id]);
+    return result.affectedRows > 0;
+  }
+});
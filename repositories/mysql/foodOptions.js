@@ -0,0 +1,71 @@
+// Repository nhóm tùy chọn và tùy chọn của món (MySQL)
+module.exports = (db) => ({
+  // Nhóm tùy chọn của nhiều món theo sort_order, mỗi nhóm kèm danh sách options
+  async listForFoods(foodIds) {
+    if (foodIds.length === 0) return [];
+    const [groups] = await db.query(
+      'SELECT * FROM food_option_groups WHERE food_id IN (?) ORDER BY food_id, sort_order, id',
+      [foodIds]
+    );
+    if (groups.length === 0) return [];
+    const [options] = await db.query(
+      'SELECT * FROM food_options WHERE group_id IN (?) ORDER BY sort_order, id',
+      [groups.map(g => g.id)]
+    );
+    return groups.map(g => ({ ...g, options: options.filter(o => o.group_id === g.id) }));
+  },
+
+  async findGroup(id) {
+    const [rows] = await db.query('SELECT * FROM food_option_groups WHERE id = ?', [id]);
+    return rows[0] || null;
+  },
+
+  async createGroup(foodId, { name, selection, is_required, min_select, max_select, sort_order }) {
+    const [result] = await db.query(
+      'INSERT INTO food_option_groups (food_id, name, selection, is_required, min_select, max_select, sort_order) ' +
+      'VALUES (?, ?, ?, ?, ?, ?, ?)',
+      [foodId, name, selection, is_required, min_select, max_select, sort_order]
+    );
+    return result.insertId;
+  },
+
+  async updateGroup(id, { name, selection, is_required, min_select, max_select, sort_order }) {
+    const [result] = await db.query(
+      'UPDATE food_option_groups SET name = ?, selection = ?, is_required = ?, min_select = ?, max_select = ?, sort_order = ? ' +
+      'WHERE id = ?',
+      [name, selection, is_required, min_select, max_select, sort_order, id]
+    );
+    return result.affectedRows > 0;
+  },
+
+  async removeGroup(id) {
+    const [result] = await db.query('DELETE FROM food_option_groups WHERE id = ?', [id]);
+    return result.affectedRows > 0;
+  },
+
+  async findOption(id) {
+    const [rows] = await db.query('SELECT * FROM food_options WHERE id = ?', [id]);
+    return rows[0] || null;
+  },
+
+  async createOption(groupId, { name, price_delta, is_available, sort_order }) {
+    const [result] = await db.query(
+      'INSERT INTO food_options (group_id, name, price_delta, is_available, sort_order) VALUES (?, ?, ?, ?, ?)',
+      [groupId, name, price_delta, is_available, sort_order]
+    );
+    return result.insertId;
+  },
+
+  async updateOption(id, { name, price_delta, is_available, sort_order }) {
+    const [result] = await db.query(
+      'UPDATE food_options SET name = ?, price_delta = ?, is_available = ?, sort_order = ? WHERE id = ?',
+      [name, price_delta, is_available, sort_order, id]
+    );
+    return result.affectedRows > 0;
+  },
+
+  async removeOption(id) {
+    const [result] = await db.query('DELETE FROM food_options WHERE id = ?', [id]);
+    return result.affectedRows > 0;
+  }
+});
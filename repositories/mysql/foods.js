@@ -0,0 +1,137 @@
+// Cột được phép sắp xếp khi tìm món (không ghép trực tiếp giá trị từ request vào SQL)
+const SORT_COLUMNS = { price: 'f.price', popularity: 'sold_count', created_at: 'f.created_at' };
+
+// Collation utf8mb4_unicode_ci đã bỏ qua dấu thanh và hoa/thường khi so sánh, riêng đ/Đ là chữ riêng nên đổi thành d
+const folded = column => `REPLACE(REPLACE(COALESCE(${column}, ''), 'đ', 'd'), 'Đ', 'd')`;
+
+// Điều kiện WHERE của search/count: mỗi từ phải có trong tên hoặc mô tả
+function searchClause({ words, categoryId, minPrice, maxPrice, includeUnavailable }) {
+  const conditions = [];
+  const params = [];
+  for (const word of words) {
+    conditions.push(`(${folded('f.name')} LIKE ? OR ${folded('f.description')} LIKE ?)`);
+    const pattern = `%${word.replace(/[đĐ]/g, 'd').replace(/[\\%_]/g, '\\$&')}%`;
+    params.push(pattern, pattern);
+  }
+  if (categoryId) { conditions.push('f.category_id = ?'); params.push(categoryId); }
+  if (minPrice !== null) { conditions.push('f.price >= ?'); params.push(minPrice); }
+  if (maxPrice !== null) { conditions.push('f.price <= ?'); params.push(maxPrice); }
+  if (!includeUnavailable) conditions.push('f.is_available = 1');
+  return { sql: conditions.length ? `WHERE ${conditions.join(' AND ')}` : '', params };
+}
+
+// Repository món ăn (MySQL)
+module.exports = (db) => ({
+  // Danh sách món kèm tên danh mục, lọc theo category_id nếu có
+  async list({ categoryId } = {}) {
+    let query = 'SELECT f.*, c.name as category_name FROM food f JOIN categories c ON f.category_id = c.id';
+    const params = [];
+
+    if (categoryId) {
+      query += ' WHERE f.category_id = ?';
+      params.push(categoryId);
+    }
+
+    const [rows] = await db.query(query, params);
+    return rows;
+  },
+
+  // Tìm món theo bộ lọc (xem services/menuSearch.js), kèm sold_count = số phần đã bán trong các đơn có trạng thái soldStatuses
+  async search(filters, { sort, limit, offset = 0, soldStatuses }) {
+    const { sql, params } = searchClause(filters);
+    const direction = sort.descending ? 'DESC' : 'ASC';
+    const [rows] = await db.query(
+      'SELECT f.*, c.name as category_name, COALESCE(s.sold, 0) as sold_count ' +
+      'FROM food f ' +
+      'JOIN categories c ON f.category_id = c.id ' +
+      'LEFT JOIN (SELECT oi.food_id, SUM(oi.quantity) as sold FROM order_items oi ' +
+      'JOIN orders o ON o.id = oi.order_id WHERE o.status IN (?) GROUP BY oi.food_id) s ON s.food_id = f.id ' +
+      `${sql} ORDER BY ${SORT_COLUMNS[sort.field]} ${direction}, f.id ASC LIMIT ? OFFSET ?`,
+      [soldStatuses, ...params, limit, offset]
+    );
+    return rows;
+  },
+
+  async count(filters) {
+    const { sql, params } = searchClause(filters);
+    const [rows] = await db.query(
+      `SELECT COUNT(*) as total FROM food f JOIN categories c ON f.category_id = c.id ${sql}`,
+      params
+    );
+    return Number(rows[0].total);
+  },
+
+  async findById(id) {
+    const [rows] = await db.query('SELECT * FROM food WHERE id = ?', [id]);
+    return rows[0] || null;
+  },
+
+  async findMany(ids) {
+    if (ids.length === 0) return [];
+    const [rows] = await db.query('SELECT * FROM food WHERE id IN (?)', [ids]);
+    return rows;
+  },
+
+  // Khóa các dòng món ăn trong transaction hiện tại
+  async findManyForUpdate(ids) {
+    if (ids.length === 0) return [];
+    const [rows] = await db.query('SELECT * FROM food WHERE id IN (?) FOR UPDATE', [ids]);
+    return rows;
+  },
+
+  async create({ name, description, price, img_url, is_available, category_id }) {
+    const [result] = await db.query(
+      'INSERT INTO food (name, description, price, img_url, is_available, category_id) VALUES (?, ?, ?, ?, ?, ?)',
+      [name, description, price, img_url, is_available, category_id]
+    );
+    return result.insertId;
+  },
+
+  async update(id, { name, description, price, img_url, is_available, category_id }) {
+    const [result] = await db.query(
+      'UPDATE food SET name = ?, description = ?, price = ?, img_url = ?, is_available = ?, category_id = ? WHERE id = ?',
+      [name, description, price, img_url, is_available, category_id, id]
+    );
+    return result.affectedRows > 0;
+  },
+
+  // Trừ tồn kho; hết hàng thì tự động ẩn món. Trả về false nếu không đủ số lượng.
+  async reserveStock(id, quantity) {
+    const [result] = await db.query(
+      'UPDATE food SET stock = stock - ?, is_available = IF(stock = 0, 0, is_available) ' +
+      'WHERE id = ? AND stock IS NOT NULL AND stock >= ?',
+      [quantity, id, quantity]
+    );
+    return result.affectedRows > 0;
+  },
+
+  // Hoàn lại tồn kho; món đang hết hàng sẽ được mở bán lại
+  async releaseStock(id, quantity) {
+    await db.query(
+      'UPDATE food SET is_available = IF(stock = 0, 1, is_available), stock = stock + ? ' +
+      'WHERE id = ? AND stock IS NOT NULL',
+      [quantity, id]
+    );
+  },
+
+  async setStock(id, { dailyStock, stock }) {
+    const [result] = await db.query(
+      'UPDATE food SET daily_stock = ?, stock = ?, is_available = ? WHERE id = ?',
+      [dailyStock, stock, stock === null || stock > 0, id]
+    );
+    return result.affectedRows > 0;
+  },
+
+  // Đặt lại tồn kho đầu ngày cho các món có giới hạn daily_stock
+  async resetDailyStock() {
+    const [result] = await db.query(
+      'UPDATE food SET stock = daily_stock, is_available = daily_stock > 0 WHERE daily_stock IS NOT NULL'
+    );
+    return result.affectedRows;
+  },
+
+  async remove(id) {
+    const [result] = await db.query('DELETE FROM food WHERE id = ?', [id]);
+    return result.affectedRows > 0;
+  }
+});
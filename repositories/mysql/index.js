@@ -0,0 +1,65 @@
+const createUsers = require('./users');
+const createCategories = require('./categories');
+const createFoods = require('./foods');
+const createFoodOptions = require('./foodOptions');
+const createOrders = require('./orders');
+const createPayments = require('./payments');
+const createTickets = require('./tickets');
+const createOrderStatusHistory = require('./orderStatusHistory');
+const createRefunds = require('./refunds');
+const createRefreshTokens = require('./refreshTokens');
+const createUserTokens = require('./userTokens');
+const createStations = require('./stations');
+const createAuditLogs = require('./auditLogs');
+const createPromotions = require('./promotions');
+
+// Tạo bộ repository MySQL từ pool (hoặc connection) của mysql2/promise.
+// transaction(fn) chạy fn với bộ repository gắn vào một connection riêng,
+// commit khi fn thành công và rollback khi fn ném lỗi.
+// tx.afterCommit(fn) hẹn việc chạy sau khi transaction ngoài cùng commit (bỏ qua khi rollback).
+function createMysqlRepositories(db, { inTransaction = false, afterCommit = null } = {}) {
+  const repos = {
+    users: createUsers(db),
+    categories: createCategories(db),
+    foods: createFoods(db),
+    foodOptions: createFoodOptions(db),
+    orders: createOrders(db),
+    payments: createPayments(db),
+    tickets: createTickets(db),
+    orderStatusHistory: createOrderStatusHistory(db),
+    refunds: createRefunds(db),
+    stations: createStations(db),
+    refreshTokens: createRefreshTokens(db),
+    userTokens: createUserTokens(db),
+    auditLogs: createAuditLogs(db),
+    promotions: createPromotions(db)
+  };
+
+  repos.transaction = async (fn) => {
+    // Transaction lồng nhau dùng lại connection hiện tại
+    if (inTransaction) return fn(repos);
+
+    const conn = await db.getConnection();
+    const callbacks = [];
+    let result;
+    try {
+      await conn.beginTransaction();
+      result = await fn(createMysqlRepositories(conn, { inTransaction: true, afterCommit: callbacks }));
+      await conn.commit();
+    } catch (err) {
+      await conn.rollback();
+      throw err;
+    } finally {
+      conn.release();
+    }
+    for (const callback of callbacks) callback();
+    return result;
+  };
+  if (inTransaction) {
+    repos.afterCommit = fn => afterCommit.push(fn);
+  }
+
+  return repos;
+}
+
+module.exports = { createMysqlRepositories };
@@ -0,0 +1,23 @@
+// Repository lịch sử trạng thái đơn hàng (MySQL)
+module.exports = (db) => ({
+  async add({ orderId, fromStatus, toStatus, changedBy, actor, reason }) {
+    const [result] = await db.query(
+      'INSERT INTO order_status_history (order_id, from_status, to_status, changed_by, actor, reason, created_at) ' +
+      'VALUES (?, ?, ?, ?, ?, ?, NOW())',
+      [orderId, fromStatus, toStatus, changedBy, actor, reason]
+    );
+    return result.insertId;
+  },
+
+  async listByOrder(orderId) {
+    const [rows] = await db.query(
+      'SELECT h.*, u.name as changed_by_name ' +
+      'FROM order_status_history h ' +
+      'LEFT JOIN users u ON h.changed_by = u.id ' +
+      'WHERE h.order_id = ? ' +
+      'ORDER BY h.id',
+      [orderId]
+    );
+    return rows;
+  }
+});
@@ -0,0 +1,271 @@
+// Gắn tùy chọn khách đã chọn (bản chụp lúc đặt) vào từng món: item.options
+async function withOptions(db, items) {
+  if (items.length === 0) return items;
+  const [rows] = await db.query(
+    'SELECT * FROM order_item_options WHERE order_item_id IN (?) ORDER BY id',
+    [items.map(i => i.id)]
+  );
+  return items.map(item => ({ ...item, options: rows.filter(r => r.order_item_id === item.id) }));
+}
+
+// Cột được phép sắp xếp (không ghép trực tiếp giá trị từ request vào SQL)
+const SORT_COLUMNS = { created_at: 'created_at', total_price: 'total_price' };
+
+// Điều kiện WHERE của search/count
+function searchClause({ userId, statuses, from, to, customer, paymentMethods, ticketCode }) {
+  const conditions = [];
+  const params = [];
+  if (userId) { conditions.push('o.user_id = ?'); params.push(userId); }
+  if (statuses) { conditions.push('o.status IN (?)'); params.push(statuses); }
+  if (from) { conditions.push('o.created_at >= ?'); params.push(from); }
+  if (to) { conditions.push('o.created_at < ?'); params.push(to); }
+  if (customer) {
+    conditions.push('(u.name LIKE ? OR u.email LIKE ?)');
+    const pattern = `%${customer.replace(/[\\%_]/g, '\\$&')}%`;
+    params.push(pattern, pattern);
+  }
+  if (paymentMethods) {
+    conditions.push('EXISTS (SELECT 1 FROM payments pm WHERE pm.order_id = o.id AND pm.method IN (?))');
+    params.push(paymentMethods);
+  }
+  if (ticketCode) { conditions.push('t.ticket_code = ?'); params.push(ticketCode); }
+  return { sql: conditions.length ? `WHERE ${conditions.join(' AND ')}` : '', params };
+}
+
+// Repository đơn hàng và chi tiết đơn hàng (MySQL)
+module.exports = (db) => ({
+  async create({ userId, totalPrice, discountTotal = 0, status }) {
+    const [result] = await db.query(
+      'INSERT INTO orders (user_id, total_price, discount_total, status, created_at) VALUES (?, ?, ?, ?, NOW())',
+      [userId, totalPrice, discountTotal, status]
+    );
+    return result.insertId;
+  },
+
+  async addItem(orderId, { food_id, quantity, unit_price }) {
+    const [result] = await db.query(
+      'INSERT INTO order_items (order_id, food_id, quantity, unit_price) VALUES (?, ?, ?, ?)',
+      [orderId, food_id, quantity, unit_price]
+    );
+    return result.insertId;
+  },
+
+  async addItemOption(itemId, { option_id, group_name, option_name, price_delta }) {
+    await db.query(
+      'INSERT INTO order_item_options (order_item_id, option_id, group_name, option_name, price_delta) VALUES (?, ?, ?, ?, ?)',
+      [itemId, option_id, group_name, option_name, price_delta]
+    );
+  },
+
+  async addDiscount(orderId, { promotion_id, code, name, amount }) {
+    await db.query(
+      'INSERT INTO order_discounts (order_id, promotion_id, code, name, amount) VALUES (?, ?, ?, ?, ?)',
+      [orderId, promotion_id, code, name, amount]
+    );
+  },
+
+  async listDiscounts(orderId) {
+    const [rows] = await db.query('SELECT * FROM order_discounts WHERE order_id = ? ORDER BY id', [orderId]);
+    return rows;
+  },
+
+  async findById(id) {
+    const [rows] = await db.query('SELECT * FROM orders WHERE id = ?', [id]);
+    return rows[0] || null;
+  },
+
+  // Đọc và khóa đơn tới hết transaction (các thao tác của bếp trên cùng một đơn chạy lần lượt)
+  async findByIdForUpdate(id) {
+    const [rows] = await db.query('SELECT * FROM orders WHERE id = ? FOR UPDATE', [id]);
+    return rows[0] || null;
+  },
+
+  // Chỉ trả về đơn nếu thuộc về người dùng
+  async findForUser(id, userId) {
+    const [rows] = await db.query('SELECT * FROM orders WHERE id = ? AND user_id = ?', [id, userId]);
+    return rows[0] || null;
+  },
+
+  // Đơn hàng kèm thông tin khách và mã phiếu
+  async findDetail(id) {
+    const [rows] = await db.query(
+      'SELECT o.*, u.email, u.name, t.ticket_code ' +
+      'FROM orders o ' +
+      'LEFT JOIN users u ON o.user_id = u.id ' +
+      'LEFT JOIN tickets t ON o.id = t.order_id ' +
+      'WHERE o.id = ?',
+      [id]
+    );
+    return rows[0] || null;
+  },
+
+  // Danh sách đơn theo bộ lọc (xem services/orderSearch.js), kèm khách, mã phiếu và lần thanh toán gần nhất
+  async search(filters, { sort, limit, offset = 0 }) {
+    const { sql, params } = searchClause(filters);
+    const direction = sort.descending ? 'DESC' : 'ASC';
+    const [rows] = await db.query(
+      'SELECT o.*, u.name as customer_name, u.email, t.ticket_code, p.method as payment_method, p.status as payment_status ' +
+      'FROM orders o ' +
+      'JOIN users u ON o.user_id = u.id ' +
+      'LEFT JOIN tickets t ON o.id = t.order_id ' +
+      'LEFT JOIN payments p ON p.payment_id = (SELECT MAX(p2.payment_id) FROM payments p2 WHERE p2.order_id = o.id) ' +
+      `${sql} ORDER BY o.${SORT_COLUMNS[sort.field]} ${direction}, o.id ${direction} LIMIT ? OFFSET ?`,
+      [...params, limit, offset]
+    );
+    return rows;
+  },
+
+  async count(filters) {
+    const { sql, params } = searchClause(filters);
+    const [rows] = await db.query(
+      `SELECT COUNT(*) as total FROM orders o JOIN users u ON o.user_id = u.id LEFT JOIN tickets t ON o.id = t.order_id ${sql}`,
+      params
+    );
+    return Number(rows[0].total);
+  },
+
+  // Lọc theo trạng thái, kèm email khách; userId để giới hạn theo người dùng
+  async listByStatus(status, { userId } = {}) {
+    let query = 'SELECT o.*, u.email FROM orders o JOIN users u ON o.user_id = u.id WHERE o.status = ?';
+    const params = [status];
+
+    if (userId) {
+      query += ' AND o.user_id = ?';
+      params.push(userId);
+    }
+
+    const [rows] = await db.query(query, params);
+    return rows;
+  },
+
+  // Đơn tạo trong khoảng [from, to)
+  async listCreatedBetween(from, to) {
+    const [rows] = await db.query(
+      'SELECT * FROM orders WHERE created_at >= ? AND created_at < ? ORDER BY id',
+      [from, to]
+    );
+    return rows;
+  },
+
+  async listItems(orderId) {
+    const [rows] = await db.query(
+      'SELECT oi.*, f.name, f.name as food_name, f.price as food_price ' +
+      'FROM order_items oi ' +
+      'JOIN food f ON oi.food_id = f.id ' +
+      'WHERE oi.order_id = ?',
+      [orderId]
+    );
+    return withOptions(db, rows);
+  },
+
+  // Chi tiết món của nhiều đơn trong một truy vấn
+  async listItemsForOrders(orderIds) {
+    if (orderIds.length === 0) return [];
+    const [rows] = await db.query(
+      'SELECT oi.*, f.name, f.name as food_name, f.price as food_price ' +
+      'FROM order_items oi ' +
+      'JOIN food f ON oi.food_id = f.id ' +
+      'WHERE oi.order_id IN (?) ' +
+      'ORDER BY oi.order_id, oi.id',
+      [orderIds]
+    );
+    return withOptions(db, rows);
+  },
+
+  // Tổng số lượng từng món trong các đơn có trạng thái cho trước
+  async foodTotalsByStatus(status) {
+    const [rows] = await db.query(
+      'SELECT f.name as food_name, SUM(oi.quantity) as total_quantity ' +
+      'FROM order_items oi ' +
+      'JOIN orders o ON oi.order_id = o.id ' +
+      'JOIN food f ON oi.food_id = f.id ' +
+      'WHERE o.status = ? ' +
+      'GROUP BY f.id, f.name ' +
+      'ORDER BY total_quantity DESC',
+      [status]
+    );
+    return rows;
+  },
+
+  async updateStatus(id, status) {
+    const [result] = await db.query('UPDATE orders SET status = ? WHERE id = ?', [status, id]);
+    return result.affectedRows > 0;
+  },
+
+  // Chỉ cập nhật nếu đơn vẫn ở trạng thái `from`
+  async updateStatusFrom(id, from, to) {
+    const [result] = await db.query('UPDATE orders SET status = ? WHERE id = ? AND status = ?', [to, id, from]);
+    return result.affectedRows > 0;
+  },
+
+  // Ghi thời điểm đơn vào hàng đợi bếp (chỉ lần đầu)
+  async markKitchenQueued(id) {
+    await db.query('UPDATE orders SET kitchen_queued_at = COALESCE(kitchen_queued_at, NOW()) WHERE id = ?', [id]);
+  },
+
+  // bumped = true: bếp gỡ đơn khỏi màn hình; false: gọi lại đơn
+  async setKitchenBumped(id, bumped) {
+    const [result] = await db.query(
+      `UPDATE orders SET kitchen_bumped_at = ${bumped ? 'NOW()' : 'NULL'} WHERE id = ?`,
+      [id]
+    );
+    return result.affectedRows > 0;
+  },
+
+  // Hàng đợi bếp theo thứ tự vào bếp, kèm tên khách và mã phiếu
+  async listKitchenQueue(statuses, { includeBumped = false } = {}) {
+    const [rows] = await db.query(
+      'SELECT o.*, u.name as customer_name, t.ticket_code ' +
+      'FROM orders o ' +
+      'JOIN users u ON o.user_id = u.id ' +
+      'LEFT JOIN tickets t ON o.id = t.order_id ' +
+      'WHERE o.status IN (?) AND o.kitchen_queued_at IS NOT NULL' +
+      (includeBumped ? '' : ' AND o.kitchen_bumped_at IS NULL') + ' ' +
+      'ORDER BY o.kitchen_queued_at, o.id',
+      [statuses]
+    );
+    return rows;
+  },
+
+  // Các món của nhiều đơn trong một truy vấn, kèm trạm chế biến theo danh mục của món
+  async listKitchenItems(orderIds) {
+    if (orderIds.length === 0) return [];
+    const [rows] = await db.query(
+      'SELECT oi.*, f.name as food_name, c.station_id, s.name as station_name ' +
+      'FROM order_items oi ' +
+      'JOIN food f ON oi.food_id = f.id ' +
+      'LEFT JOIN categories c ON f.category_id = c.id ' +
+      'LEFT JOIN stations s ON c.station_id = s.id ' +
+      'WHERE oi.order_id IN (?) ' +
+      'ORDER BY oi.order_id, oi.id',
+      [orderIds]
+    );
+    return withOptions(db, rows);
+  },
+
+  async findItem(itemId) {
+    const [rows] = await db.query('SELECT * FROM order_items WHERE id = ?', [itemId]);
+    return rows[0] || null;
+  },
+
+  // Đổi trạng thái chế biến của một món; giữ lại lúc bắt đầu nấu, xóa lúc xong nếu món bị trả về
+  async updateItemPrep(itemId, status) {
+    const [result] = await db.query(
+      'UPDATE order_items SET prep_status = ?, ' +
+      "prep_started_at = CASE WHEN ? = 'queued' THEN NULL ELSE COALESCE(prep_started_at, NOW()) END, " +
+      "prep_done_at = CASE WHEN ? = 'done' THEN COALESCE(prep_done_at, NOW()) ELSE NULL END " +
+      'WHERE id = ?',
+      [status, status, status, itemId]
+    );
+    return result.affectedRows > 0;
+  },
+
+  // Đánh dấu xong mọi món còn lại của đơn
+  async markItemsDone(orderId) {
+    await db.query(
+      "UPDATE order_items SET prep_status = 'done', prep_started_at = COALESCE(prep_started_at, NOW()), prep_done_at = NOW() " +
+      "WHERE order_id = ? AND prep_status <> 'done'",
+      [orderId]
+    );
+  }
+});
@@ -0,0 +1,99 @@
+// Repository thanh toán (MySQL), khóa chính là payment_id
+module.exports = (db) => ({
+  async findById(paymentId) {
+    const [rows] = await db.query('SELECT * FROM payments WHERE payment_id = ?', [paymentId]);
+    return rows[0] || null;
+  },
+
+  // Lần thử thanh toán gần nhất của đơn
+  async findByOrder(orderId) {
+    const [rows] = await db.query(
+      'SELECT * FROM payments WHERE order_id = ? ORDER BY payment_id DESC LIMIT 1',
+      [orderId]
+    );
+    return rows[0] || null;
+  },
+
+  // Tất cả các lần thử thanh toán của đơn, cũ nhất trước
+  async listByOrder(orderId) {
+    const [rows] = await db.query('SELECT * FROM payments WHERE order_id = ? ORDER BY payment_id', [orderId]);
+    return rows;
+  },
+
+  // Các lần thử thanh toán của nhiều đơn trong một truy vấn
+  async listForOrders(orderIds) {
+    if (orderIds.length === 0) return [];
+    const [rows] = await db.query('SELECT * FROM payments WHERE order_id IN (?) ORDER BY payment_id', [orderIds]);
+    return rows;
+  },
+
+  async findByTransactionId(transactionId) {
+    const [rows] = await db.query('SELECT * FROM payments WHERE transaction_id = ?', [transactionId]);
+    return rows[0] || null;
+  },
+
+  async create({ orderId, method, amount, status, transactionId, gatewayTransactionDate = null }) {
+    const [result] = await db.query(
+      'INSERT INTO payments (order_id, method, amount, status, transaction_id, gateway_transaction_date, created_at) ' +
+      'VALUES (?, ?, ?, ?, ?, ?, NOW())',
+      [orderId, method, amount, status, transactionId, gatewayTransactionDate]
+    );
+    return result.insertId;
+  },
+
+  async updateStatus(paymentId, status) {
+    const [result] = await db.query('UPDATE payments SET status = ? WHERE payment_id = ?', [status, paymentId]);
+    return result.affectedRows > 0;
+  },
+
+  // Chỉ cập nhật nếu thanh toán vẫn ở trạng thái `from`; lần đổi trạng thái đầu tiên ghi settled_at
+  async updateStatusFrom(paymentId, from, to, { gatewayTransactionNo = null, gatewayResponseCode = null } = {}) {
+    const [result] = await db.query(
+      'UPDATE payments SET status = ?, gateway_transaction_no = COALESCE(?, gateway_transaction_no), ' +
+      'gateway_response_code = COALESCE(?, gateway_response_code), settled_at = COALESCE(settled_at, NOW()) ' +
+      'WHERE payment_id = ? AND status = ?',
+      [to, gatewayTransactionNo, gatewayResponseCode, paymentId, from]
+    );
+    return result.affectedRows > 0;
+  },
+
+  // Hủy các lần thử còn pending của đơn khi khách tạo lần thử mới
+  async cancelPendingByOrder(orderId) {
+    const [result] = await db.query(
+      "UPDATE payments SET status = 'cancelled', settled_at = NOW() WHERE order_id = ? AND status = 'pending'",
+      [orderId]
+    );
+    return result.affectedRows;
+  },
+
+  // Giữ trước số tiền hoàn; false nếu vượt quá số tiền còn lại
+  async reserveRefund(paymentId, amount) {
+    const [result] = await db.query(
+      'UPDATE payments SET refunded_amount = refunded_amount + ? WHERE payment_id = ? AND refunded_amount + ? <= amount',
+      [amount, paymentId, amount]
+    );
+    return result.affectedRows > 0;
+  },
+
+  // Trạng thái sau khi cổng hoàn tiền thành công, tính trên refunded_amount hiện tại trong cùng câu lệnh
+  // (gồm cả các yêu cầu hoàn tiền đồng thời đã giữ tiền), không theo bản đọc trước khi gọi cổng.
+  // Lần thử bị thay thế vẫn giữ trạng thái paid_superseded, số đã hoàn nằm ở refunded_amount
+  async markRefunded(paymentId) {
+    await db.query(
+      "UPDATE payments SET status = IF(status = 'paid_superseded', status, IF(refunded_amount >= amount, 'refunded', 'partially_refunded')) " +
+      'WHERE payment_id = ?',
+      [paymentId]
+    );
+  },
+
+  // Trả lại phần đã giữ khi cổng từ chối; nếu đã có lần hoàn thành công thì tính lại trạng thái theo số còn lại
+  // (MySQL gán SET từ trái sang phải, nên status dùng refunded_amount mới)
+  async releaseRefund(paymentId, amount) {
+    await db.query(
+      'UPDATE payments SET refunded_amount = refunded_amount - ?, ' +
+      "status = IF(status IN ('partially_refunded', 'refunded'), IF(refunded_amount >= amount, 'refunded', 'partially_refunded'), status) " +
+      'WHERE payment_id = ? AND refunded_amount >= ?',
+      [amount, paymentId, amount]
+    );
+  }
+});
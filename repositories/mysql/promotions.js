@@ -0,0 +1,92 @@
+// Repository khuyến mãi (MySQL)
+const COLUMNS = ['code', 'name', 'type', 'value', 'max_discount', 'min_order_value', 'starts_at', 'ends_at',
+  'usage_limit', 'per_user_limit', 'is_active'];
+
+// Gắn danh sách món tham gia (items) vào từng khuyến mãi
+async function withItems(db, promotions) {
+  if (promotions.length === 0) return promotions;
+  const [items] = await db.query(
+    'SELECT promotion_id, role, food_id, quantity FROM promotion_items WHERE promotion_id IN (?) ORDER BY id',
+    [promotions.map(p => p.id)]
+  );
+  return promotions.map(p => ({
+    ...p,
+    items: items.filter(i => i.promotion_id === p.id).map(({ role, food_id, quantity }) => ({ role, food_id, quantity }))
+  }));
+}
+
+module.exports = (db) => ({
+  // Tất cả khuyến mãi kèm số lần đã dùng (không tính đơn đã hủy)
+  async list() {
+    const [rows] = await db.query(
+      'SELECT p.*, (SELECT COUNT(*) FROM order_discounts d JOIN orders o ON d.order_id = o.id ' +
+      "WHERE d.promotion_id = p.id AND o.status <> 'cancelled') as used_count " +
+      'FROM promotions p ORDER BY p.id DESC'
+    );
+    return withItems(db, rows);
+  },
+
+  async findById(id) {
+    const [rows] = await db.query('SELECT * FROM promotions WHERE id = ?', [id]);
+    return (await withItems(db, rows))[0] || null;
+  },
+
+  async findByCode(code) {
+    const [rows] = await db.query('SELECT * FROM promotions WHERE code = ?', [code]);
+    return (await withItems(db, rows))[0] || null;
+  },
+
+  // Khuyến mãi tự động (không cần mã) đang bật; thời gian hiệu lực do service kiểm tra
+  async listAutomatic() {
+    const [rows] = await db.query('SELECT * FROM promotions WHERE code IS NULL AND is_active = 1 ORDER BY id');
+    return withItems(db, rows);
+  },
+
+  // Khóa các khuyến mãi trong transaction hiện tại trước khi đếm lượt dùng
+  async lockForUpdate(ids) {
+    if (ids.length === 0) return;
+    await db.query('SELECT id FROM promotions WHERE id IN (?) FOR UPDATE', [ids]);
+  },
+
+  // Số lần đã dùng (toàn bộ hoặc của một người dùng), không tính đơn đã hủy
+  async countUsage(id, { userId } = {}) {
+    let query = 'SELECT COUNT(*) as total FROM order_discounts d JOIN orders o ON d.order_id = o.id ' +
+      "WHERE d.promotion_id = ? AND o.status <> 'cancelled'";
+    const params = [id];
+    if (userId) {
+      query += ' AND o.user_id = ?';
+      params.push(userId);
+    }
+    const [rows] = await db.query(query, params);
+    return Number(rows[0].total);
+  },
+
+  async create(promotion) {
+    const [result] = await db.query(
+      `INSERT INTO promotions (${COLUMNS.join(', ')}, created_at) VALUES (${COLUMNS.map(() => '?').join(', ')}, NOW())`,
+      COLUMNS.map(column => promotion[column])
+    );
+    return result.insertId;
+  },
+
+  async update(id, promotion) {
+    const [result] = await db.query(
+      `UPDATE promotions SET ${COLUMNS.map(column => `${column} = ?`).join(', ')} WHERE id = ?`,
+      [...COLUMNS.map(column => promotion[column]), id]
+    );
+    return result.affectedRows > 0;
+  },
+
+  // Thay toàn bộ danh sách món tham gia
+  async setItems(id, items) {
+    await db.query('DELETE FROM promotion_items WHERE promotion_id = ?', [id]);
+    for (const { role, food_id, quantity } of items) {
+      await db.query('INSERT INTO promotion_items (promotion_id, role, food_id, quantity) VALUES (?, ?, ?, ?)', [id, role, food_id, quantity]);
+    }
+  },
+
+  async remove(id) {
+    const [result] = await db.query('DELETE FROM promotions WHERE id = ?', [id]);
+    return result.affectedRows > 0;
+  }
+});
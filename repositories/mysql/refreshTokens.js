@@ -0,0 +1,33 @@
+// Repository refresh token (MySQL)
+module.exports = (db) => ({
+  async create({ userId, tokenHash, familyId, expiresAt, userAgent, ipAddr }) {
+    const [result] = await db.query(
+      'INSERT INTO refresh_tokens (user_id, token_hash, family_id, user_agent, ip_addr, expires_at, created_at) ' +
+      'VALUES (?, ?, ?, ?, ?, ?, NOW())',
+      [userId, tokenHash, familyId, userAgent, ipAddr, expiresAt]
+    );
+    return result.insertId;
+  },
+
+  async findByHash(tokenHash) {
+    const [rows] = await db.query('SELECT * FROM refresh_tokens WHERE token_hash = ?', [tokenHash]);
+    return rows[0] || null;
+  },
+
+  // Thu hồi một token nếu chưa bị thu hồi: hai lần làm mới đồng thời thì chỉ một lần thành công
+  async revoke(id) {
+    const [result] = await db.query(
+      'UPDATE refresh_tokens SET revoked_at = NOW() WHERE id = ? AND revoked_at IS NULL',
+      [id]
+    );
+    return result.affectedRows > 0;
+  },
+
+  async revokeFamily(familyId) {
+    await db.query('UPDATE refresh_tokens SET revoked_at = NOW() WHERE family_id = ? AND revoked_at IS NULL', [familyId]);
+  },
+
+  async revokeAllForUser(userId) {
+    await db.query('UPDATE refresh_tokens SET revoked_at = NOW() WHERE user_id = ? AND revoked_at IS NULL', [userId]);
+  }
+});
@@ -0,0 +1,29 @@
+// Repository hoàn tiền (MySQL)
+module.exports = (db) => ({
+  async create({ paymentId, amount, type, reason, requestId, createdBy }) {
+    const [result] = await db.query(
+      'INSERT INTO refunds (payment_id, amount, type, status, reason, request_id, created_by, created_at) ' +
+      'VALUES (?, ?, ?, ?, ?, ?, ?, NOW())',
+      [paymentId, amount, type, 'pending', reason, requestId, createdBy]
+    );
+    return result.insertId;
+  },
+
+  async findById(id) {
+    const [rows] = await db.query('SELECT * FROM refunds WHERE id = ?', [id]);
+    return rows[0] || null;
+  },
+
+  // Ghi nhận kết quả từ cổng thanh toán
+  async complete(id, { status, gatewayResponseCode, gatewayMessage, gatewayTransactionNo = null }) {
+    await db.query(
+      'UPDATE refunds SET status = ?, gateway_response_code = ?, gateway_message = ?, gateway_transaction_no = ? WHERE id = ?',
+      [status, gatewayResponseCode, gatewayMessage, gatewayTransactionNo, id]
+    );
+  },
+
+  async listByPayment(paymentId) {
+    const [rows] = await db.query('SELECT * FROM refunds WHERE payment_id = ? ORDER BY id', [paymentId]);
+    return rows;
+  }
+});
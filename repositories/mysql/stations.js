@@ -0,0 +1,17 @@
+// Repository trạm chế biến của bếp (MySQL)
+module.exports = (db) => ({
+  async list() {
+    const [rows] = await db.query('SELECT * FROM stations ORDER BY id');
+    return rows;
+  },
+
+  async findById(id) {
+    const [rows] = await db.query('SELECT * FROM stations WHERE id = ?', [id]);
+    return rows[0] || null;
+  },
+
+  async create(name) {
+    const [result] = await db.query('INSERT INTO stations (name, created_at) VALUES (?, NOW())', [name]);
+    return result.insertId;
+  }
+});
@@ -0,0 +1,58 @@
+// Repository phiếu ăn (MySQL)
+module.exports = (db) => ({
+  async findByOrder(orderId) {
+    const [rows] = await db.query('SELECT * FROM tickets WHERE order_id = ?', [orderId]);
+    return rows[0] || null;
+  },
+
+  async findByOrderForUser(orderId, userId) {
+    const [rows] = await db.query(
+      'SELECT t.* FROM tickets t JOIN orders o ON t.order_id = o.id WHERE t.order_id = ? AND o.user_id = ?',
+      [orderId, userId]
+    );
+    return rows[0] || null;
+  },
+
+  // Phiếu kèm trạng thái đơn hàng (order_status)
+  async findByCode(ticketCode) {
+    const [rows] = await db.query(
+      'SELECT t.*, o.status as order_status FROM tickets t JOIN orders o ON t.order_id = o.id WHERE t.ticket_code = ?',
+      [ticketCode]
+    );
+    return rows[0] || null;
+  },
+
+  // Phiếu chưa dùng, còn hạn tại thời điểm `at`, của các đơn có trạng thái cho trước;
+  // kèm khách hàng, tổng tiền và trạng thái lần thanh toán gần nhất
+  async listUnusedForStatuses(statuses, at) {
+    const [rows] = await db.query(
+      'SELECT t.*, o.status as order_status, o.user_id, o.total_price, u.name as customer_name, p.status as payment_status ' +
+      'FROM tickets t ' +
+      'JOIN orders o ON t.order_id = o.id ' +
+      'JOIN users u ON o.user_id = u.id ' +
+      'LEFT JOIN payments p ON p.payment_id = (SELECT MAX(payment_id) FROM payments WHERE order_id = t.order_id) ' +
+      'WHERE t.is_used = ? AND o.status IN (?) AND (t.expires_at IS NULL OR t.expires_at > ?) ' +
+      'ORDER BY t.id',
+      [false, statuses, at]
+    );
+    return rows;
+  },
+
+  async create({ orderId, ticketCode, expiresAt = null }) {
+    const [result] = await db.query(
+      'INSERT INTO tickets (order_id, ticket_code, issued_at, expires_at, is_used) VALUES (?, ?, NOW(), ?, ?)',
+      [orderId, ticketCode, expiresAt, false]
+    );
+    return result.insertId;
+  },
+
+  // Đánh dấu phiếu đã dùng chỉ khi phiếu còn chưa dùng: hai máy quét cùng lúc thì chỉ một bên thành công
+  // usedAt: thời điểm quét thực tế (quét offline), mặc định là bây giờ
+  async redeem(id, { userId, device, usedAt = null }) {
+    const [result] = await db.query(
+      'UPDATE tickets SET is_used = ?, used_at = COALESCE(?, NOW()), used_by = ?, used_device = ? WHERE id = ? AND is_used = ?',
+      [true, usedAt, userId, device, id, false]
+    );
+    return result.affectedRows > 0;
+  }
+});
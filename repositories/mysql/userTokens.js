@@ -0,0 +1,32 @@
+// Repository token xác minh email / đặt lại mật khẩu (MySQL)
+module.exports = (db) => ({
+  async create({ userId, purpose, tokenHash, expiresAt }) {
+    const [result] = await db.query(
+      'INSERT INTO user_tokens (user_id, purpose, token_hash, expires_at, created_at) VALUES (?, ?, ?, ?, NOW())',
+      [userId, purpose, tokenHash, expiresAt]
+    );
+    return result.insertId;
+  },
+
+  async findByHash(purpose, tokenHash) {
+    const [rows] = await db.query('SELECT * FROM user_tokens WHERE purpose = ? AND token_hash = ?', [purpose, tokenHash]);
+    return rows[0] || null;
+  },
+
+  // Đánh dấu đã dùng nếu còn hạn và chưa dùng: mỗi token chỉ dùng được một lần
+  async consume(id) {
+    const [result] = await db.query(
+      'UPDATE user_tokens SET used_at = NOW() WHERE id = ? AND used_at IS NULL AND expires_at > NOW()',
+      [id]
+    );
+    return result.affectedRows > 0;
+  },
+
+  // Vô hiệu các token chưa dùng của người dùng cho một mục đích (khi cấp token mới)
+  async invalidateForUser(userId, purpose) {
+    await db.query(
+      'UPDATE user_tokens SET used_at = NOW() WHERE user_id = ? AND purpose = ? AND used_at IS NULL',
+      [userId, purpose]
+    );
+  }
+});
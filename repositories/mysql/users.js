@@ -0,0 +1,61 @@
+// Repository người dùng (MySQL)
+module.exports = (db) => ({
+  async findById(id) {
+    const [rows] = await db.query('SELECT * FROM users WHERE id = ?', [id]);
+    return rows[0] || null;
+  },
+
+  async findByEmail(email) {
+    const [rows] = await db.query('SELECT * FROM users WHERE email = ?', [email]);
+    return rows[0] || null;
+  },
+
+  async create({ name, email, password, phone, role, locale = null }) {
+    const [result] = await db.query(
+      'INSERT INTO users (name, email, password, phone, role, locale) VALUES (?, ?, ?, ?, ?, ?)',
+      [name, email, password, phone, role, locale]
+    );
+    return result.insertId;
+  },
+
+  async list() {
+    const [rows] = await db.query('SELECT id, name, email, role FROM users');
+    return rows;
+  },
+
+  // Khóa các dòng được đếm để hai yêu cầu đồng thời không cùng hạ quyền admin cuối cùng
+  async countByRole(role) {
+    const [rows] = await db.query('SELECT id FROM users WHERE role = ? FOR UPDATE', [role]);
+    return rows.length;
+  },
+
+  async updateRole(id, role) {
+    const [result] = await db.query('UPDATE users SET role = ? WHERE id = ?', [role, id]);
+    return result.affectedRows > 0;
+  },
+
+  async updateLocale(id, locale) {
+    const [result] = await db.query('UPDATE users SET locale = ? WHERE id = ?', [locale, id]);
+    return result.affectedRows > 0;
+  },
+
+  async markEmailVerified(id) {
+    await db.query('UPDATE users SET email_verified_at = COALESCE(email_verified_at, NOW()) WHERE id = ?', [id]);
+  },
+
+  async updatePassword(id, password) {
+    const [result] = await db.query('UPDATE users SET password = ? WHERE id = ?', [password, id]);
+    return result.affectedRows > 0;
+  },
+
+  // Vô hiệu mọi access token đã cấp cho người dùng
+  async bumpTokenVersion(id) {
+    const [result] = await db.query('UPDATE users SET token_version = token_version + 1 WHERE id = ?', [id]);
+    return result.affectedRows > 0;
+  },
+
+  async remove(id) {
+    const [result] = await db.query('DELETE FROM users WHERE id = ?', [id]);
+    return result.affectedRows > 0;
+  }
+});
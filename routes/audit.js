@@ -0,0 +1,54 @@
+const express = require('express');
+const { createAuthMiddleware, requirePermission } = require('../middleware/auth');
+const { v, validate } = require('../middleware/validate');
+const { MAX_LIMIT, EXPORT_FORMATS, AuditQueryError, searchAuditLog, exportAuditLog } = require('../services/audit');
+const { msg } = require('../services/i18n');
+
+module.exports = ({ repos }) => {
+  const router = express.Router();
+  const authMiddleware = createAuthMiddleware({ repos });
+
+  const filters = {
+    from: v.date().optional(),
+    to: v.date().optional(),
+    actor_id: v.id().optional(),
+    action: v.string({ max: 50 }).optional(),
+    entity_type: v.string({ max: 30 }).optional(),
+    entity_id: v.string({ max: 64 }).optional()
+  };
+
+  const handleError = (res, route, err) => {
+    if (err instanceof AuditQueryError) {
+      return res.status(err.status).json({ error: err.localized });
+    }
+    console.error(`Error in ${route}:`, err);
+    res.status(500).json({ error: msg('common.server_error') });
+  };
+
+  // Tra cứu nhật ký thao tác: ?from=&to=YYYY-MM-DD&actor_id=&action=&entity_type=&entity_id=&limit=&offset=
+  router.get('/admin/audit-logs', authMiddleware, requirePermission('audit.view'), validate({
+    query: { ...filters, limit: v.integer({ min: 1, max: MAX_LIMIT }).optional(), offset: v.integer({ min: 0 }).optional() }
+  }), async (req, res) => {
+    try {
+      res.json(await searchAuditLog(repos, req.query));
+    } catch (err) {
+      handleError(res, '/admin/audit-logs', err);
+    }
+  });
+
+  // Tải nhật ký theo cùng bộ lọc, ?format=csv|json
+  router.get('/admin/audit-logs/export', authMiddleware, requirePermission('audit.view'), validate({
+    query: { ...filters, format: v.enum(EXPORT_FORMATS).optional() }
+  }), async (req, res) => {
+    try {
+      const file = await exportAuditLog(repos, req.query);
+      res.set('Content-Type', file.contentType);
+      res.set('Content-Disposition', `attachment; filename="${file.filename}"`);
+      res.send(file.body);
+    } catch (err) {
+      handleError(res, '/admin/audit-logs/export', err);
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,219 @@
+const express = require('express');
+const bcrypt = require('bcrypt');
+const { createAuthMiddleware } = require('../middleware/auth');
+const { negotiateLocale } = require('../middleware/locale');
+const { v, validate } = require('../middleware/validate');
+const { AuthTokenError, issueSession, refreshSession, revokeSession, revokeAllSessions } = require('../services/authTokens');
+const {
+  AccountError, passwordProblem, sendVerificationEmail, verifyEmail, requestPasswordReset, resetPassword
+} = require('../services/account');
+const { LOCALES, msg } = require('../services/i18n');
+
+// Thông tin thiết bị lưu kèm refresh token
+const sessionMeta = req => ({ userAgent: req.header('User-Agent') || null, ipAddr: req.ip || null });
+
+module.exports = ({ repos, mailer }) => {
+  const router = express.Router();
+  const authMiddleware = createAuthMiddleware({ repos });
+
+  const emailRule = v.string({ max: 255, email: true }).message(msg('auth.invalid_email'));
+  const passwordRule = v.string({ trim: false }).refine(passwordProblem);
+  const refreshTokenBody = { refresh_token: v.string({ max: 255 }).message(msg('auth.refresh_token_required')) };
+  // null: theo Accept-Language của từng request
+  const localeRule = v.enum(LOCALES).nullable();
+
+  // API đăng ký
+  router.post('/register', validate({
+    body: {
+      name: v.string({ max: 100 }),
+      email: emailRule,
+      password: passwordRule,
+      phone: v.string({ max: 20, pattern: /^\+?[0-9 .-]{8,20}$/ }).nullable().default(null),
+      locale: localeRule.default(null)
+    }
+  }), async (req, res) => {
+    const { name, email, password, phone, locale } = req.body;
+
+    try {
+      // Kiểm tra email đã tồn tại
+      const existing = await repos.users.findByEmail(email);
+      if (existing) {
+        return res.status(400).json({ error: msg('auth.email_exists') });
+      }
+
+      // Mã hóa mật khẩu
+      const hash = await bcrypt.hash(password, 10);
+
+      // Thêm người dùng mới
+      const userId = await repos.users.create({ name, email, password: hash, phone, role: 'customer', locale });
+
+      // Gửi email xác minh; lỗi gửi thư không làm hỏng việc đăng ký (có thể gửi lại)
+      try {
+        await sendVerificationEmail(repos, mailer, { id: userId, name, email, locale }, { locale: req.locale });
+      } catch (err) {
+        console.error(`Failed to send verification email to user ${userId}:`, err);
+      }
+
+      // Tạo access token và refresh token
+      const session = await issueSession(repos, { id: userId, role: 'customer', token_version: 0 }, sessionMeta(req));
+
+      // Trả về token và thông tin người dùng
+      res.json({
+        ...session,
+        user: { id: userId, name, email, phone, role: 'customer', email_verified: false, locale }
+      });
+    } catch (err) {
+      console.error('Error in /register:', err);
+      res.status(500).json({ error: msg('common.server_error') });
+    }
+  });
+
+  // API đăng nhập
+  router.post('/login', validate({
+    body: { email: v.string({ max: 255 }), password: v.string({ trim: false, max: 255 }) }
+  }), async (req, res) => {
+    const { email, password } = req.body;
+    try {
+      // Tìm người dùng
+      const user = await repos.users.findByEmail(email);
+      if (!user) {
+        return res.status(401).json({ error: msg('auth.invalid_credentials') });
+      }
+
+      // Kiểm tra mật khẩu
+      if (await bcrypt.compare(password, user.password)) {
+        // Tạo access token và refresh token
+        const session = await issueSession(repos, user, sessionMeta(req));
+        res.json({
+          ...session,
+          user: {
+            id: user.id, name: user.name, email: user.email, role: user.role,
+            email_verified: Boolean(user.email_verified_at), locale: user.locale || null
+          }
+        });
+      } else {
+        res.status(401).json({ error: msg('auth.invalid_credentials') });
+      }
+    } catch (err) {
+      console.error('Error in /login:', err);
+      res.status(500).json({ error: msg('common.server_error') });
+    }
+  });
+
+  // Xác minh email bằng token trong thư
+  router.post('/verify-email', validate({ body: { token: v.string({ max: 255 }) } }), async (req, res) => {
+    try {
+      await verifyEmail(repos, req.body.token);
+      res.json({ message: msg('account.email_verified') });
+    } catch (err) {
+      if (err instanceof AccountError) {
+        return res.status(err.status).json({ error: err.localized });
+      }
+      console.error('Error in /verify-email:', err);
+      res.status(500).json({ error: msg('common.server_error') });
+    }
+  });
+
+  // Gửi lại email xác minh cho người dùng đang đăng nhập
+  router.post('/verify-email/resend', authMiddleware, async (req, res) => {
+    try {
+      const user = await repos.users.findById(req.user.id);
+      if (user.email_verified_at) {
+        return res.status(400).json({ error: msg('account.email_already_verified') });
+      }
+
+      await sendVerificationEmail(repos, mailer, user, { locale: req.locale });
+      res.json({ message: msg('account.verification_sent') });
+    } catch (err) {
+      console.error('Error in /verify-email/resend:', err);
+      res.status(500).json({ error: msg('common.server_error') });
+    }
+  });
+
+  // Quên mật khẩu: gửi liên kết đặt lại nếu email tồn tại; phản hồi giống nhau trong mọi trường hợp
+  router.post('/password/forgot', validate({ body: { email: emailRule } }), async (req, res) => {
+    try {
+      await requestPasswordReset(repos, mailer, req.body.email, { locale: req.locale });
+      res.json({ message: msg('account.reset_requested') });
+    } catch (err) {
+      console.error('Error in /password/forgot:', err);
+      res.status(500).json({ error: msg('common.server_error') });
+    }
+  });
+
+  // Đặt mật khẩu mới bằng token trong thư; mọi phiên đăng nhập cũ bị thu hồi
+  router.post('/password/reset', validate({ body: { token: v.string({ max: 255 }), password: passwordRule } }), async (req, res) => {
+    const { token, password } = req.body;
+
+    try {
+      await resetPassword(repos, token, password);
+      res.json({ message: msg('account.password_reset') });
+    } catch (err) {
+      if (err instanceof AccountError) {
+        return res.status(err.status).json({ error: err.localized });
+      }
+      console.error('Error in /password/reset:', err);
+      res.status(500).json({ error: msg('common.server_error') });
+    }
+  });
+
+  // Đổi refresh token lấy access token mới; refresh token cũ hết hiệu lực
+  router.post('/token/refresh', validate({ body: refreshTokenBody }), async (req, res) => {
+    const { refresh_token } = req.body;
+
+    try {
+      const { user, ...session } = await refreshSession(repos, refresh_token, sessionMeta(req));
+      res.json({
+        ...session,
+        user: { id: user.id, name: user.name, email: user.email, role: user.role, locale: user.locale || null }
+      });
+    } catch (err) {
+      if (err instanceof AuthTokenError) {
+        return res.status(err.status).json({ error: err.localized });
+      }
+      console.error('Error in /token/refresh:', err);
+      res.status(500).json({ error: msg('common.server_error') });
+    }
+  });
+
+  // Đổi tùy chọn của người dùng đang đăng nhập: locale (vi, en hoặc null để theo Accept-Language)
+  router.put('/me/preferences', authMiddleware, validate({ body: { locale: localeRule } }), async (req, res) => {
+    const { locale } = req.body;
+
+    try {
+      await repos.users.updateLocale(req.user.id, locale);
+      // Phản hồi dùng ngay ngôn ngữ vừa chọn
+      req.locale = locale || negotiateLocale(req);
+      res.json({ message: msg('account.preferences_updated'), locale });
+    } catch (err) {
+      console.error('Error in /me/preferences:', err);
+      res.status(500).json({ error: msg('common.server_error') });
+    }
+  });
+
+  // Đăng xuất thiết bị hiện tại; access token còn hạn ngắn nên client cần xóa nó
+  router.post('/logout', validate({ body: refreshTokenBody }), async (req, res) => {
+    const { refresh_token } = req.body;
+
+    try {
+      await revokeSession(repos, refresh_token);
+      res.json({ message: msg('auth.logged_out') });
+    } catch (err) {
+      console.error('Error in /logout:', err);
+      res.status(500).json({ error: msg('common.server_error') });
+    }
+  });
+
+  // Đăng xuất mọi thiết bị: mọi refresh token và access token của người dùng hết hiệu lực
+  router.post('/logout-all', authMiddleware, async (req, res) => {
+    try {
+      await revokeAllSessions(repos, req.user.id);
+      res.json({ message: msg('auth.logged_out_all') });
+    } catch (err) {
+      console.error('Error in /logout-all:', err);
+      res.status(500).json({ error: msg('common.server_error') });
+    }
+  });
+
+  return router;
+};
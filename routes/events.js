@@ -0,0 +1,110 @@
+const express = require('express');
+const { createAuthMiddleware, requirePermission, currentUser } = require('../middleware/auth');
+const { v, validate } = require('../middleware/validate');
+const { subscribe } = require('../services/events');
+const { hasPermission } = require('../services/permissions');
+const { STREAM_TOKEN_TTL_SECONDS, signStreamToken, verifyStreamToken } = require('../services/authTokens');
+const { msg } = require('../services/i18n');
+
+const DEFAULT_HEARTBEAT_MS = 25000;
+// setTimeout giới hạn ở 2^31 - 1 ms
+const MAX_TIMER_MS = 2147483647;
+
+const heartbeatMs = () => Number(process.env.SSE_HEARTBEAT_MS) || DEFAULT_HEARTBEAT_MS;
+
+// Mở luồng Server-Sent Events và gửi các sự kiện thỏa filter cho tới khi client ngắt kết nối.
+// Luồng sống lâu hơn một request nên quyền được kiểm tra lại: luồng đóng khi token hết hạn, và ở mỗi nhịp ping
+// người dùng được đọc lại (bị xóa, đăng xuất mọi thiết bị, mất quyền allowed) — kèm sự kiện session.ended { reason }.
+function openStream(req, res, { repos, filter, allowed = () => true }) {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write('retry: 5000\n\n');
+
+  const send = event => {
+    res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+  };
+
+  // Kết nối lại: phát lại các sự kiện sau Last-Event-ID
+  const lastEventId = Number(req.header('Last-Event-ID') || req.query.last_event_id);
+  const unsubscribe = subscribe(filter, send, { afterId: Number.isInteger(lastEventId) ? lastEventId : null });
+
+  let ended = false;
+  const end = reason => {
+    if (ended) return;
+    ended = true;
+    res.write(`event: session.ended\ndata: ${JSON.stringify({ reason })}\n\n`);
+    res.end();
+  };
+
+  // Luồng mở bằng stream token hết hạn cùng access token đã dùng để xin nó (se)
+  const expiresAt = (req.auth.se || req.auth.exp) * 1000;
+  const expiry = setTimeout(() => end('expired'), Math.min(Math.max(expiresAt - Date.now(), 0), MAX_TIMER_MS));
+
+  const heartbeat = setInterval(async () => {
+    try {
+      const user = await currentUser(repos, req.auth);
+      if (!user || !allowed(user)) return end('revoked');
+      if (!ended) res.write(': ping\n\n');
+    } catch (err) {
+      console.error('Error in SSE heartbeat:', err);
+    }
+  }, heartbeatMs());
+
+  res.on('close', () => {
+    ended = true;
+    clearTimeout(expiry);
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+}
+
+module.exports = ({ repos }) => {
+  const router = express.Router();
+  const authMiddleware = createAuthMiddleware({ repos });
+  const streamTokenMiddleware = createAuthMiddleware({ repos, verify: verifyStreamToken, tokenFrom: req => req.query.token });
+
+  // EventSource của trình duyệt không gửi được header Authorization: nhận stream token ngắn hạn qua ?token=
+  // (xin bằng POST /events/token), các client khác dùng access token trong header như mọi API
+  const streamAuth = (req, res, next) => (req.header('Authorization') ? authMiddleware : streamTokenMiddleware)(req, res, next);
+
+  const streamQuery = {
+    token: v.string({ max: 2000 }).optional(),
+    last_event_id: v.integer({ min: 0 }).optional()
+  };
+
+  // API cấp stream token để mở luồng SSE từ trình duyệt
+  router.post('/events/token', authMiddleware, (req, res) => {
+    try {
+      const token = signStreamToken({ id: req.user.id, token_version: req.auth.tv }, { sessionExpiresAt: req.auth.exp });
+      res.json({ token, expires_in: STREAM_TOKEN_TTL_SECONDS });
+    } catch (err) {
+      console.error('Error in /events/token:', err);
+      res.status(500).json({ error: msg('common.server_error') });
+    }
+  });
+
+  // Khách hàng nhận cập nhật của các đơn của mình (trạng thái đơn, thanh toán)
+  router.get('/events/orders', streamAuth, validate({ query: streamQuery }), (req, res) => {
+    const userId = Number(req.user.id);
+    openStream(req, res, { repos, filter: event => event.data.user_id === userId });
+  });
+
+  // Nhân viên nhận mọi sự kiện: đơn mới, đổi trạng thái, thanh toán; ?types=order.created,payment.completed để lọc
+  router.get('/admin/events', streamAuth, requirePermission('events.view_all'), validate({
+    query: { ...streamQuery, types: v.string({ max: 500, pattern: /^[a-z._]+(,[a-z._]+)*$/ }).optional() }
+  }), (req, res) => {
+    const types = req.query.types ? req.query.types.split(',') : null;
+    openStream(req, res, {
+      repos,
+      filter: event => !types || types.includes(event.type),
+      allowed: user => hasPermission(user, 'events.view_all')
+    });
+  });
+
+  return router;
+};
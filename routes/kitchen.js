@@ -0,0 +1,135 @@
+const express = require('express');
+const { createAuthMiddleware, requirePermission } = require('../middleware/auth');
+const { v, validate } = require('../middleware/validate');
+const { OrderTransitionError } = require('../services/orderStatus');
+const { PREP_STATUSES, KitchenError, getQueue, setItemStatus, bumpOrder, recallOrder } = require('../services/kitchen');
+const { recordAudit } = require('../services/audit');
+const { msg } = require('../services/i18n');
+
+module.exports = ({ repos }) => {
+  const router = express.Router();
+  const authMiddleware = createAuthMiddleware({ repos });
+
+  // Lỗi nghiệp vụ của bếp trả về đúng mã, còn lại là lỗi server
+  const handleError = (res, route, err) => {
+    if (err instanceof KitchenError || err instanceof OrderTransitionError) {
+      return res.status(err.status).json({ error: err.localized });
+    }
+    console.error(`Error in ${route}:`, err);
+    res.status(500).json({ error: msg('common.server_error') });
+  };
+
+  const orderParams = validate({ params: { orderId: v.id() } });
+
+  // Danh sách trạm chế biến
+  router.get('/kitchen/stations', authMiddleware, requirePermission('kitchen.operate'), async (req, res) => {
+    try {
+      res.json(await repos.stations.list());
+    } catch (err) {
+      handleError(res, '/kitchen/stations', err);
+    }
+  });
+
+  // Tạo trạm chế biến mới
+  router.post('/admin/stations', authMiddleware, requirePermission('kitchen.configure'), validate({
+    body: { name: v.string({ max: 50 }) }
+  }), async (req, res) => {
+    const { name } = req.body;
+
+    try {
+      const stations = await repos.stations.list();
+      if (stations.some(s => s.name === name)) {
+        return res.status(400).json({ error: msg('kitchen.station_exists') });
+      }
+
+      const id = await repos.transaction(async (tx) => {
+        const stationId = await tx.stations.create(name);
+        await recordAudit(tx, req, { action: 'station.created', entityType: 'station', entityId: stationId, after: { name } });
+        return stationId;
+      });
+      res.status(201).json({ id, name });
+    } catch (err) {
+      handleError(res, '/admin/stations', err);
+    }
+  });
+
+  // Gán danh mục cho trạm chế biến, station_id = null để bỏ gán
+  router.put('/admin/categories/:id/station', authMiddleware, requirePermission('kitchen.configure'), validate({
+    params: { id: v.id() },
+    body: { station_id: v.id().nullable().default(null) }
+  }), async (req, res) => {
+    const stationId = req.body.station_id;
+
+    try {
+      const category = await repos.categories.findById(req.params.id);
+      if (!category) {
+        return res.status(404).json({ error: msg('menu.category_not_found') });
+      }
+      if (stationId !== null && !(await repos.stations.findById(stationId))) {
+        return res.status(404).json({ error: msg('kitchen.station_not_found') });
+      }
+
+      await repos.transaction(async (tx) => {
+        await tx.categories.setStation(category.id, stationId);
+        await recordAudit(tx, req, {
+          action: 'category.station_changed',
+          entityType: 'category',
+          entityId: category.id,
+          before: { station_id: category.station_id },
+          after: { station_id: stationId }
+        });
+      });
+      res.json({ id: category.id, name: category.name, station_id: stationId });
+    } catch (err) {
+      handleError(res, '/admin/categories/:id/station', err);
+    }
+  });
+
+  // Hàng đợi bếp theo thời điểm xác nhận/thanh toán; ?station_id= để lọc theo trạm, ?include_bumped=true để xem cả đơn đã gỡ
+  router.get('/kitchen/queue', authMiddleware, requirePermission('kitchen.operate'), validate({
+    query: { station_id: v.id().default(null), include_bumped: v.boolean().default(false) }
+  }), async (req, res) => {
+    try {
+      const { station_id: stationId, include_bumped: includeBumped } = req.query;
+      res.json(await getQueue(repos, { stationId, includeBumped }));
+    } catch (err) {
+      handleError(res, '/kitchen/queue', err);
+    }
+  });
+
+  // Cập nhật trạng thái chế biến của một món: queued, cooking, done
+  router.put('/kitchen/items/:itemId', authMiddleware, requirePermission('kitchen.operate'), validate({
+    params: { itemId: v.id() },
+    body: { status: v.enum(PREP_STATUSES) }
+  }), async (req, res) => {
+    const { status } = req.body;
+
+    try {
+      res.json(await setItemStatus(repos, req.params.itemId, status, { userId: req.user.id }));
+    } catch (err) {
+      handleError(res, '/kitchen/items/:itemId', err);
+    }
+  });
+
+  // Bếp hoàn tất và gỡ đơn khỏi màn hình
+  router.post('/kitchen/orders/:orderId/bump', authMiddleware, requirePermission('kitchen.operate'), orderParams, async (req, res) => {
+    try {
+      const order = await bumpOrder(repos, req.params.orderId, { userId: req.user.id });
+      res.json({ message: msg('kitchen.order_bumped'), order_id: order.id, status: order.status });
+    } catch (err) {
+      handleError(res, '/kitchen/orders/:orderId/bump', err);
+    }
+  });
+
+  // Gọi lại đơn đã gỡ lên màn hình bếp
+  router.post('/kitchen/orders/:orderId/recall', authMiddleware, requirePermission('kitchen.operate'), orderParams, async (req, res) => {
+    try {
+      const order = await recallOrder(repos, req.params.orderId);
+      res.json({ message: msg('kitchen.order_recalled'), order_id: order.id, status: order.status });
+    } catch (err) {
+      handleError(res, '/kitchen/orders/:orderId/recall', err);
+    }
+  });
+
+  return router;
+};
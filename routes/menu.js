@@ -0,0 +1,410 @@
+const express = require('express');
+const { createAuthMiddleware, requirePermission } = require('../middleware/auth');
+const { v, validate } = require('../middleware/validate');
+const { recordAudit } = require('../services/audit');
+const { msg } = require('../services/i18n');
+const { SELECTIONS, FoodOptionError, optionGroupSettings, formatGroup, formatOption, withOptionGroups } = require('../services/foodOptions');
+const { MAX_LIMIT, SORTS, MenuSearchError, searchFoods } = require('../services/menuSearch');
+
+module.exports = ({ repos }) => {
+  const router = express.Router();
+  const authMiddleware = createAuthMiddleware({ repos });
+
+  // Trả lỗi cấu hình nhóm tùy chọn hoặc bộ lọc tìm món, lỗi khác là lỗi máy chủ
+  const handleError = (res, route, err) => {
+    if (err instanceof FoodOptionError || err instanceof MenuSearchError) {
+      return res.status(err.status).json({ error: err.localized });
+    }
+    console.error(`Error in ${route}:`, err);
+    res.status(500).json({ error: msg('common.server_error') });
+  };
+
+  const foodParams = { id: v.id() };
+  const foodBody = {
+    name: v.string({ max: 100 }),
+    description: v.string({ max: 1000 }).nullable().optional(),
+    price: v.number({ min: 1, max: 100000000 }),
+    img_url: v.string({ max: 500, pattern: /^(https?:\/\/|\/)\S+$/ }).nullable().optional(),
+    is_available: v.boolean().optional(),
+    category_id: v.id()
+  };
+  const stockValue = v.integer({ min: 0, max: 100000 }).nullable();
+  const optionBody = {
+    name: v.string({ max: 100 }),
+    price_delta: v.integer({ min: -100000000, max: 100000000 }).default(0),
+    is_available: v.boolean().default(true),
+    sort_order: v.integer({ min: -1000, max: 1000 }).default(0)
+  };
+  const optionGroupBody = {
+    name: v.string({ max: 100 }),
+    selection: v.enum(SELECTIONS).default('single'),
+    required: v.boolean().default(false),
+    min_select: v.integer({ min: 0, max: 50 }).optional(),
+    max_select: v.integer({ min: 1, max: 50 }).nullable().optional(),
+    sort_order: v.integer({ min: -1000, max: 1000 }).default(0)
+  };
+
+  // API tìm món ăn cho khách, ?q=&category_id=&min_price=&max_price=&include_unavailable=&sort=&limit=&offset=
+  router.get('/foods', validate({
+    query: {
+      q: v.string({ max: 100 }).optional(),
+      category_id: v.id().optional(),
+      min_price: v.integer({ min: 0 }).optional(),
+      max_price: v.integer({ min: 0 }).optional(),
+      include_unavailable: v.boolean().default(false),
+      sort: v.enum(SORTS).optional(),
+      limit: v.integer({ min: 1, max: MAX_LIMIT }).optional(),
+      offset: v.integer({ min: 0 }).optional()
+    }
+  }), async (req, res) => {
+    try {
+      res.json(await searchFoods(repos, req.query));
+    } catch (err) {
+      handleError(res, '/foods', err);
+    }
+  });
+
+  // API lấy các nhóm tùy chọn của một món (chỉ lựa chọn đang bán)
+  router.get('/foods/:id/options', validate({ params: foodParams }), async (req, res) => {
+    try {
+      const food = await repos.foods.findById(req.params.id);
+      if (!food) {
+        return res.status(404).json({ error: msg('menu.food_not_found') });
+      }
+      const groups = await repos.foodOptions.listForFoods([food.id]);
+      res.json(groups.map(g => formatGroup(g, { includeUnavailable: false })));
+    } catch (err) {
+      console.error('Error in /foods/:id/options:', err);
+      res.status(500).json({ error: msg('common.server_error') });
+    }
+  });
+
+  // API lấy danh sách danh mục
+  router.get('/categories', async (req, res) => {
+    try {
+      const categories = await repos.categories.list();
+      res.json(categories);
+    } catch (err) {
+      console.error('Error in /categories:', err);
+      res.status(500).json({ error: msg('common.server_error') });
+    }
+  });
+
+  // API tạo danh mục mới
+  router.post('/categories', authMiddleware, requirePermission('menu.manage'), validate({
+    body: { name: v.string({ max: 100 }).message(msg('menu.category_name_required')) }
+  }), async (req, res) => {
+    const { name } = req.body;
+
+    try {
+      const id = await repos.transaction(async (tx) => {
+        const categoryId = await tx.categories.create(name);
+        await recordAudit(tx, req, { action: 'category.created', entityType: 'category', entityId: categoryId, after: { name } });
+        return categoryId;
+      });
+      res.json({ id, name });
+    } catch (err) {
+      console.error('Error in /categories (POST):', err);
+      res.status(500).json({ error: msg('common.server_error') });
+    }
+  });
+
+  // API tạo món ăn mới
+  router.post('/foods', authMiddleware, requirePermission('menu.manage'), validate({ body: foodBody }), async (req, res) => {
+    const { name, description, price, img_url, is_available, category_id } = req.body;
+
+    try {
+      const food = {
+        name,
+        description: description || null,
+        price,
+        img_url: img_url || null,
+        is_available: is_available !== undefined ? is_available : true,
+        category_id
+      };
+      const id = await repos.transaction(async (tx) => {
+        const foodId = await tx.foods.create(food);
+        await recordAudit(tx, req, { action: 'food.created', entityType: 'food', entityId: foodId, after: food });
+        return foodId;
+      });
+      res.json({ id, name, description, price, img_url, is_available: food.is_available, category_id });
+    } catch (err) {
+      console.error('Error in /foods (POST):', err);
+      res.status(500).json({ error: msg('common.server_error') });
+    }
+  });
+
+  // API cập nhật món ăn
+  router.put('/foods/:id', authMiddleware, requirePermission('menu.manage'), validate({
+    params: foodParams, body: foodBody
+  }), async (req, res) => {
+    const { id } = req.params;
+    const { name, description, price, img_url, is_available, category_id } = req.body;
+
+    try {
+      const updated = await repos.transaction(async (tx) => {
+        const before = await tx.foods.findById(id);
+        if (!before) return null;
+        // Không gửi is_available thì giữ trạng thái đang bán hiện tại
+        const changes = {
+          name,
+          description: description || null,
+          price,
+          img_url: img_url || null,
+          is_available: is_available !== undefined ? is_available : Boolean(before.is_available),
+          category_id
+        };
+        if (!(await tx.foods.update(id, changes))) return null;
+        await recordAudit(tx, req, { action: 'food.updated', entityType: 'food', entityId: before.id, before, after: await tx.foods.findById(id) });
+        return changes;
+      });
+      if (!updated) {
+        return res.status(404).json({ error: msg('menu.food_not_found') });
+      }
+      res.json({ id, name, description, price, img_url, is_available: updated.is_available, category_id });
+    } catch (err) {
+      console.error('Error in /foods/:id (PUT):', err);
+      res.status(500).json({ error: msg('common.server_error') });
+    }
+  });
+
+  // API xóa món ăn
+  router.delete('/foods/:id', authMiddleware, requirePermission('menu.manage'), validate({ params: foodParams }), async (req, res) => {
+    const { id } = req.params;
+    try {
+      const deleted = await repos.transaction(async (tx) => {
+        const before = await tx.foods.findById(id);
+        if (!before || !(await tx.foods.remove(id))) return false;
+        await recordAudit(tx, req, { action: 'food.deleted', entityType: 'food', entityId: before.id, before });
+        return true;
+      });
+      if (!deleted) {
+        return res.status(404).json({ error: msg('menu.food_not_found') });
+      }
+      res.json({ message: msg('menu.food_deleted') });
+    } catch (err) {
+      // Món còn nằm trong đơn cũ (khóa ngoại order_items): giữ món, chỉ ngừng bán
+      if (err.code === 'ER_ROW_IS_REFERENCED_2') {
+        return res.status(409).json({ error: msg('menu.food_in_use') });
+      }
+      console.error('Error in /foods/:id (DELETE):', err);
+      res.status(500).json({ error: msg('common.server_error') });
+    }
+  });
+
+  // API lấy tất cả món ăn (không lọc is_available, chỉ cho quản lý)
+  router.get('/admin/foods', authMiddleware, requirePermission('menu.manage'), async (req, res) => {
+    try {
+      const foods = await repos.foods.list();
+      res.json(await withOptionGroups(repos, foods));
+    } catch (err) {
+      console.error('Error in /admin/foods:', err);
+      res.status(500).json({ error: msg('common.server_error') });
+    }
+  });
+
+  // API đặt tồn kho theo ngày cho một món
+  // daily_stock = null nghĩa là không giới hạn; stock mặc định bằng daily_stock
+  router.put('/admin/foods/:id/stock', authMiddleware, requirePermission('menu.manage'), validate({
+    params: foodParams,
+    body: { daily_stock: stockValue.default(null), stock: stockValue.optional() }
+  }), async (req, res) => {
+    const { id } = req.params;
+    const { daily_stock } = req.body;
+    const stock = req.body.stock !== undefined ? req.body.stock : daily_stock;
+
+    if (daily_stock === null && stock !== null) {
+      return res.status(400).json({ error: msg('menu.stock_requires_limit') });
+    }
+
+    try {
+      const updated = await repos.transaction(async (tx) => {
+        const before = await tx.foods.findById(id);
+        if (!before || !(await tx.foods.setStock(id, { dailyStock: daily_stock, stock }))) return false;
+        await recordAudit(tx, req, {
+          action: 'food.stock_set',
+          entityType: 'food',
+          entityId: before.id,
+          before: { daily_stock: before.daily_stock, stock: before.stock },
+          after: { daily_stock, stock }
+        });
+        return true;
+      });
+      if (!updated) {
+        return res.status(404).json({ error: msg('menu.food_not_found') });
+      }
+
+      // Ghi log hành động
+      console.log(`Admin ${req.user.id} set stock of food ${id} to ${stock}/${daily_stock}`);
+
+      res.json(await repos.foods.findById(id));
+    } catch (err) {
+      console.error('Error in /admin/foods/:id/stock:', err);
+      res.status(500).json({ error: msg('common.server_error') });
+    }
+  });
+
+  // API đặt lại tồn kho đầu ngày cho tất cả món có giới hạn
+  router.post('/admin/foods/stock/reset', authMiddleware, requirePermission('menu.manage'), async (req, res) => {
+    try {
+      const count = await repos.transaction(async (tx) => {
+        const reset = await tx.foods.resetDailyStock();
+        await recordAudit(tx, req, { action: 'food.stock_reset', entityType: 'food', after: { count: reset } });
+        return reset;
+      });
+      console.log(`Admin ${req.user.id} reset daily stock of ${count} food(s)`);
+      res.json({ message: msg('menu.stock_reset'), count });
+    } catch (err) {
+      console.error('Error in /admin/foods/stock/reset:', err);
+      res.status(500).json({ error: msg('common.server_error') });
+    }
+  });
+
+  // Nhóm kèm lựa chọn hiện tại, dùng cho phản hồi và nhật ký
+  const loadGroup = async (db, id) => {
+    const group = await db.foodOptions.findGroup(id);
+    if (!group) return null;
+    const [withOptions] = (await db.foodOptions.listForFoods([group.food_id])).filter(g => g.id === group.id);
+    return formatGroup(withOptions);
+  };
+
+  // API tạo nhóm tùy chọn cho món, có thể kèm luôn các lựa chọn
+  router.post('/admin/foods/:id/option-groups', authMiddleware, requirePermission('menu.manage'), validate({
+    params: foodParams,
+    body: { ...optionGroupBody, options: v.array(v.object(optionBody), { max: 50 }).default([]) }
+  }), async (req, res) => {
+    try {
+      const settings = optionGroupSettings(req.body);
+      const group = await repos.transaction(async (tx) => {
+        const food = await tx.foods.findById(req.params.id);
+        if (!food) return null;
+        const groupId = await tx.foodOptions.createGroup(food.id, settings);
+        for (const option of req.body.options) {
+          await tx.foodOptions.createOption(groupId, option);
+        }
+        const created = await loadGroup(tx, groupId);
+        await recordAudit(tx, req, { action: 'option_group.created', entityType: 'option_group', entityId: groupId, after: created });
+        return created;
+      });
+      if (!group) {
+        return res.status(404).json({ error: msg('menu.food_not_found') });
+      }
+      res.status(201).json(group);
+    } catch (err) {
+      handleError(res, '/admin/foods/:id/option-groups', err);
+    }
+  });
+
+  // API cập nhật nhóm tùy chọn (không đổi các lựa chọn trong nhóm)
+  router.put('/admin/option-groups/:groupId', authMiddleware, requirePermission('menu.manage'), validate({
+    params: { groupId: v.id() }, body: optionGroupBody
+  }), async (req, res) => {
+    const { groupId } = req.params;
+    try {
+      const settings = optionGroupSettings(req.body);
+      const group = await repos.transaction(async (tx) => {
+        const before = await loadGroup(tx, groupId);
+        if (!before) return null;
+        await tx.foodOptions.updateGroup(groupId, settings);
+        const after = await loadGroup(tx, groupId);
+        await recordAudit(tx, req, { action: 'option_group.updated', entityType: 'option_group', entityId: before.id, before, after });
+        return after;
+      });
+      if (!group) {
+        return res.status(404).json({ error: msg('menu.option_group_not_found') });
+      }
+      res.json(group);
+    } catch (err) {
+      handleError(res, '/admin/option-groups/:groupId (PUT)', err);
+    }
+  });
+
+  // API xóa nhóm tùy chọn cùng các lựa chọn; đơn cũ vẫn giữ bản chụp lựa chọn
+  router.delete('/admin/option-groups/:groupId', authMiddleware, requirePermission('menu.manage'), validate({
+    params: { groupId: v.id() }
+  }), async (req, res) => {
+    const { groupId } = req.params;
+    try {
+      const deleted = await repos.transaction(async (tx) => {
+        const before = await loadGroup(tx, groupId);
+        if (!before || !(await tx.foodOptions.removeGroup(groupId))) return false;
+        await recordAudit(tx, req, { action: 'option_group.deleted', entityType: 'option_group', entityId: before.id, before });
+        return true;
+      });
+      if (!deleted) {
+        return res.status(404).json({ error: msg('menu.option_group_not_found') });
+      }
+      res.json({ message: msg('menu.option_group_deleted') });
+    } catch (err) {
+      handleError(res, '/admin/option-groups/:groupId (DELETE)', err);
+    }
+  });
+
+  // API thêm lựa chọn vào nhóm
+  router.post('/admin/option-groups/:groupId/options', authMiddleware, requirePermission('menu.manage'), validate({
+    params: { groupId: v.id() }, body: optionBody
+  }), async (req, res) => {
+    const { groupId } = req.params;
+    try {
+      const option = await repos.transaction(async (tx) => {
+        if (!(await tx.foodOptions.findGroup(groupId))) return null;
+        const optionId = await tx.foodOptions.createOption(groupId, req.body);
+        const created = formatOption(await tx.foodOptions.findOption(optionId));
+        await recordAudit(tx, req, { action: 'option.created', entityType: 'option', entityId: optionId, after: { group_id: Number(groupId), ...created } });
+        return created;
+      });
+      if (!option) {
+        return res.status(404).json({ error: msg('menu.option_group_not_found') });
+      }
+      res.status(201).json(option);
+    } catch (err) {
+      handleError(res, '/admin/option-groups/:groupId/options', err);
+    }
+  });
+
+  // API cập nhật lựa chọn (tên, giá cộng thêm, còn bán); chỉ áp dụng cho đơn đặt sau đó
+  router.put('/admin/options/:optionId', authMiddleware, requirePermission('menu.manage'), validate({
+    params: { optionId: v.id() }, body: optionBody
+  }), async (req, res) => {
+    const { optionId } = req.params;
+    try {
+      const option = await repos.transaction(async (tx) => {
+        const before = await tx.foodOptions.findOption(optionId);
+        if (!before) return null;
+        await tx.foodOptions.updateOption(optionId, req.body);
+        const after = formatOption(await tx.foodOptions.findOption(optionId));
+        await recordAudit(tx, req, { action: 'option.updated', entityType: 'option', entityId: before.id, before: formatOption(before), after });
+        return after;
+      });
+      if (!option) {
+        return res.status(404).json({ error: msg('menu.option_not_found') });
+      }
+      res.json(option);
+    } catch (err) {
+      handleError(res, '/admin/options/:optionId (PUT)', err);
+    }
+  });
+
+  // API xóa lựa chọn
+  router.delete('/admin/options/:optionId', authMiddleware, requirePermission('menu.manage'), validate({
+    params: { optionId: v.id() }
+  }), async (req, res) => {
+    const { optionId } = req.params;
+    try {
+      const deleted = await repos.transaction(async (tx) => {
+        const before = await tx.foodOptions.findOption(optionId);
+        if (!before || !(await tx.foodOptions.removeOption(optionId))) return false;
+        await recordAudit(tx, req, { action: 'option.deleted', entityType: 'option', entityId: before.id, before: formatOption(before) });
+        return true;
+      });
+      if (!deleted) {
+        return res.status(404).json({ error: msg('menu.option_not_found') });
+      }
+      res.json({ message: msg('menu.option_deleted') });
+    } catch (err) {
+      handleError(res, '/admin/options/:optionId (DELETE)', err);
+    }
+  });
+
+  return router;
+};
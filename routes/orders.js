@@ -0,0 +1,287 @@
+const express = require('express');
+const { createAuthMiddleware, requirePermission } = require('../middleware/auth');
+const { v, validate } = require('../middleware/validate');
+const { recordAudit } = require('../services/audit');
+const { OrderPlacementError, previewOrder, placeOrder } = require('../services/orderPlacement');
+const { PromotionError } = require('../services/promotions');
+const { MAX_LIMIT, SORTS, OrderQueryError, searchOrders } = require('../services/orderSearch');
+const { PAYMENT_METHODS, PAID_STATUSES } = require('../services/payments');
+const { ORDER_STATUSES, OrderTransitionError, actorFor, transitionOrder } = require('../services/orderStatus');
+const { msg } = require('../services/i18n');
+
+module.exports = ({ repos }) => {
+  const router = express.Router();
+  const authMiddleware = createAuthMiddleware({ repos });
+
+  const orderParams = validate({ params: { orderId: v.id() } });
+  const cancelRequest = validate({ params: { orderId: v.id() }, body: { reason: v.string({ max: 255 }).optional() } });
+
+  // Hủy đơn của chính khách hàng, chỉ khi máy trạng thái cho phép và đơn chưa được thu tiền
+  // (đơn đã thu tiền phải do nhân viên hủy kèm hoàn tiền)
+  async function cancelOwnOrder(req, res) {
+    const { orderId } = req.params;
+    const order = await repos.orders.findForUser(orderId, req.user.id);
+    if (!order) {
+      return res.status(404).json({ error: msg('orders.not_found_or_unauthorized') });
+    }
+    const attempts = await repos.payments.listByOrder(order.id);
+    if (attempts.some(p => PAID_STATUSES.includes(p.status))) {
+      return res.status(400).json({ error: msg('orders.cancel_paid') });
+    }
+
+    await transitionOrder(repos, order, 'cancelled', {
+      actor: actorFor(req.user),
+      userId: req.user.id,
+      reason: req.body.reason || 'Cancelled by customer'
+    });
+
+    res.json({ message: msg('orders.cancelled') });
+  }
+
+  // Giỏ hàng: dùng chung cho đặt đơn và xem trước
+  const cartBody = validate({
+    body: {
+      items: v.array(v.object({
+        food_id: v.id(),
+        quantity: v.integer({ min: 1, max: 100 }),
+        options: v.array(v.id(), { max: 50 }).default([])
+      }), { min: 1, max: 50 }),
+      coupon_code: v.string({ max: 40 }).nullable().default(null)
+    }
+  });
+
+  // Lỗi giỏ hàng, mã khuyến mãi hoặc bộ lọc trả về cho khách, lỗi khác là lỗi máy chủ
+  const handleError = (res, route, err) => {
+    if (err instanceof OrderPlacementError || err instanceof PromotionError || err instanceof OrderQueryError) {
+      return res.status(err.status).json({ error: err.localized });
+    }
+    console.error(`Error in ${route}:`, err);
+    res.status(500).json({ error: msg('common.server_error') });
+  };
+
+  // API xem trước giá giỏ hàng (khuyến mãi, mã giảm giá) mà không đặt đơn
+  router.post('/orders/preview', authMiddleware, cartBody, async (req, res) => {
+    const { items, coupon_code } = req.body;
+
+    try {
+      const quote = await previewOrder(repos, req.user.id, items, { couponCode: coupon_code });
+      res.json({
+        items: quote.lines.map(line => ({
+          food_id: line.food_id,
+          food_name: line.food_name,
+          quantity: line.quantity,
+          unit_price: line.unit_price,
+          options: line.options,
+          line_total: line.unit_price * line.quantity
+        })),
+        subtotal: quote.subtotal,
+        discounts: quote.discounts,
+        discount_total: quote.discountTotal,
+        total_price: quote.totalPrice
+      });
+    } catch (err) {
+      handleError(res, '/orders/preview', err);
+    }
+  });
+
+  // API đặt đơn hàng
+  router.post('/orders', authMiddleware, cartBody, async (req, res) => {
+    const { items, coupon_code } = req.body;
+    const user_id = req.user.id;
+
+    try {
+      const { orderId, totalPrice, subtotal, discounts, ticketCode } = await placeOrder(repos, user_id, items, { couponCode: coupon_code });
+
+      // Ghi log hành động
+      console.log(`User ${user_id} placed order ${orderId} with total price: ${totalPrice}`);
+      res.json({ order_id: orderId, subtotal, discounts, total_price: totalPrice, status: 'pending', ticket_code: ticketCode });
+    } catch (err) {
+      handleError(res, '/orders (POST)', err);
+    }
+  });
+
+  // Bộ lọc và phân trang chung của danh sách đơn (xem services/orderSearch.js)
+  const listQuery = {
+    status: v.string({ max: 100 }).optional(),
+    from: v.date().optional(),
+    to: v.date().optional(),
+    payment_method: v.enum(PAYMENT_METHODS).optional(),
+    ticket_code: v.string({ max: 255 }).optional(),
+    sort: v.enum(SORTS).optional(),
+    limit: v.integer({ min: 1, max: MAX_LIMIT }).optional(),
+    offset: v.integer({ min: 0 }).optional()
+  };
+
+  // API lấy lịch sử đơn hàng của khách, ?status=&from=&to=&payment_method=&ticket_code=&sort=&limit=&offset=
+  router.get('/orders', authMiddleware, validate({ query: listQuery }), async (req, res) => {
+    try {
+      res.json(await searchOrders(repos, req.query, { userId: req.user.id }));
+    } catch (err) {
+      handleError(res, '/orders', err);
+    }
+  });
+
+  // API lấy đơn hàng của mọi khách, lọc thêm theo user_id hoặc customer (tên/email)
+  router.get('/admin/orders', authMiddleware, requirePermission('orders.view'), validate({
+    query: { ...listQuery, user_id: v.id().optional(), customer: v.string({ max: 100 }).optional() }
+  }), async (req, res) => {
+    try {
+      res.json(await searchOrders(repos, req.query));
+    } catch (err) {
+      handleError(res, '/admin/orders', err);
+    }
+  });
+
+  // API lấy chi tiết đơn hàng
+  router.get('/admin/orders/:orderId', authMiddleware, requirePermission('orders.view'), orderParams, async (req, res) => {
+    const { orderId } = req.params;
+
+    try {
+      // Lấy thông tin đơn hàng
+      const order = await repos.orders.findDetail(orderId);
+      if (!order) {
+        return res.status(404).json({ error: msg('orders.not_found') });
+      }
+
+      // Lấy danh sách món ăn trong đơn hàng
+      const items = await repos.orders.listItems(orderId);
+      const discounts = await repos.orders.listDiscounts(orderId);
+
+      res.json({ order, items, discounts });
+    } catch (err) {
+      console.error('Error in /admin/orders/:orderId:', err);
+      res.status(500).json({ error: msg('common.server_error') });
+    }
+  });
+
+  router.get('/admin/foods-confirmed', authMiddleware, requirePermission('orders.view'), async (req, res) => {
+    try {
+      const foodItems = await repos.orders.foodTotalsByStatus('confirmed');
+      res.json(foodItems);
+    } catch (err) {
+      console.error('Error in /admin/foods-confirmed:', err);
+      res.status(500).json({ error: msg('common.server_error') });
+    }
+  });
+
+  // API cập nhật trạng thái đơn hàng
+  router.put('/admin/orders/:orderId/status', authMiddleware, requirePermission('orders.update_status'), validate({
+    params: { orderId: v.id() },
+    body: { status: v.enum(ORDER_STATUSES).message(msg('orders.invalid_status')), reason: v.string({ max: 255 }).optional() }
+  }), async (req, res) => {
+    const { orderId } = req.params;
+    const { status, reason } = req.body;
+
+    try {
+      const order = await repos.orders.findById(orderId);
+      if (!order) {
+        return res.status(404).json({ error: msg('orders.not_found') });
+      }
+
+      // Đổi trạng thái và ghi nhật ký trong cùng transaction
+      await repos.transaction(async (tx) => {
+        const { from, changed } = await transitionOrder(tx, order, status, {
+          actor: 'admin', userId: req.user.id, reason: reason || null
+        });
+        if (changed) {
+          await recordAudit(tx, req, {
+            action: 'order.status_changed',
+            entityType: 'order',
+            entityId: order.id,
+            before: { status: from },
+            after: { status, reason: reason || null }
+          });
+        }
+      });
+
+      // Ghi log hành động
+      console.log(`Admin ${req.user.id} updated status of order ${orderId} to ${status}`);
+
+      res.json({ message: msg('orders.status_updated') });
+    } catch (err) {
+      if (err instanceof OrderTransitionError) {
+        return res.status(err.status).json({ error: err.localized });
+      }
+      console.error('Error in /admin/orders/:orderId/status:', err);
+      res.status(500).json({ error: msg('common.server_error') });
+    }
+  });
+
+  // API lịch sử trạng thái đơn hàng
+  router.get('/admin/orders/:orderId/history', authMiddleware, requirePermission('orders.view'), orderParams, async (req, res) => {
+    try {
+      const order = await repos.orders.findById(req.params.orderId);
+      if (!order) {
+        return res.status(404).json({ error: msg('orders.not_found') });
+      }
+      res.json(await repos.orderStatusHistory.listByOrder(order.id));
+    } catch (err) {
+      console.error('Error in /admin/orders/:orderId/history:', err);
+      res.status(500).json({ error: msg('common.server_error') });
+    }
+  });
+
+  // API lịch sử trạng thái đơn hàng của khách
+  router.get('/orders/:orderId/history', authMiddleware, orderParams, async (req, res) => {
+    try {
+      const order = await repos.orders.findForUser(req.params.orderId, req.user.id);
+      if (!order) {
+        return res.status(404).json({ error: msg('orders.not_found_or_unauthorized') });
+      }
+      res.json(await repos.orderStatusHistory.listByOrder(order.id));
+    } catch (err) {
+      console.error('Error in /orders/:orderId/history:', err);
+      res.status(500).json({ error: msg('common.server_error') });
+    }
+  });
+
+  //hủy đơn hàng (giữ lại bản ghi và lịch sử, chỉ chuyển sang cancelled)
+  router.delete('/orders/:orderId/cancel', authMiddleware, cancelRequest, async (req, res) => {
+    try {
+      await cancelOwnOrder(req, res);
+    } catch (err) {
+      if (err instanceof OrderTransitionError) {
+        return res.status(err.status).json({ error: err.localized });
+      }
+      console.error('Error in /orders/:orderId/cancel:', err);
+      res.status(500).json({ error: msg('common.server_error') });
+    }
+  });
+
+  // Endpoint lấy danh sách đơn hàng đã quét (User)
+  router.get('/scanned-orders', authMiddleware, async (req, res) => {
+    try {
+      const orders = await repos.orders.listByStatus('scanned', { userId: req.user.id });
+      res.json(orders);
+    } catch (err) {
+      console.error('Error in /api/scanned-orders:', err);
+      res.status(500).json({ error: msg('common.server_error') });
+    }
+  });
+
+  // Endpoint lấy danh sách đơn hàng đã quét
+  router.get('/admin/scanned-orders', authMiddleware, requirePermission('orders.view'), async (req, res) => {
+    try {
+      const orders = await repos.orders.listByStatus('scanned');
+      res.json(orders);
+    } catch (err) {
+      console.error('Error in /api/admin/scanned-orders:', err);
+      res.status(500).json({ error: msg('common.server_error') });
+    }
+  });
+
+  // Endpoint hủy đơn hàng
+  router.delete('/orders/:orderId', authMiddleware, cancelRequest, async (req, res) => {
+    try {
+      await cancelOwnOrder(req, res);
+    } catch (err) {
+      if (err instanceof OrderTransitionError) {
+        return res.status(err.status).json({ error: err.localized });
+      }
+      console.error('Error in /api/orders/:orderId:', err);
+      res.status(500).json({ error: msg('common.server_error') });
+    }
+  });
+
+  return router;
+};
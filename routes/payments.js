@@ -0,0 +1,355 @@
+const express = require('express');
+const { createAuthMiddleware, requirePermission } = require('../middleware/auth');
+const { v, validate } = require('../middleware/validate');
+const { hasPermission } = require('../services/permissions');
+const { recordAudit } = require('../services/audit');
+const { OrderTransitionError, assertTransition, transitionOrder } = require('../services/orderStatus');
+const { PAYMENT_METHODS, PAID_STATUSES, getProvider } = require('../services/payments');
+const { PaymentGatewayError } = require('../services/payments/gateway');
+const { handleProviderCallback } = require('../services/payments/callbacks');
+const { RefundError, queryPayment, refundPayment } = require('../services/payments/transactions');
+const { publishPayment } = require('../services/events');
+const { createTicketCode } = require('../services/ticketCodes');
+const { msg } = require('../services/i18n');
+
+// Đường dẫn callback server-to-server và trình duyệt quay về của từng cổng
+const CALLBACK_ROUTES = [
+  { provider: 'vnpay', method: 'get', ipn: '/vnpay/ipn', return: '/vnpay/return' },
+  { provider: 'momo', method: 'post', ipn: '/momo/ipn', return: '/momo/return' },
+  { provider: 'zalopay', method: 'post', ipn: '/zalopay/callback', return: '/zalopay/return' }
+];
+
+module.exports = ({ repos }) => {
+  const router = express.Router();
+  const authMiddleware = createAuthMiddleware({ repos });
+
+  const orderParams = validate({ params: { orderId: v.id() } });
+  const paymentParams = validate({ params: { paymentId: v.id() } });
+
+  //xác nhận thanh toán tiền mặt
+  router.post('/payments/confirm', authMiddleware, requirePermission('payments.confirm'), validate({
+    body: { payment_id: v.id().message(msg('payments.id_required')) }
+  }), async (req, res) => {
+    const { payment_id } = req.body;
+
+    try {
+      // Kiểm tra payment
+      const payment = await repos.payments.findById(payment_id);
+
+      if (!payment || payment.method !== 'cash') {
+        return res.status(404).json({ error: msg('payments.cash_not_found') });
+      }
+
+      if (payment.status === 'completed') {
+        return res.status(400).json({ error: msg('payments.already_completed') });
+      }
+
+      // Cập nhật trạng thái thanh toán, chỉ lần thử còn pending; ghi nhật ký trong cùng transaction
+      const confirmed = await repos.transaction(async (tx) => {
+        if (!(await tx.payments.updateStatusFrom(payment_id, 'pending', 'completed'))) return false;
+        await recordAudit(tx, req, {
+          action: 'payment.cash_confirmed',
+          entityType: 'payment',
+          entityId: payment.payment_id,
+          before: { status: payment.status },
+          after: { status: 'completed', order_id: payment.order_id, amount: payment.amount }
+        });
+        return true;
+      });
+      if (!confirmed) {
+        return res.status(400).json({ error: msg('payments.cannot_confirm', { status: payment.status }) });
+      }
+
+      publishPayment('payment.completed', payment, await repos.orders.findById(payment.order_id), 'completed');
+
+      // Ghi log hành động
+      console.log(`Admin ${req.user.id} confirmed cash payment for payment_id: ${payment_id}`);
+
+      res.json({ message: msg('payments.confirmed') });
+    } catch (err) {
+      console.error('Error in /payments/confirm:', err);
+      res.status(500).json({ error: msg('common.server_error') });
+    }
+  });
+
+  router.get('/payments/order/:orderId', authMiddleware, orderParams, async (req, res) => {
+    const { orderId } = req.params;
+    const user_id = req.user.id;
+
+    try {
+      const order = await repos.orders.findForUser(orderId, user_id);
+      if (!order) {
+        return res.status(404).json({ error: msg('orders.not_found_or_unauthorized') });
+      }
+
+      const payment = await repos.payments.findByOrder(orderId);
+      if (!payment) {
+        return res.status(404).json({ error: msg('payments.not_found_for_order') });
+      }
+
+      res.json(payment);
+    } catch (err) {
+      console.error('Error in /payments/order/:orderId:', err);
+      res.status(500).json({ error: msg('common.server_error') });
+    }
+  });
+
+  // Tất cả các lần thử thanh toán của đơn (chủ đơn hoặc nhân viên)
+  router.get('/payments/order/:orderId/attempts', authMiddleware, orderParams, async (req, res) => {
+    const { orderId } = req.params;
+
+    try {
+      const order = hasPermission(req.user, 'orders.view')
+        ? await repos.orders.findById(orderId)
+        : await repos.orders.findForUser(orderId, req.user.id);
+      if (!order) {
+        return res.status(404).json({ error: msg('orders.not_found_or_unauthorized') });
+      }
+
+      res.json(await repos.payments.listByOrder(orderId));
+    } catch (err) {
+      console.error('Error in /payments/order/:orderId/attempts:', err);
+      res.status(500).json({ error: msg('common.server_error') });
+    }
+  });
+
+  // Endpoint tạo thanh toán, method chọn cổng: cash, vnpay (hoặc online), momo, zalopay.
+  // Số tiền luôn lấy từ đơn hàng; amount gửi lên (nếu có) chỉ để đối chiếu.
+  router.post('/payments', authMiddleware, validate({
+    body: {
+      order_id: v.id(),
+      method: v.enum(PAYMENT_METHODS).message(msg('payments.invalid_method')),
+      amount: v.number({ min: 0 }).optional()
+    }
+  }), async (req, res) => {
+    const { order_id, method } = req.body;
+    const user_id = req.user.id;
+    const provider = getProvider(method);
+
+    try {
+      // Kiểm tra đơn hàng
+      const order = await repos.orders.findForUser(order_id, user_id);
+      if (!order) {
+        return res.status(404).json({ error: msg('orders.not_found_or_unauthorized') });
+      }
+
+      // total_price đã trừ mọi giảm giá khi đặt đơn
+      const amount = Number(order.total_price);
+      if (req.body.amount !== undefined && Number(req.body.amount) !== amount) {
+        return res.status(400).json({ error: msg('payments.amount_mismatch'), expected_amount: amount });
+      }
+      if (amount <= 0) {
+        return res.status(400).json({ error: msg('payments.amount_not_positive') });
+      }
+
+      // Đơn đã hủy hoặc đã nhận thì không thể thanh toán tiếp
+      const nextStatus = provider.online ? 'completed' : 'confirmed';
+      if (order.status !== nextStatus) {
+        assertTransition(order.status, nextStatus, 'system');
+      }
+
+      // Kiểm tra thanh toán trùng lặp: mỗi lần thử được giữ lại, chỉ chặn khi đã có lần thử thành công
+      const attempts = await repos.payments.listByOrder(order_id);
+      if (attempts.some(attempt => PAID_STATUSES.includes(attempt.status))) {
+        return res.status(400).json({ error: msg('payments.order_already_paid') });
+      }
+
+      const status = 'pending';
+      const created = await provider.createPayment({
+        orderId: order_id, amount, userId: user_id, ipAddr: req.ip || '127.0.0.1', options: req.body
+      });
+
+      // Lần thử mới thay cho các lần thử còn pending; callback muộn của chúng sẽ không được ghi nhận
+      await repos.payments.cancelPendingByOrder(order_id);
+      const transaction_id = created.transactionId;
+      const payment_url = created.paymentUrl;
+
+      // Lưu thanh toán vào database
+      const paymentId = await repos.payments.create({
+        orderId: order_id, method, amount, status, transactionId: transaction_id, gatewayTransactionDate: created.transactionDate
+      });
+
+      // Cập nhật trạng thái đơn hàng cho thanh toán bằng tiền mặt
+      if (!provider.online) {
+        await transitionOrder(repos, order, 'confirmed', {
+          actor: 'system', userId: user_id, reason: 'Cash payment selected'
+        });
+      }
+
+      // Tạo vé nếu chưa có
+      const ticket = await repos.tickets.findByOrder(order_id);
+      if (!ticket) {
+        const { ticketCode, expiresAt } = createTicketCode(order.id);
+        await repos.tickets.create({ orderId: order.id, ticketCode, expiresAt });
+      }
+
+      // Trả về phản hồi
+      res.json({
+        payment_id: paymentId,
+        order_id,
+        method,
+        amount,
+        status,
+        transaction_id,
+        payment_url,
+      });
+
+      // Log để debug
+      console.log('payment_url:', payment_url);
+    } catch (err) {
+      if (err instanceof OrderTransitionError || err instanceof PaymentGatewayError) {
+        return res.status(err.status).json({ error: err.localized });
+      }
+      console.error('Error in /api/payments:', err);
+      res.status(500).json({ error: msg('common.server_error') });
+    }
+  });
+
+  for (const route of CALLBACK_ROUTES) {
+    const provider = getProvider(route.provider);
+
+    // Callback server-to-server từ cổng, phản hồi theo giao thức của từng cổng
+    router[route.method](route.ipn, async (req, res) => {
+      let response;
+      try {
+        const outcome = await handleProviderCallback(repos, provider, route.method === 'get' ? req.query : req.body);
+        response = provider.callbackResponse(outcome);
+      } catch (err) {
+        console.error(`Error in /api${route.ipn}:`, err);
+        response = provider.callbackResponse('error');
+      }
+      if (response.body === undefined) {
+        return res.status(response.status).end();
+      }
+      res.status(response.status).json(response.body);
+    });
+
+    // Trình duyệt quay về từ cổng: chỉ hiển thị kết quả, không cập nhật dữ liệu (việc này do callback làm)
+    router.get(route.return, async (req, res) => {
+      try {
+        const result = provider.verifyReturn(req.query);
+        if (!result.valid) {
+          console.error('Invalid signature:', req.query);
+          return res.status(400).json({ error: msg('payments.invalid_signature') });
+        }
+
+        const payment = await repos.payments.findByTransactionId(result.transactionId);
+        if (!payment) {
+          return res.status(404).json({ error: msg('payments.not_found') });
+        }
+
+        const outcome = result.succeeded ? 'success' : 'cancelled';
+        const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3001';
+        return res.redirect(`${frontendUrl}/orders?payment=${outcome}&order_id=${payment.order_id}`);
+      } catch (err) {
+        console.error(`Error in /api${route.return}:`, err);
+        res.status(500).json({ error: msg('common.server_error') });
+      }
+    });
+  }
+
+  // Truy vấn trạng thái giao dịch trên cổng và đồng bộ nếu thanh toán còn pending
+  router.post('/admin/payments/:paymentId/query', authMiddleware, requirePermission('payments.manage'), paymentParams, async (req, res) => {
+    try {
+      const payment = await repos.payments.findById(req.params.paymentId);
+      if (!payment) {
+        return res.status(404).json({ error: msg('payments.not_found') });
+      }
+
+      const result = await queryPayment(repos, payment, { ipAddr: req.ip || '127.0.0.1' });
+      await recordAudit(repos, req, {
+        action: 'payment.queried',
+        entityType: 'payment',
+        entityId: payment.payment_id,
+        before: { status: payment.status },
+        after: { status: result.payment.status, settled: result.settled }
+      });
+      res.json(result);
+    } catch (err) {
+      if (err instanceof PaymentGatewayError) {
+        return res.status(err.status).json({ error: err.localized });
+      }
+      console.error('Error in /admin/payments/:paymentId/query:', err);
+      res.status(500).json({ error: msg('common.server_error') });
+    }
+  });
+
+  // Hoàn tiền qua cổng đã thu tiền, toàn phần nếu không truyền amount
+  router.post('/admin/payments/:paymentId/refund', authMiddleware, requirePermission('payments.manage'), validate({
+    params: { paymentId: v.id() },
+    body: { amount: v.integer({ min: 1 }).optional(), reason: v.string({ max: 255 }).optional() }
+  }), async (req, res) => {
+    const { amount, reason } = req.body;
+
+    try {
+      const payment = await repos.payments.findById(req.params.paymentId);
+      if (!payment) {
+        return res.status(404).json({ error: msg('payments.not_found') });
+      }
+
+      const result = await refundPayment(repos, payment, {
+        amount, reason, admin: req.user, ipAddr: req.ip || '127.0.0.1'
+      });
+
+      // Ghi log hành động
+      console.log(`Admin ${req.user.id} refunded ${result.refund.amount} of payment ${payment.payment_id}`);
+      await recordAudit(repos, req, {
+        action: 'payment.refunded',
+        entityType: 'payment',
+        entityId: payment.payment_id,
+        before: { status: payment.status, refunded_amount: payment.refunded_amount },
+        after: {
+          status: result.payment.status,
+          refunded_amount: result.payment.refunded_amount,
+          refund_id: result.refund.id,
+          refund_amount: result.refund.amount,
+          refund_status: result.refund.status,
+          reason: reason || null
+        }
+      });
+
+      res.json(result);
+    } catch (err) {
+      if (err instanceof RefundError || err instanceof PaymentGatewayError) {
+        return res.status(err.status).json({ error: err.localized });
+      }
+      console.error('Error in /admin/payments/:paymentId/refund:', err);
+      res.status(500).json({ error: msg('common.server_error') });
+    }
+  });
+
+  // Danh sách các lần hoàn tiền của một thanh toán
+  router.get('/admin/payments/:paymentId/refunds', authMiddleware, requirePermission('payments.manage'), paymentParams, async (req, res) => {
+    try {
+      const payment = await repos.payments.findById(req.params.paymentId);
+      if (!payment) {
+        return res.status(404).json({ error: msg('payments.not_found') });
+      }
+      res.json(await repos.refunds.listByPayment(payment.payment_id));
+    } catch (err) {
+      console.error('Error in /admin/payments/:paymentId/refunds:', err);
+      res.status(500).json({ error: msg('common.server_error') });
+    }
+  });
+
+  // Endpoint lấy thông tin thanh toán
+  router.get('/payments/:orderId', authMiddleware, orderParams, async (req, res) => {
+    try {
+      const orderId = req.params.orderId;
+      const order = await repos.orders.findForUser(orderId, req.user.id);
+      if (!order) {
+        return res.status(403).json({ error: msg('orders.unauthorized') });
+      }
+      const payment = await repos.payments.findByOrder(orderId);
+      if (!payment) {
+        return res.status(404).json({ error: msg('payments.not_found') });
+      }
+      res.json(payment);
+    } catch (err) {
+      console.error('Error in /api/payments:', err);
+      res.status(500).json({ error: msg('common.server_error') });
+    }
+  });
+
+  return router;
+};
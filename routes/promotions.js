@@ -0,0 +1,135 @@
+const express = require('express');
+const { createAuthMiddleware, requirePermission } = require('../middleware/auth');
+const { v, validate } = require('../middleware/validate');
+const { recordAudit } = require('../services/audit');
+const { PROMOTION_TYPES, PromotionError, promotionSettings, formatPromotion } = require('../services/promotions');
+const { msg } = require('../services/i18n');
+
+module.exports = ({ repos }) => {
+  const router = express.Router();
+  const authMiddleware = createAuthMiddleware({ repos });
+
+  // Lỗi cấu hình khuyến mãi trả về đúng mã, còn lại là lỗi server
+  const handleError = (res, route, err) => {
+    if (err instanceof PromotionError) {
+      return res.status(err.status).json({ error: err.localized });
+    }
+    console.error(`Error in ${route}:`, err);
+    res.status(500).json({ error: msg('common.server_error') });
+  };
+
+  const promotionParams = { id: v.id() };
+  const amount = v.integer({ min: 0, max: 100000000 });
+  const foodQuantity = v.object({ food_id: v.id(), quantity: v.integer({ min: 1, max: 100 }) });
+  const limit = v.integer({ min: 1, max: 1000000 }).nullable().optional();
+  const promotionBody = {
+    code: v.string({ max: 40, pattern: /^[A-Za-z0-9_-]+$/ }).nullable().optional(),
+    name: v.string({ max: 100 }),
+    type: v.enum(PROMOTION_TYPES),
+    value: amount,
+    max_discount: amount.nullable().optional(),
+    min_order_value: amount.default(0),
+    buy: foodQuantity.optional(),
+    get: foodQuantity.optional(),
+    items: v.array(foodQuantity, { max: 20 }).optional(),
+    starts_at: v.datetime().nullable().optional(),
+    ends_at: v.datetime().nullable().optional(),
+    usage_limit: limit,
+    per_user_limit: limit,
+    is_active: v.boolean().default(true)
+  };
+
+  // Kiểm tra cấu hình và các món tham gia; mã trùng trả về 409
+  async function checkPromotion(db, { promotion, items }, id = null) {
+    for (const item of items) {
+      if (!(await db.foods.findById(item.food_id))) {
+        throw new PromotionError(msg('promotions.food_not_found', { food_id: item.food_id }));
+      }
+    }
+    if (promotion.code) {
+      const existing = await db.promotions.findByCode(promotion.code);
+      if (existing && existing.id !== id) {
+        throw new PromotionError(msg('promotions.code_exists', { code: promotion.code }), 409);
+      }
+    }
+  }
+
+  // API danh sách khuyến mãi kèm số lượt đã dùng
+  router.get('/admin/promotions', authMiddleware, requirePermission('promotions.manage'), async (req, res) => {
+    try {
+      const promotions = await repos.promotions.list();
+      res.json(promotions.map(formatPromotion));
+    } catch (err) {
+      handleError(res, '/admin/promotions', err);
+    }
+  });
+
+  // API tạo khuyến mãi
+  router.post('/admin/promotions', authMiddleware, requirePermission('promotions.manage'), validate({
+    body: promotionBody
+  }), async (req, res) => {
+    try {
+      const settings = promotionSettings(req.body);
+      const promotion = await repos.transaction(async (tx) => {
+        await checkPromotion(tx, settings);
+        const id = await tx.promotions.create(settings.promotion);
+        await tx.promotions.setItems(id, settings.items);
+        const created = formatPromotion(await tx.promotions.findById(id));
+        await recordAudit(tx, req, { action: 'promotion.created', entityType: 'promotion', entityId: id, after: created });
+        return created;
+      });
+      res.status(201).json(promotion);
+    } catch (err) {
+      handleError(res, '/admin/promotions (POST)', err);
+    }
+  });
+
+  // API cập nhật khuyến mãi; lượt đã dùng được giữ nguyên
+  router.put('/admin/promotions/:id', authMiddleware, requirePermission('promotions.manage'), validate({
+    params: promotionParams, body: promotionBody
+  }), async (req, res) => {
+    const { id } = req.params;
+    try {
+      const settings = promotionSettings(req.body);
+      const promotion = await repos.transaction(async (tx) => {
+        const before = await tx.promotions.findById(id);
+        if (!before) return null;
+        await checkPromotion(tx, settings, before.id);
+        await tx.promotions.update(id, settings.promotion);
+        await tx.promotions.setItems(id, settings.items);
+        const after = formatPromotion(await tx.promotions.findById(id));
+        await recordAudit(tx, req, { action: 'promotion.updated', entityType: 'promotion', entityId: before.id, before: formatPromotion(before), after });
+        return after;
+      });
+      if (!promotion) {
+        return res.status(404).json({ error: msg('promotions.not_found') });
+      }
+      res.json(promotion);
+    } catch (err) {
+      handleError(res, '/admin/promotions/:id (PUT)', err);
+    }
+  });
+
+  // API xóa khuyến mãi; các đơn đã áp dụng vẫn giữ dòng giảm giá
+  router.delete('/admin/promotions/:id', authMiddleware, requirePermission('promotions.manage'), validate({
+    params: promotionParams
+  }), async (req, res) => {
+    const { id } = req.params;
+    try {
+      const deleted = await repos.transaction(async (tx) => {
+        const before = await tx.promotions.findById(id);
+        if (!before || !(await tx.promotions.remove(id))) return false;
+        await recordAudit(tx, req, { action: 'promotion.deleted', entityType: 'promotion', entityId: before.id, before: formatPromotion(before) });
+        return true;
+      });
+      if (!deleted) {
+        return res.status(404).json({ error: msg('promotions.not_found') });
+      }
+      res.json({ message: msg('promotions.deleted') });
+    } catch (err) {
+      handleError(res, '/admin/promotions/:id (DELETE)', err);
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,62 @@
+const express = require('express');
+const { createAuthMiddleware, requirePermission } = require('../middleware/auth');
+const { v, validate } = require('../middleware/validate');
+const { ReportRangeError, buildReconciliationReport } = require('../services/reconciliation');
+const { EXPORT_FORMATS, REPORT_TABLES, SalesReportError, buildSalesReport, exportSalesReport } = require('../services/salesReport');
+const { msg } = require('../services/i18n');
+
+module.exports = ({ repos }) => {
+  const router = express.Router();
+  const authMiddleware = createAuthMiddleware({ repos });
+
+  // Lỗi khoảng ngày hoặc tham số báo cáo trả về 400, còn lại là lỗi server
+  const handleError = (res, route, err) => {
+    if (err instanceof ReportRangeError || err instanceof SalesReportError) {
+      return res.status(err.status).json({ error: err.localized });
+    }
+    console.error(`Error in ${route}:`, err);
+    res.status(500).json({ error: msg('common.server_error') });
+  };
+
+  const range = { from: v.date().optional(), to: v.date().optional() };
+
+  // Đối chiếu đơn hàng và thanh toán theo ngày, ?from=YYYY-MM-DD&to=YYYY-MM-DD
+  router.get('/admin/reports/reconciliation', authMiddleware, requirePermission('reports.view'), validate({
+    query: range
+  }), async (req, res) => {
+    try {
+      const { from, to } = req.query;
+      res.json(await buildReconciliationReport(repos, { from, to }));
+    } catch (err) {
+      handleError(res, '/admin/reports/reconciliation', err);
+    }
+  });
+
+  // Phân tích bán hàng: doanh thu theo ngày/giờ/danh mục/món/phương thức thanh toán, tỷ lệ hủy, giờ cao điểm
+  router.get('/admin/reports/sales', authMiddleware, requirePermission('reports.view'), validate({
+    query: range
+  }), async (req, res) => {
+    try {
+      const { from, to } = req.query;
+      res.json(await buildSalesReport(repos, { from, to }));
+    } catch (err) {
+      handleError(res, '/admin/reports/sales', err);
+    }
+  });
+
+  // Tải báo cáo bán hàng, ?format=csv&table=by_food hoặc ?format=xlsx (mọi bảng, mỗi bảng một sheet)
+  router.get('/admin/reports/sales/export', authMiddleware, requirePermission('reports.view'), validate({
+    query: { ...range, format: v.enum(EXPORT_FORMATS).default('csv'), table: v.enum(REPORT_TABLES).default('by_day') }
+  }), async (req, res) => {
+    try {
+      const file = await exportSalesReport(repos, req.query);
+      res.set('Content-Type', file.contentType);
+      res.set('Content-Disposition', `attachment; filename="${file.filename}"`);
+      res.send(file.body);
+    } catch (err) {
+      handleError(res, '/admin/reports/sales/export', err);
+    }
+  });
+
+  return router;
+};
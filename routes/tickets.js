@@ -0,0 +1,131 @@
+const express = require('express');
+const QRCode = require('qrcode');
+const { createAuthMiddleware, requirePermission } = require('../middleware/auth');
+const { REFUSALS, redeemTicket } = require('../services/ticketRedemption');
+const { v, validate } = require('../middleware/validate');
+const { hasPermission } = require('../services/permissions');
+const { SyncError, buildSnapshot, syncRedemptions } = require('../services/offlineRedemption');
+const { msg } = require('../services/i18n');
+
+module.exports = ({ repos }) => {
+  const router = express.Router();
+  const authMiddleware = createAuthMiddleware({ repos });
+
+  // Đổi phiếu lấy đồ ăn (nhân viên quầy): body { ticket_code, device_id }, hoặc header X-Device-Id.
+  // Trả về kết quả có cấu trúc kể cả khi bị từ chối, kèm mã lý do (reason).
+  const redeemRequest = validate({
+    body: { ticket_code: v.string({ max: 200 }).message(msg('tickets.code_required')), device_id: v.string({ max: 100 }).optional() }
+  });
+  const redeem = route => async (req, res) => {
+    const { ticket_code, device_id } = req.body;
+
+    try {
+      const result = await redeemTicket(repos, ticket_code, {
+        userId: req.user.id,
+        device: device_id || req.header('X-Device-Id') || null
+      });
+      if (result.redeemed) {
+        return res.json(result);
+      }
+      // Từ chối: định dạng lỗi chung, giữ kèm thông tin phiếu/đơn để máy quét hiển thị
+      res.status(REFUSALS[result.reason].status).json({ error: result.message, code: result.reason.toUpperCase(), ...result });
+    } catch (err) {
+      console.error(`Error in ${route}:`, err);
+      res.status(500).json({ error: msg('common.server_error') });
+    }
+  };
+
+  router.post('/admin/tickets/redeem', authMiddleware, requirePermission('tickets.redeem'), redeemRequest, redeem('/admin/tickets/redeem'));
+
+  // Các đường dẫn cũ của máy quét, dùng chung quy tắc với /admin/tickets/redeem
+  router.post('/tickets/verify', authMiddleware, requirePermission('tickets.redeem'), redeemRequest, redeem('/tickets/verify'));
+  router.post('/admin/scan-qr', authMiddleware, requirePermission('tickets.redeem'), redeemRequest, redeem('/admin/scan-qr'));
+
+  // Máy quét tải danh sách phiếu nhận được cho ca làm để quét khi mất mạng
+  // ?device_id=&hours= (mặc định 8, tối đa 24)
+  router.get('/admin/tickets/snapshot', authMiddleware, requirePermission('tickets.redeem'), validate({
+    query: { device_id: v.string({ max: 100 }).optional(), hours: v.number({ min: 1, max: 24 }).optional() }
+  }), async (req, res) => {
+    try {
+      const deviceId = req.query.device_id || req.header('X-Device-Id');
+      res.json(await buildSnapshot(repos, { deviceId, hours: req.query.hours }));
+    } catch (err) {
+      if (err instanceof SyncError) {
+        return res.status(err.status).json({ error: err.localized });
+      }
+      console.error('Error in /admin/tickets/snapshot:', err);
+      res.status(500).json({ error: msg('common.server_error') });
+    }
+  });
+
+  // Máy quét gửi lên các lượt quét offline: body { device_id, redemptions: [{ ticket_code, redeemed_at }] }
+  // Từng lượt quét được kiểm tra riêng trong syncRedemptions (lượt sai bị từ chối, không làm hỏng cả lô)
+  router.post('/admin/tickets/sync', authMiddleware, requirePermission('tickets.redeem'), validate({
+    body: { device_id: v.string({ max: 100 }).optional(), redemptions: v.array(v.any(), { min: 1, max: 500 }) }
+  }), async (req, res) => {
+    const { device_id, redemptions } = req.body;
+
+    try {
+      const report = await syncRedemptions(repos, {
+        deviceId: device_id || req.header('X-Device-Id'), userId: req.user.id, redemptions
+      });
+
+      // Ghi log hành động
+      console.log(`Admin ${req.user.id} synced ${redemptions.length} offline redemptions from ${report.device_id}:`, report.summary);
+
+      res.json(report);
+    } catch (err) {
+      if (err instanceof SyncError) {
+        return res.status(err.status).json({ error: err.localized });
+      }
+      console.error('Error in /admin/tickets/sync:', err);
+      res.status(500).json({ error: msg('common.server_error') });
+    }
+  });
+
+  // API lấy thông tin phiếu ăn
+  router.get('/tickets/:order_id', authMiddleware, validate({ params: { order_id: v.id() } }), async (req, res) => {
+    const { order_id } = req.params;
+
+    try {
+      const ticket = await repos.tickets.findByOrderForUser(order_id, req.user.id);
+      if (!ticket) {
+        return res.status(404).json({ error: msg('tickets.not_found_or_unauthorized') });
+      }
+      res.json(ticket);
+    } catch (err) {
+      console.error('Error in /tickets/:order_id:', err);
+      res.status(500).json({ error: msg('common.server_error') });
+    }
+  });
+
+  // Ảnh QR của mã phiếu, ?format=png (mặc định) hoặc svg; admin xem được phiếu của mọi đơn
+  router.get('/tickets/:order_id/qr', authMiddleware, validate({
+    params: { order_id: v.id() },
+    query: { format: v.enum(['png', 'svg']).default('png').message(msg('tickets.invalid_qr_format')) }
+  }), async (req, res) => {
+    const { order_id } = req.params;
+    const { format } = req.query;
+
+    try {
+      const ticket = hasPermission(req.user, 'orders.view')
+        ? await repos.tickets.findByOrder(order_id)
+        : await repos.tickets.findByOrderForUser(order_id, req.user.id);
+      if (!ticket) {
+        return res.status(404).json({ error: msg('tickets.not_found_or_unauthorized') });
+      }
+
+      res.set('Cache-Control', 'private, no-store');
+      if (format === 'svg') {
+        res.type('image/svg+xml').send(await QRCode.toString(ticket.ticket_code, { type: 'svg', margin: 2 }));
+      } else {
+        res.type('image/png').send(await QRCode.toBuffer(ticket.ticket_code, { type: 'png', width: 320, margin: 2 }));
+      }
+    } catch (err) {
+      console.error('Error in /tickets/:order_id/qr:', err);
+      res.status(500).json({ error: msg('common.server_error') });
+    }
+  });
+
+  return router;
+};
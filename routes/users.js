@@ -0,0 +1,93 @@
+const express = require('express');
+const { createAuthMiddleware, requirePermission } = require('../middleware/auth');
+const { revokeAllSessions } = require('../services/authTokens');
+const { ROLES } = require('../services/permissions');
+const { v, validate } = require('../middleware/validate');
+const { recordAudit } = require('../services/audit');
+const { msg } = require('../services/i18n');
+
+module.exports = ({ repos }) => {
+  const router = express.Router();
+  const authMiddleware = createAuthMiddleware({ repos });
+
+  // Không được hạ quyền hay xóa admin cuối cùng, nếu không sẽ không ai quản lý được người dùng
+  const isLastAdmin = async (tx, user) => user.role === 'admin' && (await tx.users.countByRole('admin')) <= 1;
+
+  // Lấy danh sách tất cả user
+  router.get('/users', authMiddleware, requirePermission('users.manage'), async (req, res) => {
+    try {
+      const users = await repos.users.list();
+      res.json(users);
+    } catch (err) {
+      console.error('Error in /users:', err);
+      res.status(500).json({ error: msg('users.fetch_failed') });
+    }
+  });
+
+  // Đổi quyền user: customer, cashier, kitchen, manager, admin
+  router.put('/users/:id/role', authMiddleware, requirePermission('users.manage'), validate({
+    params: { id: v.id() },
+    body: { role: v.enum(ROLES).message(msg('users.invalid_role')) }
+  }), async (req, res) => {
+    const { id } = req.params;
+    const { role } = req.body;
+    try {
+      const result = await repos.transaction(async (tx) => {
+        const user = await tx.users.findById(id);
+        if (!user) return { status: 404, error: msg('users.not_found') };
+        if (role !== 'admin' && await isLastAdmin(tx, user)) {
+          return { status: 400, error: msg('users.last_admin_demote') };
+        }
+        await tx.users.updateRole(user.id, role);
+        await recordAudit(tx, req, {
+          action: 'user.role_changed', entityType: 'user', entityId: user.id, before: { role: user.role }, after: { role }
+        });
+        return null;
+      });
+      if (result) {
+        return res.status(result.status).json({ error: result.error });
+      }
+
+      // Token cũ mang quyền cũ: buộc đăng nhập lại trên mọi thiết bị
+      await revokeAllSessions(repos, id);
+      res.json({ success: true });
+    } catch (err) {
+      console.error('Error in /users/:id/role:', err);
+      res.status(500).json({ error: msg('users.update_role_failed') });
+    }
+  });
+
+  // Xóa user
+  router.delete('/users/:id', authMiddleware, requirePermission('users.manage'), validate({ params: { id: v.id() } }), async (req, res) => {
+    const { id } = req.params;
+    try {
+      const result = await repos.transaction(async (tx) => {
+        const user = await tx.users.findById(id);
+        if (!user) return { status: 404, error: msg('users.not_found') };
+        if (await isLastAdmin(tx, user)) {
+          return { status: 400, error: msg('users.last_admin_delete') };
+        }
+        await tx.users.remove(user.id);
+        await recordAudit(tx, req, {
+          action: 'user.deleted', entityType: 'user', entityId: user.id,
+          before: { name: user.name, email: user.email, role: user.role }
+        });
+        return null;
+      });
+      if (result) {
+        return res.status(result.status).json({ error: result.error });
+      }
+
+      res.json({ success: true });
+    } catch (err) {
+      // Người dùng đã có đơn (khóa ngoại orders): giữ lại để không mất đơn và thanh toán
+      if (err.code === 'ER_ROW_IS_REFERENCED_2') {
+        return res.status(409).json({ error: msg('users.has_orders') });
+      }
+      console.error('Error in /users/:id:', err);
+      res.status(500).json({ error: msg('users.delete_failed') });
+    }
+  });
+
+  return router;
+};
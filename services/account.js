@@ -0,0 +1,125 @@
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+const { revokeAllSessions } = require('./authTokens');
+const { LOCALES, DEFAULT_LOCALE, LocalizedError, msg, translate } = require('./i18n');
+
+// Xác minh email và quên mật khẩu. Token gửi qua email là chuỗi ngẫu nhiên, database chỉ lưu bản băm;
+// mỗi token dùng một lần và có hạn, cấp token mới thì các token cũ cùng mục đích hết hiệu lực.
+// Xác minh email chỉ để thông tin (user.email_verified), không chặn đăng nhập hay đặt món.
+const PURPOSES = {
+  verify_email: { ttlEnv: 'EMAIL_VERIFICATION_TTL_HOURS', defaultTtl: 24, unit: 3600 * 1000 },
+  reset_password: { ttlEnv: 'PASSWORD_RESET_TTL_MINUTES', defaultTtl: 60, unit: 60 * 1000 }
+};
+const MIN_PASSWORD_LENGTH = 8;
+// bcrypt chỉ dùng 72 byte đầu của mật khẩu
+const MAX_PASSWORD_BYTES = 72;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+class AccountError extends LocalizedError {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'AccountError';
+    this.status = status;
+  }
+}
+
+const hashToken = token => crypto.createHash('sha256').update(token).digest('hex');
+const frontendUrl = () => process.env.FRONTEND_URL || 'http://localhost:3001';
+
+// Thư viết theo ngôn ngữ người dùng đã chọn; chưa chọn thì theo ngôn ngữ của request gửi thư
+const mailLocale = (user, fallback) => (LOCALES.includes(user.locale) ? user.locale : fallback || DEFAULT_LOCALE);
+
+function isValidEmail(email) {
+  return typeof email === 'string' && email.length <= 255 && EMAIL_PATTERN.test(email);
+}
+
+// Quy tắc mật khẩu khi đăng ký và đặt lại: trả về Message mô tả lỗi, hoặc null nếu hợp lệ
+function passwordProblem(password) {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    return msg('validation.min_length', { min: MIN_PASSWORD_LENGTH });
+  }
+  if (Buffer.byteLength(password) > MAX_PASSWORD_BYTES) {
+    return msg('validation.max_bytes', { max: MAX_PASSWORD_BYTES });
+  }
+  if (!/\p{L}/u.test(password) || !/\d/.test(password)) {
+    return msg('validation.password_strength');
+  }
+  return null;
+}
+
+async function createAccountToken(repos, userId, purpose) {
+  const { ttlEnv, defaultTtl, unit } = PURPOSES[purpose];
+  const ttl = Number(process.env[ttlEnv]) > 0 ? Number(process.env[ttlEnv]) : defaultTtl;
+  const token = crypto.randomBytes(32).toString('base64url');
+
+  await repos.userTokens.invalidateForUser(userId, purpose);
+  await repos.userTokens.create({
+    userId, purpose, tokenHash: hashToken(token), expiresAt: new Date(Date.now() + ttl * unit)
+  });
+  return token;
+}
+
+// Dùng token, trả về user_id; ném AccountError nếu token sai, đã dùng hoặc hết hạn
+async function consumeAccountToken(repos, purpose, token) {
+  const stored = token ? await repos.userTokens.findByHash(purpose, hashToken(String(token))) : null;
+  if (!stored || !(await repos.userTokens.consume(stored.id))) {
+    throw new AccountError(msg('account.invalid_token'));
+  }
+  return stored.user_id;
+}
+
+async function sendVerificationEmail(repos, mailer, user, { locale } = {}) {
+  const token = await createAccountToken(repos, user.id, 'verify_email');
+  const link = `${frontendUrl()}/verify-email?token=${token}`;
+  const language = mailLocale(user, locale);
+  await mailer.send({
+    to: user.email,
+    subject: translate(language, 'account.verify_email_subject'),
+    text: translate(language, 'account.verify_email_text', { name: user.name, link, token })
+  });
+}
+
+async function verifyEmail(repos, token) {
+  const userId = await consumeAccountToken(repos, 'verify_email', token);
+  await repos.users.markEmailVerified(userId);
+  return userId;
+}
+
+// Luôn kết thúc bình thường dù email có tồn tại hay không, để không lộ danh sách tài khoản
+async function requestPasswordReset(repos, mailer, email, { locale } = {}) {
+  const user = isValidEmail(email) ? await repos.users.findByEmail(email) : null;
+  if (!user) return;
+
+  const token = await createAccountToken(repos, user.id, 'reset_password');
+  const link = `${frontendUrl()}/reset-password?token=${token}`;
+  const language = mailLocale(user, locale);
+  await mailer.send({
+    to: user.email,
+    subject: translate(language, 'account.reset_email_subject'),
+    text: translate(language, 'account.reset_email_text', { name: user.name, link })
+  });
+}
+
+// Đặt mật khẩu mới, đăng xuất mọi thiết bị; email coi như đã xác minh vì người dùng nhận được thư
+async function resetPassword(repos, token, password) {
+  const problem = passwordProblem(password);
+  if (problem) {
+    throw new AccountError(problem.with({ field: 'password' }));
+  }
+
+  const userId = await consumeAccountToken(repos, 'reset_password', token);
+  await repos.users.updatePassword(userId, await bcrypt.hash(password, 10));
+  await repos.users.markEmailVerified(userId);
+  await revokeAllSessions(repos, userId);
+  return userId;
+}
+
+module.exports = {
+  AccountError,
+  isValidEmail,
+  passwordProblem,
+  sendVerificationEmail,
+  verifyEmail,
+  requestPasswordReset,
+  resetPassword
+};
@@ -0,0 +1,100 @@
+const { toCsv } = require('./csv');
+const { parseDay } = require('./dates');
+const { LocalizedError, msg } = require('./i18n');
+
+// Nhật ký thao tác nhạy cảm (quản trị, thanh toán): ai làm gì, trên đối tượng nào, giá trị trước/sau, từ IP nào.
+// Thao tác nên ghi nhật ký trong cùng transaction với thay đổi để hai việc cùng thành công hoặc cùng hủy.
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+const MAX_EXPORT_ROWS = 10000;
+const EXPORT_FORMATS = ['csv', 'json'];
+
+class AuditQueryError extends LocalizedError {
+  constructor(message) {
+    super(message);
+    this.name = 'AuditQueryError';
+    this.status = 400;
+  }
+}
+
+// Ghi một dòng nhật ký cho request của người dùng đăng nhập
+async function recordAudit(repos, req, { action, entityType, entityId = null, before = null, after = null }) {
+  await repos.auditLogs.create({
+    actorId: req.user ? req.user.id : null,
+    actorRole: req.user ? req.user.role : null,
+    action,
+    entityType,
+    entityId,
+    before,
+    after,
+    ipAddr: req.ip || null,
+    userAgent: req.header('User-Agent') ? req.header('User-Agent').slice(0, 255) : null
+  });
+}
+
+// Bộ lọc từ query string đã kiểm tra ở route: from, to, actor_id, action, entity_type, entity_id
+function parseFilters(query) {
+  const filters = {
+    from: parseDay(query.from),
+    to: parseDay(query.to, { nextDay: true }),
+    actorId: query.actor_id || null,
+    action: query.action ? String(query.action) : null,
+    entityType: query.entity_type ? String(query.entity_type) : null,
+    entityId: query.entity_id ? String(query.entity_id) : null
+  };
+  if (filters.from && filters.to && filters.to <= filters.from) {
+    throw new AuditQueryError(msg('validation.date_range'));
+  }
+  return filters;
+}
+
+const formatEntry = entry => ({
+  id: entry.id,
+  created_at: entry.created_at,
+  actor_id: entry.actor_id,
+  actor_name: entry.actor_name,
+  actor_role: entry.actor_role,
+  action: entry.action,
+  entity_type: entry.entity_type,
+  entity_id: entry.entity_id,
+  before: entry.before_value,
+  after: entry.after_value,
+  ip_addr: entry.ip_addr,
+  user_agent: entry.user_agent
+});
+
+async function searchAuditLog(repos, query = {}) {
+  const filters = parseFilters(query);
+  const limit = query.limit || DEFAULT_LIMIT;
+  const offset = query.offset || 0;
+
+  const [entries, total] = await Promise.all([
+    repos.auditLogs.search(filters, { limit, offset }),
+    repos.auditLogs.count(filters)
+  ]);
+  return { total, limit, offset, entries: entries.map(formatEntry) };
+}
+
+const CSV_COLUMNS = [
+  'id', 'created_at', 'actor_id', 'actor_name', 'actor_role', 'action',
+  'entity_type', 'entity_id', 'before', 'after', 'ip_addr', 'user_agent'
+].map(key => ({ header: key, value: entry => entry[key] }));
+
+// Xuất toàn bộ kết quả lọc (tối đa MAX_EXPORT_ROWS dòng, mới nhất trước)
+async function exportAuditLog(repos, query = {}) {
+  const format = query.format || 'csv';
+  const filters = parseFilters(query);
+  const total = await repos.auditLogs.count(filters);
+  if (total > MAX_EXPORT_ROWS) {
+    throw new AuditQueryError(msg('audit.export_too_large', { max: MAX_EXPORT_ROWS }));
+  }
+
+  const entries = (await repos.auditLogs.search(filters, { limit: MAX_EXPORT_ROWS })).map(formatEntry);
+  const stamp = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+  if (format === 'json') {
+    return { filename: `audit-log-${stamp}.json`, contentType: 'application/json', body: JSON.stringify(entries, null, 2) };
+  }
+  return { filename: `audit-log-${stamp}.csv`, contentType: 'text/csv; charset=utf-8', body: toCsv(CSV_COLUMNS, entries) };
+}
+
+module.exports = { MAX_LIMIT, EXPORT_FORMATS, AuditQueryError, recordAudit, searchAuditLog, exportAuditLog };
@@ -0,0 +1,133 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { LocalizedError, msg } = require('./i18n');
+
+// Phiên đăng nhập: access token JWT ngắn hạn + refresh token ngẫu nhiên lưu dạng băm trên server.
+// Mỗi lần làm mới, refresh token cũ bị thu hồi và thay bằng token mới cùng họ (family).
+// Dùng lại một refresh token đã thu hồi (bị đánh cắp) sẽ thu hồi cả họ đó.
+const DEFAULT_ACCESS_TOKEN_TTL = '15m';
+const DEFAULT_REFRESH_TOKEN_TTL_DAYS = 30;
+const STREAM_TOKEN_TTL_SECONDS = 60;
+const STREAM_TOKEN_AUDIENCE = 'events';
+
+class AuthTokenError extends LocalizedError {
+  constructor(message) {
+    super(message);
+    this.name = 'AuthTokenError';
+    this.status = 401;
+  }
+}
+
+const hashToken = token => crypto.createHash('sha256').update(token).digest('hex');
+
+function refreshTtlDays() {
+  const days = Number(process.env.REFRESH_TOKEN_TTL_DAYS);
+  return days > 0 ? days : DEFAULT_REFRESH_TOKEN_TTL_DAYS;
+}
+
+// tv: phiên bản token của người dùng, lệch với database thì token bị coi là đã thu hồi
+function signAccessToken(user) {
+  return jwt.sign(
+    { id: user.id, role: user.role, tv: user.token_version || 0 },
+    process.env.JWT_SECRET,
+    { expiresIn: process.env.ACCESS_TOKEN_TTL || DEFAULT_ACCESS_TOKEN_TTL }
+  );
+}
+
+// Stream token (aud = events) không được dùng thay access token
+function verifyAccessToken(token) {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  if (decoded.aud) {
+    throw new jwt.JsonWebTokenError('jwt audience invalid');
+  }
+  return decoded;
+}
+
+// Token ngắn hạn chỉ để mở luồng SSE qua ?token= (EventSource không gửi được header), để access token không nằm trong URL
+// và log truy cập. se: hạn của access token dùng để xin, luồng mở bằng stream token đóng lại khi tới hạn đó.
+function signStreamToken(user, { sessionExpiresAt }) {
+  return jwt.sign(
+    { id: user.id, tv: user.token_version || 0, se: sessionExpiresAt },
+    process.env.JWT_SECRET,
+    { expiresIn: STREAM_TOKEN_TTL_SECONDS, audience: STREAM_TOKEN_AUDIENCE }
+  );
+}
+
+function verifyStreamToken(token) {
+  return jwt.verify(token, process.env.JWT_SECRET, { audience: STREAM_TOKEN_AUDIENCE });
+}
+
+// Tạo access token và refresh token cho người dùng; familyId để tiếp tục phiên của cùng thiết bị
+async function issueSession(repos, user, { familyId = null, userAgent = null, ipAddr = null } = {}) {
+  const refreshToken = crypto.randomBytes(32).toString('base64url');
+  const expiresAt = new Date(Date.now() + refreshTtlDays() * 24 * 3600 * 1000);
+
+  await repos.refreshTokens.create({
+    userId: user.id,
+    tokenHash: hashToken(refreshToken),
+    familyId: familyId || crypto.randomBytes(16).toString('hex'),
+    expiresAt,
+    userAgent: userAgent ? String(userAgent).slice(0, 255) : null,
+    ipAddr
+  });
+
+  const token = signAccessToken(user);
+  const { exp, iat } = jwt.decode(token);
+  return { token, expires_in: exp - iat, refresh_token: refreshToken, refresh_expires_at: expiresAt };
+}
+
+// Đổi refresh token lấy cặp token mới. Quyền được đọc lại từ database.
+async function refreshSession(repos, refreshToken, meta = {}) {
+  const stored = refreshToken ? await repos.refreshTokens.findByHash(hashToken(String(refreshToken))) : null;
+  if (!stored) {
+    throw new AuthTokenError(msg('auth.invalid_refresh_token'));
+  }
+  if (stored.revoked_at) {
+    await repos.refreshTokens.revokeFamily(stored.family_id);
+    console.error(`Refresh token ${stored.id} of user ${stored.user_id} was reused, revoking its sessions`);
+    throw new AuthTokenError(msg('auth.refresh_token_revoked'));
+  }
+  if (new Date(stored.expires_at) <= new Date()) {
+    throw new AuthTokenError(msg('auth.refresh_token_expired'));
+  }
+
+  const user = await repos.users.findById(stored.user_id);
+  if (!user) {
+    throw new AuthTokenError(msg('auth.invalid_refresh_token'));
+  }
+
+  return repos.transaction(async (tx) => {
+    if (!(await tx.refreshTokens.revoke(stored.id))) {
+      throw new AuthTokenError(msg('auth.refresh_token_revoked'));
+    }
+    const session = await issueSession(tx, user, { ...meta, familyId: stored.family_id });
+    return { ...session, user };
+  });
+}
+
+// Đăng xuất thiết bị hiện tại: thu hồi họ của refresh token
+async function revokeSession(repos, refreshToken) {
+  const stored = refreshToken ? await repos.refreshTokens.findByHash(hashToken(String(refreshToken))) : null;
+  if (!stored) return false;
+  await repos.refreshTokens.revokeFamily(stored.family_id);
+  return true;
+}
+
+// Đăng xuất mọi thiết bị: thu hồi mọi refresh token và vô hiệu các access token đã cấp
+async function revokeAllSessions(repos, userId) {
+  await repos.refreshTokens.revokeAllForUser(userId);
+  await repos.users.bumpTokenVersion(userId);
+}
+
+module.exports = {
+  AuthTokenError,
+  STREAM_TOKEN_TTL_SECONDS,
+  signAccessToken,
+  verifyAccessToken,
+  signStreamToken,
+  verifyStreamToken,
+  issueSession,
+  refreshSession,
+  revokeSession,
+  revokeAllSessions
+};
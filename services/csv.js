@@ -0,0 +1,21 @@
+// Xuất CSV cho các file tải về (mở bằng Excel).
+// Chuỗi bắt đầu bằng = + - @ được thêm dấu ' để bảng tính không chạy như công thức; số (kể cả số âm) giữ nguyên.
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  let text = value instanceof Date ? value.toISOString() : typeof value === 'object' ? JSON.stringify(value) : String(value);
+  if (typeof value === 'string' && FORMULA_PREFIX.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// columns: [{ header, value: row => ... }]; có BOM để Excel nhận đúng UTF-8
+function toCsv(columns, rows) {
+  const lines = [columns.map(c => csvCell(c.header)).join(',')];
+  for (const row of rows) {
+    lines.push(columns.map(c => csvCell(c.value(row))).join(','));
+  }
+  return `\uFEFF${lines.join('\r\n')}\r\n`;
+}
+
+module.exports = { csvCell, toCsv };
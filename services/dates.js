@@ -0,0 +1,15 @@
+// Ngày dạng 'YYYY-MM-DD' trong query của báo cáo và bộ lọc danh sách.
+// Định dạng và ngày hợp lệ đã được kiểm tra ở route bằng v.date(); ở đây chỉ đổi sang giờ địa phương.
+
+// 'YYYY-MM-DD' -> nửa đêm giờ địa phương; nextDay để lấy mốc cuối (to tính cả ngày đó)
+function parseDay(value, { nextDay = false } = {}) {
+  if (!value) return null;
+  const [year, month, day] = value.split('-').map(Number);
+  return new Date(year, month - 1, day + (nextDay ? 1 : 0));
+}
+
+function formatDay(date) {
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+module.exports = { parseDay, formatDay };
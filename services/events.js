@@ -0,0 +1,55 @@
+const { EventEmitter } = require('events');
+
+// Kênh sự kiện đơn hàng/thanh toán trong tiến trình, dùng cho luồng SSE.
+// Giữ lại một số sự kiện gần nhất để client kết nối lại (Last-Event-ID) không bị sót.
+const HISTORY_SIZE = 200;
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+const recent = [];
+let lastId = 0;
+
+// Các loại sự kiện:
+//   order.created   { order_id, user_id, status, total_price }
+//   order.status    { order_id, user_id, from, to, actor }
+//   order.item      { order_id, user_id, item_id, prep_status }
+//   order.kitchen   { order_id, user_id, action: 'bump' | 'recall' }
+//   payment.completed / payment.failed / payment.refunded { order_id, user_id, payment_id, method, amount, status }
+function publish(type, data) {
+  const event = { id: ++lastId, type, data: { ...data, at: new Date().toISOString() } };
+  recent.push(event);
+  if (recent.length > HISTORY_SIZE) recent.shift();
+  emitter.emit('event', event);
+  return event;
+}
+
+// Đăng ký nhận sự kiện thỏa filter; trả về hàm hủy đăng ký.
+// afterId: phát lại các sự kiện còn lưu có id lớn hơn trước khi nhận sự kiện mới.
+function subscribe(filter, listener, { afterId = null } = {}) {
+  if (afterId !== null) {
+    for (const event of recent) {
+      if (event.id > afterId && filter(event)) listener(event);
+    }
+  }
+
+  const handler = event => {
+    if (filter(event)) listener(event);
+  };
+  emitter.on('event', handler);
+  return () => emitter.off('event', handler);
+}
+
+// Sự kiện thanh toán kèm chủ đơn để gửi đúng khách hàng; status là trạng thái mới của thanh toán
+function publishPayment(type, payment, order, status) {
+  return publish(type, {
+    order_id: Number(payment.order_id),
+    user_id: order ? order.user_id : null,
+    payment_id: payment.payment_id,
+    method: payment.method,
+    amount: Number(payment.amount),
+    status
+  });
+}
+
+module.exports = { publish, publishPayment, subscribe };
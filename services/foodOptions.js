@@ -0,0 +1,75 @@
+const { LocalizedError, msg } = require('./i18n');
+
+// Tùy chọn món (cỡ, topping, mức đá, ...): mỗi món có các nhóm tùy chọn, mỗi nhóm có các lựa chọn kèm giá cộng thêm.
+//   single - chọn tối đa một lựa chọn; multi - chọn nhiều, giới hạn bởi min_select/max_select
+//   required - bắt buộc chọn (min_select >= 1)
+// Giá một phần = giá món + tổng price_delta của các lựa chọn (xem services/orderPlacement.js).
+const SELECTIONS = ['single', 'multi'];
+
+class FoodOptionError extends LocalizedError {
+  constructor(message) {
+    super(message);
+    this.name = 'FoodOptionError';
+    this.status = 400;
+  }
+}
+
+// Chuẩn hóa cấu hình nhóm từ body: min_select mặc định theo required, nhóm single luôn có max_select = 1
+function optionGroupSettings({ name, selection, required, min_select: minSelect, max_select: maxSelect, sort_order }) {
+  const min = minSelect !== undefined ? minSelect : (required ? 1 : 0);
+  if (required && min < 1) {
+    throw new FoodOptionError(msg('options.required_min'));
+  }
+  if (!required && min > 0) {
+    throw new FoodOptionError(msg('options.optional_min'));
+  }
+
+  let max = maxSelect !== undefined ? maxSelect : null;
+  if (selection === 'single') {
+    if (max !== null && max !== 1) {
+      throw new FoodOptionError(msg('options.single_max'));
+    }
+    max = 1;
+  }
+  if (max !== null && max < min) {
+    throw new FoodOptionError(msg('options.max_below_min'));
+  }
+
+  return { name, selection, is_required: Boolean(required), min_select: min, max_select: max, sort_order };
+}
+
+function formatOption(option) {
+  return {
+    id: option.id,
+    name: option.name,
+    price_delta: Number(option.price_delta),
+    is_available: Boolean(option.is_available),
+    sort_order: option.sort_order
+  };
+}
+
+// includeUnavailable = false: ẩn lựa chọn đang tạm ngừng (thực đơn cho khách)
+function formatGroup(group, { includeUnavailable = true } = {}) {
+  return {
+    id: group.id,
+    food_id: group.food_id,
+    name: group.name,
+    selection: group.selection,
+    required: Boolean(group.is_required),
+    min_select: group.min_select,
+    max_select: group.max_select,
+    sort_order: group.sort_order,
+    options: (group.options || []).filter(o => includeUnavailable || o.is_available).map(formatOption)
+  };
+}
+
+// Gắn option_groups vào từng món của danh sách
+async function withOptionGroups(repos, foods, options) {
+  const groups = await repos.foodOptions.listForFoods(foods.map(f => f.id));
+  return foods.map(food => ({
+    ...food,
+    option_groups: groups.filter(g => g.food_id === food.id).map(g => formatGroup(g, options))
+  }));
+}
+
+module.exports = { SELECTIONS, FoodOptionError, optionGroupSettings, formatGroup, formatOption, withOptionGroups };
@@ -0,0 +1,55 @@
+// Thông báo song ngữ. Code chỉ tạo Message (khóa + tham số); câu chữ được chọn theo ngôn ngữ của request
+// lúc trả phản hồi (middleware/locale.js). Danh mục thông báo nằm trong locales/<ngôn ngữ>.js.
+const CATALOGS = {
+  en: require('../locales/en'),
+  vi: require('../locales/vi')
+};
+const LOCALES = Object.keys(CATALOGS);
+// Ngôn ngữ khi client không yêu cầu ngôn ngữ được hỗ trợ
+const DEFAULT_LOCALE = LOCALES.includes(process.env.DEFAULT_LOCALE) ? process.env.DEFAULT_LOCALE : 'en';
+
+class Message {
+  constructor(key, params = {}) {
+    if (!(key in CATALOGS.en)) {
+      throw new Error(`Unknown message key "${key}"`);
+    }
+    this.key = key;
+    this.params = params;
+  }
+
+  // Bản sao có thêm tham số (vd. tên trường cho lỗi kiểm tra dữ liệu)
+  with(params) {
+    return new Message(this.key, { ...this.params, ...params });
+  }
+
+  translate(locale) {
+    return translate(locale, this.key, this.params);
+  }
+
+  // Tiếng Anh cho log và err.message
+  toString() {
+    return this.translate('en');
+  }
+}
+
+const msg = (key, params) => new Message(key, params);
+
+// Thiếu bản dịch thì dùng tiếng Anh; tham số là Message được dịch cùng ngôn ngữ
+function translate(locale, key, params = {}) {
+  const template = (CATALOGS[locale] || {})[key] ?? CATALOGS.en[key];
+  return template.replace(/\{(\w+)\}/g, (placeholder, name) => {
+    if (!(name in params)) return placeholder;
+    const value = params[name];
+    return value instanceof Message ? value.translate(locale) : String(value);
+  });
+}
+
+// Lỗi nghiệp vụ mang thông báo dịch được: err.message là tiếng Anh, err.localized giữ Message để trả cho client
+class LocalizedError extends Error {
+  constructor(message) {
+    super(String(message));
+    this.localized = message;
+  }
+}
+
+module.exports = { LOCALES, DEFAULT_LOCALE, Message, msg, translate, LocalizedError };
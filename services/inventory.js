@@ -0,0 +1,9 @@
+// Hoàn lại tồn kho đã giữ cho các món trong đơn (khi đơn bị hủy)
+async function releaseOrderStock(repos, orderId) {
+  const items = await repos.orders.listItems(orderId);
+  for (const item of items) {
+    await repos.foods.releaseStock(item.food_id, item.quantity);
+  }
+}
+
+module.exports = { releaseOrderStock };
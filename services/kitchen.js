@@ -0,0 +1,127 @@
+const { KITCHEN_STATUSES, transitionOrder } = require('./orderStatus');
+const { PAID_STATUSES } = require('./payments');
+const { publish } = require('./events');
+const { LocalizedError, msg } = require('./i18n');
+
+// Màn hình bếp: hàng đợi đơn theo thời điểm vào bếp, trạng thái chế biến từng món.
+// Khi mọi món của đơn đã xong, đơn tự chuyển sang ready (chờ khách nhận).
+const PREP_STATUSES = ['queued', 'cooking', 'done'];
+
+class KitchenError extends LocalizedError {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'KitchenError';
+    this.status = status;
+  }
+}
+
+// Hàng đợi bếp, mỗi đơn kèm danh sách món; stationId để chỉ lấy món của một trạm
+async function getQueue(repos, { stationId = null, includeBumped = false } = {}) {
+  const orders = await repos.orders.listKitchenQueue(KITCHEN_STATUSES, { includeBumped });
+  const items = await repos.orders.listKitchenItems(orders.map(o => o.id));
+
+  const itemsByOrder = new Map();
+  for (const item of items) {
+    if (stationId !== null && item.station_id !== stationId) continue;
+    if (!itemsByOrder.has(item.order_id)) itemsByOrder.set(item.order_id, []);
+    itemsByOrder.get(item.order_id).push({
+      id: item.id,
+      food_id: item.food_id,
+      food_name: item.food_name,
+      quantity: item.quantity,
+      options: item.options.map(o => ({ group_name: o.group_name, option_name: o.option_name })),
+      station_id: item.station_id,
+      station_name: item.station_name,
+      prep_status: item.prep_status,
+      prep_started_at: item.prep_started_at,
+      prep_done_at: item.prep_done_at
+    });
+  }
+
+  return orders
+    .filter(o => itemsByOrder.has(o.id))
+    .map(o => ({
+      order_id: o.id,
+      status: o.status,
+      customer_name: o.customer_name,
+      ticket_code: o.ticket_code,
+      queued_at: o.kitchen_queued_at,
+      bumped_at: o.kitchen_bumped_at,
+      items: itemsByOrder.get(o.id)
+    }));
+}
+
+// Đơn đang trong bếp, khóa tới hết transaction
+async function findKitchenOrder(tx, orderId) {
+  const order = await tx.orders.findByIdForUpdate(orderId);
+  if (!order) {
+    throw new KitchenError(msg('orders.not_found'), 404);
+  }
+  if (!KITCHEN_STATUSES.includes(order.status)) {
+    throw new KitchenError(msg('kitchen.order_not_queued', { status: order.status }));
+  }
+  return order;
+}
+
+// Đồng bộ trạng thái đơn với các món: xong hết thì sang ready; một món bị làm lại thì trả đơn về
+// trạng thái trước đó (completed nếu đã thu tiền, ngược lại confirmed)
+async function syncReady(repos, order, { userId }) {
+  const items = await repos.orders.listKitchenItems([order.id]);
+  const allDone = items.length > 0 && items.every(i => i.prep_status === 'done');
+
+  if (allDone && order.status !== 'ready') {
+    await transitionOrder(repos, order, 'ready', { actor: 'system', userId, reason: 'All items prepared' });
+  } else if (!allDone && order.status === 'ready') {
+    const payment = await repos.payments.findByOrder(order.id);
+    const previous = payment && PAID_STATUSES.includes(payment.status) ? 'completed' : 'confirmed';
+    await transitionOrder(repos, order, previous, { actor: 'system', userId, reason: 'Item sent back to the kitchen' });
+  }
+}
+
+// Đổi trạng thái chế biến của một món. Món, trạng thái đơn và sự kiện được ghi trong một transaction
+// có khóa đơn: hai trạm thao tác cùng lúc trên một đơn thì lần lượt, đổi trạng thái đơn lỗi thì món cũng không đổi.
+async function setItemStatus(repos, itemId, status, { userId }) {
+  if (!PREP_STATUSES.includes(status)) {
+    throw new KitchenError(msg('kitchen.invalid_prep_status', { values: PREP_STATUSES.join(', ') }));
+  }
+
+  return repos.transaction(async (tx) => {
+    const item = await tx.orders.findItem(itemId);
+    if (!item) {
+      throw new KitchenError(msg('kitchen.item_not_found'), 404);
+    }
+    const order = await findKitchenOrder(tx, item.order_id);
+
+    await tx.orders.updateItemPrep(item.id, status);
+    tx.afterCommit(() => publish('order.item', { order_id: order.id, user_id: order.user_id, item_id: item.id, prep_status: status }));
+
+    await syncReady(tx, order, { userId });
+    return { item: await tx.orders.findItem(item.id), order_status: order.status };
+  });
+}
+
+// Bếp hoàn tất đơn: các món còn lại được đánh dấu xong, đơn sang ready và rời khỏi màn hình bếp
+async function bumpOrder(repos, orderId, { userId }) {
+  return repos.transaction(async (tx) => {
+    const order = await findKitchenOrder(tx, orderId);
+
+    await tx.orders.markItemsDone(order.id);
+    await syncReady(tx, order, { userId });
+    await tx.orders.setKitchenBumped(order.id, true);
+    tx.afterCommit(() => publish('order.kitchen', { order_id: order.id, user_id: order.user_id, action: 'bump' }));
+    return order;
+  });
+}
+
+// Đưa đơn đã gỡ trở lại màn hình bếp (trạng thái món giữ nguyên)
+async function recallOrder(repos, orderId) {
+  const order = await repos.transaction(async (tx) => {
+    const found = await findKitchenOrder(tx, orderId);
+    await tx.orders.setKitchenBumped(found.id, false);
+    return found;
+  });
+  publish('order.kitchen', { order_id: order.id, user_id: order.user_id, action: 'recall' });
+  return order;
+}
+
+module.exports = { PREP_STATUSES, KitchenError, getQueue, setItemStatus, bumpOrder, recallOrder };
@@ -0,0 +1,73 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const nodemailer = require('nodemailer');
+
+// Gửi email qua transport cấu hình bằng MAIL_TRANSPORT:
+//   outbox (mặc định) - ghi từng email thành file .eml trong MAIL_OUTBOX_DIR (mặc định ./outbox), dùng khi phát triển
+//   smtp              - gửi qua SMTP_HOST/SMTP_PORT (SMTP_USER, SMTP_PASS, SMTP_SECURE); trỏ vào MailHog/smtp4dev khi chạy local
+//   memory            - giữ email trong mảng messages (dùng cho test)
+// Mọi transport có cùng giao diện: send({ to, subject, text, html }).
+const DEFAULT_FROM = 'FastOrder <no-reply@fastorder.local>';
+
+// Header có ký tự không phải ASCII (tiếng Việt) mã hóa theo RFC 2047
+const encodeHeader = value => (/^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value).toString('base64')}?=`);
+
+function outboxTransport(dir) {
+  return async (message) => {
+    await fs.mkdir(dir, { recursive: true });
+    const lines = [
+      `From: ${message.from}`,
+      `To: ${message.to}`,
+      `Subject: ${encodeHeader(message.subject)}`,
+      `Date: ${new Date().toUTCString()}`,
+      'MIME-Version: 1.0',
+      'Content-Type: text/plain; charset=utf-8',
+      'Content-Transfer-Encoding: 8bit',
+      '',
+      message.text
+    ];
+    const file = path.join(dir, `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.eml`);
+    await fs.writeFile(file, lines.join('\r\n'));
+    console.log(`Mail to ${message.to} written to ${file}`);
+    return { file };
+  };
+}
+
+function smtpTransport() {
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST || 'localhost',
+    port: Number(process.env.SMTP_PORT) || 1025,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+  });
+  return message => transporter.sendMail(message);
+}
+
+function createMailer({
+  transport = process.env.MAIL_TRANSPORT || 'outbox',
+  outboxDir = process.env.MAIL_OUTBOX_DIR || path.join(process.cwd(), 'outbox'),
+  from = process.env.MAIL_FROM || DEFAULT_FROM
+} = {}) {
+  const messages = [];
+  const transports = {
+    outbox: () => outboxTransport(outboxDir),
+    smtp: smtpTransport,
+    memory: () => async (message) => {
+      messages.push(message);
+      return {};
+    }
+  };
+  if (!transports[transport]) {
+    throw new Error(`Unknown mail transport "${transport}"`);
+  }
+  const deliver = transports[transport]();
+
+  return {
+    transport,
+    messages,
+    send: ({ to, subject, text, html }) => deliver({ from, to, subject, text, ...(html && { html }) })
+  };
+}
+
+module.exports = { createMailer };
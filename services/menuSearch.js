@@ -0,0 +1,55 @@
+const { SALE_STATUSES } = require('./salesReport');
+const { withOptionGroups } = require('./foodOptions');
+const { LocalizedError, msg } = require('./i18n');
+
+// Tìm món cho ứng dụng đặt món, theo trang:
+//   q                    - các từ cần có trong tên hoặc mô tả, không phân biệt hoa/thường và dấu ("ca phe" tìm được "Cà phê")
+//   category_id, min_price, max_price
+//   include_unavailable  - hiện cả món tạm hết (mặc định chỉ món đang bán)
+//   sort                 - popularity (số phần đã bán) | price | created_at, thêm '-' phía trước để giảm dần (mặc định -popularity)
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 100;
+const SORTS = ['-popularity', 'popularity', 'price', '-price', '-created_at', 'created_at'];
+const MAX_WORDS = 10;
+
+class MenuSearchError extends LocalizedError {
+  constructor(message) {
+    super(message);
+    this.name = 'MenuSearchError';
+    this.status = 400;
+  }
+}
+
+const searchWords = q => [...new Set((q || '').trim().split(/\s+/).filter(Boolean))].slice(0, MAX_WORDS);
+
+async function searchFoods(repos, query = {}) {
+  const filters = {
+    words: searchWords(query.q),
+    categoryId: query.category_id || null,
+    minPrice: query.min_price !== undefined ? query.min_price : null,
+    maxPrice: query.max_price !== undefined ? query.max_price : null,
+    includeUnavailable: Boolean(query.include_unavailable)
+  };
+  if (filters.minPrice !== null && filters.maxPrice !== null && filters.maxPrice < filters.minPrice) {
+    throw new MenuSearchError(msg('validation.price_range'));
+  }
+
+  const sortKey = query.sort || '-popularity';
+  const sort = { field: sortKey.replace(/^-/, ''), descending: sortKey.startsWith('-') };
+  const limit = query.limit || DEFAULT_LIMIT;
+  const offset = query.offset || 0;
+
+  const [foods, total] = await Promise.all([
+    repos.foods.search(filters, { sort, limit, offset, soldStatuses: SALE_STATUSES }),
+    repos.foods.count(filters)
+  ]);
+
+  return {
+    total,
+    limit,
+    offset,
+    foods: await withOptionGroups(repos, foods.map(f => ({ ...f, sold_count: Number(f.sold_count) })), { includeUnavailable: false })
+  };
+}
+
+module.exports = { DEFAULT_LIMIT, MAX_LIMIT, SORTS, MenuSearchError, searchFoods };
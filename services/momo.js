@@ -0,0 +1,18 @@
+const crypto = require('crypto');
+
+// Thứ tự trường trong chuỗi ký của từng loại request/phản hồi MoMo (API v2)
+const SIGN_FIELDS = {
+  create: ['accessKey', 'amount', 'extraData', 'ipnUrl', 'orderId', 'orderInfo', 'partnerCode', 'redirectUrl', 'requestId', 'requestType'],
+  ipn: ['accessKey', 'amount', 'extraData', 'message', 'orderId', 'orderInfo', 'orderType', 'partnerCode', 'payType', 'requestId', 'responseTime', 'resultCode', 'transId'],
+  query: ['accessKey', 'orderId', 'partnerCode', 'requestId'],
+  refund: ['accessKey', 'amount', 'description', 'orderId', 'partnerCode', 'requestId', 'transId']
+};
+
+// Chữ ký MoMo: HMAC-SHA256 của chuỗi key=value nối bằng &, accessKey nằm trong chuỗi ký nhưng không gửi đi
+function createMomoSignature(params, fields, accessKey, secretKey) {
+  const values = { ...params, accessKey };
+  const raw = fields.map(key => `${key}=${values[key] ?? ''}`).join('&');
+  return crypto.createHmac('sha256', secretKey).update(raw).digest('hex');
+}
+
+module.exports = { SIGN_FIELDS, createMomoSignature };
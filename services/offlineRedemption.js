@@ -0,0 +1,137 @@
+const { signData } = require('./ticketCodes');
+const { refusalFor, redeemTicket } = require('./ticketRedemption');
+const { LocalizedError, msg } = require('./i18n');
+
+// Quét phiếu khi máy quét mất mạng: tải trước danh sách phiếu nhận được cho ca làm,
+// sau đó gửi lên một lô các lượt quét offline để server ghi nhận và giải quyết xung đột.
+const DEFAULT_SNAPSHOT_HOURS = 8;
+const MAX_SNAPSHOT_HOURS = 24;
+const MAX_BATCH_SIZE = 500;
+// Cho phép đồng hồ máy quét lệch so với server
+const CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+class SyncError extends LocalizedError {
+  constructor(message) {
+    super(message);
+    this.name = 'SyncError';
+    this.status = 400;
+  }
+}
+
+// Danh sách phiếu đang nhận được, ký HMAC để máy quét phát hiện dữ liệu bị sửa.
+// signature = HMAC-SHA256 (base64url) của JSON.stringify(snapshot không có trường signature)
+async function buildSnapshot(repos, { deviceId, hours = DEFAULT_SNAPSHOT_HOURS }) {
+  if (!deviceId) {
+    throw new SyncError(msg('tickets.device_required'));
+  }
+  if (!(hours > 0 && hours <= MAX_SNAPSHOT_HOURS)) {
+    throw new SyncError(msg('tickets.snapshot_hours', { max: MAX_SNAPSHOT_HOURS }));
+  }
+
+  const now = new Date();
+  const rows = (await repos.tickets.listUnusedForStatuses(['confirmed', 'completed', 'ready'], now))
+    .filter(t => !refusalFor({ status: t.order_status }, t.payment_status && { status: t.payment_status }));
+  const itemsByOrder = new Map();
+  for (const item of await repos.orders.listItemsForOrders(rows.map(t => t.order_id))) {
+    if (!itemsByOrder.has(item.order_id)) itemsByOrder.set(item.order_id, []);
+    itemsByOrder.get(item.order_id).push({
+      food_name: item.food_name, quantity: item.quantity, options: item.options.map(o => o.option_name)
+    });
+  }
+
+  const snapshot = {
+    device_id: deviceId,
+    issued_at: now.toISOString(),
+    valid_until: new Date(now.getTime() + hours * 3600 * 1000).toISOString(),
+    tickets: rows.map(t => ({
+      ticket_code: t.ticket_code,
+      order_id: t.order_id,
+      customer_name: t.customer_name,
+      total_price: Number(t.total_price),
+      expires_at: t.expires_at ? new Date(t.expires_at).toISOString() : null,
+      items: itemsByOrder.get(t.order_id) || []
+    }))
+  };
+  return { ...snapshot, signature: signData(JSON.stringify(snapshot)) };
+}
+
+// Kết quả của một lượt quét offline:
+//   accepted  - ghi nhận thành công
+//   duplicate - lượt quét này đã được gửi lên trước đó (cùng máy, cùng thời điểm), bỏ qua
+//   conflict  - phiếu đã được dùng ở lượt quét khác (máy khác hoặc thời điểm khác)
+//   rejected  - phiếu không hợp lệ, hết hạn, đơn bị hủy hoặc chưa thanh toán; reason cho biết lý do
+function entryResult(entry, result, outcome) {
+  const ticket = result.ticket || {};
+  return {
+    ticket_code: entry.ticket_code,
+    redeemed_at: entry.redeemed_at,
+    result: outcome,
+    reason: result.reason,
+    message: result.message,
+    order_id: result.order ? result.order.id : null,
+    order_status: result.order ? result.order.status : null,
+    used_at: ticket.used_at || null,
+    used_by: ticket.used_by || null,
+    used_device: ticket.used_device || null
+  };
+}
+
+function parseEntry(entry, now) {
+  const code = entry && typeof entry.ticket_code === 'string' ? entry.ticket_code : null;
+  const at = entry && entry.redeemed_at ? new Date(entry.redeemed_at) : null;
+  if (!code || !at || Number.isNaN(at.getTime())) return { error: 'invalid_entry' };
+  if (at.getTime() > now.getTime() + CLOCK_SKEW_MS) return { error: 'invalid_timestamp' };
+  return { code, at };
+}
+
+const INVALID_MESSAGES = {
+  invalid_entry: msg('tickets.entry_invalid'),
+  invalid_timestamp: msg('tickets.entry_in_future')
+};
+
+// Ghi nhận một lô lượt quét offline theo thứ tự thời gian quét: lượt quét sớm nhất của một phiếu được nhận.
+// Trả về kết quả từng phiếu theo thứ tự gửi lên và bảng tổng hợp.
+async function syncRedemptions(repos, { deviceId, userId, redemptions }) {
+  if (!deviceId) {
+    throw new SyncError(msg('tickets.device_required'));
+  }
+  if (!Array.isArray(redemptions) || redemptions.length === 0) {
+    throw new SyncError(msg('tickets.redemptions_required'));
+  }
+  if (redemptions.length > MAX_BATCH_SIZE) {
+    throw new SyncError(msg('tickets.batch_too_large', { max: MAX_BATCH_SIZE }));
+  }
+
+  const now = new Date();
+  const entries = redemptions.map((entry, index) => ({ entry, index, ...parseEntry(entry, now) }));
+  const ordered = entries.filter(e => !e.error).sort((a, b) => a.at - b.at || a.index - b.index);
+
+  const results = new Array(entries.length);
+  for (const e of entries.filter(e => e.error)) {
+    results[e.index] = {
+      ticket_code: e.entry && e.entry.ticket_code, redeemed_at: e.entry && e.entry.redeemed_at,
+      result: 'rejected', reason: e.error, message: INVALID_MESSAGES[e.error],
+      order_id: null, order_status: null, used_at: null, used_by: null, used_device: null
+    };
+  }
+
+  for (const e of ordered) {
+    const result = await redeemTicket(repos, e.code, { userId, device: deviceId, at: e.at });
+    let outcome = 'rejected';
+    if (result.redeemed) {
+      outcome = 'accepted';
+    } else if (result.reason === 'already_used') {
+      const usedAt = result.ticket.used_at ? new Date(result.ticket.used_at).getTime() : null;
+      // DATETIME của MySQL bỏ phần mili giây
+      const sameScan = result.ticket.used_device === deviceId && usedAt !== null && Math.abs(usedAt - e.at.getTime()) < 1000;
+      outcome = sameScan ? 'duplicate' : 'conflict';
+    }
+    results[e.index] = entryResult(e.entry, result, outcome);
+  }
+
+  const summary = { accepted: 0, duplicate: 0, conflict: 0, rejected: 0 };
+  results.forEach(r => { summary[r.result] += 1; });
+  return { device_id: deviceId, summary, results };
+}
+
+module.exports = { SyncError, buildSnapshot, syncRedemptions };
@@ -0,0 +1,155 @@
+const { publish } = require('./events');
+const { createTicketCode } = require('./ticketCodes');
+const { LocalizedError, msg } = require('./i18n');
+const { applyPromotions } = require('./promotions');
+
+class OrderPlacementError extends LocalizedError {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'OrderPlacementError';
+    this.status = status;
+  }
+}
+
+// Kiểm tra từng dòng và gộp các dòng trùng món cùng lựa chọn tùy chọn.
+// item.options: id các lựa chọn tùy chọn của món (không bắt buộc)
+function normalizeItems(items) {
+  const lines = new Map();
+
+  for (const item of items) {
+    const foodId = Number(item && item.food_id);
+    if (!Number.isInteger(foodId) || foodId <= 0) {
+      throw new OrderPlacementError(msg('orders.item_food_required'));
+    }
+    if (!Number.isInteger(item.quantity) || item.quantity <= 0) {
+      throw new OrderPlacementError(msg('orders.item_quantity_invalid', { food_id: item.food_id }));
+    }
+    const optionIds = (item.options || []).map(Number).sort((a, b) => a - b);
+    const repeated = optionIds.find((id, index) => optionIds[index + 1] === id);
+    if (repeated !== undefined) {
+      throw new OrderPlacementError(msg('orders.option_repeated', { option_id: repeated }));
+    }
+
+    const key = [foodId, ...optionIds].join(':');
+    const line = lines.get(key) || { food_id: foodId, option_ids: optionIds, quantity: 0 };
+    line.quantity += item.quantity;
+    lines.set(key, line);
+  }
+
+  return [...lines.values()];
+}
+
+// Kiểm tra lựa chọn tùy chọn của một dòng theo cấu hình nhóm của món.
+// Trả về bản chụp lựa chọn (để lưu vào order_item_options) theo thứ tự nhóm/lựa chọn.
+function selectOptions(food, groups, optionIds) {
+  const unknown = optionIds.find(id => !groups.some(g => g.options.some(o => o.id === id)));
+  if (unknown !== undefined) {
+    throw new OrderPlacementError(msg('orders.option_not_found', { option_id: unknown, name: food.name }));
+  }
+
+  const chosen = [];
+  for (const group of groups) {
+    const selected = group.options.filter(o => optionIds.includes(o.id));
+    for (const option of selected) {
+      if (!option.is_available) {
+        throw new OrderPlacementError(msg('orders.option_unavailable', { option: option.name, name: food.name }));
+      }
+    }
+    if (selected.length === 0 && group.min_select > 0) {
+      throw new OrderPlacementError(msg('orders.option_group_required', { group: group.name, name: food.name }));
+    }
+    if (selected.length < group.min_select) {
+      throw new OrderPlacementError(msg('orders.option_group_too_few', { group: group.name, min: group.min_select, name: food.name }));
+    }
+    if (group.max_select !== null && selected.length > group.max_select) {
+      throw new OrderPlacementError(msg('orders.option_group_too_many', { group: group.name, max: group.max_select, name: food.name }));
+    }
+    chosen.push(...selected.map(o => ({
+      option_id: o.id, group_name: group.name, option_name: o.name, price_delta: Number(o.price_delta)
+    })));
+  }
+
+  return chosen;
+}
+
+// Tính giá giỏ hàng: kiểm tra món còn bán, tồn kho và lựa chọn tùy chọn, tính đơn giá từng dòng
+// rồi áp dụng khuyến mãi. lock = true khi đặt đơn (khóa món và khuyến mãi trong transaction).
+async function quoteLines(db, userId, lines, { couponCode = null, lock = false } = {}) {
+  const foodIds = [...new Set(lines.map(line => line.food_id))];
+  const foods = lock ? await db.foods.findManyForUpdate(foodIds) : await db.foods.findMany(foodIds);
+  const foodsById = new Map(foods.map(food => [food.id, food]));
+  const groups = await db.foodOptions.listForFoods(foodIds);
+
+  const requested = new Map();
+  for (const line of lines) {
+    const food = foodsById.get(line.food_id);
+    if (!food) {
+      throw new OrderPlacementError(msg('orders.food_not_found', { food_id: line.food_id }), 404);
+    }
+    if (!food.is_available) {
+      throw new OrderPlacementError(msg('orders.food_unavailable', { name: food.name }));
+    }
+    line.options = selectOptions(food, groups.filter(g => g.food_id === food.id), line.option_ids);
+    requested.set(food.id, (requested.get(food.id) || 0) + line.quantity);
+    if (food.stock !== null && requested.get(food.id) > food.stock) {
+      throw new OrderPlacementError(msg('orders.food_low_stock', { stock: food.stock, name: food.name }));
+    }
+    line.food_name = food.name;
+    // Lựa chọn giảm giá (price_delta âm) không làm giá một phần xuống dưới 0
+    line.unit_price = Math.max(0, Number(food.price) + line.options.reduce((sum, o) => sum + o.price_delta, 0));
+  }
+
+  const { subtotal, discounts, discountTotal } = await applyPromotions(db, { userId, lines, couponCode, lock });
+  // Lựa chọn giảm giá có thể đưa cả giỏ về 0đ: đơn như vậy không thanh toán được nên không nhận
+  if (subtotal - discountTotal <= 0) {
+    throw new OrderPlacementError(msg('orders.total_not_positive'));
+  }
+  return { lines, foods: foodsById, subtotal, discounts, discountTotal, totalPrice: subtotal - discountTotal };
+}
+
+// Xem trước giá giỏ hàng (kể cả khuyến mãi) mà không giữ tồn kho hay tạo đơn
+async function previewOrder(repos, userId, items, { couponCode } = {}) {
+  return quoteLines(repos, userId, normalizeItems(items), { couponCode });
+}
+
+// Đặt đơn trong một transaction: khóa các món, tính giá và khuyến mãi, giữ tồn kho, tạo đơn,
+// chi tiết đơn (kèm bản chụp tùy chọn), các dòng giảm giá, lịch sử trạng thái và phiếu ăn
+async function placeOrder(repos, userId, items, { couponCode } = {}) {
+  const lines = normalizeItems(items);
+
+  const placed = await repos.transaction(async (tx) => {
+    const quote = await quoteLines(tx, userId, lines, { couponCode, lock: true });
+    for (const line of lines) {
+      const food = quote.foods.get(line.food_id);
+      if (food.stock !== null && !(await tx.foods.reserveStock(food.id, line.quantity))) {
+        throw new OrderPlacementError(msg('orders.food_low_stock', { stock: food.stock, name: food.name }));
+      }
+    }
+
+    const { totalPrice, discountTotal } = quote;
+    const orderId = await tx.orders.create({ userId, totalPrice, discountTotal, status: 'pending' });
+    await tx.orderStatusHistory.add({
+      orderId, fromStatus: null, toStatus: 'pending', changedBy: userId, actor: 'customer', reason: 'Order placed'
+    });
+
+    for (const line of lines) {
+      const itemId = await tx.orders.addItem(orderId, line);
+      for (const option of line.options) {
+        await tx.orders.addItemOption(itemId, option);
+      }
+    }
+    for (const discount of quote.discounts) {
+      await tx.orders.addDiscount(orderId, discount);
+    }
+
+    const { ticketCode, expiresAt } = createTicketCode(orderId);
+    await tx.tickets.create({ orderId, ticketCode, expiresAt });
+
+    return { orderId, totalPrice, subtotal: quote.subtotal, discounts: quote.discounts, ticketCode };
+  });
+
+  publish('order.created', { order_id: placed.orderId, user_id: Number(userId), status: 'pending', total_price: placed.totalPrice });
+  return placed;
+}
+
+module.exports = { OrderPlacementError, normalizeItems, previewOrder, placeOrder };
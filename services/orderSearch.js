@@ -0,0 +1,80 @@
+const { ORDER_STATUSES } = require('./orderStatus');
+const { getProvider } = require('./payments');
+const { parseDay } = require('./dates');
+const { LocalizedError, msg } = require('./i18n');
+
+// Danh sách đơn theo trang: lọc, sắp xếp, rồi lấy món của cả trang trong một truy vấn (không N+1).
+//   status          - một hoặc nhiều trạng thái, cách nhau bởi dấu phẩy
+//   from, to        - ngày đặt 'YYYY-MM-DD' (tính cả ngày to)
+//   user_id, customer (tên hoặc email chứa chuỗi) - chỉ dành cho nhân viên
+//   payment_method  - đơn có lần thanh toán bằng phương thức này (tính cả tên cũ, vd. online = vnpay)
+//   ticket_code     - đúng mã phiếu
+//   sort            - created_at | total_price, thêm '-' phía trước để giảm dần (mặc định -created_at)
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+const SORTS = ['created_at', '-created_at', 'total_price', '-total_price'];
+
+class OrderQueryError extends LocalizedError {
+  constructor(message) {
+    super(message);
+    this.name = 'OrderQueryError';
+    this.status = 400;
+  }
+}
+
+function parseStatuses(value) {
+  if (!value) return null;
+  const statuses = [...new Set(value.split(',').map(s => s.trim()).filter(Boolean))];
+  const unknown = statuses.find(s => !ORDER_STATUSES.includes(s));
+  if (unknown !== undefined) {
+    throw new OrderQueryError(msg('validation.enum', { field: 'status', values: ORDER_STATUSES.join(', ') }));
+  }
+  return statuses.length ? statuses : null;
+}
+
+function parsePaymentMethod(value) {
+  if (!value) return null;
+  const provider = getProvider(value);
+  return provider ? [provider.name, ...provider.aliases] : [value];
+}
+
+// userId: giới hạn trong đơn của một khách (danh sách của khách hàng)
+async function searchOrders(repos, query = {}, { userId = null } = {}) {
+  const filters = {
+    userId: userId || query.user_id || null,
+    statuses: parseStatuses(query.status),
+    from: parseDay(query.from),
+    to: parseDay(query.to, { nextDay: true }),
+    customer: userId ? null : query.customer || null,
+    paymentMethods: parsePaymentMethod(query.payment_method),
+    ticketCode: query.ticket_code || null
+  };
+  if (filters.from && filters.to && filters.to <= filters.from) {
+    throw new OrderQueryError(msg('validation.date_range'));
+  }
+
+  const sortKey = query.sort || '-created_at';
+  const sort = { field: sortKey.replace(/^-/, ''), descending: sortKey.startsWith('-') };
+  const limit = query.limit || DEFAULT_LIMIT;
+  const offset = query.offset || 0;
+
+  const [orders, total] = await Promise.all([
+    repos.orders.search(filters, { sort, limit, offset }),
+    repos.orders.count(filters)
+  ]);
+
+  const items = await repos.orders.listItemsForOrders(orders.map(o => o.id));
+  const itemsByOrder = new Map(orders.map(o => [o.id, []]));
+  for (const item of items) {
+    itemsByOrder.get(item.order_id).push(item);
+  }
+
+  return {
+    total,
+    limit,
+    offset,
+    orders: orders.map(order => ({ ...order, items: itemsByOrder.get(order.id) }))
+  };
+}
+
+module.exports = { DEFAULT_LIMIT, MAX_LIMIT, SORTS, OrderQueryError, searchOrders };
@@ -0,0 +1,127 @@
+const { releaseOrderStock } = require('./inventory');
+const { publish } = require('./events');
+const { isStaff } = require('./permissions');
+const { LocalizedError, msg } = require('./i18n');
+
+// Máy trạng thái đơn hàng: định nghĩa trạng thái và các bước chuyển hợp lệ theo từng tác nhân
+//   customer - khách hàng thao tác trên đơn của mình
+//   admin    - nhân viên (mọi vai trò nhân viên, xem services/permissions.js)
+//   system   - thay đổi tự động (thanh toán, callback cổng thanh toán, bếp làm xong món)
+// ready: bếp đã làm xong mọi món, chờ khách nhận; đơn có thể đi vào từ confirmed (chưa trả tiền mặt) hoặc completed
+const ORDER_STATUSES = ['pending', 'confirmed', 'completed', 'ready', 'scanned', 'cancelled'];
+
+// Đơn vào hàng đợi bếp khi đã xác nhận hoặc đã thanh toán
+const KITCHEN_STATUSES = ['confirmed', 'completed', 'ready'];
+
+const TRANSITIONS = {
+  pending: {
+    confirmed: ['admin', 'system'],
+    completed: ['admin', 'system'],
+    cancelled: ['customer', 'admin', 'system']
+  },
+  confirmed: {
+    pending: ['admin'],
+    completed: ['admin', 'system'],
+    ready: ['admin', 'system'],
+    scanned: ['admin'],
+    cancelled: ['customer', 'admin', 'system']
+  },
+  completed: {
+    pending: ['admin'],
+    confirmed: ['admin'],
+    ready: ['admin', 'system'],
+    scanned: ['admin'],
+    cancelled: ['admin']
+  },
+  ready: {
+    confirmed: ['admin', 'system'],
+    completed: ['admin', 'system'],
+    scanned: ['admin'],
+    cancelled: ['admin']
+  },
+  scanned: {},
+  cancelled: {}
+};
+
+class OrderTransitionError extends LocalizedError {
+  constructor(message, { from, to, actor, status = 400 } = {}) {
+    super(message);
+    this.name = 'OrderTransitionError';
+    this.code = 'INVALID_ORDER_TRANSITION';
+    this.status = status;
+    this.from = from;
+    this.to = to;
+    this.actor = actor;
+  }
+}
+
+// Tác nhân tương ứng với người dùng đăng nhập; mọi vai trò nhân viên dùng quy tắc của 'admin',
+// việc ai được đổi trạng thái nào do permission của route quyết định
+function actorFor(user) {
+  return isStaff(user) ? 'admin' : 'customer';
+}
+
+function canTransition(from, to, actor) {
+  const allowed = TRANSITIONS[from] && TRANSITIONS[from][to];
+  return Boolean(allowed && allowed.includes(actor));
+}
+
+function assertTransition(from, to, actor) {
+  if (!ORDER_STATUSES.includes(to)) {
+    throw new OrderTransitionError(msg('orders.unknown_status', { status: to }), { from, to, actor });
+  }
+  if (!canTransition(from, to, actor)) {
+    throw new OrderTransitionError(msg('orders.invalid_transition', { from, to, actor }), { from, to, actor });
+  }
+}
+
+// Chuyển trạng thái đơn hàng và ghi lịch sử.
+// Cập nhật có điều kiện theo trạng thái cũ để hai thao tác đồng thời không ghi đè nhau.
+// Chuyển sang đúng trạng thái hiện tại được bỏ qua (trả về changed = false).
+// Khi hủy đơn, tồn kho đã giữ được hoàn lại trong cùng transaction.
+// Lần đầu đơn vào trạng thái của bếp thì ghi lại thời điểm vào hàng đợi bếp.
+async function transitionOrder(repos, order, to, { actor, userId = null, reason = null }) {
+  const from = order.status;
+  if (from === to) {
+    return { from, to, changed: false };
+  }
+
+  assertTransition(from, to, actor);
+
+  await repos.transaction(async (tx) => {
+    const updated = await tx.orders.updateStatusFrom(order.id, from, to);
+    if (!updated) {
+      throw new OrderTransitionError(msg('orders.concurrent_change'), {
+        from, to, actor, status: 409
+      });
+    }
+
+    await tx.orderStatusHistory.add({
+      orderId: order.id, fromStatus: from, toStatus: to, changedBy: userId, actor, reason
+    });
+
+    if (to === 'cancelled') {
+      await releaseOrderStock(tx, order.id);
+    }
+    if (KITCHEN_STATUSES.includes(to)) {
+      await tx.orders.markKitchenQueued(order.id);
+    }
+
+    // Gọi trong transaction của nơi khác thì sự kiện chỉ phát sau khi transaction ngoài cùng đã commit
+    tx.afterCommit(() => publish('order.status', { order_id: order.id, user_id: order.user_id, from, to, actor }));
+  });
+
+  order.status = to;
+  return { from, to, changed: true };
+}
+
+module.exports = {
+  ORDER_STATUSES,
+  KITCHEN_STATUSES,
+  TRANSITIONS,
+  OrderTransitionError,
+  actorFor,
+  canTransition,
+  assertTransition,
+  transitionOrder
+};
@@ -0,0 +1,96 @@
+const { getProvider } = require('./index');
+const { OrderTransitionError, transitionOrder } = require('../orderStatus');
+const { publishPayment } = require('../events');
+
+// Xử lý callback server-to-server (IPN) của một cổng. Đây là nơi duy nhất ghi nhận kết quả thanh toán online:
+//   - chữ ký phải hợp lệ
+//   - mã giao dịch phải khớp chính xác transaction_id của một lần thử thanh toán cùng cổng
+//   - số tiền phải bằng amount đã lưu
+//   - chỉ cập nhật thanh toán đang pending; gọi lại lần nữa trả về already_confirmed và không thay đổi gì
+//   - lần thử đã bị thay bằng lần thử mới (cancelled) mà cổng vẫn thu tiền được ghi là paid_superseded để hoàn lại
+// Trả về outcome để provider đổi sang phản hồi theo giao thức của cổng.
+async function handleProviderCallback(repos, provider, input) {
+  const result = provider.verifyCallback(input);
+  if (!result.valid) {
+    return 'invalid_signature';
+  }
+
+  const payment = result.transactionId ? await repos.payments.findByTransactionId(result.transactionId) : null;
+  if (!payment || getProvider(payment.method) !== provider) {
+    return 'not_found';
+  }
+
+  if (result.amount !== Number(payment.amount)) {
+    return 'invalid_amount';
+  }
+
+  if (payment.status === 'cancelled' && result.succeeded) {
+    const recorded = await recordSupersededPayment(repos, payment, {
+      gatewayTransactionNo: result.gatewayTransactionNo,
+      gatewayResponseCode: result.responseCode
+    });
+    return recorded ? 'confirmed' : 'already_confirmed';
+  }
+  if (payment.status !== 'pending') {
+    return 'already_confirmed';
+  }
+
+  const updated = await settleOnlinePayment(repos, payment, {
+    succeeded: result.succeeded,
+    gatewayTransactionNo: result.gatewayTransactionNo,
+    gatewayResponseCode: result.responseCode,
+    reason: `${provider.label} payment succeeded`
+  });
+  if (!updated) {
+    return 'already_confirmed';
+  }
+
+  console.log(`${provider.label} callback: payment ${payment.payment_id} -> ${result.succeeded ? 'completed' : 'failed'} (code ${result.responseCode})`);
+  return 'confirmed';
+}
+
+// Ghi nhận kết quả cuối cùng của một thanh toán online đang pending (dùng cho callback và truy vấn).
+// Cập nhật có điều kiện: hai kết quả đến cùng lúc thì chỉ một cái được ghi nhận (trả về false cho cái còn lại).
+async function settleOnlinePayment(repos, payment, { succeeded, gatewayTransactionNo = null, gatewayResponseCode = null, reason }) {
+  const nextStatus = succeeded ? 'completed' : 'failed';
+  const updated = await repos.payments.updateStatusFrom(payment.payment_id, 'pending', nextStatus, {
+    gatewayTransactionNo, gatewayResponseCode
+  });
+  if (!updated) {
+    return false;
+  }
+
+  const order = await repos.orders.findById(payment.order_id);
+  publishPayment(succeeded ? 'payment.completed' : 'payment.failed', payment, order, nextStatus);
+  if (!succeeded) {
+    return true;
+  }
+  // Bếp đã làm xong trước khi tiền về: đơn giữ trạng thái ready, lúc quét phiếu sẽ kiểm tra thanh toán
+  if (order.status === 'ready') {
+    return true;
+  }
+
+  try {
+    await transitionOrder(repos, order, 'completed', { actor: 'system', reason });
+  } catch (err) {
+    if (!(err instanceof OrderTransitionError)) throw err;
+    // Tiền đã được thu nhưng đơn không còn nhận thanh toán (ví dụ đã hủy): cần hoàn tiền
+    console.error(`Payment ${payment.payment_id} completed for order ${order.id} in status ${order.status}`);
+  }
+  return true;
+}
+
+// Khách thanh toán trên trang của lần thử đã bị thay bằng lần thử mới: tiền đã bị thu nhưng không dùng cho đơn.
+// Ghi nhận paid_superseded kèm mã giao dịch của cổng để quản trị hoàn tiền và báo cáo đối chiếu hiện ra;
+// trạng thái đơn không đổi.
+async function recordSupersededPayment(repos, payment, { gatewayTransactionNo = null, gatewayResponseCode = null }) {
+  const updated = await repos.payments.updateStatusFrom(payment.payment_id, 'cancelled', 'paid_superseded', {
+    gatewayTransactionNo, gatewayResponseCode
+  });
+  if (updated) {
+    console.error(`Payment ${payment.payment_id} succeeded after being superseded by a newer attempt: refund required`);
+  }
+  return updated;
+}
+
+module.exports = { handleProviderCallback, settleOnlinePayment, recordSupersededPayment };
@@ -0,0 +1,36 @@
+const crypto = require('crypto');
+const { LocalizedError, msg } = require('../i18n');
+
+// Lỗi khi gọi cổng thanh toán (không kết nối được, HTTP lỗi, chữ ký phản hồi sai, ...)
+class PaymentGatewayError extends LocalizedError {
+  constructor(message, status = 502) {
+    super(message);
+    this.name = 'PaymentGatewayError';
+    this.status = status;
+  }
+}
+
+// Mã yêu cầu duy nhất cho mỗi lần gọi API (tối đa 32 ký tự)
+function createRequestId() {
+  return `${Date.now()}${crypto.randomBytes(6).toString('hex')}`;
+}
+
+// Gửi JSON tới API của cổng thanh toán và trả về JSON phản hồi
+async function postJson(url, body, gatewayName) {
+  let res;
+  try {
+    res = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+  } catch (err) {
+    throw new PaymentGatewayError(msg('payments.gateway_unreachable', { gateway: gatewayName, detail: err.message }));
+  }
+  if (!res.ok) {
+    throw new PaymentGatewayError(msg('payments.gateway_http_error', { gateway: gatewayName, status: res.status }));
+  }
+  return res.json();
+}
+
+module.exports = { PaymentGatewayError, createRequestId, postJson };
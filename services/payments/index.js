@@ -0,0 +1,27 @@
+// Các phương thức thanh toán. Mỗi provider cung cấp:
+//   name, label, aliases, online
+//   createPayment({ orderId, amount, userId, ipAddr, options }) -> { transactionId, transactionDate, paymentUrl }
+// Provider online (có cổng) cung cấp thêm:
+//   verifyCallback(input)   -> { valid, transactionId, amount, succeeded, responseCode, gatewayTransactionNo }
+//   verifyReturn(query)     -> như verifyCallback, cho trình duyệt quay về
+//   callbackResponse(outcome) -> { status, body } theo giao thức của cổng
+//   query(payment, { ipAddr }) -> { final, succeeded, responseCode, amount, gatewayTransactionNo, raw }
+//   refund(payment, { amount, full, requestId, createdBy, ipAddr }) -> { succeeded, code, message, gatewayTransactionNo, raw }
+const cash = require('./providers/cash');
+const vnpay = require('./providers/vnpay');
+const momo = require('./providers/momo');
+const zalopay = require('./providers/zalopay');
+
+const PROVIDERS = [cash, vnpay, momo, zalopay];
+
+// Giá trị hợp lệ của payments.method ('online' là tên cũ của VNPAY)
+const PAYMENT_METHODS = PROVIDERS.flatMap(provider => [provider.name, ...provider.aliases]);
+
+// Trạng thái của lần thử đã thu được tiền
+const PAID_STATUSES = ['completed', 'partially_refunded', 'refunded'];
+
+function getProvider(method) {
+  return PROVIDERS.find(provider => provider.name === method || provider.aliases.includes(method)) || null;
+}
+
+module.exports = { PAYMENT_METHODS, PAID_STATUSES, getProvider };
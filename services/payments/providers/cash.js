@@ -0,0 +1,11 @@
+// Thanh toán tiền mặt tại quầy: không có cổng, admin xác nhận qua POST /payments/confirm
+module.exports = {
+  name: 'cash',
+  label: 'Cash',
+  aliases: [],
+  online: false,
+
+  async createPayment() {
+    return { transactionId: null, transactionDate: null, paymentUrl: null };
+  }
+};
@@ -0,0 +1,117 @@
+const { SIGN_FIELDS, createMomoSignature } = require('../../momo');
+const { PaymentGatewayError, createRequestId, postJson } = require('../gateway');
+const { msg } = require('../../i18n');
+
+// resultCode của giao dịch chưa có kết quả cuối (khởi tạo, đang xử lý, đã giữ tiền)
+const PENDING_RESULT_CODES = [1000, 7000, 7002, 9000];
+
+function getConfig() {
+  return {
+    partnerCode: process.env.MOMO_PARTNER_CODE,
+    accessKey: process.env.MOMO_ACCESS_KEY,
+    secretKey: process.env.MOMO_SECRET_KEY,
+    endpoint: process.env.MOMO_ENDPOINT || 'https://test-payment.momo.vn',
+    ipnUrl: process.env.MOMO_IPN_URL,
+    redirectUrl: process.env.MOMO_REDIRECT_URL
+  };
+}
+
+// Ký request, gửi tới API MoMo và báo lỗi nếu MoMo không trả về resultCode
+async function callApi(path, fields, params) {
+  const { partnerCode, accessKey, secretKey, endpoint } = getConfig();
+  const body = { partnerCode, lang: 'vi', ...params };
+  body.signature = createMomoSignature(body, fields, accessKey, secretKey);
+
+  const data = await postJson(`${endpoint}${path}`, body, 'MoMo');
+  if (data.resultCode === undefined) {
+    throw new PaymentGatewayError(msg('payments.gateway_unexpected_response', { gateway: 'MoMo' }));
+  }
+  return data;
+}
+
+// IPN (body JSON) và redirect (query string) có cùng các trường và cách ký
+function parseCallback(params) {
+  const { partnerCode, accessKey, secretKey } = getConfig();
+  const signature = createMomoSignature(params, SIGN_FIELDS.ipn, accessKey, secretKey);
+  return {
+    valid: Boolean(params.signature) && params.signature === signature && params.partnerCode === partnerCode,
+    transactionId: params.orderId,
+    amount: Number(params.amount),
+    succeeded: Number(params.resultCode) === 0,
+    responseCode: String(params.resultCode),
+    gatewayTransactionNo: params.transId ? String(params.transId) : null
+  };
+}
+
+module.exports = {
+  name: 'momo',
+  label: 'MoMo',
+  aliases: [],
+  online: true,
+
+  // Tạo giao dịch ví MoMo (captureWallet), trả về payUrl để chuyển khách sang MoMo
+  async createPayment({ orderId, amount }) {
+    const { ipnUrl, redirectUrl } = getConfig();
+    const momoOrderId = `ORDER_${orderId}_${Date.now()}`;
+    const data = await callApi('/v2/gateway/api/create', SIGN_FIELDS.create, {
+      requestType: 'captureWallet',
+      orderId: momoOrderId,
+      requestId: momoOrderId,
+      amount,
+      orderInfo: `Thanh toan don hang ${orderId}`,
+      ipnUrl,
+      redirectUrl,
+      extraData: ''
+    });
+    if (data.resultCode !== 0) {
+      throw new PaymentGatewayError(msg('payments.gateway_rejected', { gateway: 'MoMo', code: data.resultCode, detail: data.message }));
+    }
+
+    return { transactionId: momoOrderId, transactionDate: null, paymentUrl: data.payUrl };
+  },
+
+  verifyCallback: parseCallback,
+  verifyReturn: parseCallback,
+
+  // MoMo chỉ cần HTTP 204 khi đã nhận IPN; mã khác sẽ được MoMo gửi lại
+  callbackResponse(outcome) {
+    if (outcome === 'confirmed' || outcome === 'already_confirmed') {
+      return { status: 204 };
+    }
+    const status = { not_found: 404, error: 500 }[outcome] || 400;
+    return { status, body: { error: outcome } };
+  },
+
+  async query(payment) {
+    const data = await callApi('/v2/gateway/api/query', SIGN_FIELDS.query, {
+      requestId: createRequestId(),
+      orderId: payment.transaction_id
+    });
+    return {
+      final: !PENDING_RESULT_CODES.includes(data.resultCode),
+      succeeded: data.resultCode === 0,
+      responseCode: String(data.resultCode),
+      amount: Number(data.amount),
+      gatewayTransactionNo: data.transId ? String(data.transId) : null,
+      raw: data
+    };
+  },
+
+  // MoMo không phân biệt hoàn toàn phần/một phần; mỗi lần hoàn cần một orderId mới
+  async refund(payment, { amount, requestId }) {
+    const data = await callApi('/v2/gateway/api/refund', SIGN_FIELDS.refund, {
+      orderId: `REFUND_${requestId}`,
+      requestId,
+      amount,
+      transId: Number(payment.gateway_transaction_no),
+      description: `Hoan tien giao dich ${payment.transaction_id}`
+    });
+    return {
+      succeeded: data.resultCode === 0,
+      code: String(data.resultCode),
+      message: data.message,
+      gatewayTransactionNo: data.transId ? String(data.transId) : null,
+      raw: data
+    };
+  }
+};
@@ -0,0 +1,144 @@
+const { createVnpaySignature, verifyVnpayCallback, buildPaymentUrl, formatVnpayDate } = require('../../vnpay');
+const { queryTransaction, refundTransaction } = require('../../vnpayApi');
+
+// Mã phản hồi IPN theo tài liệu VNPAY, HTTP luôn là 200
+const IPN_RESPONSES = {
+  confirmed: { RspCode: '00', Message: 'Confirm Success' },
+  not_found: { RspCode: '01', Message: 'Order not found' },
+  already_confirmed: { RspCode: '02', Message: 'Order already confirmed' },
+  invalid_amount: { RspCode: '04', Message: 'Invalid amount' },
+  invalid_signature: { RspCode: '97', Message: 'Invalid signature' },
+  error: { RspCode: '99', Message: 'Unknown error' }
+};
+
+// Đọc kết quả từ query IPN/return URL (vnp_Amount tính theo đơn vị 1/100 đồng)
+function parseCallback(query) {
+  const { isValid, params } = verifyVnpayCallback(query, process.env.VNPAY_HASH_SECRET);
+  return {
+    valid: isValid,
+    transactionId: params.vnp_TxnRef,
+    amount: Number(params.vnp_Amount) / 100,
+    succeeded: params.vnp_ResponseCode === '00' && params.vnp_TransactionStatus === '00',
+    responseCode: params.vnp_ResponseCode,
+    gatewayTransactionNo: params.vnp_TransactionNo || null
+  };
+}
+
+module.exports = {
+  name: 'vnpay',
+  label: 'VNPAY',
+  aliases: ['online'],
+  online: true,
+
+  // Tạo URL thanh toán VNPAY, các trường hóa đơn lấy từ body của POST /payments
+  async createPayment({ orderId, amount, ipAddr, options }) {
+    const {
+      order_desc = `Thanh toan don hang ${orderId}`,
+      order_type = 'billpayment',
+      language = 'vn',
+      bank_code = '',
+      txtexpire = '',
+      txt_billing_mobile = '',
+      txt_billing_email = '',
+      txt_billing_fullname = '',
+      txt_inv_addr1 = '',
+      txt_bill_city = '',
+      txt_bill_country = '',
+      txt_bill_state = '',
+      txt_inv_mobile = '',
+      txt_inv_email = '',
+      txt_inv_customer = '',
+      txt_inv_company = '',
+      txt_inv_taxcode = '',
+      cbo_inv_type = '',
+    } = options;
+
+    // Xử lý fullname
+    let vnp_Bill_FirstName = '';
+    let vnp_Bill_LastName = '';
+    if (txt_billing_fullname && txt_billing_fullname.trim() !== '') {
+      const name = txt_billing_fullname.trim().split(' ');
+      vnp_Bill_FirstName = name.shift();
+      vnp_Bill_LastName = name.pop() || '';
+    }
+
+    // Tạo object tham số
+    const vnpParams = {
+      vnp_Amount: (amount * 100).toString(),
+      vnp_Command: 'pay',
+      vnp_CreateDate: formatVnpayDate(new Date()),
+      vnp_CurrCode: 'VND',
+      vnp_IpAddr: ipAddr,
+      vnp_Locale: language,
+      vnp_OrderInfo: order_desc,
+      vnp_OrderType: order_type,
+      vnp_ReturnUrl: process.env.VNPAY_RETURN_URL,
+      vnp_TmnCode: process.env.VNPAY_TMN_CODE,
+      vnp_TxnRef: `ORDER_${orderId}_${Date.now()}`,
+      vnp_Version: '2.1.0',
+      ...(txtexpire && { vnp_ExpireDate: txtexpire }),
+      ...(txt_billing_mobile && { vnp_Bill_Mobile: txt_billing_mobile }),
+      ...(txt_billing_email && { vnp_Bill_Email: txt_billing_email }),
+      ...(vnp_Bill_FirstName && { vnp_Bill_FirstName }),
+      ...(vnp_Bill_LastName && { vnp_Bill_LastName }),
+      ...(txt_inv_addr1 && { vnp_Bill_Address: txt_inv_addr1 }),
+      ...(txt_bill_city && { vnp_Bill_City: txt_bill_city }),
+      ...(txt_bill_country && { vnp_Bill_Country: txt_bill_country }),
+      ...(txt_bill_state && { vnp_Bill_State: txt_bill_state }),
+      ...(txt_inv_mobile && { vnp_Inv_Phone: txt_inv_mobile }),
+      ...(txt_inv_email && { vnp_Inv_Email: txt_inv_email }),
+      ...(txt_inv_customer && { vnp_Inv_Customer: txt_inv_customer }),
+      ...(txt_inv_addr1 && { vnp_Inv_Address: txt_inv_addr1 }),
+      ...(txt_inv_company && { vnp_Inv_Company: txt_inv_company }),
+      ...(txt_inv_taxcode && { vnp_Inv_Taxcode: txt_inv_taxcode }),
+      ...(cbo_inv_type && { vnp_Inv_Type: cbo_inv_type }),
+      ...(bank_code && { vnp_BankCode: bank_code }),
+    };
+
+    // Tạo chữ ký bảo mật
+    vnpParams.vnp_SecureHash = createVnpaySignature(vnpParams, process.env.VNPAY_HASH_SECRET);
+
+    return {
+      transactionId: vnpParams.vnp_TxnRef,
+      transactionDate: vnpParams.vnp_CreateDate,
+      paymentUrl: buildPaymentUrl(process.env.VNPAY_URL, vnpParams)
+    };
+  },
+
+  verifyCallback: parseCallback,
+
+  // Trình duyệt quay về: vnp_ResponseCode = 00 là khách đã thanh toán
+  verifyReturn(query) {
+    const result = parseCallback(query);
+    return { ...result, succeeded: result.responseCode === '00' };
+  },
+
+  callbackResponse(outcome) {
+    return { status: 200, body: IPN_RESPONSES[outcome] };
+  },
+
+  // querydr: chỉ coi là kết quả cuối khi giao dịch thành công (00) hoặc thất bại (02)
+  async query(payment, { ipAddr }) {
+    const { response } = await queryTransaction(payment, { ipAddr });
+    return {
+      final: response.vnp_ResponseCode === '00' && ['00', '02'].includes(response.vnp_TransactionStatus),
+      succeeded: response.vnp_TransactionStatus === '00',
+      responseCode: response.vnp_TransactionStatus,
+      amount: Number(response.vnp_Amount) / 100,
+      gatewayTransactionNo: response.vnp_TransactionNo || null,
+      raw: response
+    };
+  },
+
+  // Hoàn toàn phần (02) hoặc một phần (03)
+  async refund(payment, { amount, full, requestId, createdBy, ipAddr }) {
+    const { response } = await refundTransaction(payment, { amount, full, createdBy, requestId, ipAddr });
+    return {
+      succeeded: response.vnp_ResponseCode === '00',
+      code: response.vnp_ResponseCode,
+      message: response.vnp_Message,
+      gatewayTransactionNo: response.vnp_TransactionNo || null,
+      raw: response
+    };
+  }
+};
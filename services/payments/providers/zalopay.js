@@ -0,0 +1,154 @@
+const { createZaloPayMac, formatZaloPayDate } = require('../../zalopay');
+const { PaymentGatewayError, postJson } = require('../gateway');
+const { msg } = require('../../i18n');
+
+// return_code của ZaloPay: 1 = thành công, 2 = thất bại, 3 = đang xử lý
+const RETURN_CODES = { SUCCESS: 1, FAILED: 2, PROCESSING: 3 };
+
+function getConfig() {
+  return {
+    appId: Number(process.env.ZALOPAY_APP_ID),
+    key1: process.env.ZALOPAY_KEY1,
+    key2: process.env.ZALOPAY_KEY2,
+    endpoint: process.env.ZALOPAY_ENDPOINT || 'https://sb-openapi.zalopay.vn',
+    callbackUrl: process.env.ZALOPAY_CALLBACK_URL,
+    redirectUrl: process.env.ZALOPAY_REDIRECT_URL
+  };
+}
+
+async function callApi(path, body) {
+  const data = await postJson(`${getConfig().endpoint}${path}`, body, 'ZaloPay');
+  if (data.return_code === undefined) {
+    throw new PaymentGatewayError(msg('payments.gateway_unexpected_response', { gateway: 'ZaloPay' }));
+  }
+  return data;
+}
+
+// Callback của ZaloPay chỉ được gửi khi thanh toán thành công: { data: '<json>', mac, type }
+function parseCallback(body) {
+  const { key2 } = getConfig();
+  const invalid = { valid: false };
+  if (typeof body.data !== 'string' || body.mac !== createZaloPayMac([body.data], key2)) {
+    return invalid;
+  }
+
+  let data;
+  try {
+    data = JSON.parse(body.data);
+  } catch (err) {
+    return invalid;
+  }
+  return {
+    valid: Number(data.app_id) === getConfig().appId,
+    transactionId: data.app_trans_id,
+    amount: Number(data.amount),
+    succeeded: true,
+    responseCode: String(RETURN_CODES.SUCCESS),
+    gatewayTransactionNo: data.zp_trans_id ? String(data.zp_trans_id) : null
+  };
+}
+
+module.exports = {
+  name: 'zalopay',
+  label: 'ZaloPay',
+  aliases: [],
+  online: true,
+
+  // Tạo đơn ZaloPay, trả về order_url để chuyển khách sang cổng ZaloPay
+  async createPayment({ orderId, amount, userId }) {
+    const { appId, key1, callbackUrl, redirectUrl } = getConfig();
+    const now = new Date();
+    const params = {
+      app_id: appId,
+      app_trans_id: `${formatZaloPayDate(now)}_ORDER${orderId}_${now.getTime()}`,
+      app_user: `user_${userId}`,
+      app_time: now.getTime(),
+      amount,
+      item: '[]',
+      embed_data: JSON.stringify({ redirecturl: redirectUrl }),
+      description: `FastOrder - Thanh toan don hang #${orderId}`,
+      bank_code: '',
+      callback_url: callbackUrl
+    };
+    params.mac = createZaloPayMac([
+      params.app_id, params.app_trans_id, params.app_user, params.amount, params.app_time, params.embed_data, params.item
+    ], key1);
+
+    const data = await callApi('/v2/create', params);
+    if (data.return_code !== RETURN_CODES.SUCCESS) {
+      throw new PaymentGatewayError(msg('payments.gateway_rejected', { gateway: 'ZaloPay', code: data.return_code, detail: data.return_message }));
+    }
+
+    return { transactionId: params.app_trans_id, transactionDate: null, paymentUrl: data.order_url };
+  },
+
+  verifyCallback: parseCallback,
+
+  // Redirect về kèm checksum ký bằng key2, status = 1 là thành công
+  verifyReturn(query) {
+    const { key2 } = getConfig();
+    const checksum = createZaloPayMac([
+      query.appid, query.apptransid, query.pmcid, query.bankcode, query.amount, query.discountamount, query.status
+    ], key2);
+    return {
+      valid: Boolean(query.checksum) && query.checksum === checksum,
+      transactionId: query.apptransid,
+      amount: Number(query.amount),
+      succeeded: query.status === '1',
+      responseCode: query.status,
+      gatewayTransactionNo: null
+    };
+  },
+
+  // return_code 1 = đã ghi nhận, 2 = trùng callback, -1 = sai mac; 0 để ZaloPay gửi lại
+  callbackResponse(outcome) {
+    const responses = {
+      confirmed: { return_code: 1, return_message: 'success' },
+      already_confirmed: { return_code: 2, return_message: 'already confirmed' },
+      invalid_signature: { return_code: -1, return_message: 'mac not equal' }
+    };
+    return { status: 200, body: responses[outcome] || { return_code: 0, return_message: outcome } };
+  },
+
+  async query(payment) {
+    const { appId, key1 } = getConfig();
+    const data = await callApi('/v2/query', {
+      app_id: appId,
+      app_trans_id: payment.transaction_id,
+      mac: createZaloPayMac([appId, payment.transaction_id, key1], key1)
+    });
+    return {
+      final: data.return_code !== RETURN_CODES.PROCESSING,
+      succeeded: data.return_code === RETURN_CODES.SUCCESS,
+      responseCode: String(data.return_code),
+      amount: Number(data.amount),
+      gatewayTransactionNo: data.zp_trans_id ? String(data.zp_trans_id) : null,
+      raw: data
+    };
+  },
+
+  // Hoàn tiền đang xử lý (3) vẫn được ZaloPay hoàn tất sau nên coi như đã chấp nhận
+  async refund(payment, { amount, requestId }) {
+    const { appId, key1 } = getConfig();
+    const params = {
+      app_id: appId,
+      m_refund_id: `${formatZaloPayDate(new Date())}_${appId}_${requestId}`,
+      zp_trans_id: payment.gateway_transaction_no,
+      amount,
+      timestamp: Date.now(),
+      description: `Hoan tien giao dich ${payment.transaction_id}`
+    };
+    params.mac = createZaloPayMac([
+      params.app_id, params.zp_trans_id, params.amount, params.description, params.timestamp
+    ], key1);
+
+    const data = await callApi('/v2/refund', params);
+    return {
+      succeeded: data.return_code === RETURN_CODES.SUCCESS || data.return_code === RETURN_CODES.PROCESSING,
+      code: String(data.return_code),
+      message: data.return_message,
+      gatewayTransactionNo: data.refund_id ? String(data.refund_id) : null,
+      raw: data
+    };
+  }
+};
@@ -0,0 +1,133 @@
+const { getProvider } = require('./index');
+const { PaymentGatewayError, createRequestId } = require('./gateway');
+const { settleOnlinePayment, recordSupersededPayment } = require('./callbacks');
+const { canTransition, transitionOrder } = require('../orderStatus');
+const { publishPayment } = require('../events');
+const { LocalizedError, msg } = require('../i18n');
+
+class RefundError extends LocalizedError {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'RefundError';
+    this.status = status;
+  }
+}
+
+const REFUNDABLE_STATUSES = ['completed', 'partially_refunded', 'paid_superseded'];
+
+// Cổng online của thanh toán, báo lỗi (unsupportedKey) nếu phương thức không có cổng (tiền mặt)
+function onlineProvider(payment, unsupportedKey) {
+  const provider = getProvider(payment.method);
+  if (!provider || !provider.online) {
+    throw new PaymentGatewayError(msg(unsupportedKey, { method: payment.method }), 400);
+  }
+  return provider;
+}
+
+// Hỏi cổng kết quả giao dịch; nếu thanh toán còn pending thì cập nhật theo kết quả trả về
+async function queryPayment(repos, payment, { ipAddr }) {
+  const provider = onlineProvider(payment, 'payments.query_unsupported');
+  const result = await provider.query(payment, { ipAddr });
+
+  let settled = false;
+  if (['pending', 'cancelled'].includes(payment.status) && result.final) {
+    if (result.succeeded && result.amount !== Number(payment.amount)) {
+      console.error(`${provider.label} query amount mismatch for payment ${payment.payment_id}: ${result.amount}`);
+    } else if (payment.status === 'cancelled') {
+      settled = result.succeeded && await recordSupersededPayment(repos, payment, {
+        gatewayTransactionNo: result.gatewayTransactionNo,
+        gatewayResponseCode: result.responseCode
+      });
+    } else {
+      settled = await settleOnlinePayment(repos, payment, {
+        succeeded: result.succeeded,
+        gatewayTransactionNo: result.gatewayTransactionNo,
+        gatewayResponseCode: result.responseCode,
+        reason: `${provider.label} payment confirmed by query`
+      });
+    }
+  }
+
+  return { gateway: result.raw, settled, payment: await repos.payments.findById(payment.payment_id) };
+}
+
+// Hoàn tiền toàn phần hoặc một phần qua cổng đã thu tiền.
+// Số tiền được giữ trước trên payments.refunded_amount để hai yêu cầu đồng thời không hoàn quá số đã thu,
+// cùng transaction với bản ghi hoàn tiền (không giữ tiền mà thiếu bản ghi); nếu cổng từ chối thì trả lại phần đã giữ.
+async function refundPayment(repos, payment, { amount, reason = null, admin, ipAddr }) {
+  const provider = onlineProvider(payment, 'payments.refund_unsupported');
+  if (!REFUNDABLE_STATUSES.includes(payment.status)) {
+    throw new RefundError(msg('payments.refund_invalid_status', { status: payment.status }));
+  }
+
+  const remaining = payment.amount - payment.refunded_amount;
+  const refundAmount = amount === undefined ? remaining : amount;
+  if (!Number.isInteger(refundAmount) || refundAmount <= 0) {
+    throw new RefundError(msg('payments.refund_amount_invalid'));
+  }
+  if (refundAmount > remaining) {
+    throw new RefundError(msg('payments.refund_exceeds_balance', { remaining }));
+  }
+
+  // Hoàn toàn phần khi hoàn đúng toàn bộ số tiền giao dịch (VNPAY chỉ chấp nhận loại 02 trong trường hợp này)
+  const full = payment.refunded_amount === 0 && refundAmount === payment.amount;
+  const requestId = createRequestId();
+  const refundId = await repos.transaction(async (tx) => {
+    if (!(await tx.payments.reserveRefund(payment.payment_id, refundAmount))) {
+      throw new RefundError(msg('payments.refund_balance_changed'), 409);
+    }
+    return tx.refunds.create({
+      paymentId: payment.payment_id,
+      amount: refundAmount,
+      type: full ? 'full' : 'partial',
+      reason,
+      requestId,
+      createdBy: admin.id
+    });
+  });
+
+  let result;
+  try {
+    result = await provider.refund(payment, {
+      amount: refundAmount, full, createdBy: String(admin.id), requestId, ipAddr
+    });
+  } catch (err) {
+    await repos.payments.releaseRefund(payment.payment_id, refundAmount);
+    await repos.refunds.complete(refundId, { status: 'failed', gatewayResponseCode: null, gatewayMessage: err.message });
+    throw err;
+  }
+
+  await repos.refunds.complete(refundId, {
+    status: result.succeeded ? 'completed' : 'failed',
+    gatewayResponseCode: result.code,
+    gatewayMessage: result.message,
+    gatewayTransactionNo: result.gatewayTransactionNo
+  });
+
+  if (!result.succeeded) {
+    await repos.payments.releaseRefund(payment.payment_id, refundAmount);
+    throw new RefundError(msg('payments.refund_rejected', { gateway: provider.label, code: result.code, detail: result.message }), 502);
+  }
+
+  // Trạng thái theo refunded_amount đọc lại sau khi giữ tiền: hai lần hoàn một phần đồng thời có thể cùng hoàn hết
+  await repos.payments.markRefunded(payment.payment_id);
+  const nextStatus = (await repos.payments.findById(payment.payment_id)).status;
+  const fullyRefunded = nextStatus === 'refunded';
+
+  const order = await repos.orders.findById(payment.order_id);
+  publishPayment('payment.refunded', payment, order, nextStatus);
+
+  // Hoàn toàn bộ thì hủy đơn nếu đơn chưa được nhận (lần thử paid_superseded giữ nguyên trạng thái nên đơn không đổi)
+  if (fullyRefunded) {
+    if (canTransition(order.status, 'cancelled', 'admin')) {
+      await transitionOrder(repos, order, 'cancelled', { actor: 'admin', userId: admin.id, reason: reason || `Refunded via ${provider.label}` });
+    }
+  }
+
+  return {
+    refund: await repos.refunds.findById(refundId),
+    payment: await repos.payments.findById(payment.payment_id)
+  };
+}
+
+module.exports = { RefundError, queryPayment, refundPayment };
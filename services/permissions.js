@@ -0,0 +1,37 @@
+// Phân quyền theo vai trò. Route khai báo permission cần có (middleware requirePermission),
+// bảng dưới đây quyết định vai trò nào có permission đó.
+//   customer - khách hàng, chỉ thao tác trên đơn của mình
+//   cashier  - thu ngân: xác nhận tiền mặt, đổi trạng thái đơn, quét phiếu
+//   kitchen  - bếp: màn hình bếp
+//   manager  - quản lý: thực đơn, khuyến mãi, hoàn tiền, báo cáo, cấu hình bếp
+//   admin    - toàn quyền, kể cả quản lý người dùng
+const ROLES = ['customer', 'cashier', 'kitchen', 'manager', 'admin'];
+const STAFF_ROLES = ['cashier', 'kitchen', 'manager', 'admin'];
+
+const PERMISSIONS = {
+  'menu.manage': ['manager', 'admin'],
+  'promotions.manage': ['manager', 'admin'],
+  'orders.view': ['cashier', 'kitchen', 'manager', 'admin'],
+  'orders.update_status': ['cashier', 'manager', 'admin'],
+  'payments.confirm': ['cashier', 'manager', 'admin'],
+  'payments.manage': ['manager', 'admin'],
+  'tickets.redeem': ['cashier', 'manager', 'admin'],
+  'kitchen.operate': ['kitchen', 'manager', 'admin'],
+  'kitchen.configure': ['manager', 'admin'],
+  'reports.view': ['manager', 'admin'],
+  'events.view_all': ['cashier', 'kitchen', 'manager', 'admin'],
+  'users.manage': ['admin'],
+  'audit.view': ['admin']
+};
+
+function hasPermission(user, permission) {
+  const roles = PERMISSIONS[permission];
+  if (!roles) {
+    throw new Error(`Unknown permission "${permission}"`);
+  }
+  return Boolean(user && roles.includes(user.role));
+}
+
+const isStaff = user => Boolean(user && STAFF_ROLES.includes(user.role));
+
+module.exports = { ROLES, STAFF_ROLES, PERMISSIONS, hasPermission, isStaff };
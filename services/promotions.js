@@ -0,0 +1,225 @@
+const { LocalizedError, msg } = require('./i18n');
+
+// Khuyến mãi khi đặt đơn. Khuyến mãi có mã (code) chỉ áp dụng khi khách nhập mã, tối đa một mã mỗi đơn;
+// khuyến mãi không có mã tự áp dụng cho mọi đơn đủ điều kiện.
+//   percent     - giảm value% tạm tính còn lại, tối đa max_discount
+//   fixed       - giảm value đồng
+//   buy_x_get_y - mua đủ món "buy" thì món "get" được giảm value% (100 = tặng), lặp lại theo số bộ
+//   combo       - mỗi bộ đủ các món "combo" tính giá value
+// Khuyến mãi theo món tính trước trên từng phần (mỗi phần chỉ thuộc một khuyến mãi), sau đó khuyến mãi
+// theo đơn tính trên số tiền còn lại. Đơn luôn còn ít nhất MIN_PAYABLE để thanh toán được (cổng và tiền mặt
+// đều cần số tiền dương), kể cả với mã giảm 100% hoặc giảm cố định lớn hơn giỏ hàng.
+const PROMOTION_TYPES = ['percent', 'fixed', 'buy_x_get_y', 'combo'];
+const APPLY_ORDER = { buy_x_get_y: 0, combo: 0, percent: 1, fixed: 2 };
+const MIN_PAYABLE = 1;
+
+class PromotionError extends LocalizedError {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'PromotionError';
+    this.status = status;
+  }
+}
+
+const normalizeCode = code => code.trim().toUpperCase();
+
+// Chuẩn hóa cấu hình khuyến mãi từ body của trang quản lý, trả về { promotion, items }
+function promotionSettings(body) {
+  const { type, value } = body;
+  const maxDiscount = body.max_discount !== undefined ? body.max_discount : null;
+
+  if ((type === 'percent' || type === 'buy_x_get_y') && (value < 1 || value > 100)) {
+    throw new PromotionError(msg('promotions.percent_range'));
+  }
+  if ((type === 'fixed' || type === 'combo') && value < 1) {
+    throw new PromotionError(msg('promotions.value_required'));
+  }
+  if (type !== 'percent' && maxDiscount !== null) {
+    throw new PromotionError(msg('promotions.max_discount_percent_only'));
+  }
+
+  let items = [];
+  if (type === 'buy_x_get_y') {
+    if (!body.buy || !body.get) {
+      throw new PromotionError(msg('promotions.buy_get_required'));
+    }
+    items = [{ role: 'buy', ...body.buy }, { role: 'get', ...body.get }];
+  } else if (type === 'combo') {
+    const combo = body.items || [];
+    if (combo.reduce((sum, item) => sum + item.quantity, 0) < 2 || new Set(combo.map(i => i.food_id)).size < combo.length) {
+      throw new PromotionError(msg('promotions.combo_items_required'));
+    }
+    items = combo.map(item => ({ role: 'combo', food_id: item.food_id, quantity: item.quantity }));
+  }
+
+  const startsAt = body.starts_at || null;
+  const endsAt = body.ends_at || null;
+  if (startsAt && endsAt && endsAt <= startsAt) {
+    throw new PromotionError(msg('promotions.window_invalid'));
+  }
+
+  return {
+    promotion: {
+      code: body.code ? normalizeCode(body.code) : null,
+      name: body.name,
+      type,
+      value,
+      max_discount: maxDiscount,
+      min_order_value: body.min_order_value || 0,
+      starts_at: startsAt,
+      ends_at: endsAt,
+      usage_limit: body.usage_limit !== undefined ? body.usage_limit : null,
+      per_user_limit: body.per_user_limit !== undefined ? body.per_user_limit : null,
+      is_active: body.is_active !== undefined ? body.is_active : true
+    },
+    items
+  };
+}
+
+function formatPromotion(promotion) {
+  const items = promotion.items || [];
+  const pick = role => {
+    const item = items.find(i => i.role === role);
+    return item ? { food_id: item.food_id, quantity: item.quantity } : null;
+  };
+  return {
+    id: promotion.id,
+    code: promotion.code,
+    name: promotion.name,
+    type: promotion.type,
+    value: Number(promotion.value),
+    max_discount: promotion.max_discount === null ? null : Number(promotion.max_discount),
+    min_order_value: Number(promotion.min_order_value),
+    starts_at: promotion.starts_at,
+    ends_at: promotion.ends_at,
+    usage_limit: promotion.usage_limit,
+    per_user_limit: promotion.per_user_limit,
+    is_active: Boolean(promotion.is_active),
+    ...(promotion.type === 'buy_x_get_y' && { buy: pick('buy'), get: pick('get') }),
+    ...(promotion.type === 'combo' && {
+      items: items.filter(i => i.role === 'combo').map(i => ({ food_id: i.food_id, quantity: i.quantity }))
+    }),
+    ...(promotion.used_count !== undefined && { used_count: Number(promotion.used_count) })
+  };
+}
+
+// Lý do khuyến mãi không dùng được cho đơn này (Message), null nếu dùng được
+async function ineligibility(db, promotion, { userId, subtotal, now }) {
+  if (!promotion.is_active) return msg('promotions.inactive');
+  if (promotion.starts_at && new Date(promotion.starts_at) > now) return msg('promotions.not_started');
+  if (promotion.ends_at && new Date(promotion.ends_at) <= now) return msg('promotions.expired');
+  if (subtotal < Number(promotion.min_order_value)) {
+    return msg('promotions.min_order', { min: Number(promotion.min_order_value) });
+  }
+  if (promotion.usage_limit !== null && await db.promotions.countUsage(promotion.id) >= promotion.usage_limit) {
+    return msg('promotions.usage_exhausted');
+  }
+  if (promotion.per_user_limit !== null && await db.promotions.countUsage(promotion.id, { userId }) >= promotion.per_user_limit) {
+    return msg('promotions.user_limit_reached');
+  }
+  return null;
+}
+
+// Đơn giá từng phần trong giỏ theo món, rẻ nhất trước: Map food_id -> [unit_price, ...]
+function unitPool(lines) {
+  const pool = new Map();
+  for (const line of lines) {
+    if (!pool.has(line.food_id)) pool.set(line.food_id, []);
+    pool.get(line.food_id).push(...Array(line.quantity).fill(line.unit_price));
+  }
+  for (const prices of pool.values()) prices.sort((a, b) => a - b);
+  return pool;
+}
+
+const available = (pool, foodId) => (pool.get(foodId) || []).length;
+// Lấy count phần rẻ nhất của món ra khỏi giỏ, trả về đơn giá các phần đó
+const take = (pool, foodId, count) => pool.get(foodId).splice(0, count);
+const sum = prices => prices.reduce((total, price) => total + price, 0);
+
+// Số tiền giảm của một khuyến mãi; khuyến mãi theo món lấy các phần đã dùng ra khỏi pool
+function discountFor(promotion, pool, remaining) {
+  const value = Number(promotion.value);
+  switch (promotion.type) {
+    case 'percent': {
+      const amount = Math.floor(remaining * value / 100);
+      return promotion.max_discount === null ? amount : Math.min(amount, Number(promotion.max_discount));
+    }
+    case 'fixed':
+      return value;
+    case 'buy_x_get_y': {
+      const buy = promotion.items.find(i => i.role === 'buy');
+      const get = promotion.items.find(i => i.role === 'get');
+      const enough = () => (buy.food_id === get.food_id
+        ? available(pool, buy.food_id) >= buy.quantity + get.quantity
+        : available(pool, buy.food_id) >= buy.quantity && available(pool, get.food_id) >= get.quantity);
+      let discounted = 0;
+      while (enough()) {
+        // Phần được giảm là phần rẻ nhất
+        discounted += sum(take(pool, get.food_id, get.quantity));
+        take(pool, buy.food_id, buy.quantity);
+      }
+      return Math.round(discounted * value / 100);
+    }
+    case 'combo': {
+      const items = promotion.items.filter(i => i.role === 'combo');
+      let amount = 0;
+      while (items.length > 0 && items.every(i => available(pool, i.food_id) >= i.quantity)) {
+        const regular = sum(items.flatMap(i => take(pool, i.food_id, i.quantity)));
+        amount += Math.max(0, regular - value);
+      }
+      return amount;
+    }
+    default:
+      return 0;
+  }
+}
+
+// Giảm giá cho giỏ hàng đã tính giá: lines [{ food_id, quantity, unit_price }].
+// Mã không hợp lệ hoặc không áp dụng được thì ném PromotionError; khuyến mãi tự động không hợp lệ thì bỏ qua.
+// lock = true khi gọi trong transaction đặt đơn, để lượt dùng được đếm chính xác khi nhiều đơn cùng lúc.
+// Trả về { subtotal, discounts: [{ promotion_id, code, name, amount }], discountTotal }
+async function applyPromotions(db, { userId, lines, couponCode = null, now = new Date(), lock = false }) {
+  const subtotal = sum(lines.map(line => line.unit_price * line.quantity));
+  const candidates = await db.promotions.listAutomatic();
+
+  let coupon = null;
+  if (couponCode) {
+    const code = normalizeCode(couponCode);
+    coupon = await db.promotions.findByCode(code);
+    if (!coupon) {
+      throw new PromotionError(msg('promotions.code_not_found', { code }), 404);
+    }
+    candidates.push(coupon);
+  }
+  if (lock) {
+    await db.promotions.lockForUpdate(candidates.map(p => p.id));
+  }
+
+  const eligible = [];
+  for (const promotion of candidates) {
+    const problem = await ineligibility(db, promotion, { userId, subtotal, now });
+    if (!problem) eligible.push(promotion);
+    else if (promotion === coupon) throw new PromotionError(problem);
+  }
+  eligible.sort((a, b) => APPLY_ORDER[a.type] - APPLY_ORDER[b.type] || a.id - b.id);
+
+  const pool = unitPool(lines);
+  let remaining = subtotal;
+  const payable = Math.min(subtotal, MIN_PAYABLE);
+  const discounts = [];
+  for (const promotion of eligible) {
+    const amount = Math.min(remaining - payable, discountFor(promotion, pool, remaining));
+    if (amount <= 0) {
+      if (promotion === coupon) {
+        throw new PromotionError(msg('promotions.not_applicable', { code: coupon.code }));
+      }
+      continue;
+    }
+    remaining -= amount;
+    discounts.push({ promotion_id: promotion.id, code: promotion.code, name: promotion.name, amount });
+  }
+
+  return { subtotal, discounts, discountTotal: subtotal - remaining };
+}
+
+module.exports = { PROMOTION_TYPES, PromotionError, promotionSettings, formatPromotion, applyPromotions };
@@ -0,0 +1,143 @@
+const { PAID_STATUSES, getProvider } = require('./payments');
+const { parseDay, formatDay } = require('./dates');
+const { LocalizedError, msg } = require('./i18n');
+
+// Đơn đã giao cho khách thì phải có một lần thanh toán còn giữ tiền
+const FULFILLED_STATUSES = ['completed', 'scanned'];
+const MAX_DAYS = 31;
+
+class ReportRangeError extends LocalizedError {
+  constructor(message) {
+    super(message);
+    this.name = 'ReportRangeError';
+    this.status = 400;
+  }
+}
+
+function emptyDay(date) {
+  return {
+    date,
+    orders: 0,
+    expected: 0,
+    collected: 0,
+    refunded: 0,
+    net: 0,
+    gateway_confirmed: 0,
+    by_method: {},
+    difference: 0,
+    discrepancies: 0
+  };
+}
+
+// Đối chiếu một đơn với các lần thử thanh toán của nó.
+// Tiền thu được gồm cả lần thử paid_superseded (đã bị thay thế nhưng cổng vẫn thu): đơn bị báo lệch cho tới khi hoàn hết
+function reconcileOrder(order, attempts) {
+  const paid = attempts.filter(p => PAID_STATUSES.includes(p.status));
+  const superseded = attempts.filter(p => p.status === 'paid_superseded');
+  const captured = [...paid, ...superseded];
+  const collected = captured.reduce((sum, p) => sum + Number(p.amount), 0);
+  const refunded = captured.reduce((sum, p) => sum + Number(p.refunded_amount), 0);
+  const online = captured.filter(p => getProvider(p.method) && getProvider(p.method).online);
+  const gatewayConfirmed = online
+    .filter(p => p.gateway_transaction_no)
+    .reduce((sum, p) => sum + Number(p.amount), 0);
+  const expected = order.status === 'cancelled' ? 0 : Number(order.total_price);
+  const net = collected - refunded;
+
+  const issues = [];
+  if (FULFILLED_STATUSES.includes(order.status) && !paid.some(p => p.status !== 'refunded')) {
+    issues.push('completed_without_payment');
+  }
+  if (paid.some(p => Number(p.amount) !== Number(order.total_price))) {
+    issues.push('amount_mismatch');
+  }
+  if (paid.length > 1) {
+    issues.push('duplicate_payment');
+  }
+  if (online.some(p => !p.gateway_transaction_no)) {
+    issues.push('not_confirmed_by_gateway');
+  }
+  if (order.status === 'cancelled' && net > 0) {
+    issues.push('cancelled_with_payment');
+  }
+  if (superseded.some(p => Number(p.refunded_amount) < Number(p.amount))) {
+    issues.push('superseded_payment');
+  }
+
+  return { paid: captured, collected, refunded, net, expected, gatewayConfirmed, issues };
+}
+
+// Khoảng ngày của báo cáo: from/to dạng 'YYYY-MM-DD' đã kiểm tra ở route (from mặc định hôm nay,
+// to mặc định bằng from), tối đa maxDays ngày. Trả về { from, to, end } với end là nửa đêm sau ngày to
+function parseRange({ from: fromParam, to: toParam } = {}, maxDays) {
+  const from = parseDay(fromParam) || parseDay(formatDay(new Date()));
+  const to = parseDay(toParam) || new Date(from);
+  if (to < from) {
+    throw new ReportRangeError(msg('validation.date_range'));
+  }
+  const end = new Date(to.getFullYear(), to.getMonth(), to.getDate() + 1);
+  if (Math.round((end - from) / 86400000) > maxDays) {
+    throw new ReportRangeError(msg('reports.range_too_long', { max: maxDays }));
+  }
+  return { from, to, end };
+}
+
+// Báo cáo đối chiếu theo ngày tạo đơn: tiền phải thu, tiền đã thu/hoàn theo phương thức,
+// số tiền được cổng xác nhận và danh sách đơn lệch
+async function buildReconciliationReport(repos, query = {}) {
+  const { from, to, end } = parseRange(query, MAX_DAYS);
+
+  const orders = await repos.orders.listCreatedBetween(from, end);
+  const attempts = await repos.payments.listForOrders(orders.map(o => o.id));
+
+  const days = new Map();
+  for (let day = new Date(from); day < end; day.setDate(day.getDate() + 1)) {
+    days.set(formatDay(day), emptyDay(formatDay(day)));
+  }
+
+  const discrepancies = [];
+  for (const order of orders) {
+    const day = days.get(formatDay(new Date(order.created_at)));
+    const result = reconcileOrder(order, attempts.filter(p => p.order_id === order.id));
+
+    if (order.status !== 'cancelled') day.orders += 1;
+    day.expected += result.expected;
+    day.collected += result.collected;
+    day.refunded += result.refunded;
+    day.net += result.net;
+    day.gateway_confirmed += result.gatewayConfirmed;
+    for (const payment of result.paid) {
+      const net = Number(payment.amount) - Number(payment.refunded_amount);
+      day.by_method[payment.method] = (day.by_method[payment.method] || 0) + net;
+    }
+
+    if (result.issues.length > 0) {
+      day.discrepancies += 1;
+      discrepancies.push({
+        order_id: order.id,
+        date: day.date,
+        order_status: order.status,
+        order_total: Number(order.total_price),
+        collected: result.collected,
+        refunded: result.refunded,
+        gateway_confirmed: result.gatewayConfirmed,
+        payment_ids: result.paid.map(p => p.payment_id),
+        issues: result.issues
+      });
+    }
+  }
+
+  const list = [...days.values()];
+  for (const day of list) {
+    day.difference = day.net - day.expected;
+  }
+
+  return {
+    from: formatDay(from),
+    to: formatDay(to),
+    days: list,
+    discrepancies
+  };
+}
+
+module.exports = { ReportRangeError, parseRange, buildReconciliationReport };
@@ -0,0 +1,184 @@
+const { PAID_STATUSES, getProvider } = require('./payments');
+const { LocalizedError, msg } = require('./i18n');
+const { parseRange } = require('./reconciliation');
+const { formatDay } = require('./dates');
+const { toCsv } = require('./csv');
+const { toXlsx } = require('./xlsx');
+
+// Báo cáo bán hàng theo ngày đặt đơn (giờ máy chủ).
+// Doanh thu chỉ tính đơn đã xác nhận trở đi (SALE_STATUSES): total_price là số tiền sau giảm giá,
+// doanh số theo món/danh mục là đơn giá x số lượng trước khuyến mãi theo đơn.
+// Theo phương thức thanh toán: tiền đã thu trừ tiền đã hoàn của các lần thanh toán thành công.
+const SALE_STATUSES = ['confirmed', 'completed', 'ready', 'scanned'];
+const MAX_DAYS = 366;
+const EXPORT_FORMATS = ['csv', 'xlsx'];
+
+class SalesReportError extends LocalizedError {
+  constructor(message) {
+    super(message);
+    this.name = 'SalesReportError';
+    this.status = 400;
+  }
+}
+
+// Thứ trong tuần theo ISO: 1 = thứ Hai ... 7 = Chủ nhật
+const isoWeekday = date => ((date.getDay() + 6) % 7) + 1;
+const ratio = (part, total) => (total > 0 ? Math.round((part / total) * 10000) / 10000 : 0);
+
+// Cộng dồn vào Map theo khóa, tạo dòng mới bằng create()
+function tally(map, key, create, add) {
+  if (!map.has(key)) map.set(key, create());
+  add(map.get(key));
+}
+
+async function buildSalesReport(repos, query = {}) {
+  const { from, to, end } = parseRange(query, MAX_DAYS);
+
+  const orders = await repos.orders.listCreatedBetween(from, end);
+  const sales = orders.filter(o => SALE_STATUSES.includes(o.status));
+  const [items, attempts, foods] = await Promise.all([
+    repos.orders.listItemsForOrders(sales.map(o => o.id)),
+    repos.payments.listForOrders(orders.map(o => o.id)),
+    repos.foods.list()
+  ]);
+  const foodsById = new Map(foods.map(f => [f.id, f]));
+
+  const summary = {
+    orders: sales.length,
+    placed_orders: orders.length,
+    cancelled_orders: orders.filter(o => o.status === 'cancelled').length,
+    pending_orders: orders.filter(o => o.status === 'pending').length,
+    cancellation_rate: 0,
+    gross_sales: 0,
+    discounts: 0,
+    revenue: 0,
+    average_order_value: 0,
+    items_sold: items.reduce((sum, i) => sum + i.quantity, 0)
+  };
+  summary.cancellation_rate = ratio(summary.cancelled_orders, summary.placed_orders);
+
+  const byDay = new Map();
+  for (let day = new Date(from); day < end; day.setDate(day.getDate() + 1)) {
+    byDay.set(formatDay(day), { date: formatDay(day), orders: 0, revenue: 0 });
+  }
+  const byHour = Array.from({ length: 24 }, (_, hour) => ({ hour, orders: 0, revenue: 0 }));
+  const heatmap = Array.from({ length: 7 }, (_, i) => ({ weekday: i + 1, hours: Array(24).fill(0) }));
+
+  for (const order of sales) {
+    const created = new Date(order.created_at);
+    const revenue = Number(order.total_price);
+    const discount = Number(order.discount_total || 0);
+    summary.revenue += revenue;
+    summary.discounts += discount;
+    summary.gross_sales += revenue + discount;
+
+    const day = byDay.get(formatDay(created));
+    day.orders += 1;
+    day.revenue += revenue;
+    byHour[created.getHours()].orders += 1;
+    byHour[created.getHours()].revenue += revenue;
+    heatmap[isoWeekday(created) - 1].hours[created.getHours()] += 1;
+  }
+  summary.average_order_value = sales.length > 0 ? Math.round(summary.revenue / sales.length) : 0;
+
+  const byFood = new Map();
+  const byCategory = new Map();
+  for (const item of items) {
+    const food = foodsById.get(item.food_id) || {};
+    const amount = Number(item.unit_price) * item.quantity;
+    const add = row => {
+      row.quantity += item.quantity;
+      row.sales += amount;
+    };
+    tally(byFood, item.food_id, () => ({
+      food_id: item.food_id,
+      food_name: item.food_name,
+      category_id: food.category_id || null,
+      category_name: food.category_name || null,
+      quantity: 0,
+      sales: 0
+    }), add);
+    tally(byCategory, food.category_id || null, () => ({
+      category_id: food.category_id || null, category_name: food.category_name || null, quantity: 0, sales: 0
+    }), add);
+  }
+
+  const byMethod = new Map();
+  for (const payment of attempts.filter(p => PAID_STATUSES.includes(p.status))) {
+    const provider = getProvider(payment.method);
+    const method = provider ? provider.name : payment.method;
+    tally(byMethod, method, () => ({ method, payments: 0, collected: 0, refunded: 0, net: 0 }), row => {
+      row.payments += 1;
+      row.collected += Number(payment.amount);
+      row.refunded += Number(payment.refunded_amount);
+      row.net = row.collected - row.refunded;
+    });
+  }
+
+  const bySales = (a, b) => b.sales - a.sales || b.quantity - a.quantity;
+  return {
+    from: formatDay(from),
+    to: formatDay(to),
+    summary,
+    by_day: [...byDay.values()].map(d => ({ ...d, average_order_value: d.orders > 0 ? Math.round(d.revenue / d.orders) : 0 })),
+    by_hour: byHour,
+    by_category: [...byCategory.values()].sort(bySales).map(c => ({ ...c, share: ratio(c.sales, summary.gross_sales) })),
+    by_food: [...byFood.values()].sort(bySales),
+    by_payment_method: [...byMethod.values()].sort((a, b) => b.net - a.net),
+    heatmap
+  };
+}
+
+const columns = (...keys) => keys.map(key => ({ header: key, value: row => row[key] }));
+
+// Các bảng của báo cáo khi xuất file: CSV xuất một bảng (?table=), XLSX xuất mỗi bảng một sheet
+const TABLES = {
+  summary: {
+    sheet: 'Summary',
+    columns: [{ header: 'metric', value: row => row[0] }, { header: 'value', value: row => row[1] }],
+    rows: report => [['from', report.from], ['to', report.to], ...Object.entries(report.summary)]
+  },
+  by_day: { sheet: 'By day', columns: columns('date', 'orders', 'revenue', 'average_order_value'), rows: report => report.by_day },
+  by_hour: { sheet: 'By hour', columns: columns('hour', 'orders', 'revenue'), rows: report => report.by_hour },
+  by_category: {
+    sheet: 'By category', columns: columns('category_id', 'category_name', 'quantity', 'sales', 'share'), rows: report => report.by_category
+  },
+  by_food: {
+    sheet: 'By food', columns: columns('food_id', 'food_name', 'category_name', 'quantity', 'sales'), rows: report => report.by_food
+  },
+  by_payment_method: {
+    sheet: 'By payment method', columns: columns('method', 'payments', 'collected', 'refunded', 'net'), rows: report => report.by_payment_method
+  },
+  heatmap: {
+    sheet: 'Peak hours',
+    columns: [
+      { header: 'weekday', value: row => row.weekday },
+      ...Array.from({ length: 24 }, (_, hour) => ({ header: `h${String(hour).padStart(2, '0')}`, value: row => row.hours[hour] }))
+    ],
+    rows: report => report.heatmap
+  }
+};
+
+// Tải báo cáo: format csv (một bảng, mặc định by_day) hoặc xlsx (mọi bảng)
+async function exportSalesReport(repos, { format = 'csv', table = 'by_day', ...range } = {}) {
+  if (!EXPORT_FORMATS.includes(format)) {
+    throw new SalesReportError(msg('validation.enum', { field: 'format', values: EXPORT_FORMATS.join(', ') }));
+  }
+  if (!TABLES[table]) {
+    throw new SalesReportError(msg('validation.enum', { field: 'table', values: Object.keys(TABLES).join(', ') }));
+  }
+
+  const report = await buildSalesReport(repos, range);
+  const name = `sales-${report.from.replace(/-/g, '')}-${report.to.replace(/-/g, '')}`;
+  if (format === 'xlsx') {
+    return {
+      filename: `${name}.xlsx`,
+      contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+      body: toXlsx(Object.values(TABLES).map(t => ({ name: t.sheet, columns: t.columns, rows: t.rows(report) })))
+    };
+  }
+  const { columns: tableColumns, rows } = TABLES[table];
+  return { filename: `${name}-${table}.csv`, contentType: 'text/csv; charset=utf-8', body: toCsv(tableColumns, rows(report)) };
+}
+
+module.exports = { SALE_STATUSES, EXPORT_FORMATS, REPORT_TABLES: Object.keys(TABLES), SalesReportError, buildSalesReport, exportSalesReport };
@@ -0,0 +1,75 @@
+const crypto = require('crypto');
+const { LocalizedError, msg } = require('./i18n');
+
+// Mã phiếu ăn ký HMAC: "FO.<order_id>.<hết hạn, giây unix>.<chữ ký>".
+// Kiểm tra được chữ ký và hạn dùng mà không cần tra database; mã cũ (hex ngẫu nhiên, TICKET_...) không có hạn.
+const PREFIX = 'FO';
+const DEFAULT_TTL_HOURS = 24;
+
+class TicketCodeError extends LocalizedError {
+  constructor(message, reason) {
+    super(message);
+    this.name = 'TicketCodeError';
+    this.status = 400;
+    this.reason = reason;
+  }
+}
+
+function secret() {
+  const key = process.env.TICKET_SECRET || process.env.JWT_SECRET;
+  if (!key) {
+    throw new Error('TICKET_SECRET is not configured');
+  }
+  return key;
+}
+
+// Thời hạn phiếu (giờ), cấu hình qua TICKET_TTL_HOURS
+function ttlHours() {
+  const hours = Number(process.env.TICKET_TTL_HOURS);
+  return hours > 0 ? hours : DEFAULT_TTL_HOURS;
+}
+
+// Chữ ký HMAC-SHA256 (base64url) bằng khóa phiếu, dùng cho mã phiếu và dữ liệu gửi xuống máy quét
+function signData(data) {
+  return crypto.createHmac('sha256', secret()).update(data).digest('base64url');
+}
+
+function sign(orderId, exp) {
+  return signData(`${PREFIX}.${orderId}.${exp}`);
+}
+
+// Tạo mã phiếu cho đơn, trả về { ticketCode, expiresAt }
+function createTicketCode(orderId, { now = new Date() } = {}) {
+  const exp = Math.floor(now.getTime() / 1000) + Math.round(ttlHours() * 3600);
+  return {
+    ticketCode: `${PREFIX}.${orderId}.${exp}.${sign(orderId, exp)}`,
+    expiresAt: new Date(exp * 1000)
+  };
+}
+
+function isSignedTicketCode(code) {
+  return typeof code === 'string' && code.startsWith(`${PREFIX}.`);
+}
+
+// Kiểm tra mã ký, trả về { orderId, expiresAt }; ném TicketCodeError nếu sai định dạng, sai chữ ký hoặc hết hạn
+function verifyTicketCode(code, { now = new Date() } = {}) {
+  const match = /^FO\.(\d+)\.(\d+)\.([A-Za-z0-9_-]+)$/.exec(code);
+  if (!match) {
+    throw new TicketCodeError(msg('tickets.invalid_code'), 'malformed');
+  }
+
+  const [, orderId, exp, signature] = match;
+  const expected = Buffer.from(sign(orderId, exp));
+  const actual = Buffer.from(signature);
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    throw new TicketCodeError(msg('tickets.invalid_code'), 'invalid_signature');
+  }
+
+  const expiresAt = new Date(Number(exp) * 1000);
+  if (expiresAt <= now) {
+    throw new TicketCodeError(msg('tickets.expired'), 'expired');
+  }
+  return { orderId: Number(orderId), expiresAt };
+}
+
+module.exports = { TicketCodeError, createTicketCode, isSignedTicketCode, verifyTicketCode, signData };
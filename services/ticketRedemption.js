@@ -0,0 +1,132 @@
+const { OrderTransitionError, transitionOrder } = require('./orderStatus');
+const { TicketCodeError, isSignedTicketCode, verifyTicketCode } = require('./ticketCodes');
+const { msg } = require('./i18n');
+
+// Nhận đồ ăn bằng phiếu: một quy tắc chung cho mọi máy quét.
+// Phiếu chỉ được dùng một lần nhờ cập nhật có điều kiện (is_used = 0) trong cùng transaction với việc chuyển đơn sang scanned.
+const REFUSALS = {
+  invalid_code: { status: 400, message: msg('tickets.refused.invalid_code') },
+  expired: { status: 400, message: msg('tickets.refused.expired') },
+  not_found: { status: 404, message: msg('tickets.refused.not_found') },
+  already_used: { status: 400, message: msg('tickets.refused.already_used') },
+  cancelled: { status: 400, message: msg('tickets.refused.cancelled') },
+  not_confirmed: { status: 400, message: msg('tickets.refused.not_confirmed') },
+  payment_required: { status: 400, message: msg('tickets.refused.payment_required') },
+  order_changed: { status: 409, message: msg('tickets.refused.order_changed') }
+};
+const REDEEMED_MESSAGE = msg('tickets.redeemed');
+
+// Lần thanh toán gần nhất còn giữ tiền của khách
+const SETTLED_PAYMENT_STATUSES = ['completed', 'partially_refunded'];
+
+// Lý do từ chối theo trạng thái đơn và thanh toán; null nếu được nhận.
+// completed: đã thanh toán (hoặc admin xác nhận đã thu); confirmed, ready: cần lần thanh toán gần nhất đã thu tiền
+// (vd. thu ngân xác nhận tiền mặt mà đơn chưa chuyển sang completed).
+function refusalFor(order, payment) {
+  switch (order.status) {
+    case 'scanned':
+      return 'already_used';
+    case 'cancelled':
+      return 'cancelled';
+    case 'pending':
+      return 'not_confirmed';
+    case 'completed':
+      return null;
+    case 'confirmed':
+    case 'ready':
+      return payment && SETTLED_PAYMENT_STATUSES.includes(payment.status) ? null : 'payment_required';
+    default:
+      return 'payment_required';
+  }
+}
+
+// Tóm tắt đơn, món và thanh toán cho màn hình máy quét
+async function describe(repos, ticket) {
+  const order = await repos.orders.findDetail(ticket.order_id);
+  const items = await repos.orders.listItems(ticket.order_id);
+  const payment = await repos.payments.findByOrder(ticket.order_id);
+
+  return {
+    ticket: {
+      id: ticket.id,
+      ticket_code: ticket.ticket_code,
+      expires_at: ticket.expires_at || null,
+      is_used: Boolean(ticket.is_used),
+      used_at: ticket.used_at || null,
+      used_by: ticket.used_by || null,
+      used_device: ticket.used_device || null
+    },
+    order: {
+      id: order.id,
+      user_id: order.user_id,
+      status: order.status,
+      total_price: Number(order.total_price),
+      customer_name: order.name,
+      created_at: order.created_at
+    },
+    items: items.map(i => ({
+      food_id: i.food_id,
+      food_name: i.food_name,
+      quantity: i.quantity,
+      unit_price: Number(i.unit_price),
+      options: i.options.map(o => ({ group_name: o.group_name, option_name: o.option_name, price_delta: Number(o.price_delta) }))
+    })),
+    payment: payment && {
+      payment_id: payment.payment_id,
+      method: payment.method,
+      amount: Number(payment.amount),
+      status: payment.status
+    }
+  };
+}
+
+const refused = (reason, details = {}) => ({ redeemed: false, reason, message: REFUSALS[reason].message, ...details });
+
+// Đổi phiếu lấy đồ ăn. Luôn trả về kết quả có cấu trúc:
+//   { redeemed, reason (null khi thành công, khóa của REFUSALS khi bị từ chối), message, ticket, order, items, payment }
+// userId, device: nhân viên và máy quét, được lưu vào phiếu.
+// at: thời điểm quét thực tế khi máy quét gửi lên sau (offline); hạn phiếu được xét tại thời điểm đó.
+async function redeemTicket(repos, ticketCode, { userId, device = null, at = null }) {
+  let signedOrderId = null;
+  if (isSignedTicketCode(ticketCode)) {
+    try {
+      signedOrderId = verifyTicketCode(ticketCode, { now: at || new Date() }).orderId;
+    } catch (err) {
+      if (!(err instanceof TicketCodeError)) throw err;
+      return refused(err.reason === 'expired' ? 'expired' : 'invalid_code');
+    }
+  }
+
+  const ticket = await repos.tickets.findByCode(ticketCode);
+  if (!ticket || (signedOrderId !== null && ticket.order_id !== signedOrderId)) {
+    return refused('not_found');
+  }
+
+  const details = await describe(repos, ticket);
+  const reason = ticket.is_used ? 'already_used' : refusalFor(details.order, details.payment);
+  if (reason) {
+    return refused(reason, details);
+  }
+
+  const order = { id: ticket.order_id, user_id: details.order.user_id, status: details.order.status };
+  try {
+    await repos.transaction(async (tx) => {
+      if (!(await tx.tickets.redeem(ticket.id, { userId, device, usedAt: at }))) {
+        throw new OrderTransitionError(msg('tickets.already_used'), { status: 409 });
+      }
+      await transitionOrder(tx, order, 'scanned', {
+        actor: 'admin', userId, reason: device ? `Ticket scanned on ${device}` : 'Ticket scanned'
+      });
+    });
+  } catch (err) {
+    if (!(err instanceof OrderTransitionError)) throw err;
+    // Máy quét khác vừa dùng phiếu hoặc đơn vừa đổi trạng thái: trả về tình trạng mới nhất
+    const latest = await repos.tickets.findByCode(ticketCode);
+    return refused(latest.is_used ? 'already_used' : 'order_changed', await describe(repos, latest));
+  }
+
+  const redeemed = await repos.tickets.findByCode(ticketCode);
+  return { redeemed: true, reason: null, message: REDEEMED_MESSAGE, ...(await describe(repos, redeemed)) };
+}
+
+module.exports = { REFUSALS, refusalFor, redeemTicket };
@@ -0,0 +1,155 @@
+const crypto = require('crypto');
+
+// HMAC-SHA512 dùng chung cho mọi chữ ký VNPAY
+function hmacSha512(data, secretKey) {
+  return crypto.createHmac('sha512', secretKey).update(data).digest('hex');
+}
+
+// Hàm tạo chữ ký bảo mật VNPAY
+function createVnpaySignature(params, secretKey, isCallback = false) {
+  let orderedKeys;
+
+  if (isCallback) {
+    // Callback từ VNPAY: Sắp xếp theo bảng chữ cái
+    orderedKeys = Object.keys(params)
+      .filter(key => key !== 'vnp_SecureHash' && key !== 'vnp_SecureHashType' && params[key] !== '' && params[key] !== null)
+      .sort();
+  } else {
+    // Tạo URL thanh toán: Sử dụng thứ tự cố định theo mẫu URL chuẩn
+    orderedKeys = [
+      'vnp_Amount',
+      'vnp_Command',
+      'vnp_CreateDate',
+      'vnp_CurrCode',
+      'vnp_IpAddr',
+      'vnp_Locale',
+      'vnp_OrderInfo',
+      'vnp_OrderType',
+      'vnp_ReturnUrl',
+      'vnp_TmnCode',
+      'vnp_TxnRef',
+      'vnp_Version',
+      'vnp_ExpireDate',
+      'vnp_Bill_Mobile',
+      'vnp_Bill_Email',
+      'vnp_Bill_FirstName',
+      'vnp_Bill_LastName',
+      'vnp_Bill_Address',
+      'vnp_Bill_City',
+      'vnp_Bill_Country',
+      'vnp_Bill_State',
+      'vnp_Inv_Phone',
+      'vnp_Inv_Email',
+      'vnp_Inv_Customer',
+      'vnp_Inv_Address',
+      'vnp_Inv_Company',
+      'vnp_Inv_Taxcode',
+      'vnp_Inv_Type',
+      'vnp_BankCode',
+    ].filter(key => params[key] !== undefined && params[key] !== '' && params[key] !== null);
+  }
+
+  // Tạo chuỗi signData
+  const signData = orderedKeys
+    .map(key => `${key}=${encodeURIComponent(params[key]).replace(/%20/g, '+')}`)
+    .join('&');
+
+  console.log('signData:', signData); // Log để debug
+
+  // Tạo chữ ký bằng HMAC-SHA512
+  return hmacSha512(signData, secretKey);
+}
+
+// Thứ tự tham số trong URL thanh toán, giống thứ tự dùng khi ký
+const PAYMENT_URL_KEYS = [
+  'vnp_Amount',
+  'vnp_Command',
+  'vnp_CreateDate',
+  'vnp_CurrCode',
+  'vnp_IpAddr',
+  'vnp_Locale',
+  'vnp_OrderInfo',
+  'vnp_OrderType',
+  'vnp_ReturnUrl',
+  'vnp_TmnCode',
+  'vnp_TxnRef',
+  'vnp_Version',
+  'vnp_ExpireDate',
+  'vnp_Bill_Mobile',
+  'vnp_Bill_Email',
+  'vnp_Bill_FirstName',
+  'vnp_Bill_LastName',
+  'vnp_Bill_Address',
+  'vnp_Bill_City',
+  'vnp_Bill_Country',
+  'vnp_Bill_State',
+  'vnp_Inv_Phone',
+  'vnp_Inv_Email',
+  'vnp_Inv_Customer',
+  'vnp_Inv_Address',
+  'vnp_Inv_Company',
+  'vnp_Inv_Taxcode',
+  'vnp_Inv_Type',
+  'vnp_BankCode',
+  'vnp_SecureHash',
+];
+
+// Tạo URL thanh toán từ bộ tham số đã ký
+function buildPaymentUrl(baseUrl, vnpParams) {
+  const querystring = PAYMENT_URL_KEYS
+    .filter(key => vnpParams[key] !== undefined && vnpParams[key] !== '' && vnpParams[key] !== null)
+    .map(key => `${key}=${encodeURIComponent(vnpParams[key]).replace(/%20/g, '+')}`)
+    .join('&');
+  return `${baseUrl}?${querystring}`;
+}
+
+// Định dạng yyyyMMddHHmmss theo yêu cầu của VNPAY
+function formatVnpayDate(date) {
+  return `${date.getFullYear()}${String(date.getMonth() + 1).padStart(2, '0')}${String(date.getDate()).padStart(2, '0')}${String(date.getHours()).padStart(2, '0')}${String(date.getMinutes()).padStart(2, '0')}${String(date.getSeconds()).padStart(2, '0')}`;
+}
+
+// Kiểm tra chữ ký tham số VNPAY gửi về (return URL hoặc IPN)
+function verifyVnpayCallback(query, secretKey) {
+  const params = { ...query };
+  const secureHash = params.vnp_SecureHash;
+  delete params.vnp_SecureHash;
+  delete params.vnp_SecureHashType;
+
+  const calculatedHash = createVnpaySignature(params, secretKey, true);
+  return { isValid: Boolean(secureHash) && secureHash.toLowerCase() === calculatedHash, params };
+}
+
+// Thứ tự trường khi ký request/response của API merchant (querydr, refund).
+// Khác với URL thanh toán, các giá trị được nối bằng dấu '|' và không encode.
+const API_SIGN_FIELDS = {
+  querydr: {
+    request: ['vnp_RequestId', 'vnp_Version', 'vnp_Command', 'vnp_TmnCode', 'vnp_TxnRef', 'vnp_TransactionDate',
+      'vnp_CreateDate', 'vnp_IpAddr', 'vnp_OrderInfo'],
+    response: ['vnp_ResponseId', 'vnp_Command', 'vnp_ResponseCode', 'vnp_Message', 'vnp_TmnCode', 'vnp_TxnRef',
+      'vnp_Amount', 'vnp_BankCode', 'vnp_PayDate', 'vnp_TransactionNo', 'vnp_TransactionType',
+      'vnp_TransactionStatus', 'vnp_OrderInfo', 'vnp_PromotionCode', 'vnp_PromotionAmount']
+  },
+  refund: {
+    request: ['vnp_RequestId', 'vnp_Version', 'vnp_Command', 'vnp_TmnCode', 'vnp_TransactionType', 'vnp_TxnRef',
+      'vnp_Amount', 'vnp_TransactionNo', 'vnp_TransactionDate', 'vnp_CreateBy', 'vnp_CreateDate', 'vnp_IpAddr',
+      'vnp_OrderInfo'],
+    response: ['vnp_ResponseId', 'vnp_Command', 'vnp_ResponseCode', 'vnp_Message', 'vnp_TmnCode', 'vnp_TxnRef',
+      'vnp_Amount', 'vnp_BankCode', 'vnp_PayDate', 'vnp_TransactionNo', 'vnp_TransactionType',
+      'vnp_TransactionStatus', 'vnp_OrderInfo']
+  }
+};
+
+// Ký dữ liệu API merchant theo danh sách trường
+function createVnpayApiSignature(params, fields, secretKey) {
+  const signData = fields.map(field => (params[field] === undefined || params[field] === null ? '' : params[field])).join('|');
+  return hmacSha512(signData, secretKey);
+}
+
+module.exports = {
+  API_SIGN_FIELDS,
+  createVnpaySignature,
+  createVnpayApiSignature,
+  verifyVnpayCallback,
+  buildPaymentUrl,
+  formatVnpayDate
+};
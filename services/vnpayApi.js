@@ -0,0 +1,66 @@
+const { API_SIGN_FIELDS, createVnpayApiSignature, formatVnpayDate } = require('./vnpay');
+const { PaymentGatewayError, createRequestId, postJson } = require('./payments/gateway');
+const { msg } = require('./i18n');
+
+const DEFAULT_API_URL = 'https://sandbox.vnpayment.vn/merchant_webapi/api/transaction';
+
+function getConfig() {
+  return {
+    tmnCode: process.env.VNPAY_TMN_CODE,
+    hashSecret: process.env.VNPAY_HASH_SECRET,
+    apiUrl: process.env.VNPAY_API_URL || DEFAULT_API_URL
+  };
+}
+
+// Gửi request đã ký tới API merchant và kiểm tra chữ ký phản hồi
+async function callApi(command, params) {
+  const { tmnCode, hashSecret, apiUrl } = getConfig();
+  const body = {
+    vnp_RequestId: params.vnp_RequestId || createRequestId(),
+    vnp_Version: '2.1.0',
+    vnp_Command: command,
+    vnp_TmnCode: tmnCode,
+    vnp_CreateDate: formatVnpayDate(new Date()),
+    ...params
+  };
+  body.vnp_SecureHash = createVnpayApiSignature(body, API_SIGN_FIELDS[command].request, hashSecret);
+
+  const data = await postJson(apiUrl, body, 'VNPAY');
+  // Lỗi định dạng/chữ ký phía VNPAY có thể trả về không kèm vnp_SecureHash
+  if (data.vnp_SecureHash) {
+    const expected = createVnpayApiSignature(data, API_SIGN_FIELDS[command].response, hashSecret);
+    if (expected !== data.vnp_SecureHash.toLowerCase()) {
+      throw new PaymentGatewayError(msg('payments.gateway_invalid_signature', { gateway: 'VNPAY' }));
+    }
+  }
+
+  return { request: body, response: data };
+}
+
+// Truy vấn kết quả giao dịch (querydr)
+function queryTransaction(payment, { ipAddr }) {
+  return callApi('querydr', {
+    vnp_TxnRef: payment.transaction_id,
+    vnp_OrderInfo: `Truy van giao dich ${payment.transaction_id}`,
+    vnp_TransactionNo: payment.gateway_transaction_no || undefined,
+    vnp_TransactionDate: payment.gateway_transaction_date,
+    vnp_IpAddr: ipAddr
+  });
+}
+
+// Hoàn tiền toàn phần (02) hoặc một phần (03)
+function refundTransaction(payment, { amount, full, createdBy, requestId, ipAddr }) {
+  return callApi('refund', {
+    vnp_RequestId: requestId,
+    vnp_TransactionType: full ? '02' : '03',
+    vnp_TxnRef: payment.transaction_id,
+    vnp_Amount: String(amount * 100),
+    vnp_OrderInfo: `Hoan tien giao dich ${payment.transaction_id}`,
+    vnp_TransactionNo: payment.gateway_transaction_no || '0',
+    vnp_TransactionDate: payment.gateway_transaction_date,
+    vnp_CreateBy: createdBy,
+    vnp_IpAddr: ipAddr
+  });
+}
+
+module.exports = { queryTransaction, refundTransaction };
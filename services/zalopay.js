@@ -0,0 +1,13 @@
+const crypto = require('crypto');
+
+// Chữ ký ZaloPay: HMAC-SHA256 của các giá trị nối bằng |
+function createZaloPayMac(values, key) {
+  return crypto.createHmac('sha256', key).update(values.join('|')).digest('hex');
+}
+
+// Tiền tố ngày yymmdd bắt buộc cho app_trans_id và m_refund_id
+function formatZaloPayDate(date) {
+  return `${String(date.getFullYear()).slice(2)}${String(date.getMonth() + 1).padStart(2, '0')}${String(date.getDate()).padStart(2, '0')}`;
+}
+
+module.exports = { createZaloPayMac, formatZaloPayDate };
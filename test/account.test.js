@@ -0,0 +1,144 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { startServer } = require('./helpers');
+const { createMailer } = require('../services/mailer');
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(() => server.close());
+
+// Lấy token trong email gần nhất gửi tới địa chỉ
+function tokenFromMail(to) {
+  const mail = server.mailer.messages.findLast(m => m.to === to);
+  return /token=([\w-]+)/.exec(mail.text)[1];
+}
+
+const register = email => server.request('POST', '/api/register', {
+  body: { name: 'Bình', email, password: 'secret123', phone: null }
+});
+const login = (email, password) => server.request('POST', '/api/login', { body: { email, password } });
+
+test('signup sends a verification email whose token works once', async () => {
+  const res = await register('binh@test.local');
+  assert.equal(res.status, 200);
+  assert.equal(res.body.user.email_verified, false);
+
+  const token = tokenFromMail('binh@test.local');
+  assert.equal((await server.request('POST', '/api/verify-email', { body: { token } })).status, 200);
+  assert.equal((await login('binh@test.local', 'secret123')).body.user.email_verified, true);
+
+  const reused = await server.request('POST', '/api/verify-email', { body: { token } });
+  assert.equal(reused.status, 400);
+  assert.equal(reused.body.error, 'Invalid or expired token');
+
+  const resend = await server.request('POST', '/api/verify-email/resend', { token: res.body.token });
+  assert.equal(resend.status, 400);
+});
+
+test('email addresses are matched without regard to case', async () => {
+  await register('Khoa@Test.local');
+  assert.equal((await register('khoa@test.local')).status, 400);
+  assert.equal((await login('KHOA@test.local', 'secret123')).status, 200);
+
+  await server.request('POST', '/api/password/forgot', { body: { email: 'khoa@TEST.local' } });
+  assert.equal(server.mailer.messages.at(-1).to, 'Khoa@Test.local');
+});
+
+test('signup rejects an invalid email address', async () => {
+  const res = await register('not-an-email');
+  assert.equal(res.status, 400);
+  assert.equal(res.body.error, 'Invalid email address');
+});
+
+test('a resent verification email replaces the previous token', async () => {
+  const res = await register('chi@test.local');
+  const first = tokenFromMail('chi@test.local');
+
+  assert.equal((await server.request('POST', '/api/verify-email/resend', { token: res.body.token })).status, 200);
+  const second = tokenFromMail('chi@test.local');
+
+  assert.equal((await server.request('POST', '/api/verify-email', { body: { token: first } })).status, 400);
+  assert.equal((await server.request('POST', '/api/verify-email', { body: { token: second } })).status, 200);
+});
+
+test('forgot/reset password sets a new password and ends existing sessions', async () => {
+  await register('dung@test.local');
+  const session = (await login('dung@test.local', 'secret123')).body;
+
+  const sent = server.mailer.messages.length;
+  const unknown = await server.request('POST', '/api/password/forgot', { body: { email: 'nobody@test.local' } });
+  assert.equal(unknown.status, 200);
+  assert.equal(server.mailer.messages.length, sent);
+
+  const forgot = await server.request('POST', '/api/password/forgot', { body: { email: 'dung@test.local' } });
+  assert.equal(forgot.body.message, unknown.body.message);
+  const token = tokenFromMail('dung@test.local');
+
+  const short = await server.request('POST', '/api/password/reset', { body: { token, password: '123' } });
+  assert.equal(short.status, 400);
+
+  const reset = await server.request('POST', '/api/password/reset', { body: { token, password: 'new-secret-1' } });
+  assert.equal(reset.status, 200);
+  assert.equal((await login('dung@test.local', 'secret123')).status, 401);
+  assert.equal((await login('dung@test.local', 'new-secret-1')).status, 200);
+  assert.equal((await server.request('GET', '/api/orders', { token: session.token })).status, 401);
+
+  const again = await server.request('POST', '/api/password/reset', { body: { token, password: 'other-secret-2' } });
+  assert.equal(again.status, 400);
+});
+
+test('expired reset tokens are refused', async () => {
+  await register('em@test.local');
+  await server.request('POST', '/api/password/forgot', { body: { email: 'em@test.local' } });
+  const token = tokenFromMail('em@test.local');
+  server.repos.store.tables.user_tokens.findLast(t => t.purpose === 'reset_password').expires_at = new Date(Date.now() - 1000);
+
+  const res = await server.request('POST', '/api/password/reset', { body: { token, password: 'new-secret-1' } });
+  assert.equal(res.status, 400);
+});
+
+test('emails are written in the language the user chose, else the language of the request', async () => {
+  const vietnamese = { 'Accept-Language': 'vi' };
+  await server.request('POST', '/api/register', {
+    body: { name: 'Giang', email: 'giang@test.local', password: 'secret123', phone: null, locale: 'vi' }
+  });
+  const mail = () => server.mailer.messages.at(-1);
+  assert.equal(mail().subject, 'Xác minh email FastOrder');
+  assert.match(mail().text, /^Xin chào Giang,/);
+
+  await server.request('POST', '/api/password/forgot', { body: { email: 'giang@test.local' }, headers: { 'Accept-Language': 'en' } });
+  assert.equal(mail().subject, 'Đặt lại mật khẩu FastOrder');
+
+  await server.request('POST', '/api/register', {
+    body: { name: 'Hana', email: 'hana@test.local', password: 'secret123', phone: null }, headers: vietnamese
+  });
+  assert.equal(mail().subject, 'Xác minh email FastOrder');
+
+  await server.request('POST', '/api/password/forgot', { body: { email: 'hana@test.local' } });
+  assert.equal(mail().subject, 'Reset your FastOrder password');
+  assert.match(mail().text, /^Hello Hana,\n\nReset your password using this link:\nhttp.*\/reset-password\?token=/);
+});
+
+test('the outbox transport writes each email to a file', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'fastorder-outbox-'));
+  try {
+    const mailer = createMailer({ transport: 'outbox', outboxDir: dir });
+    await mailer.send({ to: 'giang@test.local', subject: 'Xin chào', text: 'Nội dung' });
+
+    const files = await fs.readdir(dir);
+    assert.equal(files.length, 1);
+    const content = await fs.readFile(path.join(dir, files[0]), 'utf8');
+    assert.match(content, /^From: FastOrder <no-reply@fastorder\.local>\r\nTo: giang@test\.local\r\n/);
+    assert.match(content, new RegExp(`Subject: =\\?UTF-8\\?B\\?${Buffer.from('Xin chào').toString('base64')}\\?=`));
+    assert.match(content, /Nội dung$/);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
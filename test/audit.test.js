@@ -0,0 +1,118 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, createUser, seedMenu } = require('./helpers');
+const { toCsv } = require('../services/csv');
+
+let server;
+let customer;
+let cashier;
+let admin;
+let menu;
+
+before(async () => {
+  server = await startServer();
+  customer = await createUser(server.repos);
+  cashier = await createUser(server.repos, { role: 'cashier', name: 'Thu Ngân' });
+  admin = await createUser(server.repos, { role: 'admin' });
+  menu = await seedMenu(server.repos);
+});
+
+after(() => server.close());
+
+const as = (user, method, path, body) => server.request(method, path, { token: user.token, body });
+const search = query => as(admin, 'GET', `/api/admin/audit-logs${query}`);
+
+test('sensitive actions are recorded with actor, before/after values and IP', async () => {
+  const order = (await as(customer, 'POST', '/api/orders', { items: [{ food_id: menu.foods.rice, quantity: 1 }] })).body;
+  const payment = (await as(customer, 'POST', '/api/payments', { order_id: order.order_id, method: 'cash' })).body;
+
+  await as(cashier, 'POST', '/api/payments/confirm', { payment_id: payment.payment_id });
+  await as(cashier, 'PUT', `/api/admin/orders/${order.order_id}/status`, { status: 'completed', reason: 'Đã thu tiền' });
+  await as(admin, 'PUT', `/api/users/${customer.id}/role`, { role: 'kitchen' });
+  await as(admin, 'DELETE', `/api/foods/${menu.foods.tea}`);
+
+  const res = await search('');
+  assert.equal(res.status, 200);
+  const [deletion, roleChange, statusChange, cash] = res.body.entries;
+
+  assert.deepEqual(
+    [cash.action, cash.entity_type, cash.entity_id, cash.actor_id, cash.actor_name, cash.actor_role],
+    ['payment.cash_confirmed', 'payment', String(payment.payment_id), cashier.id, 'Thu Ngân', 'cashier']
+  );
+  assert.deepEqual(cash.before, { status: 'pending' });
+  assert.equal(cash.after.status, 'completed');
+  assert.match(cash.ip_addr, /127\.0\.0\.1/);
+
+  assert.equal(statusChange.action, 'order.status_changed');
+  assert.deepEqual([statusChange.before, statusChange.after], [{ status: 'confirmed' }, { status: 'completed', reason: 'Đã thu tiền' }]);
+  assert.deepEqual([roleChange.before, roleChange.after], [{ role: 'customer' }, { role: 'kitchen' }]);
+  assert.equal(deletion.action, 'food.deleted');
+  assert.equal(deletion.before.name, 'Trà đá');
+  assert.equal(deletion.after, null);
+
+  // Thao tác bị từ chối không để lại dấu vết
+  const total = res.body.total;
+  await as(admin, 'PUT', `/api/users/${admin.id}/role`, { role: 'manager' });
+  assert.equal((await search('')).body.total, total);
+});
+
+test('the log can be searched by actor, entity and date and is admin only', async () => {
+  const byCashier = await search(`?actor_id=${cashier.id}`);
+  assert.ok(byCashier.body.entries.length > 0);
+  assert.ok(byCashier.body.entries.every(e => e.actor_id === cashier.id));
+
+  const byEntity = await search('?entity_type=food&action=food.deleted');
+  assert.deepEqual(byEntity.body.entries.map(e => e.entity_id), [String(menu.foods.tea)]);
+
+  const page = await search('?limit=1&offset=1');
+  assert.equal(page.body.entries.length, 1);
+  assert.equal(page.body.total, (await search('')).body.total);
+
+  const day = d => `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+  const today = day(new Date());
+  const tomorrow = day(new Date(Date.now() + 86400000));
+  assert.ok((await search(`?from=${today}&to=${today}`)).body.total > 0);
+  assert.equal((await search(`?from=${tomorrow}`)).body.total, 0);
+
+  for (const query of ['?from=2026-02-30', '?limit=1000', '?actor_id=abc']) {
+    const invalid = await search(query);
+    assert.deepEqual([invalid.status, invalid.body.code], [400, 'VALIDATION_ERROR'], query);
+  }
+  assert.equal((await as(cashier, 'GET', '/api/admin/audit-logs')).status, 403);
+  assert.equal((await as(cashier, 'GET', '/api/admin/audit-logs/export')).status, 403);
+});
+
+test('the filtered log is exported as CSV or JSON', async () => {
+  const csv = await search('/export?entity_type=user');
+  assert.equal(csv.status, 200);
+  assert.match(csv.headers.get('content-type'), /text\/csv/);
+  assert.match(csv.headers.get('content-disposition'), /attachment; filename="audit-log-\d{8}\.csv"/);
+
+  const lines = csv.body.replace(/^\uFEFF/, '').trim().split('\r\n');
+  assert.equal(lines[0], 'id,created_at,actor_id,actor_name,actor_role,action,entity_type,entity_id,before,after,ip_addr,user_agent');
+  assert.equal(lines.length, 2);
+  assert.match(lines[1], /user\.role_changed,user,\d+,"{""role"":""customer""}","{""role"":""kitchen""}"/);
+
+  const json = await search('/export?format=json&action=payment.cash_confirmed');
+  assert.equal(json.status, 200);
+  assert.deepEqual(json.body.map(e => e.action), ['payment.cash_confirmed']);
+  assert.equal((await search('/export?format=xml')).status, 400);
+
+  // Ô bắt đầu bằng công thức được vô hiệu khi mở bằng bảng tính
+  const cells = toCsv([{ header: 'name', value: row => row.name }], [{ name: '=HYPERLINK("x")' }]);
+  assert.equal(cells, '\uFEFFname\r\n"\'=HYPERLINK(""x"")"\r\n');
+
+  // Số âm (điều chỉnh, hoàn tiền) vẫn là số
+  const amounts = toCsv([{ header: 'amount', value: row => row.amount }], [{ amount: -20000 }, { amount: '-1+1' }]);
+  assert.equal(amounts, '\uFEFFamount\r\n-20000\r\n\'-1+1\r\n');
+});
+
+test('a food that was ordered cannot be deleted and the refusal is not logged', async () => {
+  const total = (await search('')).body.total;
+
+  const res = await as(admin, 'DELETE', `/api/foods/${menu.foods.rice}`);
+  assert.equal(res.status, 409);
+  assert.equal(res.body.message_key, 'menu.food_in_use');
+  assert.ok(await server.repos.foods.findById(menu.foods.rice));
+  assert.equal((await search('')).body.total, total);
+});
@@ -0,0 +1,131 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, createUser } = require('./helpers');
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(() => server.close());
+
+test('register creates a customer and returns a token', async () => {
+  const res = await server.request('POST', '/api/register', {
+    body: { name: 'An', email: 'an@test.local', password: 'secret123', phone: '0900000000' }
+  });
+
+  assert.equal(res.status, 200);
+  assert.ok(res.body.token);
+  assert.equal(res.body.user.role, 'customer');
+  assert.equal(res.body.user.email, 'an@test.local');
+});
+
+test('register rejects a duplicate email', async () => {
+  const res = await server.request('POST', '/api/register', {
+    body: { name: 'An', email: 'an@test.local', password: 'other-pass-1', phone: null }
+  });
+
+  assert.equal(res.status, 400);
+  assert.equal(res.body.error, 'Email already exists');
+});
+
+test('login succeeds with the registered password', async () => {
+  const res = await server.request('POST', '/api/login', {
+    body: { email: 'an@test.local', password: 'secret123' }
+  });
+
+  assert.equal(res.status, 200);
+  assert.ok(res.body.token);
+  assert.equal(res.body.user.name, 'An');
+});
+
+test('login rejects a wrong password', async () => {
+  const res = await server.request('POST', '/api/login', {
+    body: { email: 'an@test.local', password: 'wrong' }
+  });
+
+  assert.equal(res.status, 401);
+});
+
+test('protected routes require a token', async () => {
+  const res = await server.request('GET', '/api/orders');
+
+  assert.equal(res.status, 401);
+  assert.equal(res.body.error, 'No token provided');
+});
+
+const login = () => server.request('POST', '/api/login', { body: { email: 'an@test.local', password: 'secret123' } });
+const refresh = refresh_token => server.request('POST', '/api/token/refresh', { body: { refresh_token } });
+
+test('refresh tokens rotate and a reused one revokes the session', async () => {
+  const session = (await login()).body;
+  assert.ok(session.refresh_token);
+  assert.equal(session.expires_in, 15 * 60);
+
+  const rotated = await refresh(session.refresh_token);
+  assert.equal(rotated.status, 200);
+  assert.notEqual(rotated.body.refresh_token, session.refresh_token);
+  const orders = await server.request('GET', '/api/orders', { token: rotated.body.token });
+  assert.equal(orders.status, 200);
+
+  // Token cũ bị dùng lại: cả phiên (kể cả token mới) bị thu hồi
+  assert.equal((await refresh(session.refresh_token)).status, 401);
+  assert.equal((await refresh(rotated.body.refresh_token)).status, 401);
+
+  assert.equal((await refresh('not-a-token')).status, 401);
+});
+
+test('logout ends one session and logout-all ends every session', async () => {
+  const phone = (await login()).body;
+  const laptop = (await login()).body;
+
+  const out = await server.request('POST', '/api/logout', { body: { refresh_token: phone.refresh_token } });
+  assert.equal(out.status, 200);
+  assert.equal((await refresh(phone.refresh_token)).status, 401);
+
+  const next = (await refresh(laptop.refresh_token)).body;
+  const all = await server.request('POST', '/api/logout-all', { token: next.token });
+  assert.equal(all.status, 200);
+
+  const revoked = await server.request('GET', '/api/orders', { token: next.token });
+  assert.equal(revoked.status, 401);
+  assert.equal(revoked.body.error, 'Token has been revoked');
+  assert.equal((await refresh(next.refresh_token)).status, 401);
+
+  // Đăng nhập lại vẫn dùng được
+  const fresh = (await login()).body;
+  assert.equal((await server.request('GET', '/api/orders', { token: fresh.token })).status, 200);
+});
+
+test('a role change or deletion takes effect on issued tokens', async () => {
+  const owner = await createUser(server.repos, { role: 'admin' });
+  const admin = await createUser(server.repos, { role: 'admin' });
+  assert.equal((await server.request('GET', '/api/admin/orders', { token: admin.token })).status, 200);
+
+  // Quyền đọc lại từ database: admin bị hạ quyền mất quyền ngay
+  await server.repos.users.updateRole(admin.id, 'customer');
+  assert.equal((await server.request('GET', '/api/admin/orders', { token: admin.token })).status, 403);
+
+  const session = (await server.request('POST', '/api/login', { body: { email: admin.email, password: admin.password } })).body;
+  await server.request('PUT', `/api/users/${admin.id}/role`, { token: owner.token, body: { role: 'admin' } });
+  assert.equal((await server.request('GET', '/api/orders', { token: session.token })).status, 401);
+  assert.equal((await refresh(session.refresh_token)).status, 401);
+
+  const again = (await server.request('POST', '/api/login', { body: { email: admin.email, password: admin.password } })).body;
+  await server.request('DELETE', `/api/users/${admin.id}`, { token: owner.token });
+  assert.equal((await server.request('GET', '/api/orders', { token: again.token })).status, 401);
+  assert.equal((await refresh(again.refresh_token)).status, 401);
+});
+
+test('users with orders cannot be deleted, so their orders and payments are kept', async () => {
+  const owner = await createUser(server.repos, { role: 'admin' });
+  const customer = await createUser(server.repos);
+  const orderId = await server.repos.orders.create({ userId: customer.id, totalPrice: 5000, status: 'completed' });
+
+  const res = await server.request('DELETE', `/api/users/${customer.id}`, { token: owner.token });
+  assert.equal(res.status, 409);
+  assert.equal(res.body.message_key, 'users.has_orders');
+  assert.ok(await server.repos.users.findById(customer.id));
+  assert.ok(await server.repos.orders.findById(orderId));
+});
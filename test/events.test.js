@@ -0,0 +1,167 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, createUser, seedMenu } = require('./helpers');
+const { signAccessToken } = require('../services/authTokens');
+
+let server;
+let customer;
+let other;
+let admin;
+let menu;
+const streams = [];
+
+before(async () => {
+  // Kiểm tra lại phiên của luồng sau mỗi 50 ms thay vì 25 s
+  process.env.SSE_HEARTBEAT_MS = '50';
+  server = await startServer();
+  customer = await createUser(server.repos);
+  other = await createUser(server.repos);
+  admin = await createUser(server.repos, { role: 'admin' });
+  menu = await seedMenu(server.repos);
+});
+
+after(async () => {
+  delete process.env.SSE_HEARTBEAT_MS;
+  streams.forEach(stream => stream.close());
+  await server.close();
+});
+
+// Mở luồng SSE và đọc từng sự kiện một
+async function openStream(path, { token, headers = {} } = {}) {
+  const controller = new AbortController();
+  const res = await fetch(server.baseUrl + path, {
+    headers: { ...(token && { Authorization: `Bearer ${token}` }), ...headers },
+    signal: controller.signal
+  });
+  const stream = { status: res.status, close: () => controller.abort() };
+  streams.push(stream);
+  if (res.status !== 200) {
+    await res.body.cancel();
+    return stream;
+  }
+
+  const reader = res.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  stream.next = async (timeoutMs = 2000) => {
+    for (;;) {
+      const end = buffer.indexOf('\n\n');
+      if (end !== -1) {
+        const block = buffer.slice(0, end);
+        buffer = buffer.slice(end + 2);
+        const fields = Object.fromEntries(block.split('\n')
+          .filter(line => line && !line.startsWith(':'))
+          .map(line => [line.slice(0, line.indexOf(':')), line.slice(line.indexOf(':') + 2)]));
+        if (fields.event) {
+          return { id: Number(fields.id), type: fields.event, data: JSON.parse(fields.data) };
+        }
+        continue;
+      }
+
+      let timer;
+      const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error('No event received')), timeoutMs);
+      });
+      const { value } = await Promise.race([reader.read(), timeout]).finally(() => clearTimeout(timer));
+      buffer += decoder.decode(value, { stream: true });
+    }
+  };
+  return stream;
+}
+
+const placeOrder = user => server.request('POST', '/api/orders', {
+  token: user.token,
+  body: { items: [{ food_id: menu.foods.rice, quantity: 1 }] }
+}).then(res => res.body);
+
+test('customers only receive events for their own orders', async () => {
+  const stream = await openStream('/api/events/orders', { token: customer.token });
+  assert.equal(stream.status, 200);
+
+  await placeOrder(other);
+  const order = await placeOrder(customer);
+
+  const created = await stream.next();
+  assert.equal(created.type, 'order.created');
+  assert.equal(created.data.order_id, order.order_id);
+
+  await server.request('PUT', `/api/admin/orders/${order.order_id}/status`, {
+    token: admin.token, body: { status: 'confirmed' }
+  });
+  const confirmed = await stream.next();
+  assert.equal(confirmed.type, 'order.status');
+  assert.deepEqual([confirmed.data.from, confirmed.data.to, confirmed.data.actor], ['pending', 'confirmed', 'admin']);
+
+  stream.close();
+});
+
+test('the admin feed can be narrowed to new orders and payment completions', async () => {
+  const stream = await openStream('/api/admin/events?types=order.created,payment.completed', { token: admin.token });
+
+  const order = await placeOrder(customer);
+  assert.equal((await stream.next()).type, 'order.created');
+
+  const payment = (await server.request('POST', '/api/payments', {
+    token: customer.token, body: { order_id: order.order_id, method: 'cash' }
+  })).body;
+  await server.request('POST', '/api/payments/confirm', { token: admin.token, body: { payment_id: payment.payment_id } });
+
+  const paid = await stream.next();
+  assert.equal(paid.type, 'payment.completed');
+  assert.equal(paid.data.payment_id, payment.payment_id);
+  assert.equal(paid.data.user_id, customer.id);
+
+  stream.close();
+});
+
+test('streams require a valid token, accept a stream token in the query and replay after Last-Event-ID', async () => {
+  assert.equal((await openStream('/api/events/orders')).status, 401);
+  assert.equal((await openStream('/api/admin/events', { token: customer.token })).status, 403);
+
+  // Access token không được đặt trong URL; stream token không dùng được thay access token
+  const issued = await server.request('POST', '/api/events/token', { token: customer.token });
+  assert.equal(issued.status, 200);
+  assert.equal(issued.body.expires_in, 60);
+  assert.equal((await openStream(`/api/events/orders?token=${customer.token}`)).status, 401);
+  assert.equal((await server.request('GET', '/api/orders', { token: issued.body.token })).status, 401);
+
+  const first = await openStream(`/api/events/orders?token=${issued.body.token}`);
+  await placeOrder(customer);
+  const seen = await first.next();
+  first.close();
+
+  const order = await placeOrder(customer);
+  const resumed = await openStream('/api/events/orders', {
+    token: customer.token, headers: { 'Last-Event-ID': String(seen.id) }
+  });
+  const missed = await resumed.next();
+  assert.equal(missed.type, 'order.created');
+  assert.equal(missed.data.order_id, order.order_id);
+  resumed.close();
+});
+
+test('streams end when the session is revoked or the permission is lost', async () => {
+  const user = await createUser(server.repos);
+  const own = await openStream('/api/events/orders', { token: user.token });
+  await server.request('POST', '/api/logout-all', { token: user.token });
+  assert.deepEqual(await own.next(), { id: NaN, type: 'session.ended', data: { reason: 'revoked' } });
+
+  const staff = await createUser(server.repos, { role: 'cashier' });
+  const feed = await openStream('/api/admin/events', { token: staff.token });
+  await server.repos.users.updateRole(staff.id, 'customer');
+  assert.equal((await feed.next()).data.reason, 'revoked');
+});
+
+test('streams end when the access token expires', async () => {
+  // exp tính theo giây: token còn hiệu lực từ 1 đến 2 giây
+  process.env.ACCESS_TOKEN_TTL = '2s';
+  const token = signAccessToken({ id: customer.id, role: customer.role });
+  delete process.env.ACCESS_TOKEN_TTL;
+
+  const stream = await openStream('/api/events/orders', { token });
+  assert.equal(stream.status, 200);
+  const ended = await stream.next(3000);
+  assert.equal(ended.type, 'session.ended');
+  assert.equal(ended.data.reason, 'expired');
+});
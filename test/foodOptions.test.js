@@ -0,0 +1,127 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, createUser, seedMenu } = require('./helpers');
+
+let server;
+let customer;
+let admin;
+let menu;
+
+before(async () => {
+  server = await startServer();
+  customer = await createUser(server.repos);
+  admin = await createUser(server.repos, { role: 'admin' });
+  menu = await seedMenu(server.repos);
+});
+
+after(async () => {
+  await server.close();
+});
+
+const asAdmin = (method, path, body) => server.request(method, path, { token: admin.token, body });
+const orderItems = async orderId => (await asAdmin('GET', `/api/admin/orders/${orderId}`)).body.items;
+const order = items => server.request('POST', '/api/orders', { token: customer.token, body: { items } });
+
+// Trà đá: cỡ (bắt buộc, chọn một) và topping (tùy ý, tối đa 2)
+async function seedTeaOptions() {
+  const size = (await asAdmin('POST', `/api/admin/foods/${menu.foods.tea}/option-groups`, {
+    name: 'Cỡ', required: true,
+    options: [{ name: 'Nhỏ', price_delta: -1000 }, { name: 'Lớn', price_delta: 3000, sort_order: 1 }]
+  })).body;
+  const topping = (await asAdmin('POST', `/api/admin/foods/${menu.foods.tea}/option-groups`, {
+    name: 'Topping', selection: 'multi', max_select: 2, sort_order: 1,
+    options: [{ name: 'Chanh', price_delta: 2000 }, { name: 'Sả', price_delta: 2000 }, { name: 'Đào', price_delta: 5000 }]
+  })).body;
+  const [small, large] = size.options.map(o => o.id);
+  const [lemon, lemongrass, peach] = topping.options.map(o => o.id);
+  return { size, topping, small, large, lemon, lemongrass, peach };
+}
+
+test('admins manage option groups and the menu lists them', async () => {
+  const created = await asAdmin('POST', `/api/admin/foods/${menu.foods.rice}/option-groups`, {
+    name: 'Thêm', selection: 'multi', options: [{ name: 'Trứng', price_delta: 5000 }]
+  });
+  assert.equal(created.status, 201);
+  assert.deepEqual(
+    [created.body.selection, created.body.required, created.body.min_select, created.body.max_select],
+    ['multi', false, 0, null]
+  );
+  const groupId = created.body.id;
+
+  const added = await asAdmin('POST', `/api/admin/option-groups/${groupId}/options`, { name: 'Chả', price_delta: 7000, is_available: false });
+  assert.equal(added.status, 201);
+
+  // Thực đơn cho khách ẩn lựa chọn tạm ngừng; trang quản lý thấy tất cả
+  const { foods } = (await server.request('GET', '/api/foods')).body;
+  const rice = foods.find(f => f.id === menu.foods.rice);
+  assert.deepEqual(rice.option_groups[0].options.map(o => o.name), ['Trứng']);
+  const adminRice = (await asAdmin('GET', '/api/admin/foods')).body.find(f => f.id === menu.foods.rice);
+  assert.deepEqual(adminRice.option_groups[0].options.map(o => o.name), ['Trứng', 'Chả']);
+
+  const updated = await asAdmin('PUT', `/api/admin/option-groups/${groupId}`, { name: 'Món thêm', selection: 'multi', max_select: 1 });
+  assert.deepEqual([updated.status, updated.body.name, updated.body.options.length], [200, 'Món thêm', 2]);
+
+  const invalid = await asAdmin('PUT', `/api/admin/option-groups/${groupId}`, { name: 'Món thêm', selection: 'single', max_select: 2 });
+  assert.deepEqual([invalid.status, invalid.body.message_key], [400, 'options.single_max']);
+
+  const audit = await server.repos.auditLogs.search({ entityType: 'option_group' }, { limit: 10 });
+  assert.deepEqual(audit.map(e => e.action).sort(), ['option_group.created', 'option_group.updated']);
+
+  assert.equal((await asAdmin('DELETE', `/api/admin/option-groups/${groupId}`)).status, 200);
+  assert.equal((await asAdmin('DELETE', `/api/admin/options/${added.body.id}`)).status, 404);
+  assert.deepEqual((await server.request('GET', `/api/foods/${menu.foods.rice}/options`)).body, []);
+
+  const forbidden = await server.request('POST', `/api/admin/foods/${menu.foods.rice}/option-groups`, {
+    token: customer.token, body: { name: 'Thêm' }
+  });
+  assert.equal(forbidden.status, 403);
+});
+
+test('order totals include option prices and selections are validated', async () => {
+  const tea = await seedTeaOptions();
+
+  const placed = await order([
+    { food_id: menu.foods.tea, quantity: 2, options: [tea.large, tea.lemon, tea.peach] },
+    { food_id: menu.foods.tea, quantity: 1, options: [tea.small] }
+  ]);
+  assert.equal(placed.status, 200);
+  // (5000 + 3000 + 2000 + 5000) x 2 + (5000 - 1000) x 1
+  assert.equal(placed.body.total_price, 34000);
+
+  const items = await orderItems(placed.body.order_id);
+  assert.deepEqual(items.map(i => [Number(i.unit_price), i.options.map(o => o.option_name)]), [
+    [15000, ['Lớn', 'Chanh', 'Đào']],
+    [4000, ['Nhỏ']]
+  ]);
+
+  const failures = [
+    [[{ food_id: menu.foods.tea, quantity: 1 }], 'orders.option_group_required'],
+    [[{ food_id: menu.foods.tea, quantity: 1, options: [tea.small, tea.large] }], 'orders.option_group_too_many'],
+    [[{ food_id: menu.foods.tea, quantity: 1, options: [tea.small, tea.lemon, tea.lemongrass, tea.peach] }], 'orders.option_group_too_many'],
+    [[{ food_id: menu.foods.tea, quantity: 1, options: [tea.small, tea.small] }], 'orders.option_repeated'],
+    [[{ food_id: menu.foods.rice, quantity: 1, options: [tea.small] }], 'orders.option_not_found']
+  ];
+  for (const [body, key] of failures) {
+    const res = await order(body);
+    assert.deepEqual([res.status, res.body.message_key], [400, key], key);
+  }
+
+  await asAdmin('PUT', `/api/admin/options/${tea.lemon}`, { name: 'Chanh', price_delta: 2000, is_available: false });
+  const unavailable = await order([{ food_id: menu.foods.tea, quantity: 1, options: [tea.small, tea.lemon] }]);
+  assert.deepEqual([unavailable.status, unavailable.body.message_key], [400, 'orders.option_unavailable']);
+});
+
+test('ordered options keep their name and price after the menu changes', async () => {
+  const size = (await server.request('GET', `/api/foods/${menu.foods.tea}/options`)).body.find(g => g.name === 'Cỡ');
+  const large = size.options.find(o => o.name === 'Lớn');
+
+  const placed = await order([{ food_id: menu.foods.tea, quantity: 1, options: [large.id] }]);
+  assert.equal(placed.body.total_price, 8000);
+
+  await asAdmin('PUT', `/api/admin/options/${large.id}`, { name: 'Siêu lớn', price_delta: 6000 });
+  await asAdmin('DELETE', `/api/admin/option-groups/${size.id}`);
+
+  const [item] = await orderItems(placed.body.order_id);
+  assert.equal(Number(item.unit_price), 8000);
+  assert.deepEqual(item.options.map(o => [o.option_id, o.group_name, o.option_name, o.price_delta]), [[null, 'Cỡ', 'Lớn', 3000]]);
+});
@@ -0,0 +1,136 @@
+// Tiện ích chung cho test HTTP: chạy app với repository bộ nhớ trên cổng ngẫu nhiên
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+process.env.VNPAY_HASH_SECRET = process.env.VNPAY_HASH_SECRET || 'test-vnpay-secret';
+process.env.VNPAY_TMN_CODE = process.env.VNPAY_TMN_CODE || 'TESTTMN';
+process.env.VNPAY_URL = process.env.VNPAY_URL || 'http://vnpay.test/paymentv2/vpcpay.html';
+process.env.VNPAY_RETURN_URL = process.env.VNPAY_RETURN_URL || 'http://localhost:3000/api/vnpay/return';
+process.env.MOMO_PARTNER_CODE = process.env.MOMO_PARTNER_CODE || 'MOMOTEST';
+process.env.MOMO_ACCESS_KEY = process.env.MOMO_ACCESS_KEY || 'test-momo-access';
+process.env.MOMO_SECRET_KEY = process.env.MOMO_SECRET_KEY || 'test-momo-secret';
+process.env.ZALOPAY_APP_ID = process.env.ZALOPAY_APP_ID || '2553';
+process.env.ZALOPAY_KEY1 = process.env.ZALOPAY_KEY1 || 'test-zalopay-key1';
+process.env.ZALOPAY_KEY2 = process.env.ZALOPAY_KEY2 || 'test-zalopay-key2';
+
+const { once } = require('events');
+const bcrypt = require('bcrypt');
+const { createApp } = require('../app');
+const { signAccessToken } = require('../services/authTokens');
+const { createMailer } = require('../services/mailer');
+const { createMemoryRepositories } = require('../repositories');
+const { createVnpayMock } = require('../mocks/vnpay');
+const { createMomoMock } = require('../mocks/momo');
+const { createZaloPayMock } = require('../mocks/zalopay');
+
+// Email được giữ trong mailer.messages thay vì ghi ra outbox
+async function startServer({ repos = createMemoryRepositories(), mailer = createMailer({ transport: 'memory' }) } = {}) {
+  const app = createApp({ repos, mailer, rateLimit: false });
+  const server = app.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  // Gửi request JSON, trả về { status, body, headers }
+  async function request(method, path, { body, token, headers = {} } = {}) {
+    const res = await fetch(baseUrl + path, {
+      method,
+      redirect: 'manual',
+      headers: {
+        ...(body !== undefined && { 'Content-Type': 'application/json' }),
+        ...(token && { Authorization: `Bearer ${token}` }),
+        ...headers
+      },
+      body: body !== undefined ? JSON.stringify(body) : undefined
+    });
+    const text = await res.text();
+    let data = text;
+    try {
+      data = text ? JSON.parse(text) : null;
+    } catch (err) {
+      // Giữ nguyên nội dung không phải JSON
+    }
+    return { status: res.status, body: data, headers: res.headers };
+  }
+
+  return {
+    repos,
+    mailer,
+    baseUrl,
+    request,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+// Tạo người dùng trực tiếp trong repository và trả về kèm token
+async function createUser(repos, { role = 'customer', email, password = 'secret123', name = 'Test User' } = {}) {
+  const userEmail = email || `${role}-${Math.random().toString(36).slice(2)}@test.local`;
+  const hash = await bcrypt.hash(password, 4);
+  const id = await repos.users.create({ name, email: userEmail, password: hash, phone: null, role });
+  const token = signAccessToken({ id, role, token_version: 0 });
+  return { id, email: userEmail, password, role, token };
+}
+
+// Thực đơn mẫu: một danh mục và hai món
+async function seedMenu(repos) {
+  const categoryId = await repos.categories.create('Cơm');
+  const rice = await repos.foods.create({
+    name: 'Cơm gà', description: null, price: 35000, img_url: null, is_available: true, category_id: categoryId
+  });
+  const tea = await repos.foods.create({
+    name: 'Trà đá', description: null, price: 5000, img_url: null, is_available: true, category_id: categoryId
+  });
+  return { categoryId, foods: { rice, tea } };
+}
+
+// Chạy cổng VNPAY giả lập và trỏ cấu hình VNPAY của app vào đó
+async function startVnpayMock(server) {
+  const mock = createVnpayMock({
+    hashSecret: process.env.VNPAY_HASH_SECRET,
+    tmnCode: process.env.VNPAY_TMN_CODE,
+    ipnUrl: `${server.baseUrl}/api/vnpay/ipn`
+  });
+  const mockServer = mock.listen(0, '127.0.0.1');
+  await once(mockServer, 'listening');
+
+  const mockUrl = `http://127.0.0.1:${mockServer.address().port}`;
+  process.env.VNPAY_URL = `${mockUrl}/paymentv2/vpcpay.html`;
+  process.env.VNPAY_API_URL = `${mockUrl}/merchant_webapi/api/transaction`;
+  process.env.VNPAY_RETURN_URL = `${server.baseUrl}/api/vnpay/return`;
+
+  mock.close = () => new Promise(resolve => mockServer.close(resolve));
+  return mock;
+}
+
+// Chạy một cổng giả lập trên cổng ngẫu nhiên, trả về URL gốc của nó
+async function listenMock(mock) {
+  const mockServer = mock.listen(0, '127.0.0.1');
+  await once(mockServer, 'listening');
+  mock.close = () => new Promise(resolve => mockServer.close(resolve));
+  return `http://127.0.0.1:${mockServer.address().port}`;
+}
+
+// Chạy cổng MoMo giả lập và trỏ cấu hình MoMo của app vào đó
+async function startMomoMock(server) {
+  const mock = createMomoMock({
+    partnerCode: process.env.MOMO_PARTNER_CODE,
+    accessKey: process.env.MOMO_ACCESS_KEY,
+    secretKey: process.env.MOMO_SECRET_KEY
+  });
+  process.env.MOMO_ENDPOINT = await listenMock(mock);
+  process.env.MOMO_IPN_URL = `${server.baseUrl}/api/momo/ipn`;
+  process.env.MOMO_REDIRECT_URL = `${server.baseUrl}/api/momo/return`;
+  return mock;
+}
+
+// Chạy cổng ZaloPay giả lập và trỏ cấu hình ZaloPay của app vào đó
+async function startZaloPayMock(server) {
+  const mock = createZaloPayMock({
+    appId: Number(process.env.ZALOPAY_APP_ID),
+    key1: process.env.ZALOPAY_KEY1,
+    key2: process.env.ZALOPAY_KEY2
+  });
+  process.env.ZALOPAY_ENDPOINT = await listenMock(mock);
+  process.env.ZALOPAY_CALLBACK_URL = `${server.baseUrl}/api/zalopay/callback`;
+  process.env.ZALOPAY_REDIRECT_URL = `${server.baseUrl}/api/zalopay/return`;
+  return mock;
+}
+
+module.exports = { startServer, startVnpayMock, startMomoMock, startZaloPayMock, createUser, seedMenu };
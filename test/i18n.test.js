@@ -0,0 +1,74 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, createUser } = require('./helpers');
+const en = require('../locales/en');
+const vi = require('../locales/vi');
+const { msg } = require('../services/i18n');
+
+let server;
+let customer;
+
+before(async () => {
+  server = await startServer();
+  customer = await createUser(server.repos);
+});
+
+after(() => server.close());
+
+const placeholders = text => (text.match(/\{\w+\}/g) || []).sort();
+
+test('both catalogs define the same keys and placeholders', () => {
+  assert.deepEqual(Object.keys(vi).sort(), Object.keys(en).sort());
+  for (const key of Object.keys(en)) {
+    assert.deepEqual(placeholders(vi[key]), placeholders(en[key]), key);
+  }
+  assert.throws(() => msg('orders.no_such_message'), /Unknown message key/);
+});
+
+test('messages follow Accept-Language and carry a stable key', async () => {
+  const history = lang => server.request('GET', '/api/orders/999/history', {
+    token: customer.token, headers: { 'Accept-Language': lang }
+  });
+
+  const vietnamese = await history('vi-VN,vi;q=0.9,en;q=0.8');
+  assert.deepEqual(vietnamese.body, {
+    error: 'Không tìm thấy đơn hàng hoặc bạn không có quyền xem', code: 'NOT_FOUND', message_key: 'orders.not_found_or_unauthorized'
+  });
+  assert.equal(vietnamese.headers.get('content-language'), 'vi');
+
+  const english = await history('fr;q=1, en;q=0.5, vi;q=0.2');
+  assert.equal(english.body.error, 'Order not found or not authorized');
+  assert.equal(english.body.message_key, vietnamese.body.message_key);
+  assert.equal((await history('fr')).headers.get('content-language'), 'en');
+
+  // Lỗi kiểm tra dữ liệu: từng trường cũng được dịch
+  const invalid = await server.request('POST', '/api/register', {
+    body: { name: 'Hà', email: 'ha@test.local', password: 'password' }, headers: { 'Accept-Language': 'vi' }
+  });
+  assert.equal(invalid.status, 400);
+  assert.deepEqual(invalid.body.details.map(d => [d.message, d.message_key]), [
+    ['password phải có ít nhất một chữ cái và một chữ số', 'validation.password_strength']
+  ]);
+});
+
+test('a saved language preference wins over Accept-Language', async () => {
+  const user = await createUser(server.repos, { email: 'lan@test.local' });
+  const english = { 'Accept-Language': 'en' };
+
+  const saved = await server.request('PUT', '/api/me/preferences', { token: user.token, body: { locale: 'vi' }, headers: english });
+  assert.deepEqual(saved.body, { message: 'Đã cập nhật tùy chọn', message_key: 'account.preferences_updated', locale: 'vi' });
+
+  const missing = await server.request('GET', '/api/orders/999/history', { token: user.token, headers: english });
+  assert.equal(missing.body.error, 'Không tìm thấy đơn hàng hoặc bạn không có quyền xem');
+
+  const login = await server.request('POST', '/api/login', { body: { email: user.email, password: user.password } });
+  assert.equal(login.body.user.locale, 'vi');
+
+  // null: quay lại theo Accept-Language
+  const cleared = await server.request('PUT', '/api/me/preferences', { token: user.token, body: { locale: null }, headers: english });
+  assert.equal(cleared.body.message, 'Preferences updated');
+  assert.equal((await server.repos.users.findById(user.id)).locale, null);
+
+  const unsupported = await server.request('PUT', '/api/me/preferences', { token: user.token, body: { locale: 'fr' } });
+  assert.deepEqual([unsupported.status, unsupported.body.details[0].field], [400, 'locale']);
+});
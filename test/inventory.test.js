@@ -0,0 +1,115 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, createUser, seedMenu } = require('./helpers');
+
+let server;
+let customer;
+let admin;
+let menu;
+
+before(async () => {
+  server = await startServer();
+  customer = await createUser(server.repos);
+  admin = await createUser(server.repos, { role: 'admin' });
+  menu = await seedMenu(server.repos);
+});
+
+after(() => server.close());
+
+const order = items => server.request('POST', '/api/orders', { token: customer.token, body: { items } });
+const setStock = (foodId, body) => server.request('PUT', `/api/admin/foods/${foodId}/stock`, { token: admin.token, body });
+
+test('rejects zero, negative and fractional quantities', async () => {
+  for (const quantity of [0, -1, 1.5, '2']) {
+    const res = await order([{ food_id: menu.foods.rice, quantity }]);
+    assert.equal(res.status, 400, `quantity ${quantity}`);
+  }
+  assert.equal(server.repos.store.tables.orders.length, 0);
+});
+
+test('rejects foods that are not available', async () => {
+  const food = await server.repos.foods.findById(menu.foods.tea);
+  await server.repos.foods.update(food.id, { ...food, is_available: false });
+
+  const res = await order([{ food_id: menu.foods.tea, quantity: 1 }]);
+  assert.equal(res.status, 400);
+
+  await server.repos.foods.update(food.id, { ...food, is_available: true });
+});
+
+test('a failing item rolls back the whole order', async () => {
+  const res = await order([{ food_id: menu.foods.rice, quantity: 1 }, { food_id: 999, quantity: 1 }]);
+
+  assert.equal(res.status, 404);
+  assert.equal(server.repos.store.tables.orders.length, 0);
+  assert.equal(server.repos.store.tables.order_items.length, 0);
+  assert.equal(server.repos.store.tables.tickets.length, 0);
+});
+
+test('stock is reserved per order and the food sells out at zero', async () => {
+  const set = await setStock(menu.foods.rice, { daily_stock: 3 });
+  assert.equal(set.status, 200);
+  assert.equal(set.body.stock, 3);
+
+  const first = await order([{ food_id: menu.foods.rice, quantity: 2 }]);
+  assert.equal(first.status, 200);
+
+  const tooMany = await order([{ food_id: menu.foods.rice, quantity: 1 }, { food_id: menu.foods.rice, quantity: 1 }]);
+  assert.equal(tooMany.status, 400);
+  assert.equal((await server.repos.foods.findById(menu.foods.rice)).stock, 1);
+
+  const last = await order([{ food_id: menu.foods.rice, quantity: 1 }]);
+  assert.equal(last.status, 200);
+
+  const soldOut = await server.repos.foods.findById(menu.foods.rice);
+  assert.equal(soldOut.stock, 0);
+  assert.equal(soldOut.is_available, 0);
+
+  // Hủy đơn hoàn lại tồn kho và mở bán lại
+  const cancel = await server.request('DELETE', `/api/orders/${last.body.order_id}`, { token: customer.token });
+  assert.equal(cancel.status, 200);
+  const restocked = await server.repos.foods.findById(menu.foods.rice);
+  assert.equal(restocked.stock, 1);
+  assert.equal(restocked.is_available, 1);
+});
+
+test('daily stock reset refills limited foods', async () => {
+  const res = await server.request('POST', '/api/admin/foods/stock/reset', { token: admin.token });
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.count, 1);
+  assert.equal((await server.repos.foods.findById(menu.foods.rice)).stock, 3);
+  assert.equal((await server.repos.foods.findById(menu.foods.tea)).stock, null);
+});
+
+test('stock endpoint validates input and requires admin', async () => {
+  assert.equal((await setStock(menu.foods.rice, { daily_stock: -1 })).status, 400);
+  assert.equal((await setStock(menu.foods.rice, { daily_stock: null, stock: 2 })).status, 400);
+  assert.equal((await setStock(999, { daily_stock: 1 })).status, 404);
+
+  const denied = await server.request('PUT', `/api/admin/foods/${menu.foods.rice}/stock`, {
+    token: customer.token, body: { daily_stock: 1 }
+  });
+  assert.equal(denied.status, 403);
+});
+
+test('updating a food keeps its availability unless is_available is sent', async () => {
+  const update = body => server.request('PUT', `/api/foods/${menu.foods.tea}`, {
+    token: admin.token, body: { name: 'Trà đá', price: 6000, category_id: menu.categoryId, ...body }
+  });
+  const stored = async () => (await server.repos.foods.findById(menu.foods.tea)).is_available;
+
+  const kept = await update({});
+  assert.equal(kept.status, 200);
+  assert.equal(kept.body.is_available, true);
+  assert.equal(await stored(), 1);
+
+  const hidden = await update({ is_available: false });
+  assert.equal(hidden.body.is_available, false);
+  assert.equal(await stored(), 0);
+
+  const stillHidden = await update({ price: 7000 });
+  assert.equal(stillHidden.body.is_available, false);
+  assert.equal(await stored(), 0);
+  assert.equal((await server.repos.foods.findById(menu.foods.tea)).price, 7000);
+});
@@ -0,0 +1,169 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, createUser, seedMenu } = require('./helpers');
+
+let server;
+let customer;
+let admin;
+let menu;
+
+before(async () => {
+  server = await startServer();
+  customer = await createUser(server.repos);
+  admin = await createUser(server.repos, { role: 'admin' });
+  menu = await seedMenu(server.repos);
+});
+
+after(async () => {
+  await server.close();
+});
+
+const asAdmin = (method, path, body) => server.request(method, path, { token: admin.token, body });
+
+// Đặt đơn cơm + trà và chọn tiền mặt để đơn được xác nhận (vào bếp)
+async function placeCashOrder() {
+  const order = (await server.request('POST', '/api/orders', {
+    token: customer.token,
+    body: { items: [{ food_id: menu.foods.rice, quantity: 2 }, { food_id: menu.foods.tea, quantity: 1 }] }
+  })).body;
+  const payment = (await server.request('POST', '/api/payments', {
+    token: customer.token, body: { order_id: order.order_id, method: 'cash' }
+  })).body;
+  return { ...order, payment_id: payment.payment_id };
+}
+
+const queueEntry = async (orderId, query = '') => {
+  const res = await asAdmin('GET', `/api/kitchen/queue${query}`);
+  assert.equal(res.status, 200);
+  return res.body.find(o => o.order_id === orderId);
+};
+
+test('confirmed orders appear in the queue and become ready once every item is done', async () => {
+  const pending = (await server.request('POST', '/api/orders', {
+    token: customer.token, body: { items: [{ food_id: menu.foods.tea, quantity: 1 }] }
+  })).body;
+  const order = await placeCashOrder();
+
+  assert.equal(await queueEntry(pending.order_id), undefined);
+  const entry = await queueEntry(order.order_id);
+  assert.equal(entry.status, 'confirmed');
+  assert.deepEqual(entry.items.map(i => [i.food_name, i.quantity, i.prep_status]), [
+    ['Cơm gà', 2, 'queued'], ['Trà đá', 1, 'queued']
+  ]);
+
+  const [rice, tea] = entry.items;
+  const cooking = await asAdmin('PUT', `/api/kitchen/items/${rice.id}`, { status: 'cooking' });
+  assert.equal(cooking.status, 200);
+  assert.equal(cooking.body.item.prep_status, 'cooking');
+  assert.ok(cooking.body.item.prep_started_at);
+
+  await asAdmin('PUT', `/api/kitchen/items/${rice.id}`, { status: 'done' });
+  const done = await asAdmin('PUT', `/api/kitchen/items/${tea.id}`, { status: 'done' });
+  assert.equal(done.body.order_status, 'ready');
+
+  // Trả một món về bếp: đơn quay lại confirmed vì chưa thu tiền
+  const redo = await asAdmin('PUT', `/api/kitchen/items/${tea.id}`, { status: 'cooking' });
+  assert.equal(redo.body.order_status, 'confirmed');
+  assert.equal(redo.body.item.prep_done_at, null);
+
+  const history = (await asAdmin('GET', `/api/admin/orders/${order.order_id}/history`)).body;
+  assert.deepEqual(history.slice(-2).map(h => [h.from_status, h.to_status, h.actor]), [
+    ['confirmed', 'ready', 'system'], ['ready', 'confirmed', 'system']
+  ]);
+
+  const invalid = await asAdmin('PUT', `/api/kitchen/items/${tea.id}`, { status: 'burnt' });
+  assert.equal(invalid.status, 400);
+});
+
+test('a ready ticket is only handed over once the cash payment is confirmed', async () => {
+  const order = await placeCashOrder();
+  await asAdmin('POST', `/api/kitchen/orders/${order.order_id}/bump`);
+
+  const unpaid = await asAdmin('POST', '/api/admin/scan-qr', { ticket_code: order.ticket_code });
+  assert.equal(unpaid.status, 400);
+  assert.equal(unpaid.body.message_key, 'tickets.refused.payment_required');
+
+  await asAdmin('POST', '/api/payments/confirm', { payment_id: order.payment_id });
+  const scanned = await asAdmin('POST', '/api/admin/scan-qr', { ticket_code: order.ticket_code });
+  assert.equal(scanned.status, 200);
+  assert.equal((await server.repos.orders.findById(order.order_id)).status, 'scanned');
+});
+
+test('bump hides the order and recall brings it back; stations filter the items', async () => {
+  const station = await asAdmin('POST', '/api/admin/stations', { name: 'Bếp nóng' });
+  assert.equal(station.status, 201);
+  assert.equal((await asAdmin('POST', '/api/admin/stations', { name: 'Bếp nóng' })).status, 400);
+  const long = await asAdmin('POST', '/api/admin/stations', { name: 'B'.repeat(51) });
+  assert.deepEqual([long.status, long.body.error], [400, 'name must be at most 50 characters']);
+  assert.equal((await asAdmin('POST', '/api/admin/stations', {})).body.error, 'name is required');
+
+  const drinksCategory = await server.repos.categories.create('Đồ uống');
+  const juice = await server.repos.foods.create({
+    name: 'Nước cam', description: null, price: 15000, img_url: null, is_available: true, category_id: drinksCategory
+  });
+  const assigned = await asAdmin('PUT', `/api/admin/categories/${menu.categoryId}/station`, { station_id: station.body.id });
+  assert.equal(assigned.status, 200);
+
+  const audit = (await asAdmin('GET', '/api/admin/audit-logs?entity_type=category')).body.entries;
+  assert.deepEqual(audit.map(e => [e.action, e.before, e.after]), [
+    ['category.station_changed', { station_id: null }, { station_id: station.body.id }]
+  ]);
+  assert.equal((await asAdmin('GET', '/api/admin/audit-logs?action=station.created')).body.total, 1);
+
+  const mixed = (await server.request('POST', '/api/orders', {
+    token: customer.token,
+    body: { items: [{ food_id: menu.foods.rice, quantity: 1 }, { food_id: juice, quantity: 1 }] }
+  })).body;
+  await asAdmin('PUT', `/api/admin/orders/${mixed.order_id}/status`, { status: 'confirmed' });
+  const drinksOnly = (await server.request('POST', '/api/orders', {
+    token: customer.token, body: { items: [{ food_id: juice, quantity: 1 }] }
+  })).body;
+  await asAdmin('PUT', `/api/admin/orders/${drinksOnly.order_id}/status`, { status: 'confirmed' });
+
+  const hot = await queueEntry(mixed.order_id, `?station_id=${station.body.id}`);
+  assert.deepEqual(hot.items.map(i => [i.food_name, i.station_name]), [['Cơm gà', 'Bếp nóng']]);
+  assert.equal(await queueEntry(drinksOnly.order_id, `?station_id=${station.body.id}`), undefined);
+
+  const bumped = await asAdmin('POST', `/api/kitchen/orders/${mixed.order_id}/bump`);
+  assert.equal(bumped.status, 200);
+  assert.equal(bumped.body.status, 'ready');
+  assert.equal(await queueEntry(mixed.order_id), undefined);
+
+  const shown = await queueEntry(mixed.order_id, '?include_bumped=true');
+  assert.ok(shown.bumped_at);
+  assert.ok(shown.items.every(i => i.prep_status === 'done'));
+
+  await asAdmin('POST', `/api/kitchen/orders/${mixed.order_id}/recall`);
+  assert.equal((await queueEntry(mixed.order_id)).bumped_at, null);
+
+  const cancelled = await placeCashOrder();
+  await asAdmin('PUT', `/api/admin/orders/${cancelled.order_id}/status`, { status: 'cancelled' });
+  assert.equal((await asAdmin('POST', `/api/kitchen/orders/${cancelled.order_id}/bump`)).status, 400);
+
+  const forbidden = await server.request('GET', '/api/kitchen/queue', { token: customer.token });
+  assert.equal(forbidden.status, 403);
+});
+
+test('a kitchen action that fails part way leaves the items and the order unchanged', async () => {
+  const order = await placeCashOrder();
+  const history = server.repos.orderStatusHistory;
+  const add = history.add;
+  history.add = async () => {
+    throw new Error('history insert failed');
+  };
+  try {
+    assert.equal((await asAdmin('POST', `/api/kitchen/orders/${order.order_id}/bump`)).status, 500);
+  } finally {
+    history.add = add;
+  }
+
+  const entry = await queueEntry(order.order_id);
+  assert.equal(entry.status, 'confirmed');
+  assert.equal(entry.bumped_at, null);
+  assert.deepEqual(entry.items.map(i => i.prep_status), ['queued', 'queued']);
+
+  // Hai trạm xong món cùng lúc: cả hai được ghi nhận và đơn sang ready
+  const results = await Promise.all(entry.items.map(item => asAdmin('PUT', `/api/kitchen/items/${item.id}`, { status: 'done' })));
+  assert.deepEqual(results.map(r => r.status), [200, 200]);
+  assert.equal((await server.repos.orders.findById(order.order_id)).status, 'ready');
+});
@@ -0,0 +1,80 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, createUser, seedMenu } = require('./helpers');
+
+let server;
+let customer;
+let menu;
+const foods = {};
+
+before(async () => {
+  server = await startServer();
+  customer = await createUser(server.repos);
+  menu = await seedMenu(server.repos);
+  const drinks = await server.repos.categories.create('Đồ uống');
+  const create = (name, price, { description = null, is_available = true, category_id = drinks } = {}) =>
+    server.repos.foods.create({ name, description, price, img_url: null, is_available, category_id });
+
+  foods.coffee = await create('Cà phê sữa đá', 25000, { description: 'Cà phê phin pha với sữa đặc' });
+  foods.soup = await create('Canh chua', 30000, { description: 'Nấu với cá lóc', category_id: menu.categoryId });
+  foods.juice = await create('Nước cam', 20000, { is_available: false });
+
+  // Trà đá bán chạy nhất, sau đó là cơm gà; đơn đã hủy không được tính
+  const order = async (items, status) => {
+    const placed = (await server.request('POST', '/api/orders', { token: customer.token, body: { items } })).body;
+    await server.repos.orders.updateStatus(placed.order_id, status);
+  };
+  await order([{ food_id: menu.foods.tea, quantity: 3 }, { food_id: menu.foods.rice, quantity: 1 }], 'completed');
+  await order([{ food_id: menu.foods.rice, quantity: 1 }], 'confirmed');
+  await order([{ food_id: foods.coffee, quantity: 5 }], 'cancelled');
+});
+
+after(() => server.close());
+
+const search = query => server.request('GET', `/api/foods?${new URLSearchParams(query)}`);
+const ids = res => res.body.foods.map(f => f.id);
+
+test('search ignores accents, case and the letter đ across name and description', async () => {
+  const coffee = await search({ q: 'CA PHE' });
+  assert.equal(coffee.status, 200);
+  assert.deepEqual(ids(coffee), [foods.coffee]);
+
+  assert.deepEqual(ids(await search({ q: 'da' })), [menu.foods.tea, foods.coffee]);
+  assert.deepEqual(ids(await search({ q: 'đá sữa' })), [foods.coffee]);
+  assert.deepEqual(ids(await search({ q: 'ca loc' })), [foods.soup]);
+  assert.deepEqual(ids(await search({ q: '50%' })), []);
+});
+
+test('unavailable foods are hidden unless asked for', async () => {
+  const all = await search({});
+  assert.equal(all.body.total, 4);
+  assert.ok(!ids(all).includes(foods.juice));
+
+  const withSoldOut = await search({ q: 'cam', include_unavailable: 'true' });
+  assert.deepEqual(ids(withSoldOut), [foods.juice]);
+  assert.equal(withSoldOut.body.foods[0].is_available, 0);
+});
+
+test('foods filter by category and price range and sort by popularity, price or newest', async () => {
+  const popular = await search({});
+  assert.deepEqual(ids(popular), [menu.foods.tea, menu.foods.rice, foods.coffee, foods.soup]);
+  assert.deepEqual(popular.body.foods.map(f => f.sold_count), [3, 2, 0, 0]);
+
+  const rice = await search({ category_id: menu.categoryId, sort: 'price' });
+  assert.deepEqual(ids(rice), [menu.foods.tea, foods.soup, menu.foods.rice]);
+
+  const range = await search({ min_price: 20000, max_price: 30000, sort: '-price' });
+  assert.deepEqual(ids(range), [foods.soup, foods.coffee]);
+
+  const newest = await search({ sort: '-created_at', limit: 2, offset: 1 });
+  assert.equal(newest.body.total, 4);
+  assert.equal(newest.body.limit, 2);
+  assert.equal(newest.body.offset, 1);
+  assert.equal(newest.body.foods.length, 2);
+});
+
+test('invalid search parameters are rejected', async () => {
+  assert.equal((await search({ min_price: 30000, max_price: 10000 })).status, 400);
+  assert.equal((await search({ sort: 'name' })).status, 400);
+  assert.equal((await search({ limit: 1000 })).status, 400);
+});
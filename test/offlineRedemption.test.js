@@ -0,0 +1,123 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, createUser, seedMenu } = require('./helpers');
+const { createTicketCode, signData } = require('../services/ticketCodes');
+
+let server;
+let customer;
+let admin;
+let menu;
+
+before(async () => {
+  server = await startServer();
+  customer = await createUser(server.repos);
+  admin = await createUser(server.repos, { role: 'admin' });
+  menu = await seedMenu(server.repos);
+});
+
+after(() => server.close());
+
+async function placeOrder(status) {
+  const order = (await server.request('POST', '/api/orders', {
+    token: customer.token,
+    body: { items: [{ food_id: menu.foods.rice, quantity: 1 }] }
+  })).body;
+  await server.repos.orders.updateStatus(order.order_id, status);
+  return order;
+}
+
+const sync = (redemptions, device_id = 'counter-1') => server.request('POST', '/api/admin/tickets/sync', {
+  token: admin.token, body: { device_id, redemptions }
+});
+
+const minutesAgo = minutes => new Date(Date.now() - minutes * 60 * 1000).toISOString();
+
+test('the snapshot lists redeemable tickets and is signed', async () => {
+  const paid = await placeOrder('completed');
+  const unpaid = await placeOrder('confirmed');
+
+  const res = await server.request('GET', '/api/admin/tickets/snapshot?device_id=counter-1&hours=4', { token: admin.token });
+  assert.equal(res.status, 200);
+
+  const { signature, ...snapshot } = res.body;
+  assert.equal(signature, signData(JSON.stringify(snapshot)));
+  assert.equal(snapshot.device_id, 'counter-1');
+  assert.equal(new Date(snapshot.valid_until) - new Date(snapshot.issued_at), 4 * 3600 * 1000);
+
+  const codes = snapshot.tickets.map(t => t.ticket_code);
+  assert.ok(codes.includes(paid.ticket_code));
+  assert.ok(!codes.includes(unpaid.ticket_code));
+  const entry = snapshot.tickets.find(t => t.order_id === paid.order_id);
+  assert.deepEqual(entry.items, [{ food_name: 'Cơm gà', quantity: 1, options: [] }]);
+
+  assert.equal((await server.request('GET', '/api/admin/tickets/snapshot', { token: admin.token })).status, 400);
+  assert.equal((await server.request('GET', '/api/admin/tickets/snapshot?device_id=x', { token: customer.token })).status, 403);
+});
+
+test('a batch of offline scans is resolved per ticket', async () => {
+  const first = await placeOrder('completed');
+  const online = await placeOrder('completed');
+  const cancelled = await placeOrder('completed');
+
+  // Quét online trước khi máy offline gửi lên
+  await server.request('POST', '/api/admin/tickets/redeem', {
+    token: admin.token, body: { ticket_code: online.ticket_code, device_id: 'counter-2' }
+  });
+  // Đơn bị hủy trong lúc máy quét mất mạng
+  await server.repos.orders.updateStatus(cancelled.order_id, 'cancelled');
+
+  const batch = [
+    { ticket_code: first.ticket_code, redeemed_at: minutesAgo(5) },
+    { ticket_code: first.ticket_code, redeemed_at: minutesAgo(10) },
+    { ticket_code: online.ticket_code, redeemed_at: minutesAgo(20) },
+    { ticket_code: cancelled.ticket_code, redeemed_at: minutesAgo(15) },
+    { ticket_code: 'FO.1.1.forged', redeemed_at: minutesAgo(15) },
+    { ticket_code: first.ticket_code, redeemed_at: new Date(Date.now() + 3600 * 1000).toISOString() },
+    { ticket_code: first.ticket_code }
+  ];
+  const res = await sync(batch);
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body.results.map(r => [r.result, r.reason]), [
+    ['conflict', 'already_used'],
+    ['accepted', null],
+    ['conflict', 'already_used'],
+    ['rejected', 'cancelled'],
+    ['rejected', 'invalid_code'],
+    ['rejected', 'invalid_timestamp'],
+    ['rejected', 'invalid_entry']
+  ]);
+  assert.deepEqual(res.body.summary, { accepted: 1, duplicate: 0, conflict: 2, rejected: 4 });
+
+  // Lượt quét sớm nhất được ghi nhận với đúng thời điểm quét
+  const accepted = res.body.results[1];
+  assert.equal(accepted.used_device, 'counter-1');
+  assert.equal(new Date(accepted.used_at).toISOString(), batch[1].redeemed_at);
+  assert.equal(res.body.results[2].used_device, 'counter-2');
+
+  // Gửi lại cùng lô (ví dụ mất kết nối khi chờ phản hồi) không tạo xung đột mới
+  const retry = await sync(batch.slice(1, 2));
+  assert.deepEqual(retry.body.results.map(r => r.result), ['duplicate']);
+});
+
+test('ticket expiry is checked at the time of the offline scan', async () => {
+  const order = await placeOrder('completed');
+  const ticket = await server.repos.tickets.findByOrder(order.order_id);
+
+  // Phiếu hết hạn 1 giờ trước, nhưng được quét offline 2 giờ trước
+  const issued = new Date(Date.now() - 25 * 3600 * 1000);
+  const code = createTicketCode(order.order_id, { now: issued }).ticketCode;
+  server.repos.store.tables.tickets.find(t => t.id === ticket.id).ticket_code = code;
+
+  const res = await sync([{ ticket_code: code, redeemed_at: minutesAgo(120) }]);
+  assert.equal(res.body.results[0].result, 'accepted');
+
+  const late = await placeOrder('completed');
+  const lateTicket = await server.repos.tickets.findByOrder(late.order_id);
+  const lateCode = createTicketCode(late.order_id, { now: issued }).ticketCode;
+  server.repos.store.tables.tickets.find(t => t.id === lateTicket.id).ticket_code = lateCode;
+
+  const expired = await sync([{ ticket_code: lateCode, redeemed_at: minutesAgo(30) }]);
+  assert.deepEqual([expired.body.results[0].result, expired.body.results[0].reason], ['rejected', 'expired']);
+
+  assert.equal((await sync([])).status, 400);
+});
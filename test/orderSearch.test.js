@@ -0,0 +1,107 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, createUser, seedMenu } = require('./helpers');
+
+let server;
+let alice;
+let bob;
+let staff;
+let menu;
+const placed = {};
+
+before(async () => {
+  server = await startServer();
+  alice = await createUser(server.repos, { name: 'Nguyễn Thị Alice', email: 'alice@example.com' });
+  bob = await createUser(server.repos, { name: 'Bob Trần' });
+  staff = await createUser(server.repos, { role: 'cashier' });
+  menu = await seedMenu(server.repos);
+
+  // Đặt đơn qua API rồi sửa trạng thái, giờ đặt và thanh toán trực tiếp trong repository
+  const place = async (key, user, items, { status, daysAgo, method = null }) => {
+    const order = (await server.request('POST', '/api/orders', { token: user.token, body: { items } })).body;
+    await server.repos.orders.updateStatus(order.order_id, status);
+    const created = new Date();
+    created.setDate(created.getDate() - daysAgo);
+    server.repos.store.tables.orders.find(o => o.id === order.order_id).created_at = created;
+    if (method) {
+      await server.repos.payments.create({
+        orderId: order.order_id, method, amount: order.total_price, status: 'completed', transactionId: `T${order.order_id}`
+      });
+    }
+    placed[key] = order;
+  };
+
+  await place('aliceOld', alice, [{ food_id: menu.foods.rice, quantity: 1 }], { status: 'completed', daysAgo: 10, method: 'cash' });
+  await place('aliceBig', alice, [{ food_id: menu.foods.rice, quantity: 3 }], { status: 'confirmed', daysAgo: 2, method: 'online' });
+  await place('aliceNew', alice, [{ food_id: menu.foods.tea, quantity: 1 }], { status: 'pending', daysAgo: 0 });
+  await place('bob', bob, [{ food_id: menu.foods.tea, quantity: 2 }, { food_id: menu.foods.rice, quantity: 1 }], { status: 'cancelled', daysAgo: 1 });
+});
+
+after(() => server.close());
+
+const list = (path, token, query = {}) => server.request('GET', `${path}?${new URLSearchParams(query)}`, { token });
+const ids = res => res.body.orders.map(o => o.id);
+const formatDay = date => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+
+test('customers page through their own orders, newest first, with items included', async () => {
+  const first = await list('/api/orders', alice.token, { limit: 2 });
+  assert.equal(first.status, 200);
+  assert.equal(first.body.total, 3);
+  assert.equal(first.body.limit, 2);
+  assert.equal(first.body.offset, 0);
+  assert.deepEqual(ids(first), [placed.aliceNew.order_id, placed.aliceBig.order_id]);
+  assert.equal(first.body.orders[1].items[0].quantity, 3);
+
+  const second = await list('/api/orders', alice.token, { limit: 2, offset: 2 });
+  assert.deepEqual(ids(second), [placed.aliceOld.order_id]);
+
+  // Bộ lọc khách hàng bị bỏ qua: khách chỉ thấy đơn của mình
+  const others = await list('/api/orders', alice.token, { customer: 'Bob' });
+  assert.equal(others.body.total, 3);
+});
+
+test('orders filter by status, date range, payment method and ticket code', async () => {
+  const byStatus = await list('/api/admin/orders', staff.token, { status: 'pending,cancelled' });
+  assert.deepEqual(ids(byStatus), [placed.aliceNew.order_id, placed.bob.order_id]);
+
+  const today = new Date();
+  const threeDaysAgo = new Date(today.getFullYear(), today.getMonth(), today.getDate() - 3);
+  const yesterday = new Date(today.getFullYear(), today.getMonth(), today.getDate() - 1);
+  const byDate = await list('/api/admin/orders', staff.token, { from: formatDay(threeDaysAgo), to: formatDay(yesterday) });
+  assert.deepEqual(ids(byDate), [placed.bob.order_id, placed.aliceBig.order_id]);
+
+  // 'online' là tên cũ của vnpay: lọc theo vnpay vẫn thấy
+  const byMethod = await list('/api/admin/orders', staff.token, { payment_method: 'vnpay' });
+  assert.deepEqual(ids(byMethod), [placed.aliceBig.order_id]);
+  assert.equal(byMethod.body.orders[0].payment_method, 'online');
+
+  const byTicket = await list('/api/admin/orders', staff.token, { ticket_code: placed.bob.ticket_code });
+  assert.deepEqual(ids(byTicket), [placed.bob.order_id]);
+  assert.equal(byTicket.body.orders[0].items.length, 2);
+});
+
+test('staff search customers by name or email and sort by total', async () => {
+  const byName = await list('/api/admin/orders', staff.token, { customer: 'trần' });
+  assert.deepEqual(ids(byName), [placed.bob.order_id]);
+  assert.equal(byName.body.orders[0].customer_name, 'Bob Trần');
+
+  const byEmail = await list('/api/admin/orders', staff.token, { customer: 'ALICE@', sort: 'total_price' });
+  assert.deepEqual(ids(byEmail), [placed.aliceNew.order_id, placed.aliceOld.order_id, placed.aliceBig.order_id]);
+
+  const byUser = await list('/api/admin/orders', staff.token, { user_id: bob.id });
+  assert.equal(byUser.body.total, 1);
+});
+
+test('invalid list filters are rejected', async () => {
+  const status = await list('/api/admin/orders', staff.token, { status: 'pending,lost' });
+  assert.equal(status.status, 400);
+
+  const range = await list('/api/admin/orders', staff.token, { from: '2024-05-10', to: '2024-05-01' });
+  assert.equal(range.status, 400);
+
+  const limit = await list('/api/orders', alice.token, { limit: 500 });
+  assert.equal(limit.status, 400);
+
+  const sort = await list('/api/orders', alice.token, { sort: 'name' });
+  assert.equal(sort.status, 400);
+});
@@ -0,0 +1,122 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, createUser, seedMenu } = require('./helpers');
+const { canTransition, transitionOrder } = require('../services/orderStatus');
+const { subscribe } = require('../services/events');
+
+let server;
+let customer;
+let admin;
+let menu;
+
+before(async () => {
+  server = await startServer();
+  customer = await createUser(server.repos);
+  admin = await createUser(server.repos, { role: 'admin' });
+  menu = await seedMenu(server.repos);
+});
+
+after(() => server.close());
+
+async function placeOrder() {
+  const res = await server.request('POST', '/api/orders', {
+    token: customer.token,
+    body: { items: [{ food_id: menu.foods.rice, quantity: 1 }] }
+  });
+  return res.body;
+}
+
+const setStatus = (orderId, status, reason) => server.request('PUT', `/api/admin/orders/${orderId}/status`, {
+  token: admin.token,
+  body: { status, reason }
+});
+
+test('transition table is enforced per actor', () => {
+  assert.equal(canTransition('pending', 'cancelled', 'customer'), true);
+  assert.equal(canTransition('completed', 'cancelled', 'customer'), false);
+  assert.equal(canTransition('completed', 'cancelled', 'admin'), true);
+  assert.equal(canTransition('scanned', 'cancelled', 'admin'), false);
+  assert.equal(canTransition('completed', 'scanned', 'system'), false);
+});
+
+test('customers cannot cancel an order that was already scanned', async () => {
+  const order = await placeOrder();
+  await setStatus(order.order_id, 'completed');
+  await server.request('POST', '/api/admin/scan-qr', { token: admin.token, body: { ticket_code: order.ticket_code } });
+
+  const res = await server.request('DELETE', `/api/orders/${order.order_id}`, { token: customer.token });
+
+  assert.equal(res.status, 400);
+  assert.match(res.body.error, /Cannot change order from scanned to cancelled/);
+  assert.equal((await server.repos.orders.findById(order.order_id)).status, 'scanned');
+});
+
+test('admins cannot reopen a cancelled order', async () => {
+  const order = await placeOrder();
+  await server.request('DELETE', `/api/orders/${order.order_id}`, { token: customer.token });
+
+  const res = await setStatus(order.order_id, 'pending');
+  assert.equal(res.status, 400);
+
+  const unknown = await setStatus(order.order_id, 'lost');
+  assert.equal(unknown.status, 400);
+  assert.equal(unknown.body.error, 'Invalid status');
+});
+
+test('cash payment on a cancelled order is rejected', async () => {
+  const order = await placeOrder();
+  await server.request('DELETE', `/api/orders/${order.order_id}`, { token: customer.token });
+
+  const res = await server.request('POST', '/api/payments', {
+    token: customer.token,
+    body: { order_id: order.order_id, method: 'cash', amount: order.total_price }
+  });
+  assert.equal(res.status, 400);
+});
+
+test('status history records who changed what and why', async () => {
+  const order = await placeOrder();
+  await setStatus(order.order_id, 'confirmed', 'Paid at counter');
+  await setStatus(order.order_id, 'completed');
+
+  const res = await server.request('GET', `/api/admin/orders/${order.order_id}/history`, { token: admin.token });
+  assert.equal(res.status, 200);
+  assert.deepEqual(
+    res.body.map(h => [h.from_status, h.to_status, h.actor]),
+    [[null, 'pending', 'customer'], ['pending', 'confirmed', 'admin'], ['confirmed', 'completed', 'admin']]
+  );
+  assert.equal(res.body[1].reason, 'Paid at counter');
+  assert.equal(res.body[1].changed_by, admin.id);
+
+  const own = await server.request('GET', `/api/orders/${order.order_id}/history`, { token: customer.token });
+  assert.equal(own.status, 200);
+  assert.equal(own.body.length, 3);
+
+  const other = await createUser(server.repos);
+  const foreign = await server.request('GET', `/api/orders/${order.order_id}/history`, { token: other.token });
+  assert.equal(foreign.status, 404);
+});
+
+test('a status change inside a rolled back transaction publishes nothing', async () => {
+  const order = await placeOrder();
+  const seen = [];
+  const unsubscribe = subscribe(event => event.data.order_id === order.order_id, event => seen.push(event.data.to));
+
+  try {
+    await assert.rejects(server.repos.transaction(async (tx) => {
+      await transitionOrder(tx, await tx.orders.findById(order.order_id), 'confirmed', { actor: 'admin' });
+      assert.deepEqual(seen, []);
+      throw new Error('audit insert failed');
+    }), /audit insert failed/);
+    assert.equal((await server.repos.orders.findById(order.order_id)).status, 'pending');
+    assert.deepEqual(seen, []);
+
+    await server.repos.transaction(async (tx) => {
+      await transitionOrder(tx, await tx.orders.findById(order.order_id), 'confirmed', { actor: 'admin' });
+      assert.deepEqual(seen, []);
+    });
+    assert.deepEqual(seen, ['confirmed']);
+  } finally {
+    unsubscribe();
+  }
+});
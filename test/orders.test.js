@@ -0,0 +1,87 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, createUser, seedMenu } = require('./helpers');
+
+let server;
+let customer;
+let admin;
+let menu;
+
+before(async () => {
+  server = await startServer();
+  customer = await createUser(server.repos);
+  admin = await createUser(server.repos, { role: 'admin' });
+  menu = await seedMenu(server.repos);
+});
+
+after(() => server.close());
+
+test('placing an order prices items from the menu and issues a ticket', async () => {
+  const res = await server.request('POST', '/api/orders', {
+    token: customer.token,
+    body: { items: [{ food_id: menu.foods.rice, quantity: 2 }, { food_id: menu.foods.tea, quantity: 1 }] }
+  });
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.total_price, 75000);
+  assert.equal(res.body.status, 'pending');
+  assert.ok(res.body.ticket_code);
+});
+
+test('ordering an unknown food returns 404', async () => {
+  const res = await server.request('POST', '/api/orders', {
+    token: customer.token,
+    body: { items: [{ food_id: 999, quantity: 1 }] }
+  });
+
+  assert.equal(res.status, 404);
+});
+
+test('customers see their own orders with items', async () => {
+  const res = await server.request('GET', '/api/orders', { token: customer.token });
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.total, 1);
+  assert.equal(res.body.orders.length, 1);
+  assert.equal(res.body.orders[0].items.length, 2);
+  assert.equal(res.body.orders[0].items[0].name, 'Cơm gà');
+});
+
+test('admin order list requires the admin role', async () => {
+  const denied = await server.request('GET', '/api/admin/orders', { token: customer.token });
+  assert.equal(denied.status, 403);
+
+  const res = await server.request('GET', '/api/admin/orders', { token: admin.token });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.orders[0].customer_name, 'Test User');
+});
+
+test('pending orders can be cancelled and keep their records', async () => {
+  const placed = await server.request('POST', '/api/orders', {
+    token: customer.token,
+    body: { items: [{ food_id: menu.foods.tea, quantity: 1 }] }
+  });
+
+  const res = await server.request('DELETE', `/api/orders/${placed.body.order_id}/cancel`, { token: customer.token });
+  assert.equal(res.status, 200);
+  assert.equal((await server.repos.orders.findById(placed.body.order_id)).status, 'cancelled');
+});
+
+test('customers cannot cancel an order once its cash payment is confirmed', async () => {
+  const placed = (await server.request('POST', '/api/orders', {
+    token: customer.token,
+    body: { items: [{ food_id: menu.foods.tea, quantity: 1 }] }
+  })).body;
+  const payment = (await server.request('POST', '/api/payments', {
+    token: customer.token, body: { order_id: placed.order_id, method: 'cash' }
+  })).body;
+  await server.repos.orders.updateStatus(placed.order_id, 'confirmed');
+  const confirmed = await server.request('POST', '/api/payments/confirm', { token: admin.token, body: { payment_id: payment.payment_id } });
+  assert.equal(confirmed.status, 200);
+
+  const res = await server.request('DELETE', `/api/orders/${placed.order_id}`, { token: customer.token });
+  assert.equal(res.status, 400);
+  assert.equal(res.body.message_key, 'orders.cancel_paid');
+  assert.equal((await server.repos.orders.findById(placed.order_id)).status, 'confirmed');
+  assert.equal((await server.repos.payments.findById(payment.payment_id)).status, 'completed');
+});
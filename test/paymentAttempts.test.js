@@ -0,0 +1,111 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, startVnpayMock, createUser, seedMenu } = require('./helpers');
+
+let server;
+let mock;
+let customer;
+let other;
+let admin;
+let menu;
+
+before(async () => {
+  server = await startServer();
+  customer = await createUser(server.repos);
+  other = await createUser(server.repos);
+  admin = await createUser(server.repos, { role: 'admin' });
+  menu = await seedMenu(server.repos);
+  mock = await startVnpayMock(server);
+});
+
+after(async () => {
+  await mock.close();
+  await server.close();
+});
+
+async function placeOrder() {
+  return (await server.request('POST', '/api/orders', {
+    token: customer.token,
+    body: { items: [{ food_id: menu.foods.rice, quantity: 1 }] }
+  })).body;
+}
+
+const pay = (order, method) => server.request('POST', '/api/payments', {
+  token: customer.token,
+  body: { order_id: order.order_id, method, amount: order.total_price }
+});
+
+test('retrying keeps every attempt and a late callback only touches its own attempt', async () => {
+  const order = await placeOrder();
+  const first = (await pay(order, 'online')).body;
+  const second = (await pay(order, 'online')).body;
+  assert.notEqual(first.transaction_id, second.transaction_id);
+
+  // Khách thanh toán trên trang của lần thử cũ: tiền được ghi nhận để hoàn lại, đơn không đổi
+  await fetch(first.payment_url, { redirect: 'manual' });
+  assert.equal(mock.state.ipnResults.at(-1).RspCode, '00');
+  assert.equal((await server.repos.payments.findById(second.payment_id)).status, 'pending');
+  assert.equal((await server.repos.orders.findById(order.order_id)).status, 'pending');
+
+  await fetch(second.payment_url, { redirect: 'manual' });
+  assert.equal(mock.state.ipnResults.at(-1).RspCode, '00');
+
+  const res = await server.request('GET', `/api/payments/order/${order.order_id}/attempts`, { token: customer.token });
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body.map(p => [p.payment_id, p.status]), [
+    [first.payment_id, 'paid_superseded'],
+    [second.payment_id, 'completed']
+  ]);
+  assert.ok(res.body[0].gateway_transaction_no);
+  assert.equal(res.body[1].gateway_response_code, '00');
+  assert.ok(res.body[1].settled_at);
+
+  const again = await pay(order, 'online');
+  assert.equal(again.status, 400);
+});
+
+test('an attempt paid after being superseded shows in reconciliation until it is refunded', async () => {
+  const order = await placeOrder();
+  const first = (await pay(order, 'online')).body;
+  const second = (await pay(order, 'online')).body;
+  await fetch(first.payment_url, { redirect: 'manual' });
+  await fetch(second.payment_url, { redirect: 'manual' });
+
+  const discrepancy = async () => (await server.request('GET', '/api/admin/reports/reconciliation', { token: admin.token }))
+    .body.discrepancies.find(d => d.order_id === order.order_id);
+  const before = await discrepancy();
+  assert.deepEqual(before.issues, ['superseded_payment']);
+  assert.equal(before.collected, 2 * order.total_price);
+
+  const refund = await server.request('POST', `/api/admin/payments/${first.payment_id}/refund`, { token: admin.token, body: {} });
+  assert.equal(refund.status, 200);
+  assert.deepEqual([refund.body.payment.status, refund.body.payment.refunded_amount], ['paid_superseded', order.total_price]);
+  assert.equal((await server.repos.orders.findById(order.order_id)).status, 'completed');
+  assert.equal(await discrepancy(), undefined);
+});
+
+test('failed attempts stay on record next to the retry', async () => {
+  const order = await placeOrder();
+  mock.setResponseCode('24');
+  const failed = (await pay(order, 'online')).body;
+  await fetch(failed.payment_url, { redirect: 'manual' });
+  mock.setResponseCode('00');
+
+  const retry = await pay(order, 'cash');
+  assert.equal(retry.status, 200);
+
+  const attempts = await server.request('GET', `/api/payments/order/${order.order_id}/attempts`, { token: admin.token });
+  assert.deepEqual(attempts.body.map(p => [p.method, p.status, p.gateway_response_code]), [
+    ['online', 'failed', '24'],
+    ['cash', 'pending', null]
+  ]);
+
+  const latest = await server.request('GET', `/api/payments/order/${order.order_id}`, { token: customer.token });
+  assert.equal(latest.body.payment_id, retry.body.payment_id);
+});
+
+test('attempts are only visible to the order owner and admins', async () => {
+  const order = await placeOrder();
+  const res = await server.request('GET', `/api/payments/order/${order.order_id}/attempts`, { token: other.token });
+  assert.equal(res.status, 404);
+});
@@ -0,0 +1,138 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, startMomoMock, startZaloPayMock, createUser, seedMenu } = require('./helpers');
+const { createMomoSignature, SIGN_FIELDS } = require('../services/momo');
+
+let server;
+let momo;
+let zalopay;
+let customer;
+let admin;
+let menu;
+
+before(async () => {
+  server = await startServer();
+  customer = await createUser(server.repos);
+  admin = await createUser(server.repos, { role: 'admin' });
+  menu = await seedMenu(server.repos);
+  momo = await startMomoMock(server);
+  zalopay = await startZaloPayMock(server);
+});
+
+after(async () => {
+  await momo.close();
+  await zalopay.close();
+  await server.close();
+});
+
+// Đặt đơn 35.000đ và tạo thanh toán bằng phương thức cho trước
+async function orderWithPayment(method) {
+  const order = (await server.request('POST', '/api/orders', {
+    token: customer.token,
+    body: { items: [{ food_id: menu.foods.rice, quantity: 1 }] }
+  })).body;
+  const res = await server.request('POST', '/api/payments', {
+    token: customer.token,
+    body: { order_id: order.order_id, method, amount: order.total_price }
+  });
+  assert.equal(res.status, 200);
+  return { order, payment: res.body };
+}
+
+test('MoMo payment is completed by its IPN and the browser is redirected', async () => {
+  const { order, payment } = await orderWithPayment('momo');
+  assert.equal(payment.method, 'momo');
+  assert.match(payment.payment_url, /\/pay\?orderId=/);
+
+  const res = await fetch(payment.payment_url, { redirect: 'manual' });
+  assert.equal(momo.state.ipnResults.at(-1), 204);
+
+  const returned = await fetch(res.headers.get('location'), { redirect: 'manual' });
+  assert.match(returned.headers.get('location'), new RegExp(`payment=success&order_id=${order.order_id}$`));
+
+  const stored = await server.repos.payments.findById(payment.payment_id);
+  assert.equal(stored.status, 'completed');
+  assert.ok(stored.gateway_transaction_no);
+  assert.equal((await server.repos.orders.findById(order.order_id)).status, 'completed');
+});
+
+test('MoMo IPN with a bad signature or a tampered amount changes nothing', async () => {
+  const { payment } = await orderWithPayment('momo');
+  const ipn = {
+    partnerCode: process.env.MOMO_PARTNER_CODE,
+    orderId: payment.transaction_id,
+    requestId: payment.transaction_id,
+    amount: 1000,
+    orderInfo: 'x',
+    orderType: 'momo_wallet',
+    transId: 123,
+    resultCode: 0,
+    message: 'ok',
+    payType: 'qr',
+    responseTime: Date.now(),
+    extraData: ''
+  };
+
+  const forged = await server.request('POST', '/api/momo/ipn', { body: { ...ipn, signature: 'bad' } });
+  assert.equal(forged.status, 400);
+
+  const signature = createMomoSignature(ipn, SIGN_FIELDS.ipn, process.env.MOMO_ACCESS_KEY, process.env.MOMO_SECRET_KEY);
+  const wrongAmount = await server.request('POST', '/api/momo/ipn', { body: { ...ipn, signature } });
+  assert.equal(wrongAmount.status, 400);
+  assert.equal(wrongAmount.body.error, 'invalid_amount');
+
+  assert.equal((await server.repos.payments.findById(payment.payment_id)).status, 'pending');
+});
+
+test('MoMo payments can be refunded by an admin', async () => {
+  const { order, payment } = await orderWithPayment('momo');
+  await fetch(payment.payment_url, { redirect: 'manual' });
+
+  const res = await server.request('POST', `/api/admin/payments/${payment.payment_id}/refund`, { token: admin.token });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.refund.status, 'completed');
+  assert.equal(res.body.payment.status, 'refunded');
+  assert.equal((await server.repos.orders.findById(order.order_id)).status, 'cancelled');
+});
+
+test('ZaloPay callback completes the payment and forged callbacks are rejected', async () => {
+  const { order, payment } = await orderWithPayment('zalopay');
+  assert.equal(payment.method, 'zalopay');
+
+  const res = await fetch(payment.payment_url, { redirect: 'manual' });
+  assert.deepEqual(zalopay.state.callbackResults.at(-1), { return_code: 1, return_message: 'success' });
+  assert.equal((await server.repos.payments.findById(payment.payment_id)).status, 'completed');
+  assert.equal((await server.repos.orders.findById(order.order_id)).status, 'completed');
+
+  const returned = await fetch(res.headers.get('location'), { redirect: 'manual' });
+  assert.match(returned.headers.get('location'), /payment=success/);
+
+  const forged = await server.request('POST', '/api/zalopay/callback', { body: { data: '{}', mac: 'bad', type: 1 } });
+  assert.equal(forged.body.return_code, -1);
+});
+
+test('ZaloPay query settles a payment whose callback never arrived', async () => {
+  zalopay.setDeliverCallback(false);
+  const { order, payment } = await orderWithPayment('zalopay');
+  await fetch(payment.payment_url, { redirect: 'manual' });
+  zalopay.setDeliverCallback(true);
+  assert.equal((await server.repos.payments.findById(payment.payment_id)).status, 'pending');
+
+  const res = await server.request('POST', `/api/admin/payments/${payment.payment_id}/query`, { token: admin.token });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.settled, true);
+  assert.equal(res.body.payment.status, 'completed');
+  assert.equal((await server.repos.orders.findById(order.order_id)).status, 'completed');
+
+  const refund = await server.request('POST', `/api/admin/payments/${payment.payment_id}/refund`, {
+    token: admin.token, body: { amount: 5000 }
+  });
+  assert.equal(refund.status, 200);
+  assert.equal(refund.body.payment.status, 'partially_refunded');
+});
+
+test('cash payments cannot be queried on a gateway', async () => {
+  const { payment } = await orderWithPayment('cash');
+  const res = await server.request('POST', `/api/admin/payments/${payment.payment_id}/query`, { token: admin.token });
+  assert.equal(res.status, 400);
+});
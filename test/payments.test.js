@@ -0,0 +1,129 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, createUser, seedMenu } = require('./helpers');
+const { createVnpaySignature } = require('../services/vnpay');
+
+let server;
+let customer;
+let admin;
+let menu;
+
+before(async () => {
+  server = await startServer();
+  customer = await createUser(server.repos);
+  admin = await createUser(server.repos, { role: 'admin' });
+  menu = await seedMenu(server.repos);
+});
+
+after(() => server.close());
+
+async function placeOrder() {
+  const res = await server.request('POST', '/api/orders', {
+    token: customer.token,
+    body: { items: [{ food_id: menu.foods.rice, quantity: 1 }] }
+  });
+  return res.body;
+}
+
+// Giả lập tham số VNPAY gửi về return URL, ký bằng secret dùng trong test
+function signedReturnQuery(params) {
+  const vnpParams = { vnp_TmnCode: process.env.VNPAY_TMN_CODE, vnp_Amount: '3500000', ...params };
+  vnpParams.vnp_SecureHash = createVnpaySignature(vnpParams, process.env.VNPAY_HASH_SECRET, true);
+  return new URLSearchParams(vnpParams).toString();
+}
+
+test('cash payment confirms the order and can be confirmed by an admin', async () => {
+  const order = await placeOrder();
+  const res = await server.request('POST', '/api/payments', {
+    token: customer.token,
+    body: { order_id: order.order_id, method: 'cash', amount: order.total_price }
+  });
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.status, 'pending');
+  assert.equal((await server.repos.orders.findById(order.order_id)).status, 'confirmed');
+
+  const confirm = await server.request('POST', '/api/payments/confirm', {
+    token: admin.token,
+    body: { payment_id: res.body.payment_id }
+  });
+  assert.equal(confirm.status, 200);
+
+  const again = await server.request('POST', '/api/payments/confirm', {
+    token: admin.token,
+    body: { payment_id: res.body.payment_id }
+  });
+  assert.equal(again.status, 400);
+});
+
+test('online payment returns a signed VNPAY payment url', async () => {
+  const order = await placeOrder();
+  const res = await server.request('POST', '/api/payments', {
+    token: customer.token,
+    body: { order_id: order.order_id, method: 'online', amount: order.total_price }
+  });
+
+  assert.equal(res.status, 200);
+  assert.match(res.body.transaction_id, new RegExp(`^ORDER_${order.order_id}_`));
+
+  const url = new URL(res.body.payment_url);
+  assert.equal(url.searchParams.get('vnp_Amount'), String(order.total_price * 100));
+  assert.equal(url.searchParams.get('vnp_TxnRef'), res.body.transaction_id);
+  assert.ok(url.searchParams.get('vnp_SecureHash'));
+});
+
+test('rejects unknown payment methods and amounts that differ from the order total', async () => {
+  const order = await placeOrder();
+
+  const badMethod = await server.request('POST', '/api/payments', {
+    token: customer.token,
+    body: { order_id: order.order_id, method: 'bitcoin', amount: 1000 }
+  });
+  assert.equal(badMethod.status, 400);
+
+  const underpaid = await server.request('POST', '/api/payments', {
+    token: customer.token,
+    body: { order_id: order.order_id, method: 'online', amount: 1000 }
+  });
+  assert.equal(underpaid.status, 400);
+  assert.equal(underpaid.body.expected_amount, order.total_price);
+  assert.equal(await server.repos.payments.findByOrder(order.order_id), null);
+});
+
+test('the payment amount is taken from the order when omitted', async () => {
+  const order = await placeOrder();
+  const res = await server.request('POST', '/api/payments', {
+    token: customer.token,
+    body: { order_id: order.order_id, method: 'online' }
+  });
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.amount, order.total_price);
+  assert.equal(new URL(res.body.payment_url).searchParams.get('vnp_Amount'), String(order.total_price * 100));
+});
+
+test('VNPAY return only redirects and leaves the payment to the IPN', async () => {
+  const order = await placeOrder();
+  const payment = await server.request('POST', '/api/payments', {
+    token: customer.token,
+    body: { order_id: order.order_id, method: 'online', amount: order.total_price }
+  });
+
+  const query = signedReturnQuery({ vnp_TxnRef: payment.body.transaction_id, vnp_ResponseCode: '00' });
+  const res = await server.request('GET', `/api/vnpay/return?${query}`);
+
+  assert.equal(res.status, 302);
+  assert.match(res.headers.get('location'), new RegExp(`payment=success&order_id=${order.order_id}$`));
+  assert.equal((await server.repos.payments.findByOrder(order.order_id)).status, 'pending');
+  assert.equal((await server.repos.orders.findById(order.order_id)).status, 'pending');
+});
+
+test('VNPAY return rejects a tampered signature', async () => {
+  const order = await placeOrder();
+  const query = signedReturnQuery({ vnp_TxnRef: `ORDER_${order.order_id}_1`, vnp_ResponseCode: '00' })
+    .replace('vnp_ResponseCode=00', 'vnp_ResponseCode=24');
+  const res = await server.request('GET', `/api/vnpay/return?${query}`);
+
+  assert.equal(res.status, 400);
+  assert.equal(res.body.error, 'Invalid signature');
+});
@@ -0,0 +1,101 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, createUser, seedMenu } = require('./helpers');
+
+let server;
+let customer;
+let cashier;
+let kitchen;
+let manager;
+let admin;
+let menu;
+
+before(async () => {
+  server = await startServer();
+  customer = await createUser(server.repos);
+  cashier = await createUser(server.repos, { role: 'cashier' });
+  kitchen = await createUser(server.repos, { role: 'kitchen' });
+  manager = await createUser(server.repos, { role: 'manager' });
+  admin = await createUser(server.repos, { role: 'admin' });
+  menu = await seedMenu(server.repos);
+});
+
+after(() => server.close());
+
+const as = (user, method, path, body) => server.request(method, path, { token: user.token, body });
+
+async function placeCashOrder() {
+  const order = (await as(customer, 'POST', '/api/orders', { items: [{ food_id: menu.foods.rice, quantity: 1 }] })).body;
+  const payment = (await as(customer, 'POST', '/api/payments', { order_id: order.order_id, method: 'cash' })).body;
+  return { ...order, payment_id: payment.payment_id };
+}
+
+test('a cashier takes cash and scans tickets but cannot refund or read reports', async () => {
+  const order = await placeCashOrder();
+
+  assert.equal((await as(cashier, 'POST', '/api/payments/confirm', { payment_id: order.payment_id })).status, 200);
+  assert.equal((await as(cashier, 'GET', `/api/admin/orders/${order.order_id}`)).status, 200);
+  assert.equal((await as(cashier, 'PUT', `/api/admin/orders/${order.order_id}/status`, { status: 'completed' })).status, 200);
+
+  const scan = await as(cashier, 'POST', '/api/admin/tickets/redeem', { ticket_code: order.ticket_code });
+  assert.equal(scan.status, 200);
+  assert.equal(scan.body.redeemed, true);
+
+  assert.equal((await as(cashier, 'POST', `/api/admin/payments/${order.payment_id}/refund`, {})).status, 403);
+  assert.equal((await as(cashier, 'GET', '/api/admin/reports/reconciliation')).status, 403);
+  assert.equal((await as(cashier, 'POST', '/api/foods', { name: 'Phở', price: 40000 })).status, 403);
+});
+
+test('kitchen staff work the queue but cannot scan tickets or change the menu', async () => {
+  const order = await placeCashOrder();
+  await as(cashier, 'POST', '/api/payments/confirm', { payment_id: order.payment_id });
+
+  assert.equal((await as(kitchen, 'GET', '/api/kitchen/queue')).status, 200);
+  assert.equal((await as(kitchen, 'POST', `/api/kitchen/orders/${order.order_id}/bump`)).status, 200);
+  assert.equal((await as(kitchen, 'POST', '/api/admin/stations', { name: 'Bếp nướng' })).status, 403);
+  assert.equal((await as(kitchen, 'POST', '/api/admin/tickets/redeem', { ticket_code: order.ticket_code })).status, 403);
+  assert.equal((await as(kitchen, 'PUT', `/api/admin/foods/${menu.foods.rice}/stock`, { daily_stock: 5 })).status, 403);
+});
+
+test('managers run reports and the menu, customers reach no staff route', async () => {
+  assert.equal((await as(manager, 'GET', '/api/admin/reports/reconciliation')).status, 200);
+  assert.equal((await as(manager, 'GET', '/api/admin/foods')).status, 200);
+  assert.equal((await as(manager, 'GET', '/api/users')).status, 403);
+
+  for (const [method, path] of [
+    ['GET', '/api/admin/orders'],
+    ['GET', '/api/kitchen/queue'],
+    ['POST', '/api/admin/tickets/redeem'],
+    ['GET', '/api/admin/reports/reconciliation'],
+    ['GET', '/api/users']
+  ]) {
+    assert.equal((await as(customer, method, path)).status, 403, `${method} ${path}`);
+  }
+});
+
+test('user management requires an admin and keeps at least one admin', async () => {
+  assert.equal((await server.request('GET', '/api/users')).status, 401);
+  assert.equal((await server.request('DELETE', `/api/users/${customer.id}`)).status, 401);
+
+  const users = await as(admin, 'GET', '/api/users');
+  assert.equal(users.status, 200);
+  assert.ok(users.body.some(u => u.id === cashier.id && u.role === 'cashier'));
+
+  // 'user' không còn là một vai trò hợp lệ
+  assert.equal((await as(admin, 'PUT', `/api/users/${customer.id}/role`, { role: 'user' })).status, 400);
+  assert.equal((await as(admin, 'PUT', '/api/users/999999/role', { role: 'cashier' })).status, 404);
+
+  const staff = await createUser(server.repos);
+  assert.equal((await as(admin, 'PUT', `/api/users/${staff.id}/role`, { role: 'manager' })).status, 200);
+  assert.equal((await server.repos.users.findById(staff.id)).role, 'manager');
+
+  // admin là admin duy nhất
+  const demote = await as(admin, 'PUT', `/api/users/${admin.id}/role`, { role: 'manager' });
+  assert.equal(demote.status, 400);
+  assert.equal((await as(admin, 'DELETE', `/api/users/${admin.id}`)).status, 400);
+  assert.equal((await server.repos.users.findById(admin.id)).role, 'admin');
+
+  const other = await createUser(server.repos, { role: 'admin' });
+  assert.equal((await as(other, 'DELETE', `/api/users/${admin.id}`)).status, 200);
+  assert.equal(await server.repos.users.findById(admin.id), null);
+});
@@ -0,0 +1,177 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, createUser, seedMenu } = require('./helpers');
+
+let server;
+let customer;
+let manager;
+let menu;
+
+before(async () => {
+  server = await startServer();
+  customer = await createUser(server.repos);
+  manager = await createUser(server.repos, { role: 'manager' });
+  menu = await seedMenu(server.repos);
+});
+
+after(async () => {
+  await server.close();
+});
+
+const asManager = (method, path, body) => server.request(method, path, { token: manager.token, body });
+const createPromotion = async (body) => {
+  const res = await asManager('POST', '/api/admin/promotions', body);
+  assert.equal(res.status, 201, JSON.stringify(res.body));
+  return res.body;
+};
+const cart = (path, user, items, coupon_code) => server.request('POST', path, { token: user.token, body: { items, coupon_code } });
+const hours = n => new Date(Date.now() + n * 3600 * 1000).toISOString();
+
+test('managers create, update and delete promotions', async () => {
+  const created = await createPromotion({ code: 'sale10', name: 'Giảm 10%', type: 'percent', value: 10, max_discount: 5000 });
+  assert.deepEqual([created.code, created.max_discount, created.is_active], ['SALE10', 5000, true]);
+
+  const duplicate = await asManager('POST', '/api/admin/promotions', { code: 'SALE10', name: 'Trùng', type: 'fixed', value: 1000 });
+  assert.deepEqual([duplicate.status, duplicate.body.message_key], [409, 'promotions.code_exists']);
+
+  const invalid = [
+    [{ name: 'Quá', type: 'percent', value: 150 }, 'promotions.percent_range'],
+    [{ name: 'Trần', type: 'fixed', value: 1000, max_discount: 500 }, 'promotions.max_discount_percent_only'],
+    [{ name: 'Thiếu', type: 'buy_x_get_y', value: 100, buy: { food_id: menu.foods.tea, quantity: 1 } }, 'promotions.buy_get_required'],
+    [{ name: 'Lẻ', type: 'combo', value: 1000, items: [{ food_id: menu.foods.tea, quantity: 1 }] }, 'promotions.combo_items_required'],
+    [{ name: 'Ngược', type: 'fixed', value: 1000, starts_at: hours(2), ends_at: hours(1) }, 'promotions.window_invalid'],
+    [{ name: 'Món lạ', type: 'combo', value: 1000, items: [{ food_id: 999, quantity: 2 }] }, 'promotions.food_not_found']
+  ];
+  for (const [body, key] of invalid) {
+    const res = await asManager('POST', '/api/admin/promotions', body);
+    assert.deepEqual([res.status, res.body.message_key], [400, key], key);
+  }
+  const badDate = await asManager('POST', '/api/admin/promotions', { name: 'Ngày', type: 'fixed', value: 1000, ends_at: 'tomorrow' });
+  assert.equal(badDate.body.details[0].message_key, 'validation.datetime');
+
+  const updated = await asManager('PUT', `/api/admin/promotions/${created.id}`, { code: 'SALE10', name: 'Giảm 10%', type: 'percent', value: 10, is_active: false });
+  assert.deepEqual([updated.status, updated.body.is_active, updated.body.max_discount], [200, false, null]);
+
+  const listed = (await asManager('GET', '/api/admin/promotions')).body.find(p => p.id === created.id);
+  assert.equal(listed.used_count, 0);
+
+  const forbidden = await server.request('POST', '/api/admin/promotions', { token: customer.token, body: { name: 'X', type: 'fixed', value: 1 } });
+  assert.equal(forbidden.status, 403);
+
+  assert.equal((await asManager('DELETE', `/api/admin/promotions/${created.id}`)).status, 200);
+  assert.equal((await asManager('DELETE', `/api/admin/promotions/${created.id}`)).status, 404);
+
+  const audit = await server.repos.auditLogs.search({ entityType: 'promotion' }, { limit: 10 });
+  assert.deepEqual(audit.map(e => e.action).sort(), ['promotion.created', 'promotion.deleted', 'promotion.updated']);
+});
+
+test('the preview applies automatic promotions and a coupon without placing an order', async () => {
+  const freeTea = await createPromotion({
+    name: 'Mua 2 trà tặng 1', type: 'buy_x_get_y', value: 100,
+    buy: { food_id: menu.foods.tea, quantity: 2 }, get: { food_id: menu.foods.tea, quantity: 1 }
+  });
+  const combo = await createPromotion({
+    name: 'Cơm + trà', type: 'combo', value: 38000,
+    items: [{ food_id: menu.foods.rice, quantity: 1 }, { food_id: menu.foods.tea, quantity: 1 }]
+  });
+  await createPromotion({ code: 'TENOFF', name: 'Giảm 10%', type: 'percent', value: 10, max_discount: 5000 });
+  const ordersBefore = server.repos.store.tables.orders.length;
+
+  const items = [{ food_id: menu.foods.rice, quantity: 1 }, { food_id: menu.foods.tea, quantity: 4 }];
+  const preview = await cart('/api/orders/preview', customer, items, 'tenoff');
+  assert.equal(preview.status, 200);
+  // Tạm tính 55000: tặng 1 trà (-5000), combo cơm + trà (40000 -> 38000), rồi 10% của 48000
+  assert.equal(preview.body.subtotal, 55000);
+  assert.deepEqual(preview.body.discounts.map(d => [d.name, d.amount]), [
+    ['Mua 2 trà tặng 1', 5000], ['Cơm + trà', 2000], ['Giảm 10%', 4800]
+  ]);
+  assert.deepEqual([preview.body.discount_total, preview.body.total_price], [11800, 43200]);
+  assert.deepEqual(preview.body.items.map(i => i.line_total), [35000, 20000]);
+  assert.equal(server.repos.store.tables.orders.length, ordersBefore);
+
+  const placed = await cart('/api/orders', customer, items, 'TENOFF');
+  assert.deepEqual([placed.body.subtotal, placed.body.total_price], [55000, 43200]);
+
+  const detail = (await asManager('GET', `/api/admin/orders/${placed.body.order_id}`)).body;
+  assert.equal(detail.order.discount_total, 11800);
+  assert.deepEqual(detail.discounts.map(d => [d.code, d.amount]), [[null, 5000], [null, 2000], ['TENOFF', 4800]]);
+
+  // Tắt khuyến mãi tự động để không ảnh hưởng các test sau
+  await asManager('DELETE', `/api/admin/promotions/${freeTea.id}`);
+  await asManager('DELETE', `/api/admin/promotions/${combo.id}`);
+});
+
+test('usage limits count placed orders and cancelled orders give the use back', async () => {
+  const promotion = await createPromotion({ code: 'ONCE', name: 'Giảm 3000', type: 'fixed', value: 3000, usage_limit: 2, per_user_limit: 1 });
+  const rice = [{ food_id: menu.foods.rice, quantity: 1 }];
+  const second = await createUser(server.repos);
+  const third = await createUser(server.repos);
+
+  const first = await cart('/api/orders', customer, rice, 'ONCE');
+  assert.equal(first.body.total_price, 32000);
+  const again = await cart('/api/orders', customer, rice, 'ONCE');
+  assert.deepEqual([again.status, again.body.message_key], [400, 'promotions.user_limit_reached']);
+
+  assert.equal((await cart('/api/orders', second, rice, 'ONCE')).status, 200);
+  const exhausted = await cart('/api/orders/preview', third, rice, 'ONCE');
+  assert.deepEqual([exhausted.status, exhausted.body.message_key], [400, 'promotions.usage_exhausted']);
+
+  await server.request('DELETE', `/api/orders/${first.body.order_id}`, { token: customer.token });
+  assert.equal((await cart('/api/orders', third, rice, 'ONCE')).body.total_price, 32000);
+
+  const listed = (await asManager('GET', '/api/admin/promotions')).body.find(p => p.id === promotion.id);
+  assert.equal(listed.used_count, 2);
+});
+
+test('coupons outside their window or conditions are refused', async () => {
+  await createPromotion({ code: 'LATER', name: 'Sắp có', type: 'fixed', value: 1000, starts_at: hours(24) });
+  await createPromotion({ code: 'OLD', name: 'Hết hạn', type: 'fixed', value: 1000, ends_at: hours(-1) });
+  await createPromotion({ code: 'BIG', name: 'Đơn lớn', type: 'fixed', value: 1000, min_order_value: 100000 });
+  await createPromotion({
+    code: 'DUO', name: 'Đôi trà', type: 'combo', value: 8000,
+    items: [{ food_id: menu.foods.rice, quantity: 1 }, { food_id: menu.foods.tea, quantity: 1 }]
+  });
+
+  const tea = [{ food_id: menu.foods.tea, quantity: 1 }];
+  const refusals = [['LATER', 400, 'promotions.not_started'], ['OLD', 400, 'promotions.expired'],
+    ['BIG', 400, 'promotions.min_order'], ['DUO', 400, 'promotions.not_applicable'], ['NOPE', 404, 'promotions.code_not_found']];
+  for (const [code, status, key] of refusals) {
+    const res = await cart('/api/orders/preview', customer, tea, code);
+    assert.deepEqual([res.status, res.body.message_key], [status, key], code);
+  }
+
+  const vietnamese = await server.request('POST', '/api/orders/preview', {
+    token: customer.token, body: { items: tea, coupon_code: 'BIG' }, headers: { 'Accept-Language': 'vi' }
+  });
+  assert.equal(vietnamese.body.error, 'Khuyến mãi này áp dụng cho đơn từ 100000');
+});
+
+test('a coupon worth the whole cart leaves the order payable', async () => {
+  await createPromotion({ code: 'FREE', name: 'Miễn phí', type: 'percent', value: 100 });
+  await createPromotion({ code: 'HUGE', name: 'Giảm 100000', type: 'fixed', value: 100000 });
+  const tea = [{ food_id: menu.foods.tea, quantity: 1 }];
+
+  for (const code of ['FREE', 'HUGE']) {
+    const placed = await cart('/api/orders', customer, tea, code);
+    assert.equal(placed.status, 200, code);
+    assert.deepEqual([placed.body.discounts[0].amount, placed.body.total_price], [4999, 1], code);
+
+    const payment = await server.request('POST', '/api/payments', {
+      token: customer.token, body: { order_id: placed.body.order_id, method: 'cash' }
+    });
+    assert.equal(payment.status, 200, code);
+    assert.equal(payment.body.amount, 1);
+  }
+});
+
+test('an order whose options bring the total to 0 is refused', async () => {
+  const admin = await createUser(server.repos, { role: 'admin' });
+  const group = (await server.request('POST', `/api/admin/foods/${menu.foods.rice}/option-groups`, {
+    token: admin.token, body: { name: 'Suất', options: [{ name: 'Suất nhân viên', price_delta: -35000 }] }
+  })).body;
+  const items = [{ food_id: menu.foods.rice, quantity: 1, options: [group.options[0].id] }];
+
+  const res = await cart('/api/orders', customer, items);
+  assert.equal(res.status, 400);
+  assert.equal(res.body.message_key, 'orders.total_not_positive');
+});
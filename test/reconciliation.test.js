@@ -0,0 +1,85 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, startVnpayMock, createUser, seedMenu } = require('./helpers');
+
+let server;
+let mock;
+let customer;
+let admin;
+let menu;
+
+before(async () => {
+  server = await startServer();
+  customer = await createUser(server.repos);
+  admin = await createUser(server.repos, { role: 'admin' });
+  menu = await seedMenu(server.repos);
+  mock = await startVnpayMock(server);
+});
+
+after(async () => {
+  await mock.close();
+  await server.close();
+});
+
+async function placeOrder() {
+  return (await server.request('POST', '/api/orders', {
+    token: customer.token,
+    body: { items: [{ food_id: menu.foods.rice, quantity: 1 }] }
+  })).body;
+}
+
+const report = (query = '') => server.request('GET', `/api/admin/reports/reconciliation${query}`, { token: admin.token });
+
+test('the daily report totals payments per method and flags discrepancies', async () => {
+  // Thanh toán VNPAY hợp lệ
+  const paid = await placeOrder();
+  const payment = (await server.request('POST', '/api/payments', {
+    token: customer.token, body: { order_id: paid.order_id, method: 'online' }
+  })).body;
+  await fetch(payment.payment_url, { redirect: 'manual' });
+
+  // Admin đánh dấu hoàn tất khi chưa thu tiền
+  const unpaid = await placeOrder();
+  await server.request('PUT', `/api/admin/orders/${unpaid.order_id}/status`, {
+    token: admin.token, body: { status: 'completed' }
+  });
+
+  // Thanh toán được ghi nhận với số tiền sai
+  const short = await placeOrder();
+  const shortPaymentId = await server.repos.payments.create({
+    orderId: short.order_id, method: 'cash', amount: 1000, status: 'pending', transactionId: null
+  });
+  await server.repos.payments.updateStatusFrom(shortPaymentId, 'pending', 'completed');
+
+  const res = await report();
+  assert.equal(res.status, 200);
+  assert.equal(res.body.days.length, 1);
+
+  const [day] = res.body.days;
+  assert.equal(day.orders, 3);
+  assert.equal(day.expected, 3 * 35000);
+  assert.equal(day.collected, 35000 + 1000);
+  assert.equal(day.gateway_confirmed, 35000);
+  assert.deepEqual(day.by_method, { online: 35000, cash: 1000 });
+  assert.equal(day.difference, 36000 - 105000);
+
+  const issues = Object.fromEntries(res.body.discrepancies.map(d => [d.order_id, d.issues]));
+  assert.equal(issues[paid.order_id], undefined);
+  assert.deepEqual(issues[unpaid.order_id], ['completed_without_payment']);
+  assert.deepEqual(issues[short.order_id], ['amount_mismatch']);
+});
+
+test('the report validates the date range and requires admin', async () => {
+  // Ngày sai bị route từ chối như mọi lỗi kiểm tra dữ liệu; khoảng ngày do báo cáo kiểm tra
+  const invalid = await report('?from=2026-02-30');
+  assert.deepEqual([invalid.status, invalid.body.code], [400, 'VALIDATION_ERROR']);
+  assert.equal((await report('?from=2026-03-10&to=2026-03-01')).status, 400);
+  assert.equal((await report('?from=2026-01-01&to=2026-03-01')).status, 400);
+
+  const empty = await report('?from=2020-01-01&to=2020-01-03');
+  assert.equal(empty.status, 200);
+  assert.deepEqual(empty.body.days.map(d => [d.date, d.orders]), [['2020-01-01', 0], ['2020-01-02', 0], ['2020-01-03', 0]]);
+
+  const forbidden = await server.request('GET', '/api/admin/reports/reconciliation', { token: customer.token });
+  assert.equal(forbidden.status, 403);
+});
@@ -0,0 +1,115 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('zlib');
+const { startServer, createUser, seedMenu } = require('./helpers');
+
+let server;
+let customer;
+let manager;
+let menu;
+
+before(async () => {
+  server = await startServer();
+  customer = await createUser(server.repos);
+  manager = await createUser(server.repos, { role: 'manager' });
+  menu = await seedMenu(server.repos);
+});
+
+after(async () => {
+  await server.close();
+});
+
+const report = (path, query) => server.request('GET', `/api/admin/reports/${path}?${new URLSearchParams(query)}`, { token: manager.token });
+const day = (date, hour) => new Date(date.getFullYear(), date.getMonth(), date.getDate(), hour);
+const formatDay = date => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+
+// Đặt đơn qua API rồi đặt trạng thái, giờ đặt và thanh toán trực tiếp trong repository
+async function placeAt(createdAt, items, { status, method = null, refunded = 0 }) {
+  const placed = (await server.request('POST', '/api/orders', { token: customer.token, body: { items } })).body;
+  await server.repos.orders.updateStatus(placed.order_id, status);
+  server.repos.store.tables.orders.find(o => o.id === placed.order_id).created_at = createdAt;
+  if (method) {
+    const paymentId = await server.repos.payments.create({
+      orderId: placed.order_id, method, amount: placed.total_price, status: refunded ? 'partially_refunded' : 'completed', transactionId: `T${placed.order_id}`
+    });
+    server.repos.store.tables.payments.find(p => p.payment_id === paymentId).refunded_amount = refunded;
+  }
+  return placed;
+}
+
+// Đọc các file trong zip (chỉ đủ cho file do services/xlsx.js tạo)
+function unzip(buffer) {
+  const files = {};
+  for (let offset = 0; buffer.readUInt32LE(offset) === 0x04034B50;) {
+    const size = buffer.readUInt32LE(offset + 18);
+    const nameLength = buffer.readUInt16LE(offset + 26);
+    const name = buffer.toString('utf8', offset + 30, offset + 30 + nameLength);
+    const start = offset + 30 + nameLength;
+    files[name] = zlib.inflateRawSync(buffer.subarray(start, start + size)).toString('utf8');
+    offset = start + size;
+  }
+  return files;
+}
+
+test('the sales report breaks revenue down by time, food, category and payment method', async () => {
+  const today = new Date();
+  const yesterday = new Date(today.getFullYear(), today.getMonth(), today.getDate() - 1);
+  const rice = { food_id: menu.foods.rice, quantity: 1 };
+  const tea = { food_id: menu.foods.tea, quantity: 2 };
+
+  await placeAt(day(yesterday, 11), [rice, tea], { status: 'scanned', method: 'cash' });
+  await placeAt(day(yesterday, 12), [rice], { status: 'completed', method: 'online', refunded: 5000 });
+  await placeAt(day(today, 12), [tea], { status: 'confirmed' });
+  await placeAt(day(today, 12), [rice], { status: 'cancelled' });
+  await placeAt(day(today, 18), [rice], { status: 'pending' });
+
+  const res = await report('sales', { from: formatDay(yesterday), to: formatDay(today) });
+  assert.equal(res.status, 200);
+  const { summary } = res.body;
+  assert.deepEqual(
+    [summary.orders, summary.placed_orders, summary.cancelled_orders, summary.pending_orders, summary.cancellation_rate],
+    [3, 5, 1, 1, 0.2]
+  );
+  assert.deepEqual([summary.revenue, summary.average_order_value, summary.items_sold], [90000, 30000, 6]);
+
+  assert.deepEqual(res.body.by_day.map(d => [d.date, d.orders, d.revenue]), [
+    [formatDay(yesterday), 2, 80000], [formatDay(today), 1, 10000]
+  ]);
+  assert.deepEqual(res.body.by_hour.filter(h => h.orders > 0).map(h => [h.hour, h.orders]), [[11, 1], [12, 2]]);
+  assert.deepEqual(res.body.by_food.map(f => [f.food_name, f.quantity, f.sales]), [['Cơm gà', 2, 70000], ['Trà đá', 4, 20000]]);
+  assert.deepEqual(res.body.by_category.map(c => [c.category_name, c.sales, c.share]), [['Cơm', 90000, 1]]);
+  // 'online' là tên cũ của VNPAY
+  assert.deepEqual(res.body.by_payment_method.map(m => [m.method, m.collected, m.refunded, m.net]), [
+    ['cash', 45000, 0, 45000], ['vnpay', 35000, 5000, 30000]
+  ]);
+
+  const weekday = ((yesterday.getDay() + 6) % 7) + 1;
+  assert.equal(res.body.heatmap.find(w => w.weekday === weekday).hours[11], 1);
+
+  const tooLong = await report('sales', { from: '2024-01-01', to: '2025-06-01' });
+  assert.deepEqual([tooLong.status, tooLong.body.message_key], [400, 'reports.range_too_long']);
+  const forbidden = await server.request('GET', '/api/admin/reports/sales', { token: customer.token });
+  assert.equal(forbidden.status, 403);
+});
+
+test('the sales report exports one table as CSV or every table as XLSX', async () => {
+  const today = formatDay(new Date());
+  const yesterday = formatDay(new Date(Date.now() - 86400000));
+
+  const csv = await report('sales/export', { from: yesterday, to: today, table: 'by_food' });
+  assert.equal(csv.status, 200);
+  assert.match(csv.headers.get('content-disposition'), /sales-\d{8}-\d{8}-by_food\.csv/);
+  const lines = csv.body.replace(/^﻿/, '').trim().split('\r\n');
+  assert.deepEqual(lines.slice(0, 2), ['food_id,food_name,category_name,quantity,sales', `${menu.foods.rice},Cơm gà,Cơm,2,70000`]);
+
+  const res = await fetch(`${server.baseUrl}/api/admin/reports/sales/export?format=xlsx&from=${yesterday}&to=${today}`, {
+    headers: { Authorization: `Bearer ${manager.token}` }
+  });
+  assert.equal(res.headers.get('content-type'), 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+  const files = unzip(Buffer.from(await res.arrayBuffer()));
+  assert.match(files['xl/workbook.xml'], /<sheet name="Summary".*<sheet name="By food".*<sheet name="Peak hours"/);
+  assert.match(files['xl/worksheets/sheet5.xml'], /<c r="B2" t="inlineStr"><is><t xml:space="preserve">Cơm gà<\/t><\/is><\/c>.*<c r="E2"><v>70000<\/v><\/c>/);
+
+  const badTable = await report('sales/export', { table: 'nope' });
+  assert.equal(badTable.status, 400);
+});
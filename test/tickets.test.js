@@ -0,0 +1,192 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, createUser, seedMenu } = require('./helpers');
+const { createTicketCode, verifyTicketCode } = require('../services/ticketCodes');
+
+let server;
+let customer;
+let admin;
+let menu;
+
+before(async () => {
+  server = await startServer();
+  customer = await createUser(server.repos);
+  admin = await createUser(server.repos, { role: 'admin' });
+  menu = await seedMenu(server.repos);
+});
+
+after(() => server.close());
+
+async function placeOrder() {
+  const res = await server.request('POST', '/api/orders', {
+    token: customer.token,
+    body: { items: [{ food_id: menu.foods.tea, quantity: 2 }] }
+  });
+  return res.body;
+}
+
+// Máy quét ở quầy hiển thị tiếng Việt
+const scan = ticket_code => server.request('POST', '/api/admin/scan-qr', {
+  token: admin.token, body: { ticket_code }, headers: { 'Accept-Language': 'vi' }
+});
+
+test('customers can read the ticket of their own order only', async () => {
+  const order = await placeOrder();
+  const other = await createUser(server.repos);
+
+  const own = await server.request('GET', `/api/tickets/${order.order_id}`, { token: customer.token });
+  assert.equal(own.status, 200);
+  assert.equal(own.body.ticket_code, order.ticket_code);
+
+  const foreign = await server.request('GET', `/api/tickets/${order.order_id}`, { token: other.token });
+  assert.equal(foreign.status, 404);
+});
+
+test('scanning refuses orders that are not paid yet', async () => {
+  const order = await placeOrder();
+
+  const pending = await scan(order.ticket_code);
+  assert.equal(pending.status, 400);
+  assert.equal(pending.body.message, 'Đơn hàng của bạn chưa được xác nhận.');
+
+  await server.repos.orders.updateStatus(order.order_id, 'confirmed');
+  const confirmed = await scan(order.ticket_code);
+  assert.equal(confirmed.status, 400);
+  assert.equal(confirmed.body.message, 'Vui lòng thanh toán trước khi nhận đồ ăn.');
+});
+
+test('scanning accepts a confirmed order once its cash payment is confirmed', async () => {
+  const order = await placeOrder();
+  const payment = (await server.request('POST', '/api/payments', {
+    token: customer.token, body: { order_id: order.order_id, method: 'cash' }
+  })).body;
+  await server.repos.orders.updateStatus(order.order_id, 'confirmed');
+
+  const unpaid = await scan(order.ticket_code);
+  assert.equal(unpaid.status, 400);
+  assert.equal(unpaid.body.message, 'Vui lòng thanh toán trước khi nhận đồ ăn.');
+
+  const confirmed = await server.request('POST', '/api/payments/confirm', { token: admin.token, body: { payment_id: payment.payment_id } });
+  assert.equal(confirmed.status, 200);
+
+  const res = await scan(order.ticket_code);
+  assert.equal(res.status, 200);
+  assert.equal(res.body.redeemed, true);
+  assert.equal((await server.repos.orders.findById(order.order_id)).status, 'scanned');
+});
+
+test('scanning a completed order redeems the ticket once', async () => {
+  const order = await placeOrder();
+  await server.repos.orders.updateStatus(order.order_id, 'completed');
+
+  const first = await scan(order.ticket_code);
+  assert.equal(first.status, 200);
+  assert.equal((await server.repos.orders.findById(order.order_id)).status, 'scanned');
+
+  const second = await scan(order.ticket_code);
+  assert.equal(second.status, 400);
+  assert.equal(second.body.message, 'Mã đã qua sử dụng. Vui lòng đặt đơn hàng mới.');
+});
+
+test('scanning requires the admin role and a known ticket', async () => {
+  const denied = await server.request('POST', '/api/admin/scan-qr', { token: customer.token, body: { ticket_code: 'x' } });
+  assert.equal(denied.status, 403);
+
+  const unknown = await scan('does-not-exist');
+  assert.equal(unknown.status, 404);
+});
+
+test('tickets are signed codes that embed the order id and expiry', async () => {
+  const order = await placeOrder();
+  assert.match(order.ticket_code, /^FO\.\d+\.\d+\.[\w-]+$/);
+
+  const { orderId, expiresAt } = verifyTicketCode(order.ticket_code);
+  assert.equal(orderId, order.order_id);
+  const hours = (expiresAt - Date.now()) / 3600000;
+  assert.ok(hours > 23 && hours <= 24);
+
+  // Sửa order_id trong mã làm chữ ký không còn khớp
+  const forged = order.ticket_code.replace(`FO.${order.order_id}.`, `FO.${order.order_id + 1}.`);
+  assert.throws(() => verifyTicketCode(forged), { reason: 'invalid_signature' });
+  const rejected = await scan(forged);
+  assert.equal(rejected.status, 400);
+  assert.equal(rejected.body.reason, 'invalid_code');
+});
+
+test('expired tickets are refused at scan time', async () => {
+  const order = await placeOrder();
+  await server.repos.orders.updateStatus(order.order_id, 'completed');
+
+  const ticket = await server.repos.tickets.findByOrder(order.order_id);
+  const lastWeek = new Date(Date.now() - 7 * 24 * 3600 * 1000);
+  const expired = createTicketCode(order.order_id, { now: lastWeek }).ticketCode;
+  server.repos.store.tables.tickets.find(t => t.id === ticket.id).ticket_code = expired;
+
+  const res = await scan(expired);
+  assert.equal(res.status, 400);
+  assert.equal(res.body.message, 'Mã đã hết hạn. Vui lòng đặt đơn hàng mới.');
+  assert.equal((await server.repos.orders.findById(order.order_id)).status, 'completed');
+});
+
+test('the ticket QR code is served as PNG and SVG to its owner', async () => {
+  const order = await placeOrder();
+  const qr = format => fetch(`${server.baseUrl}/api/tickets/${order.order_id}/qr${format ? `?format=${format}` : ''}`, {
+    headers: { Authorization: `Bearer ${customer.token}` }
+  });
+
+  const png = await qr();
+  assert.equal(png.status, 200);
+  assert.equal(png.headers.get('content-type'), 'image/png');
+  const bytes = Buffer.from(await png.arrayBuffer());
+  assert.deepEqual([...bytes.subarray(0, 4)], [0x89, 0x50, 0x4e, 0x47]);
+
+  const svg = await qr('svg');
+  assert.match(svg.headers.get('content-type'), /^image\/svg\+xml/);
+  assert.match(await svg.text(), /^<svg/);
+
+  assert.equal((await qr('gif')).status, 400);
+  const other = await createUser(server.repos);
+  const foreign = await server.request('GET', `/api/tickets/${order.order_id}/qr`, { token: other.token });
+  assert.equal(foreign.status, 404);
+});
+
+test('redemption returns the order summary and records the staff member and device', async () => {
+  const order = await placeOrder();
+  await server.repos.orders.updateStatus(order.order_id, 'completed');
+
+  const res = await server.request('POST', '/api/admin/tickets/redeem', {
+    token: admin.token, body: { ticket_code: order.ticket_code, device_id: 'counter-1' }
+  });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.redeemed, true);
+  assert.equal(res.body.reason, null);
+  assert.equal(res.body.order.status, 'scanned');
+  assert.equal(res.body.order.total_price, 10000);
+  assert.deepEqual(res.body.items.map(i => [i.food_name, i.quantity]), [['Trà đá', 2]]);
+  assert.equal(res.body.payment, null);
+  assert.equal(res.body.ticket.used_by, admin.id);
+  assert.equal(res.body.ticket.used_device, 'counter-1');
+  assert.ok(res.body.ticket.used_at);
+
+  // Lần quét sau cho biết phiếu đã được dùng ở đâu
+  const again = await server.request('POST', '/api/tickets/verify', {
+    token: admin.token, body: { ticket_code: order.ticket_code }
+  });
+  assert.equal(again.status, 400);
+  assert.equal(again.body.reason, 'already_used');
+  assert.equal(again.body.ticket.used_device, 'counter-1');
+});
+
+test('two scanners redeeming the same ticket at once succeed exactly once', async () => {
+  const order = await placeOrder();
+  await server.repos.orders.updateStatus(order.order_id, 'completed');
+
+  const results = await Promise.all(['counter-1', 'counter-2'].map(device => server.request('POST', '/api/admin/scan-qr', {
+    token: admin.token, body: { ticket_code: order.ticket_code }, headers: { 'X-Device-Id': device }
+  })));
+  assert.deepEqual(results.map(r => r.body.redeemed).sort(), [false, true]);
+  assert.equal(results.find(r => !r.body.redeemed).body.reason, 'already_used');
+
+  const history = await server.repos.orderStatusHistory.listByOrder(order.order_id);
+  assert.equal(history.filter(h => h.to_status === 'scanned').length, 1);
+});
@@ -0,0 +1,107 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, createUser, seedMenu } = require('./helpers');
+const { v, validate } = require('../middleware/validate');
+
+let server;
+let customer;
+let manager;
+let menu;
+
+before(async () => {
+  server = await startServer();
+  customer = await createUser(server.repos);
+  manager = await createUser(server.repos, { role: 'manager' });
+  menu = await seedMenu(server.repos);
+});
+
+after(() => server.close());
+
+const as = (user, method, path, body) => server.request(method, path, { token: user.token, body });
+
+test('invalid bodies are rejected with field-level details', async () => {
+  const food = await as(manager, 'POST', '/api/foods', { name: '  ', price: -5000, category_id: menu.categoryId });
+  assert.equal(food.status, 400);
+  assert.equal(food.body.code, 'VALIDATION_ERROR');
+  assert.equal(food.body.error, 'name must not be empty');
+  assert.deepEqual(food.body.details.map(d => [d.location, d.field, d.code]), [
+    ['body', 'name', 'required'],
+    ['body', 'price', 'min']
+  ]);
+
+  const order = await as(customer, 'POST', '/api/orders', {
+    items: [{ food_id: menu.foods.rice, quantity: 1 }, { food_id: menu.foods.tea, quantity: '2' }, { quantity: 0 }]
+  });
+  assert.equal(order.status, 400);
+  assert.deepEqual(order.body.details.map(d => d.field), ['items[1].quantity', 'items[2].food_id', 'items[2].quantity']);
+  assert.equal((await as(customer, 'POST', '/api/orders', { items: [] })).body.error, 'items must not be empty');
+
+  const weak = await server.request('POST', '/api/register', {
+    body: { name: 'Hà', email: 'ha@test.local', password: 'password', phone: 'abc' }
+  });
+  assert.equal(weak.status, 400);
+  assert.deepEqual(weak.body.details.map(d => [d.field, d.message]), [
+    ['password', 'password must contain at least one letter and one digit'],
+    ['phone', 'phone has an invalid format']
+  ]);
+  assert.equal((await server.request('POST', '/api/register', {
+    body: { name: 'Hà', email: 'ha@test.local', password: 'short1' }
+  })).body.error, 'password must be at least 8 characters');
+});
+
+test('params and query are checked and converted', async () => {
+  const badId = await as(manager, 'GET', '/api/admin/orders/abc');
+  assert.equal(badId.status, 400);
+  assert.deepEqual(badId.body.details, [
+    { location: 'params', field: 'orderId', code: 'type', message: 'orderId must be an integer', message_key: 'validation.type_integer' }
+  ]);
+
+  const badFlag = await as(manager, 'GET', '/api/kitchen/queue?include_bumped=maybe');
+  assert.equal(badFlag.status, 400);
+  assert.equal(badFlag.body.details[0].field, 'include_bumped');
+  assert.equal((await as(manager, 'GET', '/api/kitchen/queue?include_bumped=true&station_id=')).status, 200);
+
+  const qr = await as(customer, 'GET', '/api/tickets/1/qr?format=gif');
+  assert.deepEqual([qr.status, qr.body.error], [400, 'Format must be png or svg']);
+});
+
+test('every error response has the same shape', async () => {
+  const malformed = await fetch(`${server.baseUrl}/api/login`, {
+    method: 'POST', headers: { 'Content-Type': 'application/json' }, body: '{"email":'
+  });
+  assert.equal(malformed.status, 400);
+  assert.deepEqual(await malformed.json(), { error: 'Request body is not valid JSON', code: 'INVALID_JSON', message_key: 'http.invalid_json' });
+
+  const missing = await server.request('GET', '/api/nothing-here');
+  assert.deepEqual([missing.status, missing.body.code], [404, 'NOT_FOUND']);
+
+  assert.deepEqual((await server.request('GET', '/api/orders')).body, {
+    error: 'No token provided', code: 'UNAUTHENTICATED', message_key: 'auth.no_token'
+  });
+  assert.deepEqual((await as(customer, 'GET', '/api/admin/orders')).body, {
+    error: 'Unauthorized', code: 'FORBIDDEN', message_key: 'auth.forbidden'
+  });
+  assert.deepEqual((await as(customer, 'GET', '/api/orders/999/history')).body, {
+    error: 'Order not found or not authorized', code: 'NOT_FOUND', message_key: 'orders.not_found_or_unauthorized'
+  });
+
+  // Phiếu bị từ chối: error/code như mọi lỗi khác, kèm lý do cho máy quét
+  const scan = await as(manager, 'POST', '/api/admin/scan-qr', { ticket_code: 'not-a-ticket' });
+  assert.equal(scan.status, 404);
+  assert.equal(scan.body.code, 'NOT_FOUND');
+  assert.equal(scan.body.error, scan.body.message);
+  assert.equal(scan.body.reason, 'not_found');
+});
+
+test('schemas trim, apply defaults and keep undeclared fields', () => {
+  const req = { body: { name: '  Phở  ', note: 'kept' }, query: { page: '2' } };
+  let error;
+  validate({
+    body: { name: v.string({ max: 10 }), size: v.enum(['S', 'L']).default('S') },
+    query: { page: v.integer({ min: 1 }), active: v.boolean().optional() }
+  })(req, {}, err => { error = err; });
+
+  assert.equal(error, undefined);
+  assert.deepEqual(req.body, { name: 'Phở', note: 'kept', size: 'S' });
+  assert.deepEqual(req.query, { page: 2 });
+});
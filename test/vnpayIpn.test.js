@@ -0,0 +1,109 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, startVnpayMock, createUser, seedMenu } = require('./helpers');
+const { createVnpaySignature } = require('../services/vnpay');
+
+let server;
+let mock;
+let customer;
+let menu;
+
+before(async () => {
+  server = await startServer();
+  customer = await createUser(server.repos);
+  menu = await seedMenu(server.repos);
+  mock = await startVnpayMock(server);
+});
+
+after(async () => {
+  await mock.close();
+  await server.close();
+});
+
+// Đặt đơn và tạo thanh toán online, trả về { order, payment }
+async function startOnlinePayment() {
+  const order = (await server.request('POST', '/api/orders', {
+    token: customer.token,
+    body: { items: [{ food_id: menu.foods.rice, quantity: 1 }] }
+  })).body;
+  const payment = (await server.request('POST', '/api/payments', {
+    token: customer.token,
+    body: { order_id: order.order_id, method: 'online', amount: order.total_price }
+  })).body;
+  return { order, payment };
+}
+
+// Khách "thanh toán" trên cổng giả lập; trả về URL mà trình duyệt được chuyển về
+async function payOnGateway(paymentUrl) {
+  const res = await fetch(paymentUrl, { redirect: 'manual' });
+  assert.equal(res.status, 302);
+  return res.headers.get('location');
+}
+
+function ipn(params) {
+  const signed = { ...params, vnp_SecureHash: createVnpaySignature(params, process.env.VNPAY_HASH_SECRET, true) };
+  return server.request('GET', `/api/vnpay/ipn?${new URLSearchParams(signed)}`);
+}
+
+test('a successful gateway payment is confirmed through the IPN', async () => {
+  mock.setResponseCode('00');
+  const { order, payment } = await startOnlinePayment();
+
+  const returnUrl = await payOnGateway(payment.payment_url);
+
+  assert.deepEqual(mock.state.ipnResults.at(-1), { RspCode: '00', Message: 'Confirm Success' });
+  assert.equal((await server.repos.payments.findById(payment.payment_id)).status, 'completed');
+  assert.equal((await server.repos.orders.findById(order.order_id)).status, 'completed');
+
+  // Return URL chỉ chuyển hướng về frontend
+  const back = await fetch(returnUrl, { redirect: 'manual' });
+  assert.equal(back.status, 302);
+  assert.match(back.headers.get('location'), /payment=success/);
+});
+
+test('a cancelled gateway payment marks the attempt failed and keeps the order pending', async () => {
+  mock.setResponseCode('24');
+  const { order, payment } = await startOnlinePayment();
+
+  const returnUrl = await payOnGateway(payment.payment_url);
+
+  assert.equal(mock.state.ipnResults.at(-1).RspCode, '00');
+  assert.equal((await server.repos.payments.findById(payment.payment_id)).status, 'failed');
+  assert.equal((await server.repos.orders.findById(order.order_id)).status, 'pending');
+  assert.match(returnUrl, /vnp_ResponseCode=24/);
+});
+
+test('replaying an IPN is idempotent', async () => {
+  mock.setResponseCode('00');
+  const { payment } = await startOnlinePayment();
+  await payOnGateway(payment.payment_url);
+
+  const { vnp_SecureHash, vnp_CreateDate, refunded, ...callback } = mock.state.transactions.get(payment.transaction_id);
+
+  const replay = await ipn(callback);
+  assert.deepEqual(replay.body, { RspCode: '02', Message: 'Order already confirmed' });
+  assert.equal((await server.repos.payments.findById(payment.payment_id)).status, 'completed');
+});
+
+test('IPN rejects a bad signature, unknown transaction and wrong amount', async () => {
+  const { payment } = await startOnlinePayment();
+  const base = {
+    vnp_Amount: String(payment.amount * 100),
+    vnp_ResponseCode: '00',
+    vnp_TmnCode: process.env.VNPAY_TMN_CODE,
+    vnp_TransactionStatus: '00',
+    vnp_TxnRef: payment.transaction_id
+  };
+
+  const tampered = await server.request('GET', `/api/vnpay/ipn?${new URLSearchParams({ ...base, vnp_SecureHash: 'abc' })}`);
+  assert.equal(tampered.status, 200);
+  assert.equal(tampered.body.RspCode, '97');
+
+  const unknown = await ipn({ ...base, vnp_TxnRef: `ORDER_${payment.order_id}_0` });
+  assert.equal(unknown.body.RspCode, '01');
+
+  const wrongAmount = await ipn({ ...base, vnp_Amount: '100000' });
+  assert.equal(wrongAmount.body.RspCode, '04');
+
+  assert.equal((await server.repos.payments.findById(payment.payment_id)).status, 'pending');
+});
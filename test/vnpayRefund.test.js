@@ -0,0 +1,163 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, startVnpayMock, createUser, seedMenu } = require('./helpers');
+
+let server;
+let mock;
+let customer;
+let admin;
+let menu;
+
+before(async () => {
+  server = await startServer();
+  customer = await createUser(server.repos);
+  admin = await createUser(server.repos, { role: 'admin' });
+  menu = await seedMenu(server.repos);
+  mock = await startVnpayMock(server);
+});
+
+after(async () => {
+  await mock.close();
+  await server.close();
+});
+
+// Đặt đơn 70.000đ và thanh toán qua cổng giả lập
+async function paidOrder() {
+  const order = (await server.request('POST', '/api/orders', {
+    token: customer.token,
+    body: { items: [{ food_id: menu.foods.rice, quantity: 2 }] }
+  })).body;
+  const payment = (await server.request('POST', '/api/payments', {
+    token: customer.token,
+    body: { order_id: order.order_id, method: 'online', amount: order.total_price }
+  })).body;
+  await fetch(payment.payment_url, { redirect: 'manual' });
+  return { order, payment };
+}
+
+const refund = (paymentId, body = {}) => server.request('POST', `/api/admin/payments/${paymentId}/refund`, {
+  token: admin.token, body
+});
+
+test('querydr settles a payment whose IPN never arrived', async () => {
+  mock.setDeliverIpn(false);
+  const { order, payment } = await paidOrder();
+  mock.setDeliverIpn(true);
+  assert.equal((await server.repos.payments.findById(payment.payment_id)).status, 'pending');
+
+  const res = await server.request('POST', `/api/admin/payments/${payment.payment_id}/query`, { token: admin.token });
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.gateway.vnp_TransactionStatus, '00');
+  assert.equal(res.body.settled, true);
+  assert.equal(res.body.payment.status, 'completed');
+  assert.ok(res.body.payment.gateway_transaction_no);
+  assert.equal((await server.repos.orders.findById(order.order_id)).status, 'completed');
+
+  const audit = await server.request('GET', '/api/admin/audit-logs?action=payment.queried', { token: admin.token });
+  const [entry] = audit.body.entries;
+  assert.equal(entry.entity_id, String(payment.payment_id));
+  assert.deepEqual([entry.before, entry.after], [{ status: 'pending' }, { status: 'completed', settled: true }]);
+});
+
+test('partial refunds accumulate until the payment is fully refunded', async () => {
+  const { order, payment } = await paidOrder();
+
+  const first = await refund(payment.payment_id, { amount: 20000, reason: 'Missing drink' });
+  assert.equal(first.status, 200);
+  assert.equal(first.body.refund.type, 'partial');
+  assert.equal(first.body.refund.status, 'completed');
+  assert.equal(first.body.payment.status, 'partially_refunded');
+  assert.equal(first.body.payment.refunded_amount, 20000);
+  assert.equal((await server.repos.orders.findById(order.order_id)).status, 'completed');
+
+  const tooMuch = await refund(payment.payment_id, { amount: 60000 });
+  assert.equal(tooMuch.status, 400);
+
+  const rest = await refund(payment.payment_id);
+  assert.equal(rest.status, 200);
+  assert.equal(rest.body.refund.amount, 50000);
+  assert.equal(rest.body.payment.status, 'refunded');
+  assert.equal((await server.repos.orders.findById(order.order_id)).status, 'cancelled');
+
+  const list = await server.request('GET', `/api/admin/payments/${payment.payment_id}/refunds`, { token: admin.token });
+  assert.deepEqual(list.body.map(r => [r.amount, r.status]), [[20000, 'completed'], [50000, 'completed']]);
+});
+
+test('a full refund in one request uses the full refund type', async () => {
+  const { payment } = await paidOrder();
+
+  const res = await refund(payment.payment_id, { amount: 70000 });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.refund.type, 'full');
+  assert.equal(res.body.payment.status, 'refunded');
+});
+
+test('a refund rejected by VNPAY is recorded and releases the reserved amount', async () => {
+  const { payment } = await paidOrder();
+  mock.failNextRefund('99');
+
+  const res = await refund(payment.payment_id, { amount: 10000 });
+  assert.equal(res.status, 502);
+
+  const stored = await server.repos.payments.findById(payment.payment_id);
+  assert.equal(stored.refunded_amount, 0);
+  assert.equal(stored.status, 'completed');
+
+  const [record] = await server.repos.refunds.listByPayment(payment.payment_id);
+  assert.equal(record.status, 'failed');
+  assert.equal(record.gateway_response_code, '99');
+});
+
+test('a refund that fails before reaching VNPAY keeps the refundable balance', async () => {
+  const { payment } = await paidOrder();
+  const refunds = server.repos.refunds;
+  const create = refunds.create;
+  refunds.create = async () => {
+    throw new Error('refund insert failed');
+  };
+  try {
+    assert.equal((await refund(payment.payment_id, { amount: 10000 })).status, 500);
+  } finally {
+    refunds.create = create;
+  }
+
+  assert.equal((await server.repos.payments.findById(payment.payment_id)).refunded_amount, 0);
+  const full = await refund(payment.payment_id);
+  assert.equal(full.status, 200);
+  assert.equal(full.body.payment.status, 'refunded');
+});
+
+test('refunds are refused for unpaid and cash payments', async () => {
+  const order = (await server.request('POST', '/api/orders', {
+    token: customer.token,
+    body: { items: [{ food_id: menu.foods.tea, quantity: 1 }] }
+  })).body;
+  const cash = (await server.request('POST', '/api/payments', {
+    token: customer.token,
+    body: { order_id: order.order_id, method: 'cash', amount: order.total_price }
+  })).body;
+
+  assert.equal((await refund(cash.payment_id)).status, 400);
+
+  const denied = await server.request('POST', `/api/admin/payments/${cash.payment_id}/refund`, {
+    token: customer.token, body: {}
+  });
+  assert.equal(denied.status, 403);
+});
+
+test('two partial refunds sent at once that cover the whole amount leave the payment refunded', async () => {
+  const { order, payment } = await paidOrder();
+
+  // Lần hoàn đầu được cổng trả lời sau: lần thứ hai giữ tiền và xong trước trong lúc lần đầu đang chờ cổng
+  mock.delayNextRefund(300);
+  const slow = refund(payment.payment_id, { amount: 30000 });
+  await new Promise(resolve => setTimeout(resolve, 100));
+  const [first, second] = await Promise.all([slow, refund(payment.payment_id, { amount: 40000 })]);
+  assert.deepEqual([first.status, second.status], [200, 200]);
+
+  const stored = await server.repos.payments.findById(payment.payment_id);
+  assert.equal(stored.refunded_amount, 70000);
+  assert.equal(stored.status, 'refunded');
+  assert.equal((await server.repos.orders.findById(order.order_id)).status, 'cancelled');
+});